@@ -26,6 +26,11 @@
  * Tracks all the application state including UI, drawing tools, and media
  */
 const AppState = {
+        // Project State
+    currentProjectId: 'default', // Id of the project record the workspace is saved under
+    projectName: 'My Tutorial',  // Display name of the open project
+    projectCreatedAt: null,      // ISO date the open project was created
+    
         // YouTube Player State
     player: null,           // YouTube IFrame Player instance
     apiReady: false,        // Flag indicating if YouTube API is loaded
@@ -33,10 +38,15 @@ const AppState = {
         // Canvas Elements and Contexts
     canvas: null,           // Main canvas element for video annotations
     ctx: null,              // 2D context for main canvas
+    highlightCanvas: null,  // Canvas for highlights over the video, multiplied onto it
     overlayCanvas: null,    // Overlay canvas for temporary drawings
     overlayCtx: null,       // 2D context for overlay canvas
     infiniteCanvas: null,   // Infinite canvas element for free-form notes
-    infiniteCtx: null,      // 2D context for infinite canvas
+    infiniteCtx: null,      // 2D context of the active layer of the infinite canvas
+    infinitePageCtx: null,  // 2D context of the infinite canvas page (page separators)
+    layers: [],             // Layers of the infinite canvas, bottom first
+    activeLayerId: null,    // Layer new ink and media go to
+    snapping: { grid: false, spacing: 20, snap: true, guides: [] }, // Grid, snapping and guides of the infinite canvas
     
         // Page Layout Settings
     a4WidthPercent: 95,     // A4 width as percentage of screen width
@@ -49,17 +59,34 @@ const AppState = {
     infiniteDrawing: false, // Flag for infinite canvas drawing state
     currentTool: 'pencil',  // Currently selected drawing tool
     currentColor: '#ff0000', // Current drawing color
+    palette: { colors: [], recent: [] }, // Project swatches and recently used colors
     brushSize: 4,           // Current brush size in pixels
+    shapeStyle: { filled: false, fillColor: '#ffffff', opacity: 1, dash: 'solid', arrowHead: 'open' }, // Style of new shapes
+    highlighterSnap: false, // Highlighter draws horizontal bands (for text rows)
+    eraserSize: 15,         // Pixel eraser width
+    eraserMode: 'pixel',    // 'pixel' rubs out ink, 'object' deletes whole objects it touches
+    polygonSides: 3,        // Number of sides drawn by the polygon tool
+    stepStyle: { shape: 'circle', size: 28, filled: true, start: 1 }, // Style and start number of new step markers
+    maskStyle: { spotlightShape: 'rectangle', dim: 0.6, obscure: 'pixelate', strength: 12 }, // Settings of new spotlights and blur boxes
+    magnifierStyle: { shape: 'circle', zoom: 2 }, // Shape and zoom of new magnifier lenses
+    stampStyle: { stamp: 'check', size: 48 }, // Chosen stamp and the size a click places it at
+    stamps: [],             // Images registered as stamps in the open project ({ id, name, blob, width, height })
+    codeStyle: { language: 'javascript', theme: 'light', lineNumbers: true }, // Settings of new code blocks
     
         // Text Tool State
     fontSize: 24,           // Current font size for text tool
     fontFamily: 'Arial',    // Current font family for text tool
+    textStyle: { bold: false, italic: false, underline: false, align: 'left', lineSpacing: 1.2, wrapWidth: 0, background: false, backgroundColor: '#ffffff' }, // Formatting of new text
     isTyping: false,        // Flag indicating if user is currently typing
     currentTextInput: null, // Reference to active text input element
     
         // Drawing Coordinates
     startX: 0,              // Starting X coordinate for current drawing
     startY: 0,              // Starting Y coordinate for current drawing
+    currentStrokePoints: [], // Points of the pencil/eraser stroke in progress
+    penEraserTool: null,     // Tool to return to when the pen's eraser end is lifted
+    highlightSnapped: false, // The highlight in progress is a horizontal band (snap option or Shift)
+    shapeModifiers: { shift: false, alt: false }, // Shift constrains the shape in progress, Alt draws it from its centre
     
         // Timestamp Management
     timestampedDrawings: [], // Array of drawings with timestamps
@@ -189,15 +216,29 @@ const LaserUtils = {
         ctx.lineCap = 'round';
         ctx.lineJoin = 'round';
         
-        ctx.beginPath();
         if (stroke.points && stroke.points.length > 1) {
-            ctx.moveTo(stroke.points[0].x, stroke.points[0].y);
-            for (let i = 1; i < stroke.points.length; i++) {
-                ctx.lineTo(stroke.points[i].x, stroke.points[i].y);
-            }
+            stroke.smooth ? SceneModel.traceSmoothPath(ctx, stroke.points) : SceneModel.tracePolyline(ctx, stroke.points);
             ctx.stroke();
         }
         ctx.restore();
+    },
+
+    /**
+     * Ink the newest point of the laser stroke being drawn
+     * Smoothed strokes draw the curve piece behind the newest point
+     * @param {CanvasRenderingContext2D} ctx - Laser overlay context, styled for the stroke
+     * @param {Object} stroke - Laser stroke in progress
+     */
+    extendLiveStroke(ctx, stroke) {
+        const { points } = stroke;
+        const point = points[points.length - 1];
+
+        if (!stroke.smooth) {
+            ctx.lineTo(point.x, point.y);
+            ctx.stroke();
+        } else if (points.length > 2) {
+            SceneModel.strokePiece(ctx, points, points.map(() => stroke.width), points.length - 2, true);
+        }
     }
 };
 
@@ -249,15 +290,22 @@ const CanvasUtils = {
     },
 
     /**
-     * Clears the active canvas while preserving dimensions
+     * Clears the video drawing and any preview on the overlay
+     * @param {Object} [options]
+     * @param {boolean} [options.recordHistory=false] - Make the clear undoable (user action);
+     *     otherwise no timestamped drawing is shown any more and the video history starts empty
      * @returns {void}
      */
-    clear() {
-        const activeCtx = this.getActiveContext();
-        const activeCanvas = this.getActiveCanvas();
+    clear({ recordHistory = false } = {}) {
+        if (AppState.overlayCtx && AppState.overlayCanvas) {
+            AppState.overlayCtx.clearRect(0, 0, AppState.overlayCanvas.width, AppState.overlayCanvas.height);
+        }
         
-        if (activeCtx && activeCanvas) {
-            activeCtx.clearRect(0, 0, activeCanvas.width, activeCanvas.height);
+        if (recordHistory) {
+            SceneModel.clear('video');
+        } else {
+            HistoryManager.showVideoDrawing(null);
+            SceneModel.setObjects('video', []);
         }
         
         AppState.currentDrawingState = null;
@@ -272,18 +320,17 @@ const CanvasUtils = {
         const container = AppState.canvas.parentElement;
         const rect = container.getBoundingClientRect();
         
-        // Save current main canvas content before resize
-        const imageData = AppState.ctx ? AppState.ctx.getImageData(0, 0, AppState.canvas.width, AppState.canvas.height, { willReadFrequently: true }) : null;
-        
         // Resize main canvas
         AppState.canvas.width = rect.width;
         AppState.canvas.height = rect.height;
-        
-        // Restore content after resize
-        if (imageData && AppState.ctx) {
-            AppState.ctx.putImageData(imageData, 0, 0);
+        if (AppState.highlightCanvas) {
+            AppState.highlightCanvas.width = rect.width;
+            AppState.highlightCanvas.height = rect.height;
         }
         
+        // Redraw content after resize
+        SceneModel.render('video');
+        
         // Resize overlay canvas
         if (AppState.overlayCanvas) {
             AppState.overlayCanvas.width = rect.width;
@@ -291,6 +338,50 @@ const CanvasUtils = {
         }
         
         DrawingUtils.updateStyles();
+    },
+
+    /**
+     * Routes pointer input on a drawing canvas to start/move/stop handlers
+     * Mouse, touch and pen share one path. Moves are expanded into their coalesced
+     * events so fast pen strokes keep every sample, and the pen's eraser end switches
+     * to the eraser until it is lifted.
+     * @param {HTMLCanvasElement} canvas - Canvas receiving input
+     * @param {Object} handlers - start, move and stop callbacks taking a PointerEvent
+     * @returns {void}
+     */
+    bindPointerInput(canvas, { start, move, stop }) {
+        // Keep touch and pen drags from scrolling the page
+        canvas.style.touchAction = 'none';
+
+        canvas.addEventListener('pointerdown', (e) => {
+            if (!e.isPrimary) return;
+            canvas.setPointerCapture?.(e.pointerId);
+
+            if (e.pointerType === 'pen' && (e.button === 5 || e.buttons & 32)) {
+                AppState.penEraserTool = AppState.currentTool;
+                DrawingUtils.selectTool('eraser');
+            }
+            start(e);
+        });
+
+        canvas.addEventListener('pointermove', (e) => {
+            if (!e.isPrimary) return;
+            const samples = e.getCoalescedEvents?.() || [];
+            (samples.length ? samples : [e]).forEach(sample => move(sample));
+        });
+
+        const end = (e) => {
+            if (!e.isPrimary) return;
+            stop(e);
+
+            if (AppState.penEraserTool) {
+                const tool = AppState.penEraserTool;
+                AppState.penEraserTool = null;
+                DrawingUtils.selectTool(tool);
+            }
+        };
+        canvas.addEventListener('pointerup', end);
+        canvas.addEventListener('pointercancel', end);
     }
 };
 
@@ -304,6 +395,38 @@ const CanvasUtils = {
  * Manages different drawing tools, styles, and rendering
  */
 const DrawingUtils = {
+    /**
+     * Make a tool current and show it as active in the toolbar
+     * @param {string} tool - Tool name (also the id of its toolbar button)
+     * @returns {void}
+     */
+    selectTool(tool) {
+        AppState.currentTool = tool;
+        if (tool !== 'select') ObjectSelection.clear();
+        
+        // Update active tool UI
+        document.querySelectorAll('.tool-btn').forEach(btn => {
+            btn.classList.remove('bg-indigo-500', 'border-indigo-600', 'text-white');
+            btn.classList.add('bg-white', 'border-gray-200');
+        });
+        
+        const selectedBtn = document.getElementById(tool);
+        selectedBtn?.classList.remove('bg-white', 'border-gray-200');
+        selectedBtn?.classList.add('bg-indigo-500', 'border-indigo-600', 'text-white');
+        
+        this.updateStyles();
+        this.toggleTextControls();
+        this.toggleHighlighterControls();
+        this.toggleEraserControls();
+        this.togglePolygonControls();
+        this.toggleStepControls();
+        this.toggleMaskControls();
+        this.toggleMagnifierControls();
+        this.toggleStampControls();
+        Layers.placeAllMedia();
+        Snapping.renderGuides();
+    },
+
     /**
      * Updates the drawing styles for the active context
      * Applies current color, line width, and tool-specific styles
@@ -315,7 +438,7 @@ const DrawingUtils = {
         
         if (AppState.currentTool === 'eraser') {
             activeCtx.globalCompositeOperation = 'destination-out';
-            activeCtx.lineWidth = 15;
+            activeCtx.lineWidth = AppState.eraserSize;
         } else if (AppState.currentTool === 'laser') {
             activeCtx.globalCompositeOperation = 'source-over';
             activeCtx.strokeStyle = AppState.currentColor + '80'; // 50% transparency
@@ -350,7 +473,21 @@ const DrawingUtils = {
             rectangle: 'url("data:image/svg+xml;utf8,<svg xmlns=\'http://www.w3.org/2000/svg\' width=\'24\' height=\'24\' viewBox=\'0 0 24 24\'><text y=\'20\' font-size=\'20\'>⬜</text></svg>") 12 12, default',
             circle: 'url("data:image/svg+xml;utf8,<svg xmlns=\'http://www.w3.org/2000/svg\' width=\'24\' height=\'24\' viewBox=\'0 0 24 24\'><text y=\'20\' font-size=\'20\'>⭕</text></svg>") 12 12, default',
             arrow: 'url("data:image/svg+xml;utf8,<svg xmlns=\'http://www.w3.org/2000/svg\' width=\'24\' height=\'24\' viewBox=\'0 0 24 24\'><text y=\'20\' font-size=\'20\'>➡️</text></svg>") 12 12, default',
+            highlighter: 'url("data:image/svg+xml;utf8,<svg xmlns=\'http://www.w3.org/2000/svg\' width=\'24\' height=\'24\' viewBox=\'0 0 24 24\'><text y=\'20\' font-size=\'20\'>🖍️</text></svg>") 2 20, default',
             eraser: 'url("data:image/svg+xml;utf8,<svg xmlns=\'http://www.w3.org/2000/svg\' width=\'24\' height=\'24\' viewBox=\'0 0 24 24\'><text y=\'20\' font-size=\'20\'>🧽</text></svg>") 12 12, default',
+            roundedRectangle: 'crosshair',
+            ellipse: 'crosshair',
+            polygon: 'crosshair',
+            curve: 'crosshair',
+            callout: 'crosshair',
+            step: 'crosshair',
+            spotlight: 'crosshair',
+            obscure: 'crosshair',
+            redact: 'crosshair',
+            magnifier: 'zoom-in',
+            stamp: 'crosshair',
+            equation: 'text',
+            code: 'text',
             laser: 'url("data:image/svg+xml;utf8,<svg xmlns=\'http://www.w3.org/2000/svg\' width=\'24\' height=\'24\' viewBox=\'0 0 24 24\'><circle cx=\'12\' cy=\'12\' r=\'4\' fill=\'red\' opacity=\'0.8\'><animate attributeName=\'r\' values=\'3;5;3\' dur=\'1s\' repeatCount=\'indefinite\'/></circle></svg>") 12 12, crosshair',
             text: 'text'
         };
@@ -358,6 +495,174 @@ const DrawingUtils = {
         AppState.overlayCanvas.style.cursor = cursors[AppState.currentTool] || 'default';
     },
 
+    /**
+     * Builds a stroke point from a pointer position, keeping the pen pressure
+     * @param {Object} pos - Position in canvas coordinates
+     * @param {PointerEvent} e - Pointer event the position came from
+     * @returns {Object} Point with x, y and, for pens, pressure (0-1)
+     */
+    inkPoint(pos, e) {
+        return e.pointerType === 'pen'
+            ? { x: pos.x, y: pos.y, pressure: e.pressure }
+            : { x: pos.x, y: pos.y };
+    },
+
+    /**
+     * Adds a point to the pencil/eraser stroke in progress and inks it live
+     * Even, unsmoothed strokes extend the open path; otherwise the new piece is drawn
+     * with SceneModel.strokePiece, one point behind for smoothed strokes
+     * @param {CanvasRenderingContext2D} ctx - Context the stroke is drawn on
+     * @param {Object} point - New stroke point
+     * @returns {void}
+     */
+    extendStroke(ctx, point) {
+        const points = AppState.currentStrokePoints;
+        points.push(point);
+        const index = points.length - 1;
+        if (!index) return;
+
+        const baseWidth = AppState.currentTool === 'eraser' ? Number(AppState.eraserSize) : Number(AppState.brushSize);
+        const stroke = { points, style: { width: baseWidth }, ...InkSmoothing.strokeOptions() };
+        const widths = SceneModel.getStrokeWidths(stroke, { taperEnd: false });
+
+        if (!widths && !stroke.smooth) {
+            ctx.lineTo(point.x, point.y);
+            ctx.stroke();
+            return;
+        }
+
+        const pieceWidths = widths || points.map(() => baseWidth);
+        if (!stroke.smooth) {
+            SceneModel.strokePiece(ctx, points, pieceWidths, index, false);
+        } else if (index >= 2) {
+            SceneModel.strokePiece(ctx, points, pieceWidths, index - 1, true);
+        }
+    },
+
+    /**
+     * Shows the highlighter options only while the highlighter is selected
+     * @returns {void}
+     */
+    toggleHighlighterControls() {
+        document.getElementById('highlighterControls')?.classList.toggle('hidden', AppState.currentTool !== 'highlighter');
+    },
+
+    /**
+     * Shows the eraser options only while the eraser is selected
+     * @returns {void}
+     */
+    toggleEraserControls() {
+        document.getElementById('eraserControls')?.classList.toggle('hidden', AppState.currentTool !== 'eraser');
+    },
+
+    /**
+     * Shows the polygon options only while the polygon tool is selected
+     * @returns {void}
+     */
+    togglePolygonControls() {
+        document.getElementById('polygonControls')?.classList.toggle('hidden', AppState.currentTool !== 'polygon');
+    },
+
+    /**
+     * Shows the step marker style controls while the step marker tool is selected
+     */
+    toggleStepControls() {
+        document.getElementById('stepControls')?.classList.toggle('hidden', AppState.currentTool !== 'step');
+    },
+
+    /**
+     * Shows the spotlight or blur controls while one of those tools is selected
+     */
+    toggleMaskControls() {
+        document.getElementById('spotlightControls')?.classList.toggle('hidden', AppState.currentTool !== 'spotlight');
+        document.getElementById('obscureControls')?.classList.toggle('hidden', AppState.currentTool !== 'obscure');
+    },
+
+    /**
+     * Shows the lens shape and zoom while the magnifier tool is selected
+     */
+    toggleMagnifierControls() {
+        document.getElementById('magnifierControls')?.classList.toggle('hidden', AppState.currentTool !== 'magnifier');
+    },
+
+    /**
+     * Shows the stamp library while the stamp tool is selected
+     */
+    toggleStampControls() {
+        document.getElementById('stampControls')?.classList.toggle('hidden', AppState.currentTool !== 'stamp');
+    },
+
+    /**
+     * Whether the eraser deletes whole objects instead of rubbing out ink
+     * @returns {boolean}
+     */
+    isObjectEraser() {
+        return AppState.currentTool === 'eraser' && AppState.eraserMode === 'object';
+    },
+
+    /**
+     * Whether the current tool keeps the whole dragged path (highlighter, curve)
+     * @returns {boolean}
+     */
+    collectsPath() {
+        return AppState.currentTool === 'highlighter' || AppState.currentTool === 'curve';
+    },
+
+    /**
+     * Remember the Shift and Alt keys of a pointer event for the shape in progress
+     * @param {PointerEvent} e - Pointer event
+     * @returns {void}
+     */
+    trackModifiers(e) {
+        AppState.shapeModifiers = { shift: !!e.shiftKey, alt: !!e.altKey };
+    },
+
+    /**
+     * Apply the Shift constraint to the end point of a shape
+     * Lines and arrows snap to 45° steps; box shapes become square (so ellipses are circles)
+     * @param {string} tool - Shape tool
+     * @param {Object} start - Start point of the drag
+     * @param {Object} end - Pointer position
+     * @returns {Object} Constrained end point
+     */
+    constrainPoint(tool, start, end) {
+        if (!AppState.shapeModifiers.shift) return end;
+
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        if (tool === 'line' || tool === 'arrow') {
+            const step = Math.PI / 4;
+            const angle = Math.round(Math.atan2(dy, dx) / step) * step;
+            const length = Math.hypot(dx, dy);
+            return { x: start.x + length * Math.cos(angle), y: start.y + length * Math.sin(angle) };
+        }
+        if (['rectangle', 'roundedRectangle', 'ellipse', 'polygon', 'callout', 'magnifier', ...Masks.TOOLS].includes(tool)) {
+            const size = Math.max(Math.abs(dx), Math.abs(dy));
+            return { x: start.x + (dx < 0 ? -size : size), y: start.y + (dy < 0 ? -size : size) };
+        }
+        return end;
+    },
+
+    /**
+     * Box dragged out by a shape tool; with Alt the start point is its centre
+     * @param {Object} start - Start point of the drag
+     * @param {Object} end - (Constrained) end point
+     * @returns {{left: number, top: number, right: number, bottom: number}}
+     */
+    getShapeBox(start, end) {
+        if (AppState.shapeModifiers.alt) {
+            const dx = Math.abs(end.x - start.x);
+            const dy = Math.abs(end.y - start.y);
+            return { left: start.x - dx, top: start.y - dy, right: start.x + dx, bottom: start.y + dy };
+        }
+        return {
+            left: Math.min(start.x, end.x),
+            top: Math.min(start.y, end.y),
+            right: Math.max(start.x, end.x),
+            bottom: Math.max(start.y, end.y)
+        };
+    },
+
     /**
      * Toggles the visibility of text formatting controls
      * Shows/hides based on whether text tool is selected
@@ -415,6 +720,7 @@ const DrawingMode = {
             AppState.player.pauseVideo();
         }
         AppState.drawingMode = true;
+        HistoryManager.setActive('video');
         
         document.getElementById('drawingOverlay').classList.remove('hidden');
         
@@ -442,6 +748,8 @@ const DrawingMode = {
         
         // Reset cursor
         AppState.overlayCanvas.style.cursor = 'default';
+        
+        if (ObjectSelection.canvasKey === 'video') ObjectSelection.clear();
     }
 };
 
@@ -466,45 +774,60 @@ const TimestampManager = {
             Math.abs(drawing.time - currentTime) < 1
         );
         
-        // Save from main canvas (where all drawings are stored permanently)
-        const drawingData = AppState.canvas.toDataURL('image/png');
+        // Keep the timeline as it was for undo
+        const previousDrawings = AppState.timestampedDrawings.map(drawing => ({ ...drawing }));
+        const previousTimestamp = AppState.currentTimestamp;
+        
+        // Save the objects of the video scene (where all drawings are stored permanently)
+        const scene = SceneModel.scenes.video;
         
         if (existing) {
             // Update existing
-            existing.drawingData = drawingData;
+            existing.scene = scene;
             existing.created = new Date().toLocaleString();
+            delete existing.thumbnail;
+            HistoryManager.assignVideoDrawing(existing.id);
             UI.showNotification(`Drawing updated at ${formattedTime}!`);
         } else {
             // Create new
-            frame_data =  {
+            const frame_data =  {
                 id: Date.now(),
                 time: currentTime,
                 timeFormatted: TimeUtils.format(currentTime),
-                drawingData: drawingData,
+                scene: scene,
                 created: new Date().toLocaleString(),
                 videoTimestamp: formattedTime
             }
             AppState.timestampedDrawings.push(frame_data);
+            HistoryManager.assignVideoDrawing(frame_data.id);
             UI.showNotification(`Drawing saved at ${formattedTime}!`);
         }
-        
-        // If in drawing mode, copy the overlay content to the main canvas before saving
-        if (AppState.drawingMode && AppState.overlayCanvas && AppState.canvas) {
-            AppState.ctx.drawImage(AppState.overlayCanvas, 0, 0);
-        }
 
         // Close drawing mode if it's active
         if (AppState.drawingMode) {
             DrawingMode.close();
         }
-
-        // Clear the main canvas after a short delay to ensure the drawing is saved
-        // and to prevent it from showing when it shouldn't.
-        setTimeout(() => {
-            if (AppState.ctx) {
-                AppState.ctx.clearRect(0, 0, AppState.canvas.width, AppState.canvas.height);
+        
+        const savedDrawings = AppState.timestampedDrawings.map(drawing => ({ ...drawing }));
+        HistoryManager.push('video', {
+            label: 'timestamp save',
+            size: (previousDrawings.length + savedDrawings.length) * HistoryManager.DRAWING_SIZE,
+            undo: () => {
+                AppState.timestampedDrawings = previousDrawings.map(drawing => ({ ...drawing }));
+                SceneModel.setObjects('video', scene);
+                AppState.currentTimestamp = previousTimestamp;
+                this.updateUI();
+            },
+            redo: () => {
+                AppState.timestampedDrawings = savedDrawings.map(drawing => ({ ...drawing }));
+                SceneModel.setObjects('video', []);
+                AppState.currentTimestamp = currentTime;
+                this.updateUI();
             }
-        }, 100);
+        });
+
+        // Clear the video scene so the drawing doesn't show when it shouldn't
+        SceneModel.setObjects('video', []);
         
         AppState.currentTimestamp = currentTime;
         AppState.currentDrawingState = null;
@@ -526,7 +849,7 @@ const TimestampManager = {
         const drawing = AppState.timestampedDrawings.find(d => d.time === time);
         
         if (drawing) {
-            this.loadDrawing(drawing.drawingData, time);
+            this.loadDrawing(drawing, time);
             UI.showNotification(`Showing drawings from ${TimeUtils.format(time)}`);
         } else {
             CanvasUtils.clear();
@@ -537,27 +860,33 @@ const TimestampManager = {
 
     /**
      * Load drawing for specific timestamp
+     * @param {Object} drawing - Entry from AppState.timestampedDrawings
+     * @param {number|null} [timestamp] - Time the drawing is shown for
      */
-    loadDrawing(drawingData, timestamp = null) {
+    loadDrawing(drawing, timestamp = null) {
         // Always load on main canvas to ensure visibility
-        const mainCanvas = AppState.canvas;
-        const mainCtx = AppState.ctx;
-        
-        const img = new Image();
-        img.onload = function() {
-            mainCtx.clearRect(0, 0, mainCanvas.width, mainCanvas.height);
-            mainCtx.drawImage(img, 0, 0);
-        };
-        img.src = drawingData;
+        SceneModel.setObjects('video', drawing.scene);
         
         if (timestamp !== null) {
             AppState.currentTimestamp = timestamp;
-            AppState.currentDrawingState = drawingData;
+            AppState.currentDrawingState = drawing.scene;
         }
+        
+        // Undo/redo now act on this drawing's own history
+        HistoryManager.showVideoDrawing(drawing.id);
     },
 
     /**
-     * Delete timestamp
+     * Load a drawing onto the canvas without jumping the video to its timestamp
+     * @param {number} id - Drawing id
+     */
+    loadOnly(id) {
+        const drawing = AppState.timestampedDrawings.find(d => d.id === id);
+        if (drawing) this.loadDrawing(drawing);
+    },
+
+    /**
+     * Show the drawing that belongs to the current playback time
      */
     checkAndDisplayDrawing(currentTime) {
         const drawing = AppState.timestampedDrawings.find(d => 
@@ -565,15 +894,19 @@ const TimestampManager = {
         );
 
         if (drawing && AppState.currentTimestamp !== drawing.time) {
-            this.loadDrawing(drawing.drawingData, drawing.time);
+            this.loadDrawing(drawing, drawing.time);
         } else if (!drawing && AppState.currentTimestamp !== null) {
             CanvasUtils.clear();
             AppState.currentTimestamp = null;
         }
     },
 
+    /**
+     * Delete timestamp
+     */
     delete(id) {
         AppState.timestampedDrawings = AppState.timestampedDrawings.filter(d => d.id !== id);
+        HistoryManager.forgetVideoDrawing(id);
         this.updateUI();
         UI.showNotification('Drawing deleted!');
         
@@ -593,28 +926,65 @@ const TimestampManager = {
         }
         
         const sorted = [...AppState.timestampedDrawings].sort((a, b) => a.time - b.time);
-        
-        container.innerHTML = sorted.map(drawing => `
-            <div onclick="TimestampManager.jumpTo(${drawing.time})" class="flex items-center justify-between p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors cursor-pointer">
-                <div class="flex items-center gap-3">
-                    <div class="w-12 h-8 bg-white rounded border overflow-hidden">
-                        <img src="${drawing.drawingData}" alt="Drawing thumbnail" class="w-full h-full object-cover">
-                    </div>
-                    <div>
-                        <div class="font-medium text-gray-800">${drawing.timeFormatted}</div>
-                        <div class="text-xs text-gray-500">Saved: ${drawing.videoTimestamp}</div>
-                    </div>
-                </div>
-                <div class="flex gap-2">
-                    <button onclick="event.stopPropagation(); TimestampManager.loadDrawing('${drawing.drawingData}')" class="px-3 py-1 bg-green-500 text-white text-xs rounded hover:bg-green-600 transition-colors">
-                        📋 Load Only
-                    </button>
-                    <button onclick="event.stopPropagation(); TimestampManager.delete(${drawing.id})" class="px-3 py-1 bg-red-500 text-white text-xs rounded hover:bg-red-600 transition-colors">
-                        🗑️
-                    </button>
-                </div>
-            </div>
-        `).join('');
+
+        const button = (text, className, onClick) => {
+            const element = document.createElement('button');
+            element.className = `px-3 py-1 text-white text-xs rounded transition-colors ${className}`;
+            element.textContent = text;
+            element.addEventListener('click', (e) => {
+                e.stopPropagation();
+                onClick();
+            });
+            return element;
+        };
+
+        const rows = sorted.map(drawing => {
+            const row = document.createElement('div');
+            row.className = 'flex items-center justify-between p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors cursor-pointer';
+            row.addEventListener('click', () => this.jumpTo(drawing.time));
+
+            const frame = document.createElement('div');
+            frame.className = 'w-12 h-8 bg-white rounded border overflow-hidden';
+            const image = document.createElement('img');
+            image.src = drawing.thumbnail || '';
+            image.dataset.drawingId = String(drawing.id);
+            image.alt = 'Drawing thumbnail';
+            image.className = 'w-full h-full object-cover';
+            frame.appendChild(image);
+
+            const time = document.createElement('div');
+            time.className = 'font-medium text-gray-800';
+            time.textContent = drawing.timeFormatted;
+            const saved = document.createElement('div');
+            saved.className = 'text-xs text-gray-500';
+            saved.textContent = `Saved: ${drawing.videoTimestamp}`;
+            const labels = document.createElement('div');
+            labels.append(time, saved);
+
+            const info = document.createElement('div');
+            info.className = 'flex items-center gap-3';
+            info.append(frame, labels);
+
+            const actions = document.createElement('div');
+            actions.className = 'flex gap-2';
+            actions.append(
+                button('📋 Load Only', 'bg-green-500 hover:bg-green-600', () => this.loadOnly(drawing.id)),
+                button('🗑️', 'bg-red-500 hover:bg-red-600', () => this.delete(drawing.id))
+            );
+
+            row.append(info, actions);
+            return row;
+        });
+        container.replaceChildren(...rows);
+
+        // Thumbnails are rendered from each drawing's scene on demand
+        sorted.filter(drawing => !drawing.thumbnail).forEach(drawing => {
+            SceneModel.renderToDataUrl(drawing.scene, AppState.canvas.width, AppState.canvas.height, 96, 64).then(thumbnail => {
+                drawing.thumbnail = thumbnail;
+                const image = container.querySelector(`img[data-drawing-id="${drawing.id}"]`);
+                if (image) image.src = thumbnail;
+            });
+        });
     }
 };
 
@@ -650,11 +1020,14 @@ const UI = {
 const MediaHandler = {
     // State management
     mediaObjects: [],           // Array of all uploaded media objects
+    sources: new Map(),         // Source id -> original uploaded file (image or whole PDF)
     selectedMedia: null,        // Currently selected media object
     isDragging: false,         // Drag state
     isResizing: false,         // Resize state
     dragStartPos: null,        // Initial drag position
+    dragOrigin: null,          // Media position when the drag started
     resizeStartPos: null,      // Initial resize position
+    geometryBefore: null,      // Position/size when a drag or resize started (for undo)
     resizeHandleSize: 12,      // Size of resize handles
 
     /**
@@ -693,7 +1066,7 @@ const MediaHandler = {
      */
     addMediaObject(mediaData) {
         const mediaObj = {
-            id: 'media_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            id: mediaData.id || 'media_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
             type: mediaData.type || 'image',
             x: mediaData.x || 0,
             y: mediaData.y || 0,
@@ -704,14 +1077,59 @@ const MediaHandler = {
             src: mediaData.src,
             element: mediaData.element,
             canvas: mediaData.canvas || 'infinite', // 'infinite' or 'overlay'
+            sourceId: mediaData.sourceId || null,   // Key into MediaHandler.sources
+            pageNumber: mediaData.pageNumber || null, // 1-based page for PDF pages
+            label: mediaData.label || null,         // Page label element for PDF pages
+            latex: mediaData.latex || null,         // LaTeX source of equations
+            color: mediaData.color || null,         // Ink color of equations
+            code: mediaData.code || null,           // Text and settings of code blocks
+            layer: mediaData.layer || ((mediaData.canvas || 'infinite') === 'infinite' ? AppState.activeLayerId : null),
             aspectRatio: (mediaData.originalWidth || mediaData.width || 200) / (mediaData.originalHeight || mediaData.height || 200)
         };
 
         this.mediaObjects.push(mediaObj);
         this.makeMediaInteractive(mediaObj);
+        Layers.placeMedia(mediaObj);
         return mediaObj;
     },
 
+    /**
+     * Register an uploaded file as a media source
+     * Several media objects (e.g. all pages of one PDF) can share a single source
+     * @param {Blob} blob - The original file
+     * @param {string} [id] - Existing source id when restoring
+     * @returns {string} The source id
+     */
+    addSource(blob, id) {
+        const sourceId = id || 'source_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        this.sources.set(sourceId, blob);
+        return sourceId;
+    },
+
+    /**
+     * Describe media objects in a form that can be saved
+     * @returns {Object[]} Media records without DOM references
+     */
+    serialize() {
+        return this.mediaObjects.map(mediaObj => ({
+            id: mediaObj.id,
+            type: mediaObj.type,
+            x: mediaObj.x,
+            y: mediaObj.y,
+            width: mediaObj.width,
+            height: mediaObj.height,
+            originalWidth: mediaObj.originalWidth,
+            originalHeight: mediaObj.originalHeight,
+            sourceId: mediaObj.sourceId,
+            pageNumber: mediaObj.pageNumber,
+            labelText: mediaObj.label ? mediaObj.label.textContent : null,
+            latex: mediaObj.latex,
+            color: mediaObj.color,
+            code: mediaObj.code,
+            layer: mediaObj.layer
+        }));
+    },
+
     /**
      * Make a media object interactive
      * @param {Object} mediaObj - Media object to make interactive
@@ -772,6 +1190,7 @@ const MediaHandler = {
         e.preventDefault();
         e.stopPropagation();
 
+        HistoryManager.setActive('infinite');
         this.selectMedia(mediaObj);
         this.startDrag(e, mediaObj);
     },
@@ -858,6 +1277,7 @@ const MediaHandler = {
      */
     selectMedia(mediaObj) {
         this.deselectAll();
+        ObjectSelection.clear();
         this.selectedMedia = mediaObj;
         this.showResizeHandles(mediaObj);
     },
@@ -883,21 +1303,8 @@ const MediaHandler = {
         // Create resize handles
         const handles = ['nw', 'ne', 'sw', 'se'];
         handles.forEach(position => {
-            const handle = document.createElement('div');
-            handle.className = 'media-resize-handle';
-            handle.setAttribute('data-position', position);
-            handle.style.cssText = `
-                position: absolute;
-                width: ${this.resizeHandleSize}px;
-                height: ${this.resizeHandleSize}px;
-                background: #007bff;
-                border: 2px solid white;
-                border-radius: 50%;
-                cursor: ${position}-resize;
-                z-index: 1000;
-                pointer-events: auto;
-            `;
-            
+            const handle = this.createHandle(position, 'media-resize-handle');
+
             // Position handle
             this.positionResizeHandle(handle, position, mediaObj);
             document.body.appendChild(handle);
@@ -911,6 +1318,30 @@ const MediaHandler = {
         });
     },
 
+    /**
+     * Create a round resize handle element (also used for drawn object selections)
+     * @param {string} position - Handle position (nw, ne, sw, se)
+     * @param {string} className - Class identifying the handle's owner
+     * @returns {HTMLElement} Unpositioned handle element
+     */
+    createHandle(position, className) {
+        const handle = document.createElement('div');
+        handle.className = className;
+        handle.setAttribute('data-position', position);
+        handle.style.cssText = `
+            position: absolute;
+            width: ${this.resizeHandleSize}px;
+            height: ${this.resizeHandleSize}px;
+            background: #007bff;
+            border: 2px solid white;
+            border-radius: 50%;
+            cursor: ${position}-resize;
+            z-index: 1000;
+            pointer-events: auto;
+        `;
+        return handle;
+    },
+
     /**
      * Position a resize handle
      * @param {Element} handle - Handle element
@@ -979,6 +1410,8 @@ const MediaHandler = {
     startDrag(e, mediaObj) {
         this.isDragging = true;
         this.dragStartPos = { x: e.clientX, y: e.clientY };
+        this.dragOrigin = { x: mediaObj.x, y: mediaObj.y };
+        this.geometryBefore = this.getGeometry(mediaObj);
         mediaObj.element.style.cursor = 'grabbing';
     },
 
@@ -989,14 +1422,19 @@ const MediaHandler = {
     updateDrag(e) {
         if (!this.selectedMedia || !this.dragStartPos) return;
 
-        const deltaX = e.clientX - this.dragStartPos.x;
-        const deltaY = e.clientY - this.dragStartPos.y;
+        const mediaObj = this.selectedMedia;
+        let newX = this.dragOrigin.x + e.clientX - this.dragStartPos.x;
+        let newY = this.dragOrigin.y + e.clientY - this.dragStartPos.y;
 
-        const newX = this.selectedMedia.x + deltaX;
-        const newY = this.selectedMedia.y + deltaY;
+        // Snap the moved box on the infinite canvas
+        if (mediaObj.canvas === 'infinite') {
+            const bounds = Snapping.getMediaBounds({ ...mediaObj, x: newX, y: newY });
+            const snap = Snapping.snapRect(bounds, { media: mediaObj });
+            newX += snap.dx;
+            newY += snap.dy;
+        }
 
-        this.updateMediaPosition(this.selectedMedia, newX, newY);
-        this.dragStartPos = { x: e.clientX, y: e.clientY };
+        this.updateMediaPosition(mediaObj, newX, newY);
     },
 
     /**
@@ -1008,6 +1446,9 @@ const MediaHandler = {
         }
         this.isDragging = false;
         this.dragStartPos = null;
+        this.dragOrigin = null;
+        Snapping.clearIndicators();
+        this.recordGeometryChange('media move');
     },
 
     /**
@@ -1019,6 +1460,7 @@ const MediaHandler = {
         this.isResizing = true;
         this.resizeStartPos = { x: e.clientX, y: e.clientY };
         this.resizeStartSize = { width: mediaObj.width, height: mediaObj.height };
+        this.geometryBefore = this.getGeometry(mediaObj);
     },
 
     /**
@@ -1033,8 +1475,22 @@ const MediaHandler = {
 
         // Calculate new size maintaining aspect ratio
         const scaleFactor = 1 + (deltaX + deltaY) / 200;
-        const newWidth = Math.max(50, this.resizeStartSize.width * scaleFactor);
-        const newHeight = newWidth / this.selectedMedia.aspectRatio;
+        let newWidth = Math.max(50, this.resizeStartSize.width * scaleFactor);
+        let newHeight = newWidth / this.selectedMedia.aspectRatio;
+
+        // Snap the right or bottom edge on the infinite canvas
+        if (this.selectedMedia.canvas === 'infinite') {
+            const bounds = Snapping.getMediaBounds({ ...this.selectedMedia, width: newWidth, height: newHeight });
+            const corner = { left: bounds.right, top: bounds.bottom, right: bounds.right, bottom: bounds.bottom };
+            const snap = Snapping.snapRect(corner, { media: this.selectedMedia });
+            if (snap.snappedX) {
+                newWidth = Math.max(50, newWidth + snap.dx);
+                newHeight = newWidth / this.selectedMedia.aspectRatio;
+            } else if (snap.snappedY) {
+                newHeight = Math.max(50 / this.selectedMedia.aspectRatio, newHeight + snap.dy);
+                newWidth = newHeight * this.selectedMedia.aspectRatio;
+            }
+        }
 
         this.updateMediaSize(this.selectedMedia, newWidth, newHeight);
         
@@ -1049,6 +1505,8 @@ const MediaHandler = {
         this.isResizing = false;
         this.resizeStartPos = null;
         this.resizeStartSize = null;
+        Snapping.clearIndicators();
+        this.recordGeometryChange('media resize');
     },
 
     /**
@@ -1067,6 +1525,7 @@ const MediaHandler = {
             Math.pow(touch2.clientY - touch1.clientY, 2)
         );
         this.initialSize = { width: mediaObj.width, height: mediaObj.height };
+        this.geometryBefore = this.getGeometry(mediaObj);
     },
 
     /**
@@ -1090,6 +1549,40 @@ const MediaHandler = {
         this.updateMediaSize(this.selectedMedia, newWidth, newHeight);
     },
 
+    /**
+     * Get the position and size of a media object
+     * @param {Object} mediaObj - Media object
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getGeometry(mediaObj) {
+        return { x: mediaObj.x, y: mediaObj.y, width: mediaObj.width, height: mediaObj.height };
+    },
+
+    /**
+     * Push a move/resize of the selected media onto the infinite canvas history
+     * @param {string} label - Description of the change
+     */
+    recordGeometryChange(label) {
+        const mediaObj = this.selectedMedia;
+        const before = this.geometryBefore;
+        this.geometryBefore = null;
+        if (!mediaObj || !before) return;
+
+        const after = this.getGeometry(mediaObj);
+        if (Object.keys(after).every(key => after[key] === before[key])) return;
+
+        const apply = (geometry) => {
+            this.updateMediaPosition(mediaObj, geometry.x, geometry.y);
+            this.updateMediaSize(mediaObj, geometry.width, geometry.height);
+        };
+
+        HistoryManager.push('infinite', {
+            label,
+            undo: () => apply(before),
+            redo: () => apply(after)
+        });
+    },
+
     /**
      * Update media object position
      * @param {Object} mediaObj - Media object to update
@@ -1115,6 +1608,7 @@ const MediaHandler = {
         if (this.selectedMedia === mediaObj) {
             this.showResizeHandles(mediaObj);
         }
+        SceneModel.refreshMedia();
     },
 
     /**
@@ -1136,12 +1630,17 @@ const MediaHandler = {
                 // Don't change canvas internal dimensions, just CSS scaling
                 // The canvas content will be scaled automatically by CSS
             }
+
+            // Equations and code blocks are re-rendered so they stay sharp at any size
+            if (mediaObj.type === 'equation') Equations.paint(mediaObj);
+            if (mediaObj.type === 'code') CodeBlocks.paint(mediaObj);
         }
 
         // Update resize handles if selected
         if (this.selectedMedia === mediaObj) {
             this.showResizeHandles(mediaObj);
         }
+        SceneModel.refreshMedia();
     },
 
     /**
@@ -1167,9 +1666,23 @@ const MediaHandler = {
             }
             
             this.mediaObjects.splice(index, 1);
+            SceneModel.refreshMedia();
         }
     },
 
+    /**
+     * Put a removed media object back on the infinite canvas (undo of a delete)
+     * @param {Object} mediaObj - Media object removed by removeMedia()
+     */
+    reattach(mediaObj) {
+        const container = document.getElementById('infiniteCanvasContainer');
+        container.appendChild(mediaObj.element);
+        if (mediaObj.label) container.appendChild(mediaObj.label);
+        this.mediaObjects.push(mediaObj);
+        Layers.placeMedia(mediaObj);
+        SceneModel.refreshMedia();
+    },
+
     /**
      * Get all media objects
      * @returns {Array} Array of media objects
@@ -1186,8 +1699,12 @@ const MediaHandler = {
             if (mediaObj.element) {
                 mediaObj.element.remove();
             }
+            if (mediaObj.label) {
+                mediaObj.label.remove();
+            }
         });
         this.mediaObjects = [];
+        this.sources.clear();
         this.deselectAll();
     }
 };
@@ -1205,22 +1722,53 @@ const DrawingEvents = {
         
         // Handle text tool differently
         if (AppState.currentTool === 'text') {
-            this.handleTextClick(pos.x, pos.y);
+            TextEditor.open('video', pos);
+            return;
+        }
+        
+        // Step markers are placed with a click
+        if (AppState.currentTool === 'step') {
+            StepMarkers.place('video', pos);
+            return;
+        }
+        
+        // The video picture cannot be read, so it cannot be blurred or magnified
+        if (AppState.currentTool === 'obscure') {
+            UI.showNotification('Blur and pixelate work on images and PDF pages of the infinite canvas');
+            return;
+        }
+        if (AppState.currentTool === 'magnifier') {
+            UI.showNotification('The magnifier works on the infinite canvas');
+            return;
+        }
+        if (AppState.currentTool === 'equation' || AppState.currentTool === 'code') {
+            UI.showNotification('Equations and code blocks are placed on the infinite canvas');
+            return;
+        }
+        
+        // Select tool picks and edits drawn objects
+        if (AppState.currentTool === 'select') {
+            ObjectSelection.pointerDown('video', e);
             return;
         }
         
         AppState.isDrawing = true;
         AppState.startX = pos.x;
         AppState.startY = pos.y;
+        HistoryManager.setActive('video');
+        DrawingUtils.trackModifiers(e);
         
         CanvasUtils.getActiveCanvas().classList.add('drawing');
         
-        if (AppState.currentTool === 'pencil' || AppState.currentTool === 'eraser') {
+        if (DrawingUtils.isObjectEraser()) {
+            ObjectEraser.begin('video', pos);
+        } else if (AppState.currentTool === 'pencil' || AppState.currentTool === 'eraser') {
             // For pencil/eraser, draw on main canvas to preserve drawings
             const mainCtx = AppState.ctx;
+            AppState.currentStrokePoints = [InkSmoothing.beginStroke(DrawingUtils.inkPoint(pos, e))];
             if (AppState.currentTool === 'eraser') {
                 mainCtx.globalCompositeOperation = 'destination-out';
-                mainCtx.lineWidth = 15;
+                mainCtx.lineWidth = AppState.eraserSize;
             } else {
                 mainCtx.globalCompositeOperation = 'source-over';
                 mainCtx.strokeStyle = AppState.currentColor;
@@ -1231,14 +1779,19 @@ const DrawingEvents = {
             mainCtx.lineJoin = 'round';
             mainCtx.beginPath();
             mainCtx.moveTo(pos.x, pos.y);
+        } else if (DrawingUtils.collectsPath()) {
+            // Highlights and curves are previewed whole on the overlay so they never stack darker
+            AppState.currentStrokePoints = [{ x: pos.x, y: pos.y }];
+            AppState.highlightSnapped = AppState.highlighterSnap || e.shiftKey;
         } else if (AppState.currentTool === 'laser') {
             // For laser tool, initialize stroke data and draw on overlay only
             AppState.currentLaserStroke = {
-                points: [{x: pos.x, y: pos.y}],
+                points: [InkSmoothing.beginStroke({x: pos.x, y: pos.y})],
                 color: AppState.currentColor,
                 width: AppState.brushSize * 1.5,
                 shadowBlur: 10,
-                canvas: AppState.drawingMode ? 'overlay' : 'main'
+                canvas: AppState.drawingMode ? 'overlay' : 'main',
+                ...InkSmoothing.strokeOptions()
             };
             
             // Clear overlay and set up for laser drawing
@@ -1265,22 +1818,25 @@ const DrawingEvents = {
         const pos = CanvasUtils.getMousePos(e);
         if (!pos) return;
         
-        if (AppState.currentTool === 'pencil' || AppState.currentTool === 'eraser') {
+        DrawingUtils.trackModifiers(e);
+        if (DrawingUtils.isObjectEraser()) {
+            ObjectEraser.move(pos);
+        } else if (AppState.currentTool === 'pencil' || AppState.currentTool === 'eraser') {
             // Draw on main canvas to preserve drawings
-            const mainCtx = AppState.ctx;
-            mainCtx.lineTo(pos.x, pos.y);
-            mainCtx.stroke();
+            DrawingUtils.extendStroke(AppState.ctx, InkSmoothing.stabilize(DrawingUtils.inkPoint(pos, e)));
         } else if (AppState.currentTool === 'laser') {
             // For laser tool, add point to current stroke and draw on overlay
             if (AppState.currentLaserStroke) {
-                AppState.currentLaserStroke.points.push({x: pos.x, y: pos.y});
+                const point = InkSmoothing.stabilize({x: pos.x, y: pos.y});
+                AppState.currentLaserStroke.points.push(point);
+                LaserUtils.extendLiveStroke(AppState.overlayCtx, AppState.currentLaserStroke);
             }
-            
-            // Draw on overlay canvas for temporary effect
-            const overlayCtx = AppState.overlayCtx;
-            overlayCtx.lineTo(pos.x, pos.y);
-            overlayCtx.stroke();
         } else {
+            if (DrawingUtils.collectsPath()) {
+                AppState.currentStrokePoints.push({ x: pos.x, y: pos.y });
+                AppState.highlightSnapped = AppState.highlighterSnap || e.shiftKey;
+            }
+            
             // Show preview for shape tools
             DrawingEvents.drawPreview(pos.x, pos.y);
         }
@@ -1295,6 +1851,17 @@ const DrawingEvents = {
         AppState.isDrawing = false;
         CanvasUtils.getActiveCanvas().classList.remove('drawing');
         
+        // Replace the live ink with the finished stroke object
+        if (DrawingUtils.isObjectEraser()) {
+            ObjectEraser.end();
+        } else if (AppState.currentTool === 'pencil' || AppState.currentTool === 'eraser') {
+            InkSmoothing.finishStroke(AppState.currentStrokePoints);
+            const stroke = DrawingEvents.createStrokeObject(AppState.currentStrokePoints);
+            SceneModel.add('video', stroke);
+            ShapeRecognition.apply('video', stroke, 15);
+            AppState.currentStrokePoints = [];
+        }
+        
         const pos = CanvasUtils.getMousePos(e);
         if (!pos) return;
         
@@ -1313,60 +1880,139 @@ const DrawingEvents = {
         
         // Draw shapes on mouse up
         if (AppState.currentTool !== 'pencil' && AppState.currentTool !== 'eraser' && AppState.currentTool !== 'laser') {
+            DrawingUtils.trackModifiers(e);
             // Clear preview from overlay
             AppState.overlayCtx.clearRect(0, 0, AppState.overlayCanvas.width, AppState.overlayCanvas.height);
             
-            // Draw final shape on main canvas
-            const mainCtx = AppState.ctx;
-            
-            // Set styles on main canvas
-            mainCtx.strokeStyle = AppState.currentColor;
-            mainCtx.lineWidth = AppState.brushSize;
-            mainCtx.lineCap = 'round';
-            mainCtx.lineJoin = 'round';
-            mainCtx.globalCompositeOperation = 'source-over';
-            
-            switch (AppState.currentTool) {
-                case 'line':
-                    mainCtx.beginPath();
-                    mainCtx.moveTo(AppState.startX, AppState.startY);
-                    mainCtx.lineTo(pos.x, pos.y);
-                    mainCtx.stroke();
-                    break;
-                case 'rectangle':
-                    const width = pos.x - AppState.startX;
-                    const height = pos.y - AppState.startY;
-                    mainCtx.strokeRect(AppState.startX, AppState.startY, width, height);
-                    break;
-                case 'circle':
-                    const radius = Math.sqrt(Math.pow(pos.x - AppState.startX, 2) + Math.pow(pos.y - AppState.startY, 2));
-                    mainCtx.beginPath();
-                    mainCtx.arc(AppState.startX, AppState.startY, radius, 0, Math.PI * 2);
-                    mainCtx.stroke();
-                    break;
-                case 'arrow':
-                    const headlen = 15;
-                    const angle = Math.atan2(pos.y - AppState.startY, pos.x - AppState.startX);
-                    
-                    // Main line
-                    mainCtx.beginPath();
-                    mainCtx.moveTo(AppState.startX, AppState.startY);
-                    mainCtx.lineTo(pos.x, pos.y);
-                    mainCtx.stroke();
-                    
-                    // Arrowhead
-                    mainCtx.beginPath();
-                    mainCtx.moveTo(pos.x, pos.y);
-                    mainCtx.lineTo(pos.x - headlen * Math.cos(angle - Math.PI / 6), pos.y - headlen * Math.sin(angle - Math.PI / 6));
-                    mainCtx.moveTo(pos.x, pos.y);
-                    mainCtx.lineTo(pos.x - headlen * Math.cos(angle + Math.PI / 6), pos.y - headlen * Math.sin(angle + Math.PI / 6));
-                    mainCtx.stroke();
-                    break;
-            }
-            
-            // Auto-save after drawing completion
-            setTimeout(() => StorageManager.saveData(), 100);
+            // Add the final shape to the video scene
+            const shape = DrawingEvents.createShapeObject(pos, 15);
+            if (shape) SceneModel.add('video', shape);
+            AppState.currentStrokePoints = [];
+        }
+    },
+
+    /**
+     * Build a scene object for a finished pencil or eraser stroke
+     * @param {Object[]} points - Points of the stroke
+     * @returns {Object} Stroke or erase object
+     */
+    createStrokeObject(points) {
+        if (AppState.currentTool === 'eraser') {
+            return SceneModel.createObject('erase', { points, style: { width: Number(AppState.eraserSize) } });
+        }
+        return SceneModel.createObject('stroke', {
+            points,
+            style: { color: AppState.currentColor, width: Number(AppState.brushSize) },
+            ...InkSmoothing.strokeOptions()
+        });
+    },
+
+    /**
+     * Build a scene object for the current shape tool, from the start point to pos
+     * @param {Object} pos - End point of the shape
+     * @param {number} headLength - Arrowhead length
+     * @returns {Object|null} Shape object, or null if the current tool draws no shape
+     */
+    createShapeObject(pos, headLength) {
+        const tool = AppState.currentTool;
+        const start = { x: AppState.startX, y: AppState.startY };
+        const end = DrawingUtils.constrainPoint(tool, start, { x: pos.x, y: pos.y });
+        const box = DrawingUtils.getShapeBox(start, end);
+        const corners = [{ x: box.left, y: box.top }, { x: box.right, y: box.bottom }];
+        const width = box.right - box.left;
+        const height = box.bottom - box.top;
+        const style = ShapeStyle.getStyle(tool);
+
+        switch (tool) {
+            case 'line':
+                return SceneModel.createObject('line', { points: [start, end], style });
+            case 'rectangle':
+                return SceneModel.createObject('rectangle', { points: corners, style });
+            case 'roundedRectangle':
+                return SceneModel.createObject('rectangle', {
+                    points: corners,
+                    cornerRadius: Math.min(30, Math.min(width, height) * 0.2),
+                    style
+                });
+            case 'arrow':
+                return SceneModel.createObject('arrow', { points: [start, end], headLength, style });
+            case 'circle':
+                return SceneModel.createObject('circle', {
+                    center: start,
+                    radius: Math.sqrt(Math.pow(end.x - start.x, 2) + Math.pow(end.y - start.y, 2)),
+                    style
+                });
+            case 'ellipse':
+                return SceneModel.createObject('ellipse', {
+                    center: { x: box.left + width / 2, y: box.top + height / 2 },
+                    radiusX: width / 2,
+                    radiusY: height / 2,
+                    style
+                });
+            case 'polygon':
+                return SceneModel.createObject('polygon', { points: DrawingEvents.getPolygonPoints(box, AppState.polygonSides), style });
+            case 'curve':
+                return SceneModel.createObject('curve', { points: SceneModel.fitCurve([...AppState.currentStrokePoints, end]), style });
+            case 'callout':
+                return SceneModel.createObject('callout', {
+                    points: corners,
+                    cornerRadius: Math.min(20, Math.min(width, height) * 0.25),
+                    // The tail points down and out from the left part of the bubble
+                    tail: { x: box.left + width * 0.2, y: box.bottom + Math.max(20, height * 0.4) },
+                    style
+                });
+            case 'spotlight':
+            case 'obscure':
+            case 'redact':
+                return Masks.createObject(tool, corners);
+            case 'magnifier':
+                return Magnifier.createObject(box);
+            case 'stamp':
+                return Stamps.createObject(start, pos);
+            case 'highlighter':
+                return DrawingEvents.createHighlightObject(end);
+        }
+        return null;
+    },
+
+    /**
+     * Corners of a regular polygon filling a box, with a vertex at the top
+     * Triangles use the full box (isosceles) rather than the inscribed ellipse
+     * @param {Object} box - Box with left, top, right and bottom
+     * @param {number} sides - Number of sides (3 or more)
+     * @returns {Object[]} Polygon points
+     */
+    getPolygonPoints(box, sides) {
+        const centerX = (box.left + box.right) / 2;
+        if (sides === 3) {
+            return [{ x: centerX, y: box.top }, { x: box.right, y: box.bottom }, { x: box.left, y: box.bottom }];
         }
+
+        const centerY = (box.top + box.bottom) / 2;
+        const radiusX = (box.right - box.left) / 2;
+        const radiusY = (box.bottom - box.top) / 2;
+        return Array.from({ length: sides }, (_, index) => {
+            const angle = -Math.PI / 2 + index * 2 * Math.PI / sides;
+            return { x: centerX + radiusX * Math.cos(angle), y: centerY + radiusY * Math.sin(angle) };
+        });
+    },
+
+    /**
+     * Build a highlight from the points collected so far
+     * When snapped it is a horizontal band from the start point to the pointer's x
+     * @param {Object} pos - Current pointer position
+     * @returns {Object} Highlight object
+     */
+    createHighlightObject(pos) {
+        const start = { x: AppState.startX, y: AppState.startY };
+        const points = AppState.highlightSnapped
+            ? [start, { x: pos.x, y: start.y }]
+            : AppState.currentStrokePoints.slice();
+
+        return SceneModel.createObject('highlight', {
+            points,
+            style: { color: AppState.currentColor, width: Math.max(12, Number(AppState.brushSize) * SceneModel.HIGHLIGHT_WIDTH) }
+        });
     },
 
     /**
@@ -1390,174 +2036,9 @@ const DrawingEvents = {
             AppState.overlayCtx.drawImage(AppState.canvas, 0, 0);
         }
         
-        // Set preview styles for the current shape being drawn
-        AppState.overlayCtx.strokeStyle = AppState.currentColor;
-        AppState.overlayCtx.lineWidth = AppState.brushSize;
-        AppState.overlayCtx.lineCap = 'round';
-        AppState.overlayCtx.lineJoin = 'round';
-        AppState.overlayCtx.globalAlpha = 0.8; // More visible preview
-        AppState.overlayCtx.globalCompositeOperation = 'source-over';
-        
-        // Draw preview shape
-        switch (AppState.currentTool) {
-            case 'line':
-                AppState.overlayCtx.beginPath();
-                AppState.overlayCtx.moveTo(AppState.startX, AppState.startY);
-                AppState.overlayCtx.lineTo(currentX, currentY);
-                AppState.overlayCtx.stroke();
-                break;
-            case 'rectangle':
-                const width = currentX - AppState.startX;
-                const height = currentY - AppState.startY;
-                AppState.overlayCtx.strokeRect(AppState.startX, AppState.startY, width, height);
-                break;
-            case 'circle':
-                const radius = Math.sqrt(Math.pow(currentX - AppState.startX, 2) + Math.pow(currentY - AppState.startY, 2));
-                AppState.overlayCtx.beginPath();
-                AppState.overlayCtx.arc(AppState.startX, AppState.startY, radius, 0, 2 * Math.PI);
-                AppState.overlayCtx.stroke();
-                break;
-            case 'arrow':
-                this.drawArrowPreview(AppState.startX, AppState.startY, currentX, currentY);
-                break;
-        }
-        
-        // Reset alpha and composite operation
-        AppState.overlayCtx.globalAlpha = 1.0;
-        AppState.overlayCtx.globalCompositeOperation = 'source-over';
-    },
-
-    /**
-     * Draw arrow preview
-     */
-    drawArrowPreview(startX, startY, endX, endY) {
-        const headLength = 20;
-        const angle = Math.atan2(endY - startY, endX - startX);
-        
-        AppState.overlayCtx.beginPath();
-        // Arrow line
-        AppState.overlayCtx.moveTo(startX, startY);
-        AppState.overlayCtx.lineTo(endX, endY);
-        
-        // Arrow head
-        AppState.overlayCtx.lineTo(endX - headLength * Math.cos(angle - Math.PI / 6), endY - headLength * Math.sin(angle - Math.PI / 6));
-        AppState.overlayCtx.moveTo(endX, endY);
-        AppState.overlayCtx.lineTo(endX - headLength * Math.cos(angle + Math.PI / 6), endY - headLength * Math.sin(angle + Math.PI / 6));
-        AppState.overlayCtx.stroke();
-    },
-
-    /**
-     * Handle text tool click
-     */
-    handleTextClick(x, y) {
-        console.log(`Text tool clicked at (${x}, ${y})`);
-        
-        // Remove any existing text input
-        this.removeTextInput();
-        
-        // Create text input element
-        const textInput = document.createElement('textarea');
-        textInput.rows = 3;
-        textInput.style.position = 'fixed';
-        textInput.style.backgroundColor = 'white';
-        textInput.style.border = '2px solid #3b82f6';
-        textInput.style.outline = 'none';
-        textInput.style.padding = '4px 8px';
-        textInput.style.zIndex = '9999';
-        textInput.style.boxShadow = '0 4px 6px rgba(0, 0, 0, 0.1)';
-        textInput.style.borderRadius = '4px';
-        textInput.style.fontSize = AppState.fontSize + 'px';
-        textInput.style.fontFamily = AppState.fontFamily;
-        textInput.style.color = AppState.currentColor;
-        textInput.style.minWidth = '150px';
-        textInput.style.resize = 'none';
-        textInput.style.height = 'auto';
-        textInput.placeholder = 'Type text...';
-        textInput.autocomplete = 'off';
-        textInput.spellcheck = false;
-        
-        // Position relative to the active canvas
-        const activeCanvas = CanvasUtils.getActiveCanvas();
-        const canvasRect = activeCanvas.getBoundingClientRect();
-        const screenX = canvasRect.left + x * (canvasRect.width / activeCanvas.width);
-        const screenY = canvasRect.top + y * (canvasRect.height / activeCanvas.height);
-        
-        textInput.style.left = screenX + 'px';
-        textInput.style.top = screenY + 'px';
-        
-        console.log(`Text input positioned at screen coordinates (${screenX}, ${screenY})`);
-        
-        // Add to document
-        document.body.appendChild(textInput);
-        AppState.currentTextInput = textInput;
-        AppState.isTyping = true;
-        
-        // Force focus with delay to ensure element is rendered
-        setTimeout(() => {
-            textInput.focus();
-            textInput.select();
-            console.log('Text input focused and selected');
-        }, 10);
-        
-        // Handle text completion
-        const completeText = () => {
-            const text = textInput.value.trim();
-            console.log(`Completing text: "${text}"`);
-            if (text) {
-                this.drawText(text, x, y);
-            }
-            this.removeTextInput();
-        };
-        
-        // Event listeners
-        textInput.addEventListener('blur', completeText);
-        textInput.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' && e.ctrlKey) {
-                // Ctrl+Enter completes the text
-                e.preventDefault();
-                completeText();
-            } else if (e.key === 'Escape') {
-                this.removeTextInput();
-            }
-            // Regular Enter creates new line (default textarea behavior)
-        });
-    },
-
-    /**
-     * Draw text on canvas
-     */
-    drawText(text, x, y) {
-        // Always draw on main canvas for persistence
-        const mainCtx = AppState.ctx;
-        if (mainCtx) {
-            mainCtx.font = `${AppState.fontSize}px ${AppState.fontFamily}`;
-            mainCtx.fillStyle = AppState.currentColor;
-            mainCtx.textBaseline = 'top';
-            
-            // Split text into lines and draw each line
-            const lines = text.split('\n');
-            const lineHeight = AppState.fontSize * 1.2; // 1.2 line spacing
-            
-            lines.forEach((line, index) => {
-                mainCtx.fillText(line, x, y + (index * lineHeight));
-            });
-        }
-        
-        // Don't draw on overlay - it gets cleared by preview system
-        // Text is already drawn on main canvas and will be copied to overlay when needed
-        
-        console.log(`Drawing multi-line text: "${text}" at (${x}, ${y}) with font ${AppState.fontSize}px ${AppState.fontFamily}`);
-    },
-
-    /**
-     * Remove text input element
-     */
-    removeTextInput() {
-        if (AppState.currentTextInput) {
-            document.body.removeChild(AppState.currentTextInput);
-            AppState.currentTextInput = null;
-            AppState.isTyping = false;
-        }
+        // Draw the shape as it will be saved, with the current style
+        const shape = DrawingEvents.createShapeObject({ x: currentX, y: currentY }, 15);
+        if (shape) SceneModel.drawObject(AppState.overlayCtx, shape);
     }
 };
 
@@ -1820,7 +2301,7 @@ const InfiniteCanvas = {
     init() {
         AppState.infiniteCanvas = document.getElementById('infiniteCanvas');
         if (AppState.infiniteCanvas) {
-            AppState.infiniteCtx = AppState.infiniteCanvas.getContext('2d', { willReadFrequently: true });
+            AppState.infinitePageCtx = AppState.infiniteCanvas.getContext('2d', { willReadFrequently: true });
             
             // Set initial canvas size based on screen percentage
             const dimensions = this.calculateA4Dimensions();
@@ -1828,8 +2309,8 @@ const InfiniteCanvas = {
             AppState.infiniteCanvas.height = dimensions.height;
             
             this.setupEventListeners();
-            this.updateStyles();
-            this.drawPageSeparators();
+            Layers.init();
+            Snapping.init();
         }
     },
 
@@ -1842,10 +2323,12 @@ const InfiniteCanvas = {
         const container = document.getElementById('infiniteCanvasContainer');
         
         // Mouse events
-        AppState.infiniteCanvas.addEventListener('mousedown', (e) => this.startDrawing(e));
-        AppState.infiniteCanvas.addEventListener('mousemove', (e) => this.draw(e));
-        AppState.infiniteCanvas.addEventListener('mouseup', (e) => this.stopDrawing(e));
-        AppState.infiniteCanvas.addEventListener('mouseout', (e) => this.stopDrawing(e));
+        CanvasUtils.bindPointerInput(AppState.infiniteCanvas, {
+            start: (e) => this.startDrawing(e),
+            move: (e) => this.draw(e),
+            stop: (e) => this.stopDrawing(e)
+        });
+        AppState.infiniteCanvas.addEventListener('dblclick', (e) => TextEditor.handleDoubleClick('infinite', e));
 
         // Setup event listeners for infinite canvas
         if (container) {
@@ -1855,36 +2338,10 @@ const InfiniteCanvas = {
         // Window resize listener to recalculate dimensions
         window.addEventListener('resize', () => this.handleResize());
 
-        // Touch events for mobile
-        AppState.infiniteCanvas.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            const touch = e.touches[0];
-            const mouseEvent = new MouseEvent('mousedown', {
-                clientX: touch.clientX,
-                clientY: touch.clientY
-            });
-            this.startDrawing(mouseEvent);
-        });
-
-        AppState.infiniteCanvas.addEventListener('touchmove', (e) => {
-            e.preventDefault();
-            const touch = e.touches[0];
-            const mouseEvent = new MouseEvent('mousemove', {
-                clientX: touch.clientX,
-                clientY: touch.clientY
-            });
-            this.draw(mouseEvent);
-        });
-
-        AppState.infiniteCanvas.addEventListener('touchend', (e) => {
-            e.preventDefault();
-            const mouseEvent = new MouseEvent('mouseup', {});
-            this.stopDrawing(mouseEvent);
-        });
-
         // Button events
         document.getElementById('infiniteCanvasClear')?.addEventListener('click', () => this.clear());
         document.getElementById('infiniteCanvasSave')?.addEventListener('click', () => this.save());
+        document.getElementById('layersToggle')?.addEventListener('click', () => Layers.togglePanel());
         document.getElementById('toggleHorizontal')?.addEventListener('click', () => this.toggleHorizontalExpansion());
         document.getElementById('uploadFile')?.addEventListener('click', () => this.triggerFileUpload());
         document.getElementById('prevPage')?.addEventListener('click', () => this.previousPage());
@@ -1927,6 +2384,7 @@ const InfiniteCanvas = {
      * Load and display image on canvas
      */
     loadImage(file) {
+        const sourceId = MediaHandler.addSource(file);
         const reader = new FileReader();
         reader.onload = (e) => {
             const img = new Image();
@@ -1940,34 +2398,13 @@ const InfiniteCanvas = {
                 AppState.lastUploadPosition = { x: scrollLeft + 20, y: scrollTop + 20 };
                 
                 // Create interactive image element instead of drawing on canvas
-                const imgElement = document.createElement('img');
-                imgElement.src = e.target.result;
-                imgElement.style.cssText = `
-                    position: absolute;
-                    left: ${AppState.lastUploadPosition.x}px;
-                    top: ${AppState.lastUploadPosition.y}px;
-                    width: ${img.width}px;
-                    height: ${img.height}px;
-                    z-index: 50;
-                    user-select: none;
-                    pointer-events: auto;
-                `;
-                
-                // Add to canvas container
-                container.appendChild(imgElement);
-                
-                // Register with MediaHandler for interaction
-                const mediaObj = MediaHandler.addMediaObject({
-                    type: 'image',
+                this.addImageMedia({
+                    src: e.target.result,
+                    sourceId,
                     x: AppState.lastUploadPosition.x,
                     y: AppState.lastUploadPosition.y,
                     width: img.width,
-                    height: img.height,
-                    originalWidth: img.width,
-                    originalHeight: img.height,
-                    src: e.target.result,
-                    element: imgElement,
-                    canvas: 'infinite'
+                    height: img.height
                 });
                 
                 // Expand canvas if needed
@@ -2011,8 +2448,11 @@ const InfiniteCanvas = {
                 const scrollLeft = container.scrollLeft;
                 AppState.lastUploadPosition = { x: scrollLeft + 20, y: scrollTop + 20 };
                 
+                // Keep the original file once; every page refers to it
+                const sourceId = MediaHandler.addSource(file);
+                
                 // Render all pages vertically
-                await this.renderAllPDFPages();
+                await this.renderAllPDFPages(sourceId);
                 
                 // Hide page controls since we show all pages
                 this.hidePageControls();
@@ -2030,92 +2470,62 @@ const InfiniteCanvas = {
         reader.readAsArrayBuffer(file);
     },
 
+    /**
+     * Render one PDF page to a new canvas
+     * @param {Object} pdf - PDF.js document
+     * @param {number} pageNum - 1-based page number
+     * @param {number} [scale=1.5] - Render scale
+     * @returns {Promise<HTMLCanvasElement>} Canvas holding the rendered page
+     */
+    async renderPDFPage(pdf, pageNum, scale = 1.5) {
+        const page = await pdf.getPage(pageNum);
+        const viewport = page.getViewport({ scale });
+        
+        // Create temporary canvas for PDF rendering
+        const tempCanvas = document.createElement('canvas');
+        const tempCtx = tempCanvas.getContext('2d');
+        tempCanvas.width = viewport.width;
+        tempCanvas.height = viewport.height;
+        
+        // Render PDF page to temporary canvas
+        await page.render({
+            canvasContext: tempCtx,
+            viewport: viewport
+        }).promise;
+        
+        return tempCanvas;
+    },
+
     /**
      * Render all PDF pages vertically
+     * @param {string} sourceId - Media source holding the PDF file
      */
-    async renderAllPDFPages() {
+    async renderAllPDFPages(sourceId) {
         if (!AppState.currentPDF) return;
 
         try {
-            const container = document.getElementById('infiniteCanvasContainer');
             let currentY = AppState.lastUploadPosition.y;
             const startX = AppState.lastUploadPosition.x;
             let maxWidth = 0;
             
             // Render each page vertically as interactive elements
             for (let pageNum = 1; pageNum <= AppState.totalPages; pageNum++) {
-                const page = await AppState.currentPDF.getPage(pageNum);
-                const viewport = page.getViewport({ scale: 1.5 });
-                
-                // Create temporary canvas for PDF rendering
-                const tempCanvas = document.createElement('canvas');
-                const tempCtx = tempCanvas.getContext('2d');
-                tempCanvas.width = viewport.width;
-                tempCanvas.height = viewport.height;
-                
-                // Render PDF page to temporary canvas
-                await page.render({
-                    canvasContext: tempCtx,
-                    viewport: viewport
-                }).promise;
-                
-                // Create page label
-                const pageLabel = document.createElement('div');
-                pageLabel.textContent = `Page ${pageNum}`;
-                pageLabel.style.cssText = `
-                    position: absolute;
-                    left: ${startX}px;
-                    top: ${currentY - 20}px;
-                    font-size: 14px;
-                    color: #666;
-                    font-family: Arial;
-                    z-index: 40;
-                    pointer-events: none;
-                `;
-                container.appendChild(pageLabel);
-                
-                // Create interactive PDF page element
-                const pdfPageElement = document.createElement('canvas');
-                pdfPageElement.width = viewport.width;
-                pdfPageElement.height = viewport.height;
-                pdfPageElement.style.cssText = `
-                    position: absolute;
-                    left: ${startX}px;
-                    top: ${currentY}px;
-                    width: ${viewport.width}px;
-                    height: ${viewport.height}px;
-                    z-index: 50;
-                    user-select: none;
-                    pointer-events: auto;
-                    border: 1px solid #ddd;
-                    box-shadow: 0 2px 8px rgba(0,0,0,0.1);
-                `;
+                const pageCanvas = await this.renderPDFPage(AppState.currentPDF, pageNum);
                 
-                // Draw PDF content to the page element
-                const pageCtx = pdfPageElement.getContext('2d');
-                pageCtx.drawImage(tempCanvas, 0, 0);
-                
-                // Add to canvas container
-                container.appendChild(pdfPageElement);
-                
-                // Register with MediaHandler for interaction
-                const mediaObj = MediaHandler.addMediaObject({
-                    type: 'pdf-page',
+                // Create interactive PDF page element with its label
+                this.addPDFPageMedia({
+                    source: pageCanvas,
+                    sourceId,
                     x: startX,
                     y: currentY,
-                    width: viewport.width,
-                    height: viewport.height,
-                    originalWidth: viewport.width,
-                    originalHeight: viewport.height,
-                    element: pdfPageElement,
-                    canvas: 'infinite',
-                    pageNumber: pageNum,
-                    label: pageLabel
+                    width: pageCanvas.width,
+                    height: pageCanvas.height,
+                    pageNumber: pageNum
                 });
                 
                 // Update position for next page (add some spacing)
-                currentY += viewport.height + 30;
-                maxWidth = Math.max(maxWidth, viewport.width);
+                currentY += pageCanvas.height + 30;
+                maxWidth = Math.max(maxWidth, pageCanvas.width);
             }
             
             // Expand canvas to fit all pages
@@ -2130,6 +2540,204 @@ const InfiniteCanvas = {
         }
     },
 
+    /**
+     * Add an interactive image element to the infinite canvas
+     * @param {Object} options - Image source, position and size
+     * @param {string} options.src - Image URL
+     * @param {string} [options.id] - Media id when restoring
+     * @param {string} [options.sourceId] - Media source holding the original file
+     * @param {string} [options.layer] - Layer id (defaults to the active layer)
+     * @param {number} options.x - Left position in canvas pixels
+     * @param {number} options.y - Top position in canvas pixels
+     * @param {number} options.width - Displayed width
+     * @param {number} options.height - Displayed height
+     * @param {number} [options.originalWidth] - Intrinsic width (defaults to width)
+     * @param {number} [options.originalHeight] - Intrinsic height (defaults to height)
+     * @returns {Object} The registered media object
+     */
+    addImageMedia({ src, id, sourceId, x, y, width, height, originalWidth = width, originalHeight = height, layer }) {
+        const container = document.getElementById('infiniteCanvasContainer');
+        
+        const imgElement = document.createElement('img');
+        imgElement.addEventListener('load', () => SceneModel.refreshMedia()); // Blur boxes and lenses need its pixels
+        imgElement.src = src;
+        imgElement.style.cssText = `
+            position: absolute;
+            left: ${x}px;
+            top: ${y}px;
+            width: ${width}px;
+            height: ${height}px;
+            z-index: 50;
+            user-select: none;
+            pointer-events: auto;
+        `;
+        
+        // Add to canvas container
+        container.appendChild(imgElement);
+        
+        // Register with MediaHandler for interaction
+        return MediaHandler.addMediaObject({
+            id,
+            type: 'image',
+            sourceId,
+            x,
+            y,
+            width,
+            height,
+            originalWidth,
+            originalHeight,
+            src,
+            element: imgElement,
+            canvas: 'infinite',
+            layer
+        });
+    },
+
+    /**
+     * Add an interactive PDF page element (with its page label) to the infinite canvas
+     * @param {Object} options - Rendered page, position and size
+     * @param {CanvasImageSource} options.source - Rendered page content at its original size
+     * @param {string} [options.id] - Media id when restoring
+     * @param {string} [options.sourceId] - Media source holding the PDF file
+     * @param {string} [options.layer] - Layer id (defaults to the active layer)
+     * @param {number} options.x - Left position in canvas pixels
+     * @param {number} options.y - Top position in canvas pixels
+     * @param {number} options.width - Displayed width
+     * @param {number} options.height - Displayed height
+     * @param {number} [options.originalWidth] - Rendered width (defaults to width)
+     * @param {number} [options.originalHeight] - Rendered height (defaults to height)
+     * @param {number} options.pageNumber - 1-based page number
+     * @param {string} [options.labelText] - Label shown above the page (defaults to "Page N")
+     * @returns {Object} The registered media object
+     */
+    addPDFPageMedia({ source, id, sourceId, x, y, width, height, originalWidth = width, originalHeight = height, pageNumber, labelText, layer }) {
+        const container = document.getElementById('infiniteCanvasContainer');
+        
+        // Create page label
+        const pageLabel = document.createElement('div');
+        pageLabel.textContent = labelText || `Page ${pageNumber}`;
+        pageLabel.style.cssText = `
+            position: absolute;
+            left: ${x}px;
+            top: ${y - 20}px;
+            font-size: 14px;
+            color: #666;
+            font-family: Arial;
+            z-index: 40;
+            pointer-events: none;
+        `;
+        container.appendChild(pageLabel);
+        
+        // Create interactive PDF page element
+        const pdfPageElement = document.createElement('canvas');
+        pdfPageElement.width = originalWidth;
+        pdfPageElement.height = originalHeight;
+        pdfPageElement.style.cssText = `
+            position: absolute;
+            left: ${x}px;
+            top: ${y}px;
+            width: ${width}px;
+            height: ${height}px;
+            z-index: 50;
+            user-select: none;
+            pointer-events: auto;
+            border: 1px solid #ddd;
+            box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+        `;
+        
+        // Draw PDF content to the page element
+        const pageCtx = pdfPageElement.getContext('2d');
+        pageCtx.drawImage(source, 0, 0, originalWidth, originalHeight);
+        
+        // Add to canvas container
+        container.appendChild(pdfPageElement);
+        
+        // Register with MediaHandler for interaction
+        return MediaHandler.addMediaObject({
+            id,
+            type: 'pdf-page',
+            sourceId,
+            x,
+            y,
+            width,
+            height,
+            originalWidth,
+            originalHeight,
+            element: pdfPageElement,
+            canvas: 'infinite',
+            pageNumber,
+            label: pageLabel,
+            layer
+        });
+    },
+
+    /**
+     * Recreate saved images and PDF pages from their stored sources
+     * Each PDF is parsed once and only the saved pages are rendered
+     * @param {Object[]} mediaList - Media records produced by MediaHandler.serialize()
+     * @param {Function} loadSource - Resolves a source id to its Blob (or null)
+     * @returns {Promise<void>}
+     */
+    async restoreMedia(mediaList, loadSource) {
+        if (!Array.isArray(mediaList) || mediaList.length === 0) return;
+
+        const pdfDocuments = new Map();
+        let maxRight = 0;
+        let maxBottom = 0;
+
+        for (const media of mediaList) {
+            try {
+                // Equations and code blocks are rendered from their text, they have no stored file
+                if (media.type === 'equation' || media.type === 'code') {
+                    (media.type === 'equation' ? Equations : CodeBlocks).add(media);
+                    maxRight = Math.max(maxRight, media.x + media.width);
+                    maxBottom = Math.max(maxBottom, media.y + media.height);
+                    continue;
+                }
+
+                const blob = await loadSource(media.sourceId);
+                if (!blob) {
+                    console.warn(`Media source ${media.sourceId} is missing, skipping ${media.id}`);
+                    continue;
+                }
+                MediaHandler.addSource(blob, media.sourceId);
+
+                if (media.type === 'image') {
+                    this.addImageMedia({ ...media, src: URL.createObjectURL(blob) });
+                } else if (blob.type === 'application/pdf') {
+                    if (typeof pdfjsLib === 'undefined') {
+                        console.warn('PDF.js library not loaded, cannot restore PDF pages');
+                        continue;
+                    }
+                    if (!pdfDocuments.has(media.sourceId)) {
+                        const typedArray = new Uint8Array(await blob.arrayBuffer());
+                        pdfDocuments.set(media.sourceId, pdfjsLib.getDocument(typedArray).promise);
+                    }
+                    const pdf = await pdfDocuments.get(media.sourceId);
+                    const page = await pdf.getPage(media.pageNumber);
+                    const baseWidth = page.getViewport({ scale: 1 }).width;
+                    const scale = media.originalWidth ? media.originalWidth / baseWidth : 1.5;
+                    const pageCanvas = await this.renderPDFPage(pdf, media.pageNumber, scale);
+                    this.addPDFPageMedia({ ...media, source: pageCanvas });
+                } else {
+                    // Page stored as a pre-rendered image (e.g. from an older bundle)
+                    const url = URL.createObjectURL(blob);
+                    const pageImage = await StorageManager.loadImage(url);
+                    URL.revokeObjectURL(url);
+                    if (pageImage) this.addPDFPageMedia({ ...media, source: pageImage });
+                }
+
+                maxRight = Math.max(maxRight, media.x + media.width);
+                maxBottom = Math.max(maxBottom, media.y + media.height);
+            } catch (error) {
+                console.error(`Failed to restore media ${media.id}:`, error);
+            }
+        }
+
+        this.expandCanvasIfNeeded(maxRight + 20, maxBottom + 20);
+        console.log(`Restored ${MediaHandler.mediaObjects.length} media objects`);
+    },
+
     /**
      * Navigate to previous page (deprecated - now shows all pages)
      */
@@ -2212,62 +2820,87 @@ const InfiniteCanvas = {
         
         // Only resize if dimensions changed significantly
         if (Math.abs(dimensions.width - oldWidth) > 10 || Math.abs(dimensions.height - oldHeight) > 10) {
-            // Save current content
-            const imageData = AppState.infiniteCtx.getImageData(0, 0, oldWidth, oldHeight);
-            
-            // Resize canvas
+            // Resize canvas and its layers
             AppState.infiniteCanvas.width = dimensions.width;
             AppState.infiniteCanvas.height = dimensions.height;
+            Layers.resize();
+            Snapping.renderGuides();
             
-            // Restore content
-            AppState.infiniteCtx.putImageData(imageData, 0, 0);
-            
-            // Redraw separators and update styles
-            this.drawPageSeparators();
+            // Redraw content and separators, then update styles
+            SceneModel.render('infinite');
             this.updateStyles();
         }
     },
 
-    /**
-     * Redraw separators on top of content
-     */
-    redrawSeparators() {
-        this.drawPageSeparators();
-    },
-
     /**
      * Start drawing on infinite canvas
      */
     startDrawing(e) {
         if (!AppState.infiniteCanvas) return;
         
-        const pos = this.getMousePos(e);
+        let pos = this.getMousePos(e);
         if (!pos) return;
         
         // Handle text tool differently
         if (AppState.currentTool === 'text') {
-            this.handleInfiniteTextClick(pos.x, pos.y);
+            TextEditor.open('infinite', pos);
+            return;
+        }
+        
+        // Select tool picks and edits drawn objects
+        if (AppState.currentTool === 'select') {
+            ObjectSelection.pointerDown('infinite', e);
+            return;
+        }
+        
+        if (!Layers.canDraw()) return;
+        if (Snapping.appliesTo(AppState.currentTool)) pos = Snapping.snapPoint(pos);
+        
+        // Step markers are placed with a click
+        if (AppState.currentTool === 'step') {
+            StepMarkers.place('infinite', pos);
+            Snapping.clearIndicators(600);
+            return;
+        }
+        
+        // Equations and code blocks are typed in their editor and placed where the click was
+        if (AppState.currentTool === 'equation') {
+            Equations.openEditor(pos);
+            return;
+        }
+        if (AppState.currentTool === 'code') {
+            CodeBlocks.openEditor(pos);
             return;
         }
         
         AppState.infiniteDrawing = true;
         AppState.startX = pos.x;
         AppState.startY = pos.y;
+        HistoryManager.setActive('infinite');
+        DrawingUtils.trackModifiers(e);
         
         AppState.infiniteCanvas.classList.add('drawing');
         
-        if (AppState.currentTool === 'pencil' || AppState.currentTool === 'eraser') {
+        if (DrawingUtils.isObjectEraser()) {
+            ObjectEraser.begin('infinite', pos);
+        } else if (AppState.currentTool === 'pencil' || AppState.currentTool === 'eraser') {
             this.updateStyles(); // Apply correct styles before drawing
+            AppState.currentStrokePoints = [InkSmoothing.beginStroke(DrawingUtils.inkPoint(pos, e))];
             AppState.infiniteCtx.beginPath();
             AppState.infiniteCtx.moveTo(pos.x, pos.y);
+        } else if (DrawingUtils.collectsPath()) {
+            // Highlights and curves are previewed whole so they never stack darker
+            AppState.currentStrokePoints = [{ x: pos.x, y: pos.y }];
+            AppState.highlightSnapped = AppState.highlighterSnap || e.shiftKey;
         } else if (AppState.currentTool === 'laser') {
             // For laser tool, initialize stroke data and use temporary overlay
             AppState.currentInfiniteLaserStroke = {
-                points: [{x: pos.x, y: pos.y}],
+                points: [InkSmoothing.beginStroke({x: pos.x, y: pos.y})],
                 color: AppState.currentColor,
                 width: AppState.brushSize * 1.5,
                 shadowBlur: 10,
-                canvas: 'infinite'
+                canvas: 'infinite',
+                ...InkSmoothing.strokeOptions()
             };
             
             // Create temporary laser overlay if it doesn't exist
@@ -2307,23 +2940,28 @@ const InfiniteCanvas = {
         const pos = this.getMousePos(e);
         if (!pos) return;
 
-        if (AppState.currentTool === 'pencil' || AppState.currentTool === 'eraser') {
-            AppState.infiniteCtx.lineTo(pos.x, pos.y);
-            AppState.infiniteCtx.stroke();
+        DrawingUtils.trackModifiers(e);
+        if (DrawingUtils.isObjectEraser()) {
+            ObjectEraser.move(pos);
+        } else if (AppState.currentTool === 'pencil' || AppState.currentTool === 'eraser') {
+            const point = InkSmoothing.stabilize(DrawingUtils.inkPoint(pos, e));
+            DrawingUtils.extendStroke(AppState.infiniteCtx, point);
         } else if (AppState.currentTool === 'laser') {
-            // For laser tool, add point to current stroke and draw on overlay
-            if (AppState.currentInfiniteLaserStroke) {
-                AppState.currentInfiniteLaserStroke.points.push({x: pos.x, y: pos.y});
-            }
-            
-            // Draw on laser overlay canvas
-            if (AppState.infiniteLaserCtx) {
-                AppState.infiniteLaserCtx.lineTo(pos.x, pos.y);
-                AppState.infiniteLaserCtx.stroke();
+            // For laser tool, add point to current stroke and draw on laser overlay canvas
+            if (AppState.currentInfiniteLaserStroke && AppState.infiniteLaserCtx) {
+                const point = InkSmoothing.stabilize({x: pos.x, y: pos.y});
+                AppState.currentInfiniteLaserStroke.points.push(point);
+                LaserUtils.extendLiveStroke(AppState.infiniteLaserCtx, AppState.currentInfiniteLaserStroke);
             }
         } else {
+            if (DrawingUtils.collectsPath()) {
+                AppState.currentStrokePoints.push({ x: pos.x, y: pos.y });
+                AppState.highlightSnapped = AppState.highlighterSnap || e.shiftKey;
+            }
+            
             // Show preview for shape tools on infinite canvas
-            this.drawInfinitePreview(pos.x, pos.y);
+            const end = Snapping.appliesTo(AppState.currentTool) ? Snapping.snapPoint(pos) : pos;
+            this.drawInfinitePreview(end.x, end.y);
         }
     },
 
@@ -2339,41 +2977,9 @@ const InfiniteCanvas = {
         // Store current canvas state before drawing preview
         AppState.infinitePreviewImageData = AppState.infiniteCtx.getImageData(0, 0, AppState.infiniteCanvas.width, AppState.infiniteCanvas.height);
         
-        // Set preview styles
-        AppState.infiniteCtx.strokeStyle = AppState.currentColor;
-        AppState.infiniteCtx.lineWidth = AppState.brushSize;
-        AppState.infiniteCtx.lineCap = 'round';
-        AppState.infiniteCtx.lineJoin = 'round';
-        AppState.infiniteCtx.globalAlpha = 0.7; // Semi-transparent preview
-        AppState.infiniteCtx.globalCompositeOperation = 'source-over';
-        
-        // Draw preview shape
-        switch (AppState.currentTool) {
-            case 'line':
-                AppState.infiniteCtx.beginPath();
-                AppState.infiniteCtx.moveTo(AppState.startX, AppState.startY);
-                AppState.infiniteCtx.lineTo(currentX, currentY);
-                AppState.infiniteCtx.stroke();
-                break;
-            case 'rectangle':
-                const width = currentX - AppState.startX;
-                const height = currentY - AppState.startY;
-                AppState.infiniteCtx.strokeRect(AppState.startX, AppState.startY, width, height);
-                break;
-            case 'circle':
-                const radius = Math.sqrt(Math.pow(currentX - AppState.startX, 2) + Math.pow(currentY - AppState.startY, 2));
-                AppState.infiniteCtx.beginPath();
-                AppState.infiniteCtx.arc(AppState.startX, AppState.startY, radius, 0, 2 * Math.PI);
-                AppState.infiniteCtx.stroke();
-                break;
-            case 'arrow':
-                this.drawInfiniteArrowPreview(AppState.startX, AppState.startY, currentX, currentY);
-                break;
-        }
-        
-        // Reset alpha and composite operation
-        AppState.infiniteCtx.globalAlpha = 1.0;
-        AppState.infiniteCtx.globalCompositeOperation = 'source-over';
+        // Draw the shape as it will be saved, with the current style
+        const shape = DrawingEvents.createShapeObject({ x: currentX, y: currentY }, 20);
+        if (shape) SceneModel.drawObject(AppState.infiniteCtx, shape);
     },
 
     /**
@@ -2386,25 +2992,6 @@ const InfiniteCanvas = {
         }
     },
 
-    /**
-     * Draw arrow preview on infinite canvas
-     */
-    drawInfiniteArrowPreview(startX, startY, endX, endY) {
-        const headLength = 20;
-        const angle = Math.atan2(endY - startY, endX - startX);
-        
-        AppState.infiniteCtx.beginPath();
-        AppState.infiniteCtx.moveTo(startX, startY);
-        AppState.infiniteCtx.lineTo(endX, endY);
-        
-        // Draw arrowhead
-        AppState.infiniteCtx.lineTo(endX - headLength * Math.cos(angle - Math.PI / 6), endY - headLength * Math.sin(angle - Math.PI / 6));
-        AppState.infiniteCtx.moveTo(endX, endY);
-        AppState.infiniteCtx.lineTo(endX - headLength * Math.cos(angle + Math.PI / 6), endY - headLength * Math.sin(angle + Math.PI / 6));
-        
-        AppState.infiniteCtx.stroke();
-    },
-
     /**
      * Stop drawing on infinite canvas
      */
@@ -2416,6 +3003,17 @@ const InfiniteCanvas = {
         
         AppState.infiniteDrawing = false;
         
+        // Replace the live ink with the finished stroke object
+        if (DrawingUtils.isObjectEraser()) {
+            ObjectEraser.end();
+        } else if (AppState.currentTool === 'pencil' || AppState.currentTool === 'eraser') {
+            InkSmoothing.finishStroke(AppState.currentStrokePoints);
+            const stroke = DrawingEvents.createStrokeObject(AppState.currentStrokePoints);
+            SceneModel.add('infinite', stroke);
+            ShapeRecognition.apply('infinite', stroke, 20);
+            AppState.currentStrokePoints = [];
+        }
+        
         const pos = this.getMousePos(e);
         if (!pos) return;
 
@@ -2436,50 +3034,13 @@ const InfiniteCanvas = {
 
         // Draw shapes for non-pencil tools
         if (AppState.currentTool !== 'pencil' && AppState.currentTool !== 'eraser' && AppState.currentTool !== 'laser') {
-            this.updateStyles();
-            
-            switch (AppState.currentTool) {
-                case 'line':
-                    AppState.infiniteCtx.beginPath();
-                    AppState.infiniteCtx.moveTo(AppState.startX, AppState.startY);
-                    AppState.infiniteCtx.lineTo(pos.x, pos.y);
-                    AppState.infiniteCtx.stroke();
-                    break;
-                case 'rectangle':
-                    AppState.infiniteCtx.beginPath();
-                    AppState.infiniteCtx.rect(AppState.startX, AppState.startY, pos.x - AppState.startX, pos.y - AppState.startY);
-                    AppState.infiniteCtx.stroke();
-                    break;
-                case 'circle':
-                    const radius = Math.sqrt(Math.pow(pos.x - AppState.startX, 2) + Math.pow(pos.y - AppState.startY, 2));
-                    AppState.infiniteCtx.beginPath();
-                    AppState.infiniteCtx.arc(AppState.startX, AppState.startY, radius, 0, 2 * Math.PI);
-                    AppState.infiniteCtx.stroke();
-                    break;
-                case 'arrow':
-                    const headlen = 20;
-                    const angle = Math.atan2(pos.y - AppState.startY, pos.x - AppState.startX);
-                    
-                    AppState.infiniteCtx.beginPath();
-                    AppState.infiniteCtx.moveTo(AppState.startX, AppState.startY);
-                    AppState.infiniteCtx.lineTo(pos.x, pos.y);
-                    AppState.infiniteCtx.stroke();
-                    
-                    AppState.infiniteCtx.beginPath();
-                    AppState.infiniteCtx.moveTo(pos.x, pos.y);
-                    AppState.infiniteCtx.lineTo(pos.x - headlen * Math.cos(angle - Math.PI / 6), pos.y - headlen * Math.sin(angle - Math.PI / 6));
-                    AppState.infiniteCtx.moveTo(pos.x, pos.y);
-                    AppState.infiniteCtx.lineTo(pos.x - headlen * Math.cos(angle + Math.PI / 6), pos.y - headlen * Math.sin(angle + Math.PI / 6));
-                    AppState.infiniteCtx.stroke();
-                    break;
-            }
-            
-            // Auto-save after infinite canvas drawing completion
-            setTimeout(() => StorageManager.saveData(), 100);
+            DrawingUtils.trackModifiers(e);
+            const end = Snapping.appliesTo(AppState.currentTool) ? Snapping.snapPoint(pos) : pos;
+            const shape = DrawingEvents.createShapeObject(end, 20);
+            if (shape) SceneModel.add('infinite', shape);
+            AppState.currentStrokePoints = [];
+            Snapping.clearIndicators();
         }
-        
-        // Redraw page separators to keep them visible
-        this.redrawSeparators();
     },
 
     /**
@@ -2490,7 +3051,7 @@ const InfiniteCanvas = {
 
         if (AppState.currentTool === 'eraser') {
             AppState.infiniteCtx.globalCompositeOperation = 'destination-out';
-            AppState.infiniteCtx.lineWidth = 15;
+            AppState.infiniteCtx.lineWidth = AppState.eraserSize;
         } else if (AppState.currentTool === 'laser') {
             AppState.infiniteCtx.globalCompositeOperation = 'source-over';
             AppState.infiniteCtx.strokeStyle = AppState.currentColor + '80'; // 50% transparency
@@ -2513,9 +3074,8 @@ const InfiniteCanvas = {
      */
     clear() {
         if (AppState.infiniteCtx && AppState.infiniteCanvas) {
-            AppState.infiniteCtx.clearRect(0, 0, AppState.infiniteCanvas.width, AppState.infiniteCanvas.height);
-            // Redraw page separators after clearing
-            this.drawPageSeparators();
+            // Rendering an empty scene redraws the page separators
+            SceneModel.clear('infinite');
         }
     },
 
@@ -2523,9 +3083,9 @@ const InfiniteCanvas = {
      * Draw page separators for A4 pages
      */
     drawPageSeparators() {
-        if (!AppState.infiniteCtx || !AppState.infiniteCanvas) return;
+        if (!AppState.infinitePageCtx || !AppState.infiniteCanvas) return;
 
-        const ctx = AppState.infiniteCtx;
+        const ctx = AppState.infinitePageCtx;
         const canvasWidth = AppState.infiniteCanvas.width;
         const canvasHeight = AppState.infiniteCanvas.height;
         
@@ -2627,18 +3187,14 @@ const InfiniteCanvas = {
     expandCanvas(newWidth, newHeight) {
         if (!AppState.infiniteCanvas || !AppState.infiniteCtx) return;
 
-        // Save current canvas content
-        const imageData = AppState.infiniteCtx.getImageData(0, 0, AppState.infiniteCanvas.width, AppState.infiniteCanvas.height);
-        
-        // Resize canvas
+        // Resize canvas and its layers
         AppState.infiniteCanvas.width = newWidth;
         AppState.infiniteCanvas.height = newHeight;
+        Layers.resize();
+        Snapping.renderGuides();
         
-        // Restore content
-        AppState.infiniteCtx.putImageData(imageData, 0, 0);
-        
-        // Redraw page separators
-        this.drawPageSeparators();
+        // Redraw content and page separators
+        SceneModel.render('infinite');
         
         // Reapply styles
         this.updateStyles();
@@ -2646,6 +3202,26 @@ const InfiniteCanvas = {
         console.log(`Canvas expanded to ${newWidth}x${newHeight}`);
     },
 
+    /**
+     * Expand the canvas so that the given size fits, keeping whole A4 pages
+     * @param {number} requiredWidth - Minimum canvas width
+     * @param {number} requiredHeight - Minimum canvas height
+     */
+    expandCanvasIfNeeded(requiredWidth, requiredHeight) {
+        if (!AppState.infiniteCanvas) return;
+
+        const dimensions = this.calculateA4Dimensions();
+        let newWidth = AppState.infiniteCanvas.width;
+        let newHeight = AppState.infiniteCanvas.height;
+
+        while (newWidth < requiredWidth) newWidth += dimensions.width;
+        while (newHeight < requiredHeight) newHeight += dimensions.height;
+
+        if (newWidth !== AppState.infiniteCanvas.width || newHeight !== AppState.infiniteCanvas.height) {
+            this.expandCanvas(newWidth, newHeight);
+        }
+    },
+
     /**
      * Save infinite canvas as image
      */
@@ -2654,350 +3230,8636 @@ const InfiniteCanvas = {
         
         const link = document.createElement('a');
         link.download = `infinite-canvas-${Date.now()}.png`;
-        link.href = AppState.infiniteCanvas.toDataURL();
+        link.href = Layers.composite().toDataURL();
         link.click();
         
         UI.showNotification('Canvas saved as image!');
+    }
+};
+
+// =============================================================================
+// 11. PROJECT DATABASE (INDEXEDDB)
+// =============================================================================
+
+/**
+ * @namespace ProjectDB
+ * @description Promise wrapper around the IndexedDB database used for persistence
+ * Project state lives in the `projects` store; drawings and canvas bitmaps are kept
+ * as Blobs in the `blobs` store, one record each, so they can be loaded on demand.
+ * The `backups` store keeps copies of project records that could not be loaded.
+ */
+const ProjectDB = {
+    DB_NAME: 'tutorial_maker',
+    DB_VERSION: 2,
+    dbPromise: null,        // Cached promise for the opened database
+
+    /**
+     * Opens (and if needed creates) the database
+     * @returns {Promise<IDBDatabase>} The opened database
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('projects')) {
+                    db.createObjectStore('projects', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('blobs')) {
+                    const blobStore = db.createObjectStore('blobs', { keyPath: 'key' });
+                    blobStore.createIndex('projectId', 'projectId', { unique: false });
+                }
+                if (!db.objectStoreNames.contains('backups')) {
+                    db.createObjectStore('backups', { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later retry if opening failed
+        this.dbPromise.catch(() => { this.dbPromise = null; });
+
+        return this.dbPromise;
     },
 
     /**
-     * Handle text tool click on infinite canvas
+     * Runs a callback inside a transaction and resolves when the transaction completes
+     * @param {string|string[]} storeNames - Object store(s) used by the transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the transaction; its return value is resolved
+     * @returns {Promise<*>} The value produced by the callback's requests
      */
-    handleInfiniteTextClick(x, y) {
-        console.log(`Infinite canvas text tool clicked at (${x}, ${y})`);
-        
-        // Remove any existing text input
-        DrawingEvents.removeTextInput();
-        
-        // Create text input element
-        const textInput = document.createElement('textarea');
-        textInput.rows = 3;
-        textInput.style.position = 'fixed';
-        textInput.style.backgroundColor = 'white';
-        textInput.style.border = '2px solid #3b82f6';
-        textInput.style.outline = 'none';
-        textInput.style.padding = '4px 8px';
-        textInput.style.zIndex = '9999';
-        textInput.style.boxShadow = '0 4px 6px rgba(0, 0, 0, 0.1)';
-        textInput.style.borderRadius = '4px';
-        textInput.style.fontSize = AppState.fontSize + 'px';
-        textInput.style.fontFamily = AppState.fontFamily;
-        textInput.style.color = AppState.currentColor;
-        textInput.style.minWidth = '150px';
-        textInput.style.resize = 'none';
-        textInput.style.height = 'auto';
+    async transaction(storeNames, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+
+            Promise.resolve(callback(tx)).then(value => { result = value; }, reject);
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    },
+
+    /**
+     * Wraps a single IDBRequest in a promise
+     * @param {IDBRequest} request - The request to wait for
+     * @returns {Promise<*>} The request result
+     */
+    promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Reads one record
+     * @param {string} storeName - Object store name
+     * @param {string} key - Record key
+     * @returns {Promise<Object|undefined>} The record, if present
+     */
+    get(storeName, key) {
+        return this.transaction(storeName, 'readonly', tx =>
+            this.promisify(tx.objectStore(storeName).get(key))
+        );
+    },
+
+    /**
+     * Reads every record of a project from an indexed store
+     * @param {string} storeName - Object store name
+     * @param {string} projectId - Project the records belong to
+     * @returns {Promise<Object[]>} Matching records
+     */
+    getAllForProject(storeName, projectId) {
+        return this.transaction(storeName, 'readonly', tx =>
+            this.promisify(tx.objectStore(storeName).index('projectId').getAll(projectId))
+        );
+    },
+
+    /**
+     * Deletes every blob record that belongs to a project
+     * @param {IDBTransaction} tx - Open readwrite transaction including the blobs store
+     * @param {string} projectId - Project whose blobs should be removed
+     * @returns {Promise<void>}
+     */
+    deleteProjectBlobs(tx, projectId) {
+        const index = tx.objectStore('blobs').index('projectId');
+        return new Promise((resolve, reject) => {
+            const request = index.openKeyCursor(IDBKeyRange.only(projectId));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                tx.objectStore('blobs').delete(cursor.primaryKey);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+};
+
+// =============================================================================
+// 12. SCHEMA MIGRATIONS
+// =============================================================================
+
+/**
+ * @namespace SchemaMigrations
+ * @description Versioning for saved project records
+ * Every record written by StorageManager carries a `schemaVersion`. Older records are
+ * upgraded on load by running the registered migrations in version order; records
+ * without a version are treated as version 1 (the first IndexedDB layout).
+ */
+const SchemaMigrations = {
+    CURRENT_VERSION: 3,
+
+    /**
+     * Ordered migration steps. Each step upgrades a record from `version - 1` to
+     * `version` and must return a new object rather than mutating its input.
+     */
+    migrations: [
+        {
+            version: 2,
+            description: 'Add schemaVersion, fill missing project fields and store sizes as numbers',
+            migrate(data) {
+                const toNumber = (value, fallback) => {
+                    const number = Number(value);
+                    return Number.isFinite(number) && number > 0 ? number : fallback;
+                };
+
+                return {
+                    ...SchemaMigrations.normalizeSettings(data),
+                    name: data.name || 'Untitled project',
+                    createdAt: data.createdAt || data.lastSaved || new Date().toISOString(),
+                    lastSaved: data.lastSaved || new Date().toISOString(),
+                    videoUrl: typeof data.videoUrl === 'string' ? data.videoUrl : '',
+                    timestampedDrawings: Array.isArray(data.timestampedDrawings) ? data.timestampedDrawings : [],
+                    media: Array.isArray(data.media) ? data.media : [],
+                    infiniteCanvasWidth: toNumber(data.infiniteCanvasWidth, 0),
+                    infiniteCanvasHeight: toNumber(data.infiniteCanvasHeight, 0)
+                };
+            }
+        },
+        {
+            version: 3,
+            description: 'Store drawings as vector scenes; saved canvas images become bitmap objects',
+            migrate(data) {
+                // The images stay in the blobs store under their old names
+                const bitmap = name => ({
+                    id: `bitmap-${name.replace('/', '-')}`,
+                    type: 'bitmap',
+                    blob: name,
+                    x: 0,
+                    y: 0,
+                    width: null,
+                    height: null,
+                    transform: { x: 0, y: 0, scaleX: 1, scaleY: 1, rotation: 0 }
+                });
+
+                return {
+                    ...data,
+                    scenes: {
+                        video: [bitmap('main')],
+                        infinite: [bitmap('infinite')]
+                    },
+                    timestampedDrawings: data.timestampedDrawings.map(drawing => ({
+                        ...drawing,
+                        scene: [bitmap(`drawing/${drawing.id}`)]
+                    }))
+                };
+            }
+        }
+    ],
+
+    /**
+     * Fills in missing or invalid drawing and page settings of a record or bundle
+     * Other settings are checked by the modules that own them when restored.
+     * @param {*} settings - Record, or the settings of a bundle
+     * @returns {Object} Copy with valid settings
+     */
+    normalizeSettings(settings) {
+        const source = settings && typeof settings === 'object' && !Array.isArray(settings) ? settings : {};
+        const toNumber = (value, fallback) => {
+            const number = Number(value);
+            return Number.isFinite(number) && number > 0 ? number : fallback;
+        };
+
+        return {
+            ...source,
+            currentColor: /^#[0-9a-f]{6}$/i.test(source.currentColor) ? source.currentColor : '#ff0000',
+            brushSize: toNumber(source.brushSize, 4),
+            fontSize: toNumber(source.fontSize, 24),
+            fontFamily: typeof source.fontFamily === 'string' && source.fontFamily ? source.fontFamily : 'Arial',
+            infiniteHorizontal: source.infiniteHorizontal === true,
+            a4WidthPercent: toNumber(source.a4WidthPercent, 95),
+            a4HeightPercent: toNumber(source.a4HeightPercent, 100)
+        };
+    },
+
+    /**
+     * Creates an error describing why a record cannot be loaded
+     * @param {string} reason - 'corrupt' or 'newer'
+     * @param {string} message - Human readable detail
+     * @returns {Error} Error with a `reason` property
+     */
+    createError(reason, message) {
+        const error = new Error(message);
+        error.reason = reason;
+        return error;
+    },
+
+    /**
+     * Reads the schema version of a record
+     * @param {Object} data - Saved record
+     * @returns {number} The version (1 for unversioned records)
+     */
+    getVersion(data) {
+        return Number.isInteger(data.schemaVersion) ? data.schemaVersion : 1;
+    },
+
+    /**
+     * Upgrades a saved record to the current schema
+     * @param {Object} data - Saved record
+     * @returns {Object} The record in the current schema
+     * @throws {Error} With `reason` 'newer' for records from a newer version, 'corrupt' otherwise
+     */
+    migrate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw this.createError('corrupt', 'Saved project is not an object');
+        }
+
+        let version = this.getVersion(data);
+        if (version > this.CURRENT_VERSION) {
+            throw this.createError('newer', `Saved with schema version ${version}, this app supports up to ${this.CURRENT_VERSION}`);
+        }
+
+        let migrated = data;
+        const steps = [...this.migrations].sort((a, b) => a.version - b.version);
+        for (const step of steps) {
+            if (step.version <= version) continue;
+            try {
+                migrated = { ...step.migrate(migrated), schemaVersion: step.version };
+            } catch (error) {
+                throw this.createError('corrupt', `Migration to version ${step.version} failed: ${error.message}`);
+            }
+            console.log(`Migrated project ${data.id} to schema version ${step.version}: ${step.description}`);
+            version = step.version;
+        }
+        migrated = this.normalizeSettings(migrated);
+
+        const problem = this.validate(migrated);
+        if (problem) {
+            throw this.createError('corrupt', problem);
+        }
+
+        return migrated;
+    },
+
+    /**
+     * Checks that a record in the current schema is well-formed
+     * @param {Object} data - Record after migration
+     * @returns {string|null} Description of the problem, or null if valid
+     */
+    validate(data) {
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+        const isScene = scene => Array.isArray(scene) && scene.every(object => SceneModel.isValidObject(object));
+
+        if (typeof data.id !== 'string' || !data.id) return 'Project id is missing';
+        if (!data.scenes || !isScene(data.scenes.video) || !isScene(data.scenes.infinite)) {
+            return 'Canvas drawings are damaged';
+        }
+        if (!Array.isArray(data.timestampedDrawings)) return 'Drawings list is missing';
+        if (data.timestampedDrawings.some(drawing => !drawing || !isNumber(drawing.time) || drawing.id === undefined || !isScene(drawing.scene))) {
+            return 'A timestamped drawing is damaged';
+        }
+        if (!Array.isArray(data.media)) return 'Media list is missing';
+        // Equations and code blocks are drawn from their text and have no stored file
+        if (data.media.some(media => !media ||
+            (media.type === 'equation' ? typeof media.latex !== 'string'
+                : media.type === 'code' ? typeof media.code?.text !== 'string'
+                : typeof media.sourceId !== 'string') ||
+            !isNumber(media.x) || !isNumber(media.y) || !isNumber(media.width) || !isNumber(media.height))) {
+            return 'A media item is damaged';
+        }
+
+        return null;
+    }
+};
+
+// =============================================================================
+// 13. STORAGE MANAGER
+// =============================================================================
+
+/**
+ * @namespace StorageManager
+ * @description Handles all data persistence functionality
+ * Manages saving and loading application state to/from IndexedDB (see ProjectDB).
+ * Drawings are saved as JSON scenes (see SceneModel) inside the project record; media
+ * files and images from older versions are kept as separate Blob records.
+ */
+const StorageManager = {
+    STORAGE_KEY: 'tutorial_maker_data',   // Legacy localStorage key, migrated on first run
+    CURRENT_PROJECT_KEY: 'tutorial_maker_current_project', // localStorage key remembering the open project
+    THUMBNAIL_WIDTH: 240,
+    THUMBNAIL_HEIGHT: 135,
+
+    persistedBlobs: new Map(),  // Blob key -> source id last written, to skip unchanged media files
+    pendingLoads: new Map(),    // Blob key -> in-flight load promise
+    saveQueue: Promise.resolve(), // Serialises overlapping saves
+    isRestoring: false,         // Saves are skipped while a project is being restored
+
+    /**
+     * Builds the blob record key for a piece of project data
+     * @param {string} name - Record name, e.g. 'source/abc' or 'drawing/123'
+     * @param {string} [projectId] - Owning project, defaults to the open project
+     * @returns {string} The blob key
+     */
+    blobKey(name, projectId = AppState.currentProjectId) {
+        return `${projectId}/${name}`;
+    },
+
+    /**
+     * Converts a data URL (or object URL) to a Blob
+     * @param {string} url - URL to read
+     * @returns {Promise<Blob>} The Blob behind the URL
+     */
+    async urlToBlob(url) {
+        const response = await fetch(url);
+        return response.blob();
+    },
+
+    /**
+     * Saves the current application state to IndexedDB
+     * Includes drawings, settings, and video state
+     * @returns {Promise<boolean>} Whether the save succeeded
+     */
+    saveData() {
+        if (this.isRestoring) return Promise.resolve(false);
+
+        const run = () => this.writeData().then(() => {
+            console.log('Data saved to IndexedDB');
+            return true;
+        }).catch(error => {
+            console.error('Failed to save data to IndexedDB:', error);
+            UI.showNotification('Failed to save data - storage may be full');
+            return false;
+        });
+
+        this.saveQueue = this.saveQueue.then(run, run);
+        return this.saveQueue;
+    },
+
+    /**
+     * Collects the project record and changed blobs, then writes them in one transaction
+     * @returns {Promise<void>}
+     */
+    async writeData() {
+        const data = {
+            schemaVersion: SchemaMigrations.CURRENT_VERSION,
+            id: AppState.currentProjectId,
+            name: AppState.projectName,
+            createdAt: AppState.projectCreatedAt || new Date().toISOString(),
+
+            // Video information
+            videoUrl: document.getElementById('youtubeUrl')?.value || '',
+            
+            // Timestamped drawings with their scenes (thumbnails are rebuilt on load)
+            timestampedDrawings: AppState.timestampedDrawings.map(({ thumbnail, ...drawing }) => drawing),
+            
+            // Objects drawn on the video and infinite canvases
+            scenes: {
+                video: SceneModel.scenes.video,
+                infinite: SceneModel.scenes.infinite
+            },
+            
+            // Current settings
+            currentColor: AppState.currentColor,
+            palette: AppState.palette,
+            brushSize: Number(AppState.brushSize),
+            shapeStyle: AppState.shapeStyle,
+            fontSize: Number(AppState.fontSize),
+            fontFamily: AppState.fontFamily,
+            textStyle: AppState.textStyle,
+            layers: Layers.serialize(),
+            snapping: AppState.snapping,
+            stepStyle: AppState.stepStyle,
+            maskStyle: AppState.maskStyle,
+            magnifierStyle: AppState.magnifierStyle,
+            stampStyle: AppState.stampStyle,
+            stamps: AppState.stamps,
+            codeStyle: AppState.codeStyle,
+            
+            // Canvas dimensions for infinite canvas
+            infiniteCanvasWidth: AppState.infiniteCanvas?.width || 0,
+            infiniteCanvasHeight: AppState.infiniteCanvas?.height || 0,
+            
+            // Infinite canvas settings
+            infiniteHorizontal: AppState.infiniteHorizontal,
+            a4WidthPercent: AppState.a4WidthPercent,
+            a4HeightPercent: AppState.a4HeightPercent,
+            
+            // Uploaded images and PDF pages (files are stored separately as blobs)
+            media: MediaHandler.serialize(),
+            
+            // Save timestamp
+            lastSaved: new Date().toISOString()
+        };
+
+        const blobs = [];
+
+        // Original media files never change, so each is written once
+        const sourceIds = new Set(data.media.map(media => media.sourceId).filter(Boolean));
+        sourceIds.forEach(sourceId => {
+            const key = this.blobKey(`source/${sourceId}`);
+            const blob = MediaHandler.sources.get(sourceId);
+            if (blob && !this.persistedBlobs.has(key)) {
+                blobs.push({ key, source: sourceId, blob });
+            }
+        });
+
+        // Small preview for the project library
+        blobs.push({ key: this.blobKey('thumbnail'), blob: await this.createThumbnail() });
+
+        // Everything else that is no longer referenced is removed
+        const projectId = AppState.currentProjectId;
+        const bitmapNames = SceneModel.getBitmapNames([
+            ...data.scenes.video,
+            ...data.scenes.infinite,
+            ...data.timestampedDrawings.flatMap(drawing => drawing.scene)
+        ]);
+        const keepKeys = new Set([
+            this.blobKey('thumbnail'),
+            ...[...sourceIds].map(sourceId => this.blobKey(`source/${sourceId}`)),
+            ...bitmapNames.map(name => this.blobKey(name)),
+            ...AppState.stamps.map(stamp => this.blobKey(stamp.blob))
+        ]);
+
+        // Images registered as stamps are written once, unless they were removed unused
+        const newStamps = [...Stamps.pending.keys()].filter(name => keepKeys.has(this.blobKey(name)));
+        newStamps.forEach(name => blobs.push({ key: this.blobKey(name), blob: Stamps.pending.get(name) }));
+
+        await ProjectDB.transaction(['projects', 'blobs'], 'readwrite', async tx => {
+            const blobStore = tx.objectStore('blobs');
+            tx.objectStore('projects').put(data);
+
+            blobs.forEach(({ key, blob }) => {
+                if (blob) blobStore.put({ key, projectId, blob });
+            });
+
+            // Remove blobs of media and old drawing images that were deleted
+            const existingKeys = await ProjectDB.promisify(blobStore.index('projectId').getAllKeys(projectId));
+            const removedKeys = existingKeys.filter(key => !keepKeys.has(key));
+
+            // Stamp images go back to the pending list, so a stamp restored by undo is saved again
+            const stampPrefix = this.blobKey('stamp/');
+            await Promise.all(removedKeys.filter(key => key.startsWith(stampPrefix)).map(async key => {
+                const record = await ProjectDB.promisify(blobStore.get(key));
+                if (record?.blob) Stamps.pending.set(key.slice(projectId.length + 1), record.blob);
+            }));
+
+            removedKeys.forEach(key => {
+                blobStore.delete(key);
+                this.persistedBlobs.delete(key);
+            });
+        });
+
+        blobs.forEach(({ key, source }) => {
+            if (source) this.persistedBlobs.set(key, source);
+        });
+        newStamps.forEach(name => Stamps.pending.delete(name));
+    },
+
+    /**
+     * Renders a small JPEG preview of the workspace for the project library
+     * @returns {Promise<Blob|null>} The thumbnail image
+     */
+    createThumbnail() {
+        const thumbnail = document.createElement('canvas');
+        thumbnail.width = this.THUMBNAIL_WIDTH;
+        thumbnail.height = this.THUMBNAIL_HEIGHT;
+        const ctx = thumbnail.getContext('2d');
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, thumbnail.width, thumbnail.height);
+
+        // Top of the infinite canvas with its layers and media, cropped to the thumbnail aspect ratio
+        const page = AppState.infiniteCanvas;
+        if (page && page.width > 0 && page.height > 0) {
+            const source = Layers.composite();
+            const sourceHeight = Math.min(source.height, source.width * thumbnail.height / thumbnail.width);
+            const sourceWidth = sourceHeight * thumbnail.width / thumbnail.height;
+            ctx.drawImage(source, 0, 0, sourceWidth, sourceHeight, 0, 0, thumbnail.width, thumbnail.height);
+        }
+
+        // Video annotations currently on screen
+        if (AppState.canvas && AppState.canvas.width > 0 && AppState.canvas.height > 0) {
+            ctx.drawImage(AppState.canvas, 0, 0, thumbnail.width, thumbnail.height);
+            if (AppState.highlightCanvas) {
+                ctx.globalCompositeOperation = 'multiply';
+                ctx.drawImage(AppState.highlightCanvas, 0, 0, thumbnail.width, thumbnail.height);
+            }
+        }
+
+        return new Promise(resolve => thumbnail.toBlob(resolve, 'image/jpeg', 0.8));
+    },
+
+    /**
+     * Loads saved application data from IndexedDB
+     * Migrates data left in localStorage by older versions on first run
+     * @returns {Promise<Object|null>} The project record or null if none exists
+     */
+    async loadData() {
+        try {
+            AppState.currentProjectId = localStorage.getItem(this.CURRENT_PROJECT_KEY) || AppState.currentProjectId;
+
+            await this.migrateLegacyData();
+
+            let projectId = AppState.currentProjectId;
+            if (!await ProjectDB.get('projects', projectId)) {
+                // Fall back to the most recently saved project, if any
+                const [latest] = await ProjectManager.listProjects();
+                projectId = latest ? latest.id : null;
+            }
+
+            if (!projectId) {
+                console.log('No saved data found');
+                return null;
+            }
+
+            const data = await this.readProject(projectId);
+            if (data) console.log(`Loaded project ${data.id} (schema version ${data.schemaVersion}) from IndexedDB`);
+            return data;
+        } catch (error) {
+            console.error('Failed to load data from IndexedDB:', error);
+            if (error.reason) {
+                // Start a fresh project so auto-save cannot overwrite the unreadable one
+                AppState.currentProjectId = ProjectManager.generateId();
+                AppState.projectName = 'Untitled project';
+                AppState.projectCreatedAt = new Date().toISOString();
+                localStorage.setItem(this.CURRENT_PROJECT_KEY, AppState.currentProjectId);
+                ProjectManager.updateProjectLabel();
+            }
+            return null;
+        }
+    },
+
+    /**
+     * Reads a project record and upgrades it to the current schema
+     * Records that are damaged or from a newer version are copied to the backups
+     * store, the user is notified, and the error is rethrown
+     * @param {string} projectId - Project to read
+     * @returns {Promise<Object|null>} The migrated record, or null if it does not exist
+     * @throws {Error} With `reason` 'corrupt' or 'newer' when the record cannot be used
+     */
+    async readProject(projectId) {
+        const record = await ProjectDB.get('projects', projectId);
+        if (record === undefined) return null;
+
+        try {
+            return SchemaMigrations.migrate(record);
+        } catch (error) {
+            console.error(`Project ${projectId} could not be loaded:`, error);
+            await this.backupRecord(projectId, record, error);
+
+            const name = record?.name || 'Untitled project';
+            if (error.reason === 'newer') {
+                UI.showNotification(`"${name}" was saved by a newer version of Tutorial Maker. A backup copy was kept - see Projects.`);
+            } else {
+                UI.showNotification(`"${name}" is damaged and could not be opened. A backup copy was kept - see Projects.`);
+            }
+            throw error;
+        }
+    },
+
+    /**
+     * Copies an unreadable project record to the backups store
+     * The same record is only backed up once, however often it is opened
+     * @param {string} projectId - Project the record belongs to
+     * @param {*} record - The record as stored
+     * @param {Error} error - Why it could not be loaded
+     * @returns {Promise<void>}
+     */
+    async backupRecord(projectId, record, error) {
+        try {
+            await ProjectDB.transaction('backups', 'readwrite', tx => {
+                tx.objectStore('backups').put({
+                    id: `${projectId}@${record?.lastSaved || 'unknown'}`,
+                    projectId,
+                    name: record?.name || 'Untitled project',
+                    reason: error.reason || 'corrupt',
+                    message: error.message,
+                    createdAt: new Date().toISOString(),
+                    record
+                });
+            });
+        } catch (backupError) {
+            console.error('Failed to back up project record:', backupError);
+        }
+    },
+
+    /**
+     * Lists kept backups, newest first
+     * @returns {Promise<Object[]>} Backup entries
+     */
+    async listBackups() {
+        const backups = await ProjectDB.transaction('backups', 'readonly', tx =>
+            ProjectDB.promisify(tx.objectStore('backups').getAll())
+        );
+        return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    /**
+     * Downloads a kept backup as a JSON file
+     * @param {string} id - Backup id
+     * @returns {Promise<void>}
+     */
+    async downloadBackup(id) {
+        const backup = await ProjectDB.get('backups', id);
+        if (!backup) return;
+
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = `backup-${backup.projectId}.json`;
+        link.href = url;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    /**
+     * Deletes a kept backup
+     * @param {string} id - Backup id
+     * @returns {Promise<void>}
+     */
+    async deleteBackup(id) {
+        if (!confirm('Delete this backup copy? This cannot be undone.')) return;
+
+        await ProjectDB.transaction('backups', 'readwrite', tx => {
+            tx.objectStore('backups').delete(id);
+        });
+        ProjectManager.renderLibrary();
+    },
+
+    /**
+     * Moves data saved under the old single localStorage key into IndexedDB
+     * The localStorage entry is only removed once the new records are written
+     * @returns {Promise<void>}
+     */
+    async migrateLegacyData() {
+        const dataStr = localStorage.getItem(this.STORAGE_KEY);
+        if (!dataStr) return;
+
+        let legacy;
+        try {
+            legacy = JSON.parse(dataStr);
+        } catch (error) {
+            console.error('Legacy localStorage data is unreadable, leaving it in place:', error);
+            return;
+        }
+
+        const existing = await ProjectDB.get('projects', AppState.currentProjectId);
+        if (existing) {
+            localStorage.removeItem(this.STORAGE_KEY);
+            return;
+        }
+
+        const { mainCanvasData, infiniteCanvasData, timestampedDrawings = [], ...settings } = legacy;
+        const blobs = [];
+
+        for (const drawing of timestampedDrawings) {
+            if (drawing.drawingData) {
+                blobs.push({ key: this.blobKey(`drawing/${drawing.id}`), blob: await this.urlToBlob(drawing.drawingData) });
+            }
+        }
+        if (mainCanvasData) {
+            blobs.push({ key: this.blobKey('main'), blob: await this.urlToBlob(mainCanvasData) });
+        }
+        if (infiniteCanvasData) {
+            blobs.push({ key: this.blobKey('infinite'), blob: await this.urlToBlob(infiniteCanvasData) });
+        }
+
+        await ProjectDB.transaction(['projects', 'blobs'], 'readwrite', tx => {
+            tx.objectStore('projects').put({
+                ...settings,
+                id: AppState.currentProjectId,
+                name: AppState.projectName,
+                createdAt: settings.lastSaved || new Date().toISOString(),
+                timestampedDrawings: timestampedDrawings.map(({ drawingData, ...drawing }) => drawing)
+            });
+            blobs.forEach(({ key, blob }) => {
+                tx.objectStore('blobs').put({ key, projectId: AppState.currentProjectId, blob });
+            });
+        });
+
+        localStorage.removeItem(this.STORAGE_KEY);
+        console.log(`Migrated ${timestampedDrawings.length} drawings from localStorage to IndexedDB`);
+        UI.showNotification('Saved work moved to the new browser database');
+    },
+
+    /**
+     * Loads a stored blob and returns an object URL for it
+     * Concurrent requests for the same blob share one read
+     * @param {string} name - Record name, e.g. 'drawing/123'
+     * @param {string} [projectId] - Owning project, defaults to the open project
+     * @returns {Promise<string|null>} Object URL, or null if nothing is stored
+     */
+    loadBlobUrl(name, projectId = AppState.currentProjectId) {
+        const key = this.blobKey(name, projectId);
+        if (this.pendingLoads.has(key)) return this.pendingLoads.get(key);
+
+        const load = ProjectDB.get('blobs', key).then(record => {
+            if (!record || !record.blob) return null;
+            return URL.createObjectURL(record.blob);
+        }).catch(error => {
+            console.error(`Failed to load ${key}:`, error);
+            return null;
+        }).finally(() => {
+            this.pendingLoads.delete(key);
+        });
+
+        this.pendingLoads.set(key, load);
+        return load;
+    },
+
+    /**
+     * Loads a stored blob as-is
+     * @param {string} name - Record name, e.g. 'source/abc'
+     * @param {string} [projectId] - Owning project, defaults to the open project
+     * @returns {Promise<Blob|null>} The blob, or null if nothing is stored
+     */
+    async loadBlob(name, projectId = AppState.currentProjectId) {
+        try {
+            const record = await ProjectDB.get('blobs', this.blobKey(name, projectId));
+            return record?.blob || null;
+        } catch (error) {
+            console.error(`Failed to load ${name}:`, error);
+            return null;
+        }
+    },
+
+    /**
+     * Restores the application state from saved data
+     * @param {Object} data - Project record already upgraded by SchemaMigrations.migrate()
+     * @returns {void}
+     */
+    restoreData(data) {
+        if (!data) return;
+
+        // Make the restored record the open project
+        AppState.currentProjectId = data.id;
+        AppState.projectName = data.name;
+        AppState.projectCreatedAt = data.createdAt;
+        localStorage.setItem(this.CURRENT_PROJECT_KEY, AppState.currentProjectId);
+        ProjectManager.updateProjectLabel();
+        this.isRestoring = true;
+
+        // Restore video URL
+        if (data.videoUrl) {
+            const urlInput = document.getElementById('youtubeUrl');
+            if (urlInput) {
+                urlInput.value = data.videoUrl;
+                // Auto-load the video
+                setTimeout(() => YouTubeManager.loadVideo(), 1000);
+            }
+        }
+
+        // Restore timestamped drawings (thumbnails are rendered when listed)
+        AppState.timestampedDrawings = data.timestampedDrawings.map(drawing => ({ ...drawing }));
+        TimestampManager.updateUI();
+
+        // Restore settings
+        AppState.currentColor = data.currentColor;
+        const colorPicker = document.getElementById('colorPicker');
+        if (colorPicker) colorPicker.value = data.currentColor;
+        ColorPalette.restore(data.palette);
+
+        AppState.brushSize = data.brushSize;
+        const brushSizeInput = document.getElementById('brushSize');
+        const sizeValue = document.getElementById('sizeValue');
+        if (brushSizeInput) brushSizeInput.value = data.brushSize;
+        if (sizeValue) sizeValue.textContent = data.brushSize + 'px';
+
+        ShapeStyle.restore(data.shapeStyle);
+        StepMarkers.restore(data.stepStyle);
+        Masks.restore(data.maskStyle);
+        Magnifier.restore(data.magnifierStyle);
+        Stamps.restore(data.stampStyle, data.stamps);
+        CodeBlocks.restore(data.codeStyle);
+
+        AppState.fontSize = data.fontSize;
+        const fontSizeInput = document.getElementById('fontSize');
+        const fontSizeValue = document.getElementById('fontSizeValue');
+        if (fontSizeInput) fontSizeInput.value = data.fontSize;
+        if (fontSizeValue) fontSizeValue.textContent = data.fontSize + 'px';
+
+        AppState.fontFamily = data.fontFamily;
+        const fontFamilySelect = document.getElementById('fontFamily');
+        if (fontFamilySelect) fontFamilySelect.value = data.fontFamily;
+
+        TextEditor.restore(data.textStyle);
+        Layers.restore(data.layers);
+        Snapping.restore(data.snapping);
+
+        // Restore infinite canvas settings
+        AppState.infiniteHorizontal = data.infiniteHorizontal;
+        const button = document.getElementById('toggleHorizontal');
+        if (button) {
+            if (data.infiniteHorizontal) {
+                button.textContent = '↔️ Horizontal On';
+                button.classList.remove('bg-gray-500', 'hover:bg-gray-600');
+                button.classList.add('bg-green-500', 'hover:bg-green-600');
+            } else {
+                button.textContent = '↔️ Horizontal Off';
+                button.classList.remove('bg-green-500', 'hover:bg-green-600');
+                button.classList.add('bg-gray-500', 'hover:bg-gray-600');
+            }
+        }
+
+        AppState.a4WidthPercent = data.a4WidthPercent;
+        AppState.a4HeightPercent = data.a4HeightPercent;
+
+        // Restore canvas drawings
+        setTimeout(() => {
+            this.restoreCanvasDrawings(data).finally(() => {
+                this.isRestoring = false;
+            });
+        }, 500);
+
+        UI.showNotification(`Data restored from ${new Date(data.lastSaved).toLocaleString()}`);
+    },
+
+    /**
+     * Restore canvas drawings from saved data
+     */
+    async restoreCanvasDrawings(data) {
+        // Restore infinite canvas dimensions first
+        if (AppState.infiniteCanvas && data.infiniteCanvasWidth && data.infiniteCanvasHeight) {
+            AppState.infiniteCanvas.width = data.infiniteCanvasWidth;
+            AppState.infiniteCanvas.height = data.infiniteCanvasHeight;
+            Layers.resize();
+            Snapping.renderGuides();
+        }
+
+        // Images of drawings saved by older versions are loaded before the first render
+        await SceneModel.whenLoaded([...data.scenes.video, ...data.scenes.infinite]);
+        SceneModel.setObjects('video', data.scenes.video);
+        SceneModel.setObjects('infinite', data.scenes.infinite);
+        InfiniteCanvas.updateStyles();
+        console.log('Canvas drawings restored');
+
+        // Recreate uploaded images and PDF pages on their layers
+        await InfiniteCanvas.restoreMedia(data.media, async sourceId => {
+            const blob = await this.loadBlob(`source/${sourceId}`);
+            if (blob) this.persistedBlobs.set(this.blobKey(`source/${sourceId}`), sourceId);
+            return blob;
+        });
+        SceneModel.refreshMedia();
+    },
+
+    /**
+     * Loads an image element from a URL
+     * @param {string} url - Image source
+     * @returns {Promise<HTMLImageElement|null>} The loaded image, or null on error
+     */
+    loadImage(url) {
+        return new Promise(resolve => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => resolve(null);
+            img.src = url;
+        });
+    },
+
+    /**
+     * Clear all saved data
+     * @returns {Promise<boolean>} Whether the data was removed
+     */
+    async clearData() {
+        try {
+            await ProjectDB.transaction(['projects', 'blobs'], 'readwrite', tx => {
+                tx.objectStore('projects').delete(AppState.currentProjectId);
+                return ProjectDB.deleteProjectBlobs(tx, AppState.currentProjectId);
+            });
+            localStorage.removeItem(this.STORAGE_KEY);
+            this.persistedBlobs.clear();
+            console.log('Saved data cleared');
+            UI.showNotification('All saved data cleared');
+            return true;
+        } catch (error) {
+            console.error('Failed to clear saved data:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Auto-save data periodically
+     */
+    startAutoSave() {
+        // Save every 30 seconds
+        setInterval(() => {
+            this.saveData();
+        }, 30000);
+
+        // Save on page unload. The browser does not wait for IndexedDB on the way out, so this
+        // is a best effort on top of the saves that follow each change.
+        ['beforeunload', 'pagehide'].forEach(type => {
+            window.addEventListener(type, () => this.saveData());
+        });
+
+        // Save on visibility change (when tab becomes hidden)
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.saveData();
+            }
+        });
+    }
+};
+
+// =============================================================================
+// 14. PROJECT MANAGER
+// =============================================================================
+
+/**
+ * @namespace ProjectManager
+ * @description Manages multiple named projects and the project library screen
+ * Each project keeps its own video URL, timestamped drawings, canvases and media
+ */
+const ProjectManager = {
+    /**
+     * Generates a unique project id
+     * @returns {string} The new id
+     */
+    generateId() {
+        return 'project_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    },
+
+    /**
+     * Lists all saved projects, most recently saved first
+     * @returns {Promise<Object[]>} Project summaries (id, name, lastSaved, videoUrl)
+     */
+    async listProjects() {
+        const records = await ProjectDB.transaction('projects', 'readonly', tx =>
+            ProjectDB.promisify(tx.objectStore('projects').getAll())
+        );
+
+        return records
+            .filter(record => record && typeof record.id === 'string')
+            .map(({ id, name, lastSaved, createdAt, videoUrl }) => ({
+                id,
+                name: name || 'Untitled project',
+                lastSaved,
+                createdAt,
+                videoUrl
+            }))
+            .sort((a, b) => (b.lastSaved || '').localeCompare(a.lastSaved || ''));
+    },
+
+    /**
+     * Creates a new empty project and switches to it
+     * @param {string} name - Project name
+     * @returns {Promise<void>}
+     */
+    async create(name) {
+        await StorageManager.saveData();
+
+        this.resetWorkspace();
+        AppState.currentProjectId = this.generateId();
+        AppState.projectName = name || 'Untitled project';
+        AppState.projectCreatedAt = new Date().toISOString();
+        localStorage.setItem(StorageManager.CURRENT_PROJECT_KEY, AppState.currentProjectId);
+        this.updateProjectLabel();
+
+        await StorageManager.saveData();
+        this.hideLibrary();
+        UI.showNotification(`Created project "${AppState.projectName}"`);
+    },
+
+    /**
+     * Opens a saved project, saving the current one first
+     * @param {string} id - Project id
+     * @param {Object} [options]
+     * @param {boolean} [options.saveCurrent=true] - Save the open project before switching
+     * @returns {Promise<void>}
+     */
+    async open(id, { saveCurrent = true } = {}) {
+        if (saveCurrent && id === AppState.currentProjectId) {
+            this.hideLibrary();
+            return;
+        }
+
+        if (saveCurrent) {
+            await StorageManager.saveData();
+        }
+
+        let data;
+        try {
+            data = await StorageManager.readProject(id);
+        } catch (error) {
+            // readProject has kept a backup and told the user why
+            this.renderLibrary();
+            return;
+        }
+        if (!data) {
+            UI.showNotification('Project not found');
+            return;
+        }
+
+        this.resetWorkspace();
+        StorageManager.restoreData(data);
+        this.hideLibrary();
+    },
+
+    /**
+     * Renames a project
+     * @param {string} id - Project id
+     * @param {string} name - New name
+     * @returns {Promise<void>}
+     */
+    async rename(id, name) {
+        if (!name) return;
+
+        await ProjectDB.transaction('projects', 'readwrite', async tx => {
+            const store = tx.objectStore('projects');
+            const record = await ProjectDB.promisify(store.get(id));
+            if (record) store.put({ ...record, name });
+        });
+
+        if (id === AppState.currentProjectId) {
+            AppState.projectName = name;
+            this.updateProjectLabel();
+        }
+
+        this.renderLibrary();
+    },
+
+    /**
+     * Copies a project, including all of its drawings and canvas data
+     * @param {string} id - Project id to copy
+     * @returns {Promise<void>}
+     */
+    async duplicate(id) {
+        if (id === AppState.currentProjectId) {
+            await StorageManager.saveData();
+        }
+
+        const record = await ProjectDB.get('projects', id);
+        if (!record) return;
+
+        const blobs = await ProjectDB.getAllForProject('blobs', id);
+        const newId = this.generateId();
+        const now = new Date().toISOString();
+
+        await ProjectDB.transaction(['projects', 'blobs'], 'readwrite', tx => {
+            tx.objectStore('projects').put({
+                ...record,
+                id: newId,
+                name: `${record.name || 'Untitled project'} (copy)`,
+                createdAt: now,
+                lastSaved: now
+            });
+            blobs.forEach(blobRecord => {
+                tx.objectStore('blobs').put({
+                    ...blobRecord,
+                    key: StorageManager.blobKey(blobRecord.key.slice(id.length + 1), newId),
+                    projectId: newId
+                });
+            });
+        });
+
+        UI.showNotification(`Duplicated "${record.name || 'Untitled project'}"`);
+        this.renderLibrary();
+    },
+
+    /**
+     * Deletes a project and all of its stored data
+     * Opens the most recent remaining project (or a new one) if the open project is deleted
+     * @param {string} id - Project id
+     * @returns {Promise<void>}
+     */
+    async delete(id) {
+        const record = await ProjectDB.get('projects', id);
+        const name = record?.name || 'Untitled project';
+        if (!confirm(`Delete project "${name}"? This cannot be undone.`)) return;
+
+        await ProjectDB.transaction(['projects', 'blobs'], 'readwrite', tx => {
+            tx.objectStore('projects').delete(id);
+            return ProjectDB.deleteProjectBlobs(tx, id);
+        });
+
+        if (id === AppState.currentProjectId) {
+            const [latest] = await this.listProjects();
+            if (latest) {
+                await this.open(latest.id, { saveCurrent: false });
+            }
+            if (AppState.currentProjectId === id) {
+                this.resetWorkspace();
+                AppState.currentProjectId = this.generateId();
+                AppState.projectName = 'Untitled project';
+                AppState.projectCreatedAt = new Date().toISOString();
+                localStorage.setItem(StorageManager.CURRENT_PROJECT_KEY, AppState.currentProjectId);
+                this.updateProjectLabel();
+            }
+        }
+
+        UI.showNotification(`Deleted project "${name}"`);
+        this.renderLibrary();
+    },
+
+    /**
+     * Clears canvases, drawings, media and video so another project can be loaded
+     */
+    resetWorkspace() {
+        // Clear all canvases
+        if (AppState.ctx && AppState.canvas) {
+            AppState.ctx.clearRect(0, 0, AppState.canvas.width, AppState.canvas.height);
+        }
+        if (AppState.overlayCtx && AppState.overlayCanvas) {
+            AppState.overlayCtx.clearRect(0, 0, AppState.overlayCanvas.width, AppState.overlayCanvas.height);
+        }
+        if (AppState.infiniteCtx && AppState.infiniteCanvas) {
+            AppState.infiniteCtx.clearRect(0, 0, AppState.infiniteCanvas.width, AppState.infiniteCanvas.height);
+        }
+
+        // Close drawing mode if active
+        if (AppState.drawingMode) {
+            DrawingMode.close();
+        }
+
+        // Reset all drawing state
+        AppState.isDrawing = false;
+        AppState.infiniteDrawing = false;
+        AppState.startX = 0;
+        AppState.startY = 0;
+
+        // Reset text state
+        TextEditor.close();
+
+        // Clear timestamped drawings and reset timestamp state
+        AppState.timestampedDrawings = [];
+        AppState.currentTimestamp = null;
+        AppState.currentDrawingState = null;
+        TimestampManager.updateUI();
+
+        // Remove uploaded images and PDF pages
+        MediaHandler.clearAll();
+
+        // Forget the drawn objects and undo history of the previous workspace
+        ObjectSelection.clear();
+        SceneModel.reset();
+        Layers.restore();
+        Stamps.restore();
+        HistoryManager.clear();
+
+        // Reset PDF state
+        AppState.currentPDF = null;
+        AppState.currentPage = 1;
+        AppState.totalPages = 1;
+        AppState.lastUploadPosition = { x: 0, y: 0 };
+        InfiniteCanvas.hidePageControls();
+
+        // Stop the video and forget its URL
+        const urlInput = document.getElementById('youtubeUrl');
+        if (urlInput) urlInput.value = '';
+        if (AppState.player && typeof AppState.player.stopVideo === 'function') {
+            AppState.player.stopVideo();
+        }
+
+        StorageManager.persistedBlobs.clear();
+    },
+
+    /**
+     * Shows the open project's name in the toolbar
+     */
+    updateProjectLabel() {
+        const label = document.getElementById('currentProjectName');
+        if (label) {
+            label.textContent = AppState.projectName;
+            label.title = AppState.projectName;
+        }
+    },
+
+    /**
+     * Show the project library
+     */
+    showLibrary() {
+        document.getElementById('projectLibrary')?.classList.remove('hidden');
+        this.renderLibrary();
+    },
+
+    /**
+     * Hide the project library
+     */
+    hideLibrary() {
+        document.getElementById('projectLibrary')?.classList.add('hidden');
+    },
+
+    /**
+     * Render the project cards in the library
+     * @returns {Promise<void>}
+     */
+    async renderLibrary() {
+        const container = document.getElementById('projectList');
+        if (!container || document.getElementById('projectLibrary')?.classList.contains('hidden')) return;
+
+        // Make sure the open project's card reflects its latest state
+        await StorageManager.saveData();
+
+        let projects;
+        try {
+            projects = await this.listProjects();
+        } catch (error) {
+            console.error('Failed to list projects:', error);
+            container.innerHTML = '<p class="text-red-600 text-sm">Could not read saved projects.</p>';
+            return;
+        }
+
+        if (projects.length === 0) {
+            container.innerHTML = '<p class="text-gray-500 text-sm">No projects saved yet.</p>';
+            return;
+        }
+
+        const button = (text, className, onClick) => {
+            const element = document.createElement('button');
+            element.className = `px-2 py-1 text-white text-xs rounded transition-colors ${className}`;
+            element.textContent = text;
+            element.addEventListener('click', onClick);
+            return element;
+        };
+
+        const cards = projects.map(project => {
+            const card = document.createElement('div');
+            card.className = `flex flex-col bg-gray-50 rounded-lg border ${project.id === AppState.currentProjectId ? 'border-indigo-500' : 'border-gray-200'} overflow-hidden`;
+
+            const frame = document.createElement('div');
+            frame.className = 'aspect-video bg-white border-b cursor-pointer';
+            frame.addEventListener('click', () => this.open(project.id));
+            const image = document.createElement('img');
+            image.alt = 'Project thumbnail';
+            image.className = 'w-full h-full object-cover';
+            frame.appendChild(image);
+
+            const name = document.createElement('div');
+            name.className = 'font-medium text-gray-800 truncate';
+            name.title = project.name;
+            name.textContent = project.name;
+            const saved = document.createElement('div');
+            saved.className = 'text-xs text-gray-500';
+            saved.textContent = `Last saved: ${project.lastSaved ? new Date(project.lastSaved).toLocaleString() : 'never'}`;
+            const labels = document.createElement('div');
+            labels.append(name, saved);
+
+            const actions = document.createElement('div');
+            actions.className = 'flex gap-1 flex-wrap';
+            actions.append(
+                button('📂 Open', 'bg-indigo-500 hover:bg-indigo-600', () => this.open(project.id)),
+                button('✏️ Rename', 'bg-gray-500 hover:bg-gray-600', () => this.promptRename(project.id)),
+                button('📄 Duplicate', 'bg-gray-500 hover:bg-gray-600', () => this.duplicate(project.id)),
+                button('🗑️', 'bg-red-500 hover:bg-red-600', () => this.delete(project.id))
+            );
+
+            const details = document.createElement('div');
+            details.className = 'p-3 flex flex-col gap-2';
+            details.append(labels, actions);
+
+            card.append(frame, details);
+
+            // Thumbnails are stored as blobs and loaded after the cards are shown
+            StorageManager.loadBlobUrl('thumbnail', project.id).then(url => {
+                if (!url) return;
+                image.onload = () => URL.revokeObjectURL(url);
+                image.src = url;
+            });
+            return card;
+        });
+        container.replaceChildren(...cards);
+
+        this.renderBackups();
+    },
+
+    /**
+     * List backup copies of projects that could not be opened
+     * @returns {Promise<void>}
+     */
+    async renderBackups() {
+        const container = document.getElementById('backupList');
+        if (!container) return;
+
+        const backups = await StorageManager.listBackups().catch(() => []);
+        if (backups.length === 0) {
+            container.classList.add('hidden');
+            container.innerHTML = '';
+            return;
+        }
+
+        container.classList.remove('hidden');
+
+        const button = (text, className, onClick) => {
+            const element = document.createElement('button');
+            element.className = `px-2 py-1 text-white text-xs rounded transition-colors ${className}`;
+            element.textContent = text;
+            element.addEventListener('click', onClick);
+            return element;
+        };
+
+        const heading = document.createElement('h3');
+        heading.className = 'text-sm font-semibold text-gray-800 mb-2';
+        heading.textContent = '🛟 Backups of projects that could not be opened';
+
+        const rows = backups.map(backup => {
+            const name = document.createElement('div');
+            name.className = 'text-sm text-gray-800';
+            name.textContent = backup.name;
+            const details = document.createElement('div');
+            details.className = 'text-xs text-gray-500';
+            details.textContent = `${backup.reason === 'newer' ? 'Saved by a newer version' : 'Damaged'} · kept ${new Date(backup.createdAt).toLocaleString()}`;
+            const labels = document.createElement('div');
+            labels.append(name, details);
+
+            const actions = document.createElement('div');
+            actions.className = 'flex gap-1';
+            actions.append(
+                button('⬇️ Download', 'bg-blue-500 hover:bg-blue-600', () => StorageManager.downloadBackup(backup.id)),
+                button('🗑️', 'bg-red-500 hover:bg-red-600', () => StorageManager.deleteBackup(backup.id))
+            );
+
+            const row = document.createElement('div');
+            row.className = 'flex items-center justify-between p-2 bg-yellow-50 rounded-lg mb-2';
+            row.append(labels, actions);
+            return row;
+        });
+        container.replaceChildren(heading, ...rows);
+    },
+
+    /**
+     * Ask for a new project name and create the project
+     */
+    promptCreate() {
+        const name = prompt('Name for the new project:', 'Untitled project');
+        if (name !== null) {
+            this.create(name.trim() || 'Untitled project');
+        }
+    },
+
+    /**
+     * Ask for a new name for a project
+     * @param {string} id - Project id
+     */
+    async promptRename(id) {
+        const record = await ProjectDB.get('projects', id);
+        const name = prompt('Rename project:', record?.name || 'Untitled project');
+        if (name !== null && name.trim()) {
+            this.rename(id, name.trim());
+        }
+    }
+};
+
+// =============================================================================
+// 15. PROJECT BUNDLES (EXPORT / IMPORT)
+// =============================================================================
+
+/**
+ * @namespace ProjectBundle
+ * @description Exports the open project as a single portable JSON file and imports such files
+ * Images and PDFs are embedded as data URLs so the file can be handed to someone else as-is.
+ * Media files are embedded once in `sources`; media entries refer to them by `sourceId`.
+ */
+const ProjectBundle = {
+    FORMAT: 'tutorial-maker-project',
+    VERSION: 3,             // Bump when the bundle layout changes; see upgrade()
+    FILE_EXTENSION: '.tutorial.json',
+
+    /**
+     * Reads a Blob or URL into a data URL
+     * @param {Blob|string} source - Blob, data URL or object URL
+     * @returns {Promise<string>} The data URL
+     */
+    async toDataUrl(source) {
+        if (typeof source === 'string' && source.startsWith('data:')) return source;
+
+        const blob = typeof source === 'string' ? await StorageManager.urlToBlob(source) : source;
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    },
+
+    /**
+     * Builds the bundle object for the open project
+     * @returns {Promise<Object>} The bundle
+     */
+    async createBundle() {
+        const timestampedDrawings = AppState.timestampedDrawings.map(({ thumbnail, ...drawing }) => drawing);
+        const scenes = {
+            video: SceneModel.scenes.video,
+            infinite: SceneModel.scenes.infinite
+        };
+
+        // Stored images used by bitmap objects and stamps, and the stamp library
+        const bitmaps = [];
+        const bitmapNames = new Set([
+            ...SceneModel.getBitmapNames([
+                ...scenes.video,
+                ...scenes.infinite,
+                ...timestampedDrawings.flatMap(drawing => drawing.scene)
+            ]),
+            ...AppState.stamps.map(stamp => stamp.blob)
+        ]);
+        for (const name of bitmapNames) {
+            const blob = Stamps.pending.get(name) || await StorageManager.loadBlob(name);
+            if (blob) {
+                bitmaps.push({ name, data: await this.toDataUrl(blob) });
+            }
+        }
+
+        const media = MediaHandler.serialize();
+        const sources = [];
+        for (const sourceId of new Set(media.map(item => item.sourceId))) {
+            const blob = MediaHandler.sources.get(sourceId);
+            if (blob) {
+                sources.push({ id: sourceId, data: await this.toDataUrl(blob) });
+            }
+        }
+
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            exportedAt: new Date().toISOString(),
+            project: {
+                name: AppState.projectName,
+                createdAt: AppState.projectCreatedAt,
+                videoUrl: document.getElementById('youtubeUrl')?.value || ''
+            },
+            settings: {
+                currentColor: AppState.currentColor,
+                palette: AppState.palette,
+                brushSize: AppState.brushSize,
+                shapeStyle: AppState.shapeStyle,
+                fontSize: AppState.fontSize,
+                fontFamily: AppState.fontFamily,
+                textStyle: AppState.textStyle,
+                layers: Layers.serialize(),
+                snapping: AppState.snapping,
+                stepStyle: AppState.stepStyle,
+                maskStyle: AppState.maskStyle,
+                magnifierStyle: AppState.magnifierStyle,
+                stampStyle: AppState.stampStyle,
+                stamps: AppState.stamps,
+                codeStyle: AppState.codeStyle,
+                infiniteHorizontal: AppState.infiniteHorizontal,
+                a4WidthPercent: AppState.a4WidthPercent,
+                a4HeightPercent: AppState.a4HeightPercent
+            },
+            timestampedDrawings,
+            scenes,
+            bitmaps,
+            canvases: {
+                infiniteWidth: AppState.infiniteCanvas?.width || 0,
+                infiniteHeight: AppState.infiniteCanvas?.height || 0
+            },
+            sources,
+            media
+        };
+    },
+
+    /**
+     * Downloads the open project as a bundle file
+     * @returns {Promise<void>}
+     */
+    async exportProject() {
+        try {
+            const bundle = await this.createBundle();
+            const blob = new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const fileName = (AppState.projectName || 'tutorial').replace(/[^a-z0-9-_ ]/gi, '').trim() || 'tutorial';
+            const link = document.createElement('a');
+            link.download = fileName + this.FILE_EXTENSION;
+            link.href = url;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+            UI.showNotification(`Exported "${AppState.projectName}"`);
+        } catch (error) {
+            console.error('Failed to export project:', error);
+            UI.showNotification('Failed to export project');
+        }
+    },
+
+    /**
+     * Open the file dialog for importing a bundle
+     */
+    triggerImport() {
+        const fileInput = document.getElementById('projectFileInput');
+        fileInput.onchange = (e) => {
+            const file = e.target.files[0];
+            if (file) this.importProject(file);
+            // Clear the input so the same file can be selected again
+            e.target.value = '';
+        };
+        fileInput.click();
+    },
+
+    /**
+     * Checks the format marker and version of a parsed bundle
+     * @param {Object} bundle - Parsed bundle
+     * @returns {string|null} Error message, or null if the bundle can be read
+     */
+    checkHeader(bundle) {
+        if (!bundle || typeof bundle !== 'object') return 'not a project file';
+        if (bundle.format !== this.FORMAT) return 'not a Tutorial Maker project';
+        if (!Number.isInteger(bundle.version) || bundle.version < 1) return 'missing version';
+        if (bundle.version > this.VERSION) return 'made by a newer version of Tutorial Maker';
+        return null;
+    },
+
+    /**
+     * Upgrades a bundle written by an older version to the current layout
+     * @param {Object} bundle - Parsed bundle
+     * @returns {Object} Bundle in the current layout
+     */
+    upgrade(bundle) {
+        // Version 1 embedded each media item's image inline as `src`
+        if (bundle.version === 1) {
+            const media = Array.isArray(bundle.media) ? bundle.media : [];
+            bundle = {
+                ...bundle,
+                version: 2,
+                sources: media.map((item, index) => ({ id: `source_v1_${index}`, data: item?.src })),
+                media: media.map(({ src, ...item }, index) => ({
+                    ...item,
+                    id: `media_v1_${index}`,
+                    sourceId: `source_v1_${index}`
+                }))
+            };
+        }
+
+        // Version 2 stored each canvas and drawing as a PNG; they become bitmap objects
+        if (bundle.version === 2) {
+            const canvases = bundle.canvases || {};
+            const drawings = Array.isArray(bundle.timestampedDrawings) ? bundle.timestampedDrawings : [];
+            const bitmaps = [];
+            const bitmap = (name, data) => {
+                bitmaps.push({ name, data });
+                return {
+                    id: `bitmap-${name.replace('/', '-')}`,
+                    type: 'bitmap',
+                    blob: name,
+                    x: 0,
+                    y: 0,
+                    width: null,
+                    height: null,
+                    transform: { x: 0, y: 0, scaleX: 1, scaleY: 1, rotation: 0 }
+                };
+            };
+
+            bundle = {
+                ...bundle,
+                version: 3,
+                timestampedDrawings: drawings.map(drawing => {
+                    if (!drawing) return drawing;
+                    const { drawingData, ...rest } = drawing;
+                    return { ...rest, scene: drawingData ? [bitmap(`drawing/${drawing.id}`, drawingData)] : [] };
+                }),
+                scenes: {
+                    video: canvases.main ? [bitmap('main', canvases.main)] : [],
+                    infinite: canvases.infinite ? [bitmap('infinite', canvases.infinite)] : []
+                },
+                bitmaps,
+                canvases: {
+                    infiniteWidth: canvases.infiniteWidth,
+                    infiniteHeight: canvases.infiniteHeight
+                }
+            };
+        }
+
+        return bundle;
+    },
+
+    /**
+     * Checks that a bundle in the current layout is well-formed
+     * @param {Object} bundle - Bundle after upgrade()
+     * @returns {string|null} Error message, or null if the bundle is valid
+     */
+    validate(bundle) {
+        const isImage = value => typeof value === 'string' && value.startsWith('data:image/');
+        const isScene = scene => Array.isArray(scene) && scene.every(object => SceneModel.isValidObject(object));
+        const isBitmapName = name => typeof name === 'string' && /^(main|infinite|(drawing|bitmap|stamp)\/[\w.-]+)$/.test(name);
+        const isSource = value => typeof value === 'string' &&
+            (value.startsWith('data:image/') || value.startsWith('data:application/pdf'));
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+
+        if (!bundle.project || typeof bundle.project !== 'object') return 'missing project details';
+        if (!Array.isArray(bundle.timestampedDrawings)) return 'missing drawings';
+        if (!Array.isArray(bundle.media) || !Array.isArray(bundle.sources)) return 'missing media';
+
+        const badDrawing = bundle.timestampedDrawings.some(drawing =>
+            !drawing || !Number.isFinite(drawing.id) || !isNumber(drawing.time) || !isScene(drawing.scene)
+        );
+        if (badDrawing) return 'contains an invalid drawing';
+
+        if (!bundle.scenes || !isScene(bundle.scenes.video) || !isScene(bundle.scenes.infinite)) {
+            return 'contains invalid canvas drawings';
+        }
+        if (!Array.isArray(bundle.bitmaps) || bundle.bitmaps.some(bitmap => !bitmap || !isBitmapName(bitmap.name) || !isImage(bitmap.data))) {
+            return 'contains an invalid canvas image';
+        }
+
+        if (bundle.sources.some(source => !source || typeof source.id !== 'string' || !isSource(source.data))) {
+            return 'contains an invalid media file';
+        }
+
+        const sourceIds = new Set(bundle.sources.map(source => source.id));
+        const badMedia = bundle.media.some(media =>
+            !media || !['image', 'pdf-page', 'equation', 'code'].includes(media.type) ||
+            (media.type === 'equation' ? typeof media.latex !== 'string'
+                : media.type === 'code' ? typeof media.code?.text !== 'string'
+                : !sourceIds.has(media.sourceId)) ||
+            (media.type === 'pdf-page' && !Number.isInteger(media.pageNumber)) ||
+            !isNumber(media.x) || !isNumber(media.y) || !isNumber(media.width) || !isNumber(media.height)
+        );
+        if (badMedia) return 'contains invalid media';
+
+        return null;
+    },
+
+    /**
+     * Imports a bundle file as a new project and opens it
+     * @param {File} file - Bundle file chosen by the user
+     * @returns {Promise<void>}
+     */
+    async importProject(file) {
+        let bundle;
+        try {
+            bundle = JSON.parse(await file.text());
+        } catch (error) {
+            UI.showNotification('Invalid project file: not valid JSON');
+            return;
+        }
+
+        let problem = this.checkHeader(bundle);
+        if (!problem) {
+            bundle = this.upgrade(bundle);
+            problem = this.validate(bundle);
+        }
+        if (problem) {
+            UI.showNotification(`Invalid project file: ${problem}`);
+            return;
+        }
+
+        try {
+            await StorageManager.saveData();
+
+            const projectId = ProjectManager.generateId();
+            const now = new Date().toISOString();
+            const canvases = bundle.canvases || {};
+            const blobs = [];
+
+            for (const bitmap of bundle.bitmaps) {
+                blobs.push({ key: StorageManager.blobKey(bitmap.name, projectId), blob: await StorageManager.urlToBlob(bitmap.data) });
+            }
+            for (const source of bundle.sources) {
+                blobs.push({ key: StorageManager.blobKey(`source/${source.id}`, projectId), blob: await StorageManager.urlToBlob(source.data) });
+            }
+
+            await ProjectDB.transaction(['projects', 'blobs'], 'readwrite', tx => {
+                tx.objectStore('projects').put({
+                    ...SchemaMigrations.normalizeSettings(bundle.settings),
+                    schemaVersion: SchemaMigrations.CURRENT_VERSION,
+                    id: projectId,
+                    name: bundle.project.name || file.name.replace(this.FILE_EXTENSION, ''),
+                    createdAt: bundle.project.createdAt || now,
+                    videoUrl: bundle.project.videoUrl || '',
+                    // Labels are rebuilt from the time rather than trusted from the file
+                    timestampedDrawings: bundle.timestampedDrawings.map(drawing => ({
+                        ...drawing,
+                        timeFormatted: TimeUtils.format(drawing.time),
+                        videoTimestamp: TimeUtils.format(drawing.time)
+                    })),
+                    scenes: bundle.scenes,
+                    infiniteCanvasWidth: canvases.infiniteWidth || 0,
+                    infiniteCanvasHeight: canvases.infiniteHeight || 0,
+                    media: bundle.media,
+                    lastSaved: now
+                });
+                blobs.forEach(({ key, blob }) => {
+                    tx.objectStore('blobs').put({ key, projectId, blob });
+                });
+            });
+
+            await ProjectManager.open(projectId, { saveCurrent: false });
+
+            UI.showNotification(`Imported "${AppState.projectName}"`);
+        } catch (error) {
+            console.error('Failed to import project:', error);
+            UI.showNotification('Failed to import project');
+        }
+    }
+};
+
+// =============================================================================
+// 16. HISTORY (UNDO / REDO)
+// =============================================================================
+
+/**
+ * @namespace HistoryManager
+ * @description Undo/redo history with one stack per canvas
+ * The 'video' stack covers the annotation canvas over the player, the 'infinite' stack
+ * covers the infinite canvas and its media. Drawing edits store snapshots of the scene
+ * (see SceneModel); media moves and timestamp saves are stored as undo/redo callbacks.
+ * Undo and redo act on the canvas that was used last. Each timestamped drawing has its
+ * own video stack, kept aside while another drawing is shown (see showVideoDrawing).
+ */
+const HistoryManager = {
+    LIMIT_KEY: 'tutorial_maker_history_limit', // localStorage key for the memory cap
+    DEFAULT_LIMIT_MB: 64,
+    REFERENCE_SIZE: 8,      // Estimated bytes per object reference held by an entry
+    DRAWING_SIZE: 100,      // Estimated bytes per copied timestamped drawing entry (its scene is shared)
+
+    stacks: {
+        video: { undo: [], redo: [] },
+        infinite: { undo: [], redo: [] }
+    },
+    drawingStacks: new Map(), // Timestamped drawing id -> its video stack while not shown
+    videoDrawingId: null,   // Timestamped drawing the video stack belongs to
+    activeCanvas: 'video',  // Stack targeted by undo/redo
+    memoryLimitMB: 64,      // Total size of all entries before the oldest are dropped
+    sequence: 0,            // Orders entries across both stacks
+
+    /**
+     * Load the saved memory cap and update the toolbar
+     */
+    init() {
+        const savedLimit = Number(localStorage.getItem(this.LIMIT_KEY));
+        this.memoryLimitMB = savedLimit > 0 ? savedLimit : this.DEFAULT_LIMIT_MB;
+
+        const limitSelect = document.getElementById('historyLimit');
+        if (limitSelect) limitSelect.value = String(this.memoryLimitMB);
+
+        this.updateButtons();
+    },
+
+    /**
+     * Change the memory cap
+     * @param {number} limitMB - New cap in megabytes
+     */
+    setMemoryLimit(limitMB) {
+        this.memoryLimitMB = Math.max(1, Number(limitMB) || this.DEFAULT_LIMIT_MB);
+        localStorage.setItem(this.LIMIT_KEY, String(this.memoryLimitMB));
+        this.enforceLimit();
+        this.updateButtons();
+    },
+
+    /**
+     * Make a canvas the target of undo/redo
+     * @param {string} canvasKey - 'video' or 'infinite'
+     */
+    setActive(canvasKey) {
+        if (this.activeCanvas !== canvasKey) {
+            this.activeCanvas = canvasKey;
+            this.updateButtons();
+        }
+    },
+
+    /**
+     * Swap in the video stack of the timestamped drawing now shown
+     * The stack of the drawing shown before is kept, so switching drawings (also during
+     * playback) does not lose it. A blank video drawing starts with an empty stack.
+     * @param {number|null} drawingId - Drawing shown on the video, or null for none
+     */
+    showVideoDrawing(drawingId) {
+        if (drawingId !== null && drawingId === this.videoDrawingId) return;
+
+        if (this.videoDrawingId !== null) this.drawingStacks.set(this.videoDrawingId, this.stacks.video);
+        this.stacks.video = (drawingId !== null && this.drawingStacks.get(drawingId)) || { undo: [], redo: [] };
+        this.drawingStacks.delete(drawingId);
+        this.videoDrawingId = drawingId;
+        this.updateButtons();
+    },
+
+    /**
+     * Hand the video stack to a drawing, once the edits in it were saved as that drawing
+     * @param {number} drawingId - Timestamped drawing id
+     */
+    assignVideoDrawing(drawingId) {
+        this.drawingStacks.delete(drawingId);
+        this.videoDrawingId = drawingId;
+    },
+
+    /**
+     * Forget the kept stack of a deleted timestamped drawing
+     * @param {number} drawingId - Timestamped drawing id
+     */
+    forgetVideoDrawing(drawingId) {
+        this.drawingStacks.delete(drawingId);
+    },
+
+    /**
+     * Push a change of a canvas scene onto its stack
+     * Scene lists are never modified in place, so the snapshots share their objects
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @param {string} label - Description shown in the undo/redo button titles
+     * @param {Object[]} before - Objects before the change
+     * @param {Object[]} after - Objects after the change
+     */
+    recordSceneChange(canvasKey, label, before, after) {
+        const previous = new Set(before);
+        const added = after.filter(object => !previous.has(object));
+
+        this.push(canvasKey, {
+            label,
+            size: (before.length + after.length) * this.REFERENCE_SIZE + added.reduce((sum, object) => sum + SceneModel.estimateSize(object), 0),
+            undo: () => SceneModel.setObjects(canvasKey, before),
+            redo: () => SceneModel.setObjects(canvasKey, after)
+        });
+    },
+
+    /**
+     * Push an entry onto a stack
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @param {Object} entry - { label, size, undo(), redo() }
+     */
+    push(canvasKey, entry) {
+        const stack = this.stacks[canvasKey];
+        stack.undo.push({ ...entry, size: entry.size || 0, sequence: ++this.sequence });
+        stack.redo = [];
+
+        this.activeCanvas = canvasKey;
+        this.enforceLimit();
+        this.updateButtons();
+    },
+
+    /**
+     * Undo the last change on a canvas
+     * @param {string} [canvasKey] - Defaults to the active canvas
+     */
+    undo(canvasKey = this.activeCanvas) {
+        const stack = this.stacks[canvasKey];
+        const entry = stack.undo.pop();
+        if (!entry) {
+            UI.showNotification('Nothing to undo');
+            return;
+        }
+
+        entry.undo();
+        stack.redo.push(entry);
+        this.afterChange(canvasKey);
+    },
+
+    /**
+     * Redo the last undone change on a canvas
+     * @param {string} [canvasKey] - Defaults to the active canvas
+     */
+    redo(canvasKey = this.activeCanvas) {
+        const stack = this.stacks[canvasKey];
+        const entry = stack.redo.pop();
+        if (!entry) {
+            UI.showNotification('Nothing to redo');
+            return;
+        }
+
+        entry.redo();
+        stack.undo.push(entry);
+        this.afterChange(canvasKey);
+    },
+
+    /**
+     * Refresh dependent state after an undo or redo
+     * @param {string} canvasKey - 'video' or 'infinite'
+     */
+    afterChange(canvasKey) {
+        this.updateButtons();
+
+        // Auto-save the restored state
+        setTimeout(() => StorageManager.saveData(), 100);
+    },
+
+    /**
+     * Forget the history of one or both canvases
+     * @param {string} [canvasKey] - Stack to clear; both, and those of all drawings, when omitted
+     */
+    clear(canvasKey) {
+        const keys = canvasKey ? [canvasKey] : Object.keys(this.stacks);
+        keys.forEach(key => {
+            this.stacks[key] = { undo: [], redo: [] };
+        });
+        if (!canvasKey) {
+            this.drawingStacks.clear();
+            this.videoDrawingId = null;
+        }
+        this.updateButtons();
+    },
+
+    /**
+     * Drop the oldest entries until all stacks fit in the memory cap
+     */
+    enforceLimit() {
+        const limitBytes = this.memoryLimitMB * 1024 * 1024;
+        const allStacks = () => [...Object.values(this.stacks), ...this.drawingStacks.values()];
+        const allEntries = () => allStacks().flatMap(stack => [...stack.undo, ...stack.redo]);
+        let total = allEntries().reduce((sum, entry) => sum + entry.size, 0);
+
+        while (total > limitBytes) {
+            const oldest = allEntries().reduce((min, entry) => (!min || entry.sequence < min.sequence ? entry : min), null);
+            if (!oldest) break;
+
+            allStacks().forEach(stack => {
+                stack.undo = stack.undo.filter(entry => entry !== oldest);
+                stack.redo = stack.redo.filter(entry => entry !== oldest);
+            });
+            total -= oldest.size;
+        }
+    },
+
+    /**
+     * Enable/disable the toolbar buttons and describe what they will do
+     */
+    updateButtons() {
+        const stack = this.stacks[this.activeCanvas];
+        const canvasName = this.activeCanvas === 'infinite' ? 'infinite canvas' : 'video drawing';
+        const nextUndo = stack.undo[stack.undo.length - 1];
+        const nextRedo = stack.redo[stack.redo.length - 1];
+
+        const undoBtn = document.getElementById('undoBtn');
+        if (undoBtn) {
+            undoBtn.disabled = !nextUndo;
+            undoBtn.classList.toggle('opacity-50', !nextUndo);
+            undoBtn.title = nextUndo ? `Undo ${nextUndo.label} on ${canvasName} (Ctrl+Z)` : `Nothing to undo on ${canvasName}`;
+        }
+
+        const redoBtn = document.getElementById('redoBtn');
+        if (redoBtn) {
+            redoBtn.disabled = !nextRedo;
+            redoBtn.classList.toggle('opacity-50', !nextRedo);
+            redoBtn.title = nextRedo ? `Redo ${nextRedo.label} on ${canvasName} (Ctrl+Shift+Z)` : `Nothing to redo on ${canvasName}`;
+        }
+    },
+
+    /**
+     * Handle undo/redo keyboard shortcuts
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeydown(e) {
+        if (!(e.ctrlKey || e.metaKey) || AppState.isTyping) return;
+
+        // Leave text fields their own undo
+        const tag = e.target?.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || e.target?.isContentEditable) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            this.redo();
+        }
+    }
+};
+
+// =============================================================================
+// 17. SCENE MODEL
+// =============================================================================
+
+/**
+ * @namespace SceneModel
+ * @description Retained document model for everything drawn on the two canvases
+ * Each canvas ('video' over the player, 'infinite' for notes) holds an ordered list of
+ * plain JSON objects that is rendered to its bitmap from scratch, so drawings can be
+ * saved compactly and edited later. Every object has `id`, `type`, `style` and
+ * `transform` ({x, y, scaleX, scaleY, rotation}, applied on top of the geometry):
+ * - 'stroke' / 'erase': `points` (pen points also carry `pressure`); 'erase' removes the
+ *   ink drawn before it. Pencil strokes may be `smooth` (curved) and `taper`ed
+ * - 'line' / 'arrow' / 'rectangle': `points` [start, end]; arrows also have `headLength`,
+ *   rectangles may have a `cornerRadius`
+ * - 'circle': `center`, `radius`; 'ellipse': `center`, `radiusX`, `radiusY`
+ * - 'polygon': closed outline through `points`
+ * - 'curve': cubic bezier, `points` [start, control 1, control 2, end]
+ * - 'callout': speech bubble, `points` [corner, opposite corner], `cornerRadius` and the
+ *   `tail` point it points at
+ * - 'highlight': `points`; a flat, translucent band multiplied over the content. On screen
+ *   highlights get a canvas of their own with `mix-blend-mode: multiply`, so they also
+ *   tint the video, images and PDF pages below them (see splitHighlights)
+ * `style` holds `color` and `width`; shapes may add `opacity`, `dash` ('solid', 'dashed',
+ * 'dotted'), `fill` (a color) and, for arrows, `arrowHead` ('open', 'filled', 'double').
+ * - 'text': `x`, `y`, `text`, `font` ({size, family, bold, italic, underline}), `align`,
+ *   `lineSpacing`, `wrapWidth` (0 for none), `background` (a color) and the measured
+ *   `width`/`height`
+ * - 'bitmap': `blob` (name of a stored image), `x`, `y`, `width`, `height` - used for
+ *   drawings saved as images before the scene model existed
+ * Shapes recognised from pencil strokes keep the stroke as `rawInk` so it can be restored.
+ * Geometry is in canvas pixels. Lists and objects are replaced, never modified in place,
+ * so undo history and timestamped drawings can share them.
+ */
+const SceneModel = {
+    TAPER_WIDTHS: 6,            // Length of tapered stroke ends, in brush widths
+    TAPER_MIN: 0.15,            // Width at the very tip of a tapered end
+    HIGHLIGHT_WIDTH: 4,         // Highlighter width, in brush sizes
+    HIGHLIGHT_OPACITY: 0.4,
+    TEXT_PADDING: 0.25,         // Margin of text backgrounds, in font sizes
+    DASH_PATTERNS: {            // Line dashes, in line widths
+        solid: [],
+        dashed: [3, 2],
+        dotted: [0, 2]
+    },
+    MEDIA_TYPES: ['obscure', 'magnifier'], // Objects drawn from the uploaded media
+
+    scenes: { video: [], infinite: [] }, // Objects of each canvas in paint order
+    images: new Map(),          // Blob key -> loaded bitmap image (null if missing)
+    pendingImages: new Map(),   // Blob key -> in-flight image load
+    renderQueued: false,        // A re-render is waiting for the next frame
+    measureContext: null,       // Offscreen context used to lay out text
+
+    /**
+     * Generates a unique object id
+     * @returns {string} Object id
+     */
+    generateId() {
+        return `obj_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    },
+
+    /**
+     * Creates a new scene object
+     * @param {string} type - Object type
+     * @param {Object} props - Geometry and style of the object
+     * @returns {Object} The object with a fresh id and an identity transform
+     */
+    createObject(type, props) {
+        return {
+            id: this.generateId(),
+            type,
+            transform: { x: 0, y: 0, scaleX: 1, scaleY: 1, rotation: 0 },
+            ...props
+        };
+    },
+
+    /**
+     * Checks that a saved object can be rendered
+     * Each type must have the geometry drawObject() reads, since one broken object would
+     * stop the whole scene from rendering.
+     * @param {*} object - Object read from storage or a bundle
+     * @returns {boolean} Whether the object is usable
+     */
+    isValidObject(object) {
+        if (!object || typeof object !== 'object' || typeof object.id !== 'string') return false;
+
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+        const isSize = value => isNumber(value) && value >= 0;
+        const isPoint = point => !!point && isNumber(point.x) && isNumber(point.y);
+        const hasPoints = (points, min) => Array.isArray(points) && points.length >= min && points.every(isPoint);
+        if (object.rawInk !== undefined && !this.isValidObject(object.rawInk)) return false;
+
+        switch (object.type) {
+            case 'stroke':
+            case 'erase':
+            case 'highlight':
+            case 'polygon':
+                return hasPoints(object.points, 1);
+            case 'line':
+            case 'arrow':
+            case 'rectangle':
+            case 'spotlight':
+            case 'obscure':
+            case 'redact':
+                return hasPoints(object.points, 2);
+            case 'callout':
+                return hasPoints(object.points, 2) && (object.tail === undefined || object.tail === null || isPoint(object.tail));
+            case 'curve':
+                return hasPoints(object.points, 4);
+            case 'circle':
+                return isPoint(object.center) && isSize(object.radius);
+            case 'ellipse':
+                return isPoint(object.center) && isSize(object.radiusX) && isSize(object.radiusY);
+            case 'text':
+                return isPoint(object) && typeof object.text === 'string' && !!object.font && typeof object.font === 'object';
+            case 'step':
+            case 'stamp':
+                return isPoint(object) && isSize(object.size);
+            case 'magnifier':
+                return hasPoints(object.points, 2) && hasPoints(object.source, 2);
+            case 'bitmap':
+                return typeof object.blob === 'string';
+            default:
+                return false;
+        }
+    },
+
+    /**
+     * Rough memory cost of an object, used by the undo history cap
+     * @param {Object} object - Scene object
+     * @returns {number} Size in bytes
+     */
+    estimateSize(object) {
+        return 200 + (object.points?.length || 0) * 32 + (object.text?.length || 0) * 2 +
+            (object.rawInk ? this.estimateSize(object.rawInk) : 0);
+    },
+
+    /**
+     * Get the canvas and context a scene is rendered to
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @returns {{canvas: HTMLCanvasElement, ctx: CanvasRenderingContext2D}}
+     */
+    getTarget(canvasKey) {
+        return canvasKey === 'infinite'
+            ? { canvas: AppState.infiniteCanvas, ctx: AppState.infiniteCtx }
+            : { canvas: AppState.canvas, ctx: AppState.ctx };
+    },
+
+    /**
+     * Replace the objects of a scene without recording history
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @param {Object[]} objects - New object list
+     */
+    setObjects(canvasKey, objects) {
+        this.scenes[canvasKey] = objects;
+        this.render(canvasKey);
+        ObjectSelection.sync(canvasKey);
+    },
+
+    /**
+     * Replace the objects of a scene as an undoable user change and auto-save
+     * Step markers are renumbered first
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @param {Object[]} objects - New object list
+     * @param {string} label - Description for the undo history
+     * @param {Object[]} [before] - Objects before the change, when a drag has already shown it
+     */
+    commit(canvasKey, objects, label, before = this.scenes[canvasKey]) {
+        objects = StepMarkers.renumber(canvasKey, objects);
+        this.setObjects(canvasKey, objects);
+        HistoryManager.recordSceneChange(canvasKey, label, before, objects);
+
+        // Auto-save after drawing completion
+        setTimeout(() => StorageManager.saveData(), 100);
+    },
+
+    /**
+     * Add an object on top of a scene
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @param {Object} object - Object to add
+     */
+    add(canvasKey, object) {
+        if (canvasKey === 'infinite' && !object.layer) object = { ...object, layer: AppState.activeLayerId };
+        this.commit(canvasKey, [...this.scenes[canvasKey], object], object.type === 'erase' ? 'eraser stroke' : object.type);
+    },
+
+    /**
+     * Remove every object from a scene as an undoable user change
+     * @param {string} canvasKey - 'video' or 'infinite'
+     */
+    clear(canvasKey) {
+        this.commit(canvasKey, [], 'clear');
+    },
+
+    /**
+     * Forget both scenes and the loaded bitmaps (when switching projects)
+     */
+    reset() {
+        this.scenes = { video: [], infinite: [] };
+        this.images.clear();
+        this.pendingImages.clear();
+        this.render('video');
+        this.render('infinite');
+    },
+
+    /**
+     * Draw a scene onto its canvas from scratch
+     * The infinite scene is drawn onto its layer canvases, above the page separators
+     * @param {string} canvasKey - 'video' or 'infinite'
+     */
+    render(canvasKey) {
+        // Text being edited is shown by the editor instead
+        const objects = this.scenes[canvasKey].filter(object => object.id !== TextEditor.editingId);
+        if (canvasKey === 'infinite') {
+            Layers.render(objects);
+            return;
+        }
+
+        const { canvas, ctx } = this.getTarget(canvasKey);
+        if (!canvas || !ctx) return;
+
+        const { ink, highlights } = this.splitHighlights(objects);
+        this.clearCanvas(canvas);
+        this.drawObjects(ctx, ink);
+        if (AppState.highlightCanvas) {
+            this.clearCanvas(AppState.highlightCanvas);
+            this.drawObjects(AppState.highlightCanvas.getContext('2d'), highlights);
+        }
+    },
+
+    /**
+     * Clear a whole canvas, whatever transform its context has
+     * @param {HTMLCanvasElement} canvas - Canvas to clear
+     */
+    clearCanvas(canvas) {
+        const ctx = canvas.getContext('2d');
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.restore();
+    },
+
+    /**
+     * Split objects between a surface's ink canvas and its highlight canvas
+     * A canvas' blend mode only mixes it with what lies below the element, so highlights
+     * are drawn on their own canvas blended with `mix-blend-mode: multiply`. Eraser
+     * strokes go to both canvases so they still remove highlights drawn before them.
+     * @param {Object[]} objects - Objects in paint order
+     * @returns {{ink: Object[], highlights: Object[]}}
+     */
+    splitHighlights(objects) {
+        const hasHighlights = objects.some(object => object.type === 'highlight');
+        return {
+            ink: hasHighlights ? objects.filter(object => object.type !== 'highlight') : objects,
+            highlights: hasHighlights ? objects.filter(object => object.type === 'highlight' || object.type === 'erase') : []
+        };
+    },
+
+    /**
+     * Redraw the infinite canvas after media moved, changed or loaded, if objects show media
+     */
+    refreshMedia() {
+        if (this.scenes.infinite.some(object => this.MEDIA_TYPES.includes(object.type))) {
+            this.render('infinite');
+        }
+    },
+
+    /**
+     * Re-render both canvases on the next frame (e.g. once a bitmap has loaded)
+     * Waits while the user is drawing so live ink and previews are not wiped
+     */
+    queueRender() {
+        if (this.renderQueued) return;
+        this.renderQueued = true;
+
+        requestAnimationFrame(() => {
+            this.renderQueued = false;
+            if (AppState.isDrawing || AppState.infiniteDrawing) {
+                setTimeout(() => this.queueRender(), 100);
+                return;
+            }
+            this.render('video');
+            this.render('infinite');
+        });
+    },
+
+    /**
+     * Draw a list of objects
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object[]} objects - Objects in paint order
+     */
+    drawObjects(ctx, objects) {
+        objects.forEach(object => this.drawObject(ctx, object));
+    },
+
+    /**
+     * Draw a single object with its style and transform
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object} object - Scene object
+     */
+    drawObject(ctx, object) {
+        const style = object.style || {};
+        const transform = object.transform || {};
+
+        ctx.save();
+        ctx.translate(transform.x || 0, transform.y || 0);
+        ctx.rotate(transform.rotation || 0);
+        ctx.scale(transform.scaleX ?? 1, transform.scaleY ?? 1);
+
+        ctx.globalCompositeOperation = object.type === 'erase' ? 'destination-out' : 'source-over';
+        ctx.globalAlpha = style.opacity ?? 1;
+        ctx.shadowBlur = 0;
+        ctx.setLineDash(this.getDashPattern(style));
+        ctx.strokeStyle = style.color || '#000000';
+        ctx.fillStyle = style.color || '#000000';
+        ctx.lineWidth = style.width || 1;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        switch (object.type) {
+            case 'stroke':
+            case 'erase':
+                this.strokeFreehand(ctx, object);
+                break;
+            case 'line':
+                this.tracePolyline(ctx, object.points);
+                ctx.stroke();
+                break;
+            case 'highlight':
+                // One path, so the band never darkens where it crosses itself
+                ctx.globalCompositeOperation = 'multiply';
+                ctx.globalAlpha = style.opacity ?? this.HIGHLIGHT_OPACITY;
+                ctx.lineCap = 'butt';
+                this.tracePolyline(ctx, object.points);
+                ctx.stroke();
+                break;
+            case 'arrow': {
+                const [start, end] = object.points;
+                this.tracePolyline(ctx, object.points);
+                ctx.stroke();
+
+                // Heads are always drawn solid
+                ctx.setLineDash([]);
+                this.drawArrowHead(ctx, start, end, object.headLength || 15, style.arrowHead);
+                if (style.arrowHead === 'double') {
+                    this.drawArrowHead(ctx, end, start, object.headLength || 15, style.arrowHead);
+                }
+                break;
+            }
+            case 'rectangle': {
+                const [start, end] = object.points;
+                if (object.cornerRadius) {
+                    this.traceRoundedRect(ctx, start, end, object.cornerRadius);
+                    this.fillAndStroke(ctx, style);
+                    break;
+                }
+                if (style.fill) {
+                    ctx.fillStyle = style.fill;
+                    ctx.fillRect(start.x, start.y, end.x - start.x, end.y - start.y);
+                }
+                ctx.strokeRect(start.x, start.y, end.x - start.x, end.y - start.y);
+                break;
+            }
+            case 'circle':
+                ctx.beginPath();
+                ctx.arc(object.center.x, object.center.y, object.radius, 0, Math.PI * 2);
+                this.fillAndStroke(ctx, style);
+                break;
+            case 'ellipse':
+                ctx.beginPath();
+                ctx.ellipse(object.center.x, object.center.y, object.radiusX, object.radiusY, 0, 0, Math.PI * 2);
+                this.fillAndStroke(ctx, style);
+                break;
+            case 'polygon':
+                this.tracePolyline(ctx, object.points);
+                ctx.closePath();
+                this.fillAndStroke(ctx, style);
+                break;
+            case 'curve': {
+                const [start, control1, control2, end] = object.points;
+                ctx.beginPath();
+                ctx.moveTo(start.x, start.y);
+                ctx.bezierCurveTo(control1.x, control1.y, control2.x, control2.y, end.x, end.y);
+                ctx.stroke();
+                break;
+            }
+            case 'callout':
+                this.traceCallout(ctx, object);
+                this.fillAndStroke(ctx, style);
+                break;
+            case 'text': {
+                const layout = this.layoutText(object);
+                const padding = this.getTextPadding(object);
+                if (object.background) {
+                    ctx.fillStyle = object.background;
+                    ctx.fillRect(object.x - padding, object.y - padding, layout.width + padding * 2, layout.height + padding * 2);
+                    ctx.fillStyle = style.color || '#000000';
+                }
+
+                const size = object.font.size;
+                ctx.font = this.getTextFont(object.font);
+                ctx.textBaseline = 'top';
+                layout.lines.forEach((line, index) => {
+                    let x = object.x;
+                    if (object.align === 'center') x += (layout.width - line.width) / 2;
+                    if (object.align === 'right') x += layout.width - line.width;
+                    const y = object.y + index * layout.lineHeight;
+                    ctx.fillText(line.text, x, y);
+                    if (object.font.underline && line.width) {
+                        ctx.fillRect(x, y + size * 0.9, line.width, Math.max(1, size / 16));
+                    }
+                });
+                break;
+            }
+            case 'step':
+                StepMarkers.draw(ctx, object);
+                break;
+            case 'spotlight':
+            case 'obscure':
+            case 'redact':
+                Masks.draw(ctx, object);
+                break;
+            case 'magnifier':
+                Magnifier.draw(ctx, object);
+                break;
+            case 'stamp':
+                Stamps.draw(ctx, object);
+                break;
+            case 'bitmap': {
+                const image = this.getImage(object.blob);
+                if (image) {
+                    ctx.drawImage(image, object.x || 0, object.y || 0, object.width || image.width, object.height || image.height);
+                }
+                break;
+            }
+        }
+
+        ctx.restore();
+    },
+
+    /**
+     * Add a path through a list of points
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object[]} points - Points with x and y
+     */
+    tracePolyline(ctx, points) {
+        ctx.beginPath();
+        points.forEach((point, index) => {
+            if (index === 0) {
+                ctx.moveTo(point.x, point.y);
+            } else {
+                ctx.lineTo(point.x, point.y);
+            }
+        });
+    },
+
+    /**
+     * Add a rectangle path with rounded corners
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object} start - A corner
+     * @param {Object} end - The opposite corner
+     * @param {number} radius - Corner radius, reduced to fit small rectangles
+     */
+    traceRoundedRect(ctx, start, end, radius) {
+        const left = Math.min(start.x, end.x);
+        const top = Math.min(start.y, end.y);
+        const right = Math.max(start.x, end.x);
+        const bottom = Math.max(start.y, end.y);
+        const r = Math.min(radius, (right - left) / 2, (bottom - top) / 2);
+
+        ctx.beginPath();
+        ctx.moveTo(left + r, top);
+        ctx.arcTo(right, top, right, bottom, r);
+        ctx.arcTo(right, bottom, left, bottom, r);
+        ctx.arcTo(left, bottom, left, top, r);
+        ctx.arcTo(left, top, right, top, r);
+        ctx.closePath();
+    },
+
+    /**
+     * Box, corner radius and tail of a callout
+     * The tail leaves from the side its point lies beyond, as close to the point as the
+     * corners allow
+     * @param {Object} object - Callout object
+     * @returns {Object} left/top/right/bottom, radius, side ('top', 'right', 'bottom' or
+     *     'left'), tail base centre, tail half width and tail tip
+     */
+    getCalloutGeometry(object) {
+        const [start, end] = object.points;
+        const left = Math.min(start.x, end.x);
+        const top = Math.min(start.y, end.y);
+        const right = Math.max(start.x, end.x);
+        const bottom = Math.max(start.y, end.y);
+        const radius = Math.min(object.cornerRadius || 0, (right - left) / 2, (bottom - top) / 2);
+        const tip = object.tail || { x: left + (right - left) / 4, y: bottom };
+
+        let side = 'bottom';
+        if (tip.y < top) side = 'top';
+        else if (tip.y <= bottom && tip.x < left) side = 'left';
+        else if (tip.y <= bottom && tip.x > right) side = 'right';
+
+        const horizontal = side === 'top' || side === 'bottom';
+        const length = horizontal ? right - left : bottom - top;
+        const halfWidth = Math.max(1, Math.min(15, (length - 2 * radius) / 4));
+        const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+        const base = horizontal
+            ? { x: clamp(tip.x, left + radius + halfWidth, right - radius - halfWidth), y: side === 'top' ? top : bottom }
+            : { x: side === 'left' ? left : right, y: clamp(tip.y, top + radius + halfWidth, bottom - radius - halfWidth) };
+
+        return { left, top, right, bottom, radius, side, base, halfWidth, tip };
+    },
+
+    /**
+     * Add the outline of a callout: a rounded box with the tail cut into one side
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object} object - Callout object
+     */
+    traceCallout(ctx, object) {
+        const { left, top, right, bottom, radius: r, side, base, halfWidth: half, tip } = this.getCalloutGeometry(object);
+
+        // Clockwise from the top-left corner
+        ctx.beginPath();
+        ctx.moveTo(left + r, top);
+        if (side === 'top') {
+            ctx.lineTo(base.x - half, top);
+            ctx.lineTo(tip.x, tip.y);
+            ctx.lineTo(base.x + half, top);
+        }
+        ctx.arcTo(right, top, right, bottom, r);
+        if (side === 'right') {
+            ctx.lineTo(right, base.y - half);
+            ctx.lineTo(tip.x, tip.y);
+            ctx.lineTo(right, base.y + half);
+        }
+        ctx.arcTo(right, bottom, left, bottom, r);
+        if (side === 'bottom') {
+            ctx.lineTo(base.x + half, bottom);
+            ctx.lineTo(tip.x, tip.y);
+            ctx.lineTo(base.x - half, bottom);
+        }
+        ctx.arcTo(left, bottom, left, top, r);
+        if (side === 'left') {
+            ctx.lineTo(left, base.y + half);
+            ctx.lineTo(tip.x, tip.y);
+            ctx.lineTo(left, base.y - half);
+        }
+        ctx.arcTo(left, top, right, top, r);
+        ctx.closePath();
+    },
+
+    /**
+     * Points along a cubic bezier, for hit testing
+     * @param {Object[]} points - [start, control 1, control 2, end]
+     * @param {number} [segments=24] - Number of straight pieces
+     * @returns {Object[]} Polyline approximating the curve
+     */
+    sampleCurve(points, segments = 24) {
+        const [p0, p1, p2, p3] = points;
+        const samples = [];
+        for (let i = 0; i <= segments; i++) {
+            const t = i / segments;
+            const u = 1 - t;
+            const b0 = u * u * u;
+            const b1 = 3 * t * u * u;
+            const b2 = 3 * t * t * u;
+            const b3 = t * t * t;
+            samples.push({
+                x: b0 * p0.x + b1 * p1.x + b2 * p2.x + b3 * p3.x,
+                y: b0 * p0.y + b1 * p1.y + b2 * p2.y + b3 * p3.y
+            });
+        }
+        return samples;
+    },
+
+    /**
+     * Fit a cubic bezier to a dragged path
+     * The ends stay on the first and last points; the control points are the least-squares
+     * fit over the path, parameterised by distance along it
+     * @param {Object[]} points - Path points
+     * @returns {Object[]} [start, control 1, control 2, end]
+     */
+    fitCurve(points) {
+        const start = points[0];
+        const end = points[points.length - 1];
+        const straight = [
+            start,
+            { x: start.x + (end.x - start.x) / 3, y: start.y + (end.y - start.y) / 3 },
+            { x: start.x + (end.x - start.x) * 2 / 3, y: start.y + (end.y - start.y) * 2 / 3 },
+            end
+        ];
+
+        const lengths = [0];
+        for (let i = 1; i < points.length; i++) {
+            lengths.push(lengths[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+        }
+        const total = lengths[lengths.length - 1];
+        if (points.length < 3 || !total) return straight;
+
+        // Normal equations for the two control points
+        let a11 = 0, a12 = 0, a22 = 0;
+        const r1 = { x: 0, y: 0 };
+        const r2 = { x: 0, y: 0 };
+        points.forEach((point, index) => {
+            const t = lengths[index] / total;
+            const u = 1 - t;
+            const b0 = u * u * u;
+            const b1 = 3 * t * u * u;
+            const b2 = 3 * t * t * u;
+            const b3 = t * t * t;
+            const rest = { x: point.x - b0 * start.x - b3 * end.x, y: point.y - b0 * start.y - b3 * end.y };
+            a11 += b1 * b1;
+            a12 += b1 * b2;
+            a22 += b2 * b2;
+            r1.x += b1 * rest.x;
+            r1.y += b1 * rest.y;
+            r2.x += b2 * rest.x;
+            r2.y += b2 * rest.y;
+        });
+
+        const det = a11 * a22 - a12 * a12;
+        if (Math.abs(det) < 1e-9) return straight;
+        return [
+            start,
+            { x: (a22 * r1.x - a12 * r2.x) / det, y: (a22 * r1.y - a12 * r2.y) / det },
+            { x: (a11 * r2.x - a12 * r1.x) / det, y: (a11 * r2.y - a12 * r1.y) / det },
+            end
+        ];
+    },
+
+    /**
+     * CSS font of a text object
+     * @param {Object} font - Text font ({size, family, bold, italic})
+     * @returns {string} Font for a canvas context
+     */
+    getTextFont(font) {
+        return `${font.italic ? 'italic ' : ''}${font.bold ? 'bold ' : ''}${font.size || 16}px ${font.family || 'Arial'}`;
+    },
+
+    /**
+     * Margin drawn around a text object's background
+     * @param {Object} object - Text object
+     * @returns {number} Padding in canvas pixels (0 without a background)
+     */
+    getTextPadding(object) {
+        return object.background ? (object.font?.size || 16) * this.TEXT_PADDING : 0;
+    },
+
+    /**
+     * Break a text object into lines, wrapping words at its wrap width
+     * Words wider than the box are broken between characters
+     * @param {Object} object - Text object (or its properties)
+     * @returns {{lines: {text: string, width: number}[], width: number, height: number, lineHeight: number}}
+     */
+    layoutText(object) {
+        if (!this.measureContext) {
+            this.measureContext = document.createElement('canvas').getContext('2d');
+        }
+        const ctx = this.measureContext;
+        ctx.font = this.getTextFont(object.font || {});
+        const measure = text => ctx.measureText(text).width;
+        const wrapWidth = object.wrapWidth || 0;
+
+        const lines = [];
+        String(object.text).split('\n').forEach(paragraph => {
+            if (!wrapWidth) {
+                lines.push(paragraph);
+                return;
+            }
+
+            let line = '';
+            paragraph.split(/(\s+)/).forEach(token => {
+                if (!token) return;
+                if (measure(line + token) <= wrapWidth) {
+                    line += token;
+                    return;
+                }
+                if (!token.trim()) {
+                    // Break at the space
+                    lines.push(line);
+                    line = '';
+                    return;
+                }
+                if (line.trim()) {
+                    lines.push(line.trimEnd());
+                    line = '';
+                }
+                for (const char of token) {
+                    if (line && measure(line + char) > wrapWidth) {
+                        lines.push(line);
+                        line = '';
+                    }
+                    line += char;
+                }
+            });
+            lines.push(line.trimEnd());
+        });
+
+        const measured = lines.map(text => ({ text, width: measure(text) }));
+        const lineHeight = (object.font?.size || 16) * (object.lineSpacing || 1.2);
+        return {
+            lines: measured,
+            width: wrapWidth || Math.max(0, ...measured.map(line => line.width)),
+            height: measured.length * lineHeight,
+            lineHeight
+        };
+    },
+
+    /**
+     * Whether stroke points carry pen pressure
+     * @param {Object[]} points - Stroke points
+     * @returns {boolean}
+     */
+    hasPressure(points) {
+        return points.some(point => typeof point.pressure === 'number');
+    },
+
+    /**
+     * Line width for a pen sample; the default pressure of 0.5 keeps the base width
+     * @param {number} baseWidth - Width chosen in the toolbar
+     * @param {number} pressure - Pen pressure (0-1)
+     * @returns {number} Line width
+     */
+    pressureWidth(baseWidth, pressure) {
+        return baseWidth * (0.2 + 1.6 * pressure);
+    },
+
+    /**
+     * Fill the current path if the style has a fill, then outline it
+     * @param {CanvasRenderingContext2D} ctx - Target context with a traced path
+     * @param {Object} style - Object style
+     */
+    fillAndStroke(ctx, style) {
+        if (style.fill) {
+            ctx.fillStyle = style.fill;
+            ctx.fill();
+        }
+        ctx.stroke();
+    },
+
+    /**
+     * Line dash of a style, scaled to its line width
+     * @param {Object} style - Object style
+     * @returns {number[]} Dash pattern for setLineDash
+     */
+    getDashPattern(style) {
+        const pattern = this.DASH_PATTERNS[style.dash] || [];
+        return pattern.map(length => length * (style.width || 1));
+    },
+
+    /**
+     * Draw an arrowhead at the end of a shaft
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object} from - Shaft start
+     * @param {Object} to - Tip of the head
+     * @param {number} headLength - Length of the head
+     * @param {string} [head='open'] - 'open' (two lines), 'filled' (triangle) or 'double'
+     */
+    drawArrowHead(ctx, from, to, headLength, head = 'open') {
+        const angle = Math.atan2(to.y - from.y, to.x - from.x);
+        const left = { x: to.x - headLength * Math.cos(angle - Math.PI / 6), y: to.y - headLength * Math.sin(angle - Math.PI / 6) };
+        const right = { x: to.x - headLength * Math.cos(angle + Math.PI / 6), y: to.y - headLength * Math.sin(angle + Math.PI / 6) };
+
+        ctx.beginPath();
+        if (head === 'filled') {
+            ctx.moveTo(to.x, to.y);
+            ctx.lineTo(left.x, left.y);
+            ctx.lineTo(right.x, right.y);
+            ctx.closePath();
+            ctx.fillStyle = ctx.strokeStyle;
+            ctx.fill();
+            ctx.stroke();
+            return;
+        }
+        ctx.moveTo(to.x, to.y);
+        ctx.lineTo(left.x, left.y);
+        ctx.moveTo(to.x, to.y);
+        ctx.lineTo(right.x, right.y);
+        ctx.stroke();
+    },
+
+    /**
+     * Whether a point in object coordinates lies inside a closed shape
+     * @param {Object} object - Rectangle, circle, ellipse, polygon or callout
+     * @param {Object} point - Point in object coordinates
+     * @returns {boolean}
+     */
+    containsPoint(object, point) {
+        switch (object.type) {
+            case 'rectangle':
+            case 'callout': {
+                const [start, end] = object.points;
+                return point.x >= Math.min(start.x, end.x) && point.x <= Math.max(start.x, end.x) &&
+                    point.y >= Math.min(start.y, end.y) && point.y <= Math.max(start.y, end.y);
+            }
+            case 'circle':
+                return Math.hypot(point.x - object.center.x, point.y - object.center.y) <= object.radius;
+            case 'ellipse':
+                return Math.hypot((point.x - object.center.x) / (object.radiusX || 1), (point.y - object.center.y) / (object.radiusY || 1)) <= 1;
+            case 'polygon': {
+                // Even-odd ray casting
+                let inside = false;
+                const points = object.points;
+                for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+                    const a = points[i];
+                    const b = points[j];
+                    if ((a.y > point.y) !== (b.y > point.y) && point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                        inside = !inside;
+                    }
+                }
+                return inside;
+            }
+        }
+        return false;
+    },
+
+    /**
+     * Trace a path through stroke samples, curving through the midpoints between them
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object[]} points - Stroke points
+     */
+    traceSmoothPath(ctx, points) {
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+
+        const last = points.length - 1;
+        for (let i = 1; i < last; i++) {
+            ctx.quadraticCurveTo(points[i].x, points[i].y, (points[i].x + points[i + 1].x) / 2, (points[i].y + points[i + 1].y) / 2);
+        }
+        if (last > 0) ctx.lineTo(points[last].x, points[last].y);
+    },
+
+    /**
+     * Draw a pencil or eraser stroke
+     * Strokes of even width are traced as one path; pen pressure and tapered ends
+     * are drawn piece by piece at each point's width
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object} object - Stroke or erase object
+     */
+    strokeFreehand(ctx, object) {
+        const { points } = object;
+        const widths = this.getStrokeWidths(object);
+
+        if (!widths) {
+            object.smooth ? this.traceSmoothPath(ctx, points) : this.tracePolyline(ctx, points);
+            ctx.stroke();
+            return;
+        }
+
+        for (let i = 1; i < points.length; i++) {
+            this.strokePiece(ctx, points, widths, i, object.smooth);
+        }
+    },
+
+    /**
+     * Draw the piece of a stroke that ends at a point
+     * Smoothed pieces run between the midpoints around the point, so the piece for
+     * a point can only be drawn once the next point is known (except the last one)
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object[]} points - Stroke points
+     * @param {number[]} widths - Line width at each point
+     * @param {number} index - Index of the point, from 1
+     * @param {boolean} smooth - Whether the stroke is curved
+     */
+    strokePiece(ctx, points, widths, index, smooth) {
+        const point = points[index];
+        const previous = points[index - 1];
+        const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+        ctx.beginPath();
+        if (!smooth) {
+            ctx.lineWidth = (widths[index - 1] + widths[index]) / 2;
+            ctx.moveTo(previous.x, previous.y);
+            ctx.lineTo(point.x, point.y);
+        } else {
+            const start = index === 1 ? previous : midpoint(previous, point);
+            ctx.lineWidth = widths[index];
+            ctx.moveTo(start.x, start.y);
+
+            if (index < points.length - 1) {
+                const end = midpoint(point, points[index + 1]);
+                ctx.quadraticCurveTo(point.x, point.y, end.x, end.y);
+            } else {
+                ctx.lineTo(point.x, point.y);
+            }
+        }
+        ctx.stroke();
+    },
+
+    /**
+     * Line width at each point of a freehand stroke
+     * @param {Object} object - Stroke or erase object
+     * @param {Object} [options]
+     * @param {boolean} [options.taperEnd=true] - Narrow the end too (off while the stroke is drawn)
+     * @returns {number[]|null} Widths, or null if the stroke has one even width
+     */
+    getStrokeWidths(object, { taperEnd = true } = {}) {
+        const { points } = object;
+        const baseWidth = object.style?.width || 1;
+        if (!object.taper && !this.hasPressure(points)) return null;
+
+        const widths = points.map(point => typeof point.pressure === 'number' ? this.pressureWidth(baseWidth, point.pressure) : baseWidth);
+        if (!object.taper) return widths;
+
+        // Narrow both ends over a few brush widths, measured along the stroke
+        const distances = [0];
+        for (let i = 1; i < points.length; i++) {
+            distances.push(distances[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+        }
+        const total = distances[distances.length - 1];
+        const taperLength = Math.min(baseWidth * this.TAPER_WIDTHS, total / 3);
+        if (!taperLength) return widths;
+
+        return widths.map((width, i) => {
+            const fromEnd = taperEnd ? (total - distances[i]) / taperLength : 1;
+            return width * Math.max(this.TAPER_MIN, Math.min(1, distances[i] / taperLength, fromEnd));
+        });
+    },
+
+    /**
+     * Widest line of an object, allowing for pen pressure
+     * @param {Object} object - Scene object
+     * @returns {number} Line width
+     */
+    getLineWidth(object) {
+        const width = object.style?.width || 0;
+        const widths = object.points && (object.type === 'stroke' || object.type === 'erase') && this.getStrokeWidths(object);
+        return widths ? Math.max(width, ...widths) : width;
+    },
+
+    /**
+     * Map a point from an object's own coordinates to canvas coordinates
+     * @param {Object} transform - Object transform
+     * @param {Object} point - Point in object coordinates
+     * @returns {{x: number, y: number}} Point in canvas coordinates
+     */
+    applyTransform(transform, point) {
+        const cos = Math.cos(transform.rotation || 0);
+        const sin = Math.sin(transform.rotation || 0);
+        const x = point.x * (transform.scaleX ?? 1);
+        const y = point.y * (transform.scaleY ?? 1);
+        return { x: (transform.x || 0) + x * cos - y * sin, y: (transform.y || 0) + x * sin + y * cos };
+    },
+
+    /**
+     * Map a point from canvas coordinates to an object's own coordinates
+     * @param {Object} transform - Object transform
+     * @param {Object} point - Point in canvas coordinates
+     * @returns {{x: number, y: number}} Point in object coordinates
+     */
+    toLocal(transform, point) {
+        const cos = Math.cos(transform.rotation || 0);
+        const sin = Math.sin(transform.rotation || 0);
+        const dx = point.x - (transform.x || 0);
+        const dy = point.y - (transform.y || 0);
+        return {
+            x: (dx * cos + dy * sin) / (transform.scaleX ?? 1),
+            y: (-dx * sin + dy * cos) / (transform.scaleY ?? 1)
+        };
+    },
+
+    /**
+     * Bounds of an object in its own coordinates, including line width
+     * @param {Object} object - Scene object
+     * @returns {{left: number, top: number, right: number, bottom: number}|null} Null if the size is unknown
+     */
+    getLocalBounds(object) {
+        const pad = this.getLineWidth(object) / 2;
+        const fromPoints = (points, extra) => ({
+            left: Math.min(...points.map(point => point.x)) - extra,
+            top: Math.min(...points.map(point => point.y)) - extra,
+            right: Math.max(...points.map(point => point.x)) + extra,
+            bottom: Math.max(...points.map(point => point.y)) + extra
+        });
+
+        switch (object.type) {
+            case 'stroke':
+            case 'erase':
+            case 'highlight':
+            case 'line':
+            case 'rectangle':
+            case 'polygon':
+            case 'curve':
+            case 'spotlight':
+            case 'obscure':
+            case 'redact':
+            case 'magnifier':
+                return fromPoints(object.points, pad);
+            case 'callout':
+                return fromPoints([...object.points, object.tail || object.points[0]], pad);
+            case 'arrow':
+                return fromPoints(object.points, Math.max(pad, object.headLength || 15));
+            case 'circle':
+                return {
+                    left: object.center.x - object.radius - pad,
+                    top: object.center.y - object.radius - pad,
+                    right: object.center.x + object.radius + pad,
+                    bottom: object.center.y + object.radius + pad
+                };
+            case 'ellipse':
+                return {
+                    left: object.center.x - object.radiusX - pad,
+                    top: object.center.y - object.radiusY - pad,
+                    right: object.center.x + object.radiusX + pad,
+                    bottom: object.center.y + object.radiusY + pad
+                };
+            case 'text': {
+                const padding = this.getTextPadding(object);
+                return {
+                    left: object.x - padding,
+                    top: object.y - padding,
+                    right: object.x + object.width + padding,
+                    bottom: object.y + object.height + padding
+                };
+            }
+            case 'step': {
+                const radius = object.size / 2 + Math.max(2, object.size / 12) / 2;
+                return { left: object.x - radius, top: object.y - radius, right: object.x + radius, bottom: object.y + radius };
+            }
+            case 'stamp': {
+                const { width, height } = Stamps.getSize(object);
+                return { left: object.x - width / 2, top: object.y - height / 2, right: object.x + width / 2, bottom: object.y + height / 2 };
+            }
+            case 'bitmap': {
+                const image = this.getImage(object.blob);
+                const width = object.width || image?.width;
+                const height = object.height || image?.height;
+                if (!width || !height) return null;
+                const x = object.x || 0;
+                const y = object.y || 0;
+                return { left: x, top: y, right: x + width, bottom: y + height };
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Axis-aligned bounds of an object on the canvas
+     * @param {Object} object - Scene object
+     * @returns {{left: number, top: number, right: number, bottom: number}|null} Null if the size is unknown
+     */
+    getBounds(object) {
+        const local = this.getLocalBounds(object);
+        if (!local) return null;
+
+        const corners = [
+            { x: local.left, y: local.top },
+            { x: local.right, y: local.top },
+            { x: local.left, y: local.bottom },
+            { x: local.right, y: local.bottom }
+        ].map(corner => this.applyTransform(object.transform || {}, corner));
+
+        return {
+            left: Math.min(...corners.map(corner => corner.x)),
+            top: Math.min(...corners.map(corner => corner.y)),
+            right: Math.max(...corners.map(corner => corner.x)),
+            bottom: Math.max(...corners.map(corner => corner.y))
+        };
+    },
+
+    /**
+     * Distance from a point to a line segment
+     * @param {Object} point - Point
+     * @param {Object} a - Segment start
+     * @param {Object} b - Segment end
+     * @returns {number} Distance
+     */
+    distanceToSegment(point, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared)) : 0;
+        return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+    },
+
+    /**
+     * Distance from a point to a polyline
+     * @param {Object} point - Point
+     * @param {Object[]} points - Polyline points
+     * @returns {number} Distance
+     */
+    distanceToPolyline(point, points) {
+        if (points.length === 1) return Math.hypot(point.x - points[0].x, point.y - points[0].y);
+
+        let distance = Infinity;
+        for (let i = 1; i < points.length; i++) {
+            distance = Math.min(distance, this.distanceToSegment(point, points[i - 1], points[i]));
+        }
+        return distance;
+    },
+
+    /**
+     * Check whether a canvas point touches an object
+     * Lines and outlines are hit near their ink; text, step markers, masks, lenses and bitmaps
+     * anywhere inside (a spotlight inside its lit area)
+     * @param {Object} object - Scene object
+     * @param {Object} point - Point in canvas coordinates
+     * @param {number} tolerance - Extra distance in canvas pixels
+     * @returns {boolean} Whether the object is hit
+     */
+    hitTestObject(object, point, tolerance) {
+        const transform = object.transform || {};
+        const local = this.toLocal(transform, point);
+        const reach = this.getLineWidth(object) / 2 + tolerance / Math.abs(transform.scaleX ?? 1);
+        if (object.style?.fill && this.containsPoint(object, local)) return true;
+
+        switch (object.type) {
+            case 'stroke':
+            case 'highlight':
+            case 'line':
+                return this.distanceToPolyline(local, object.points) <= reach;
+            case 'arrow': {
+                const [start, end] = object.points;
+                const headLength = object.headLength || 15;
+                return this.distanceToPolyline(local, object.points) <= reach ||
+                    Math.hypot(local.x - end.x, local.y - end.y) <= headLength ||
+                    (object.style?.arrowHead === 'double' && Math.hypot(local.x - start.x, local.y - start.y) <= headLength);
+            }
+            case 'rectangle': {
+                const [start, end] = object.points;
+                const corners = [start, { x: end.x, y: start.y }, end, { x: start.x, y: end.y }, start];
+                return this.distanceToPolyline(local, corners) <= reach;
+            }
+            case 'circle':
+                return Math.abs(Math.hypot(local.x - object.center.x, local.y - object.center.y) - object.radius) <= reach;
+            case 'ellipse': {
+                // Distance along the ray from the center, scaled back to pixels
+                const dx = (local.x - object.center.x) / (object.radiusX || 1);
+                const dy = (local.y - object.center.y) / (object.radiusY || 1);
+                const radius = Math.hypot(dx, dy);
+                if (!radius) return Math.min(object.radiusX, object.radiusY) <= reach;
+                const edgeDistance = Math.hypot(dx / radius * object.radiusX, dy / radius * object.radiusY);
+                return Math.abs(radius - 1) * edgeDistance <= reach;
+            }
+            case 'polygon':
+                return this.distanceToPolyline(local, [...object.points, object.points[0]]) <= reach;
+            case 'curve':
+                return this.distanceToPolyline(local, this.sampleCurve(object.points)) <= reach;
+            case 'callout': {
+                const { left, top, right, bottom, side, base, halfWidth, tip } = this.getCalloutGeometry(object);
+                const corners = [{ x: left, y: top }, { x: right, y: top }, { x: right, y: bottom }, { x: left, y: bottom }, { x: left, y: top }];
+                const offset = side === 'top' || side === 'bottom' ? { x: halfWidth, y: 0 } : { x: 0, y: halfWidth };
+                const tail = [{ x: base.x - offset.x, y: base.y - offset.y }, tip, { x: base.x + offset.x, y: base.y + offset.y }];
+                return this.distanceToPolyline(local, corners) <= reach || this.distanceToPolyline(local, tail) <= reach;
+            }
+            case 'text':
+            case 'step':
+            case 'spotlight':
+            case 'obscure':
+            case 'redact':
+            case 'magnifier':
+            case 'stamp':
+            case 'bitmap': {
+                const bounds = this.getLocalBounds(object);
+                return !!bounds && local.x >= bounds.left - reach && local.x <= bounds.right + reach &&
+                    local.y >= bounds.top - reach && local.y <= bounds.bottom + reach;
+            }
+        }
+        // Eraser strokes are not selectable
+        return false;
+    },
+
+    /**
+     * Find the topmost object at a canvas point
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @param {Object} point - Point in canvas coordinates
+     * @param {number} tolerance - Extra distance in canvas pixels
+     * @returns {Object|null} The object, or null if none is hit
+     */
+    hitTest(canvasKey, point, tolerance) {
+        const objects = canvasKey === 'infinite' ? Layers.stackOrder(this.scenes.infinite) : this.scenes[canvasKey];
+        for (let i = objects.length - 1; i >= 0; i--) {
+            if (Layers.isEditable(canvasKey, objects[i]) && this.hitTestObject(objects[i], point, tolerance)) return objects[i];
+        }
+        return null;
+    },
+
+    /**
+     * Copy of an object moved by an offset
+     * @param {Object} object - Scene object
+     * @param {number} dx - Horizontal offset
+     * @param {number} dy - Vertical offset
+     * @returns {Object} Moved copy
+     */
+    translateObject(object, dx, dy) {
+        const transform = object.transform || {};
+        return { ...object, transform: { ...transform, x: (transform.x || 0) + dx, y: (transform.y || 0) + dy } };
+    },
+
+    /**
+     * Copy of an object scaled uniformly about a fixed canvas point
+     * @param {Object} object - Scene object
+     * @param {Object} anchor - Point that stays in place
+     * @param {number} factor - Scale factor
+     * @returns {Object} Scaled copy
+     */
+    scaleObject(object, anchor, factor) {
+        const transform = object.transform || {};
+        return {
+            ...object,
+            transform: {
+                ...transform,
+                x: anchor.x + ((transform.x || 0) - anchor.x) * factor,
+                y: anchor.y + ((transform.y || 0) - anchor.y) * factor,
+                scaleX: (transform.scaleX ?? 1) * factor,
+                scaleY: (transform.scaleY ?? 1) * factor
+            }
+        };
+    },
+
+    /**
+     * Copy of an object rotated about a canvas point
+     * @param {Object} object - Scene object
+     * @param {Object} center - Pivot point
+     * @param {number} angle - Rotation in radians
+     * @returns {Object} Rotated copy
+     */
+    rotateObject(object, center, angle) {
+        const transform = object.transform || {};
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const dx = (transform.x || 0) - center.x;
+        const dy = (transform.y || 0) - center.y;
+        return {
+            ...object,
+            transform: {
+                ...transform,
+                x: center.x + dx * cos - dy * sin,
+                y: center.y + dx * sin + dy * cos,
+                rotation: (transform.rotation || 0) + angle
+            }
+        };
+    },
+
+    /**
+     * Get a loaded bitmap, starting the load (and a re-render) if needed
+     * @param {string} name - Blob name, e.g. 'drawing/123'
+     * @returns {HTMLImageElement|null} The image if it is already loaded
+     */
+    getImage(name) {
+        const key = StorageManager.blobKey(name);
+        if (this.images.has(key)) return this.images.get(key);
+
+        this.loadImage(name).then(image => {
+            if (image) this.queueRender();
+        });
+        return null;
+    },
+
+    /**
+     * Load a stored bitmap
+     * @param {string} name - Blob name
+     * @returns {Promise<HTMLImageElement|null>} The image, or null if nothing is stored
+     */
+    loadImage(name) {
+        const key = StorageManager.blobKey(name);
+        if (this.images.has(key)) return Promise.resolve(this.images.get(key));
+        if (this.pendingImages.has(key)) return this.pendingImages.get(key);
+
+        const load = StorageManager.loadBlobUrl(name).then(async url => {
+            const image = url ? await StorageManager.loadImage(url) : null;
+            if (url) URL.revokeObjectURL(url);
+
+            this.images.set(key, image);
+            this.pendingImages.delete(key);
+            return image;
+        });
+
+        this.pendingImages.set(key, load);
+        return load;
+    },
+
+    /**
+     * Wait until every bitmap used by a list of objects is loaded
+     * @param {Object[]} objects - Scene objects
+     * @returns {Promise<void>}
+     */
+    async whenLoaded(objects) {
+        await Promise.all(this.getBitmapNames(objects).map(name => this.loadImage(name)));
+    },
+
+    /**
+     * Lists the stored bitmaps a list of objects refers to (drawing images and image stamps)
+     * @param {Object[]} objects - Scene objects
+     * @returns {string[]} Blob names
+     */
+    getBitmapNames(objects) {
+        return objects
+            .map(object => object.type === 'bitmap' ? object.blob : object.type === 'stamp' ? object.image : null)
+            .filter(Boolean);
+    },
+
+    /**
+     * Render objects into a scaled-down image
+     * @param {Object[]} objects - Scene objects
+     * @param {number} sourceWidth - Width of the canvas the objects were drawn on
+     * @param {number} sourceHeight - Height of the canvas the objects were drawn on
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {Promise<string>} PNG data URL
+     */
+    async renderToDataUrl(objects, sourceWidth, sourceHeight, width, height) {
+        await this.whenLoaded(objects);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        if (sourceWidth > 0 && sourceHeight > 0) {
+            ctx.scale(width / sourceWidth, height / sourceHeight);
+        }
+        this.drawObjects(ctx, objects);
+
+        return canvas.toDataURL('image/png');
+    }
+};
+
+// =============================================================================
+// 18. OBJECT SELECTION
+// =============================================================================
+
+/**
+ * @namespace ObjectSelection
+ * @description Select tool for drawn objects on either canvas
+ * Click selects the topmost object, Shift-click toggles it and dragging on empty space
+ * draws a marquee. The selection is shown with handles like uploaded media: corners
+ * scale, the top handle rotates and dragging an object moves the selection. Every edit
+ * replaces the scene objects through SceneModel.commit, so it can be undone.
+ */
+const ObjectSelection = {
+    HIT_TOLERANCE: 6,       // Extra reach around thin lines, in canvas pixels
+    DUPLICATE_OFFSET: 20,   // Offset of duplicated objects
+    ROTATE_HANDLE_GAP: 24,  // Distance of the rotate handle above the selection box
+    ROTATE_SNAP: Math.PI / 12,
+
+    canvasKey: null,        // Canvas holding the selection ('video' or 'infinite')
+    selectedIds: new Set(),
+    action: null,           // Drag in progress: move, scale, rotate or marquee
+    elements: [],           // Selection box, handles and action buttons
+
+    /**
+     * Get the canvas element for a scene
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @returns {HTMLCanvasElement} Canvas element receiving input
+     */
+    getCanvas(canvasKey) {
+        return canvasKey === 'infinite' ? AppState.infiniteCanvas : AppState.overlayCanvas;
+    },
+
+    /**
+     * Get a pointer position in the canvas coordinates of a scene
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @param {MouseEvent|TouchEvent} e - Pointer event
+     * @returns {Object|null} Position, or null if unavailable
+     */
+    getPos(canvasKey, e) {
+        return canvasKey === 'infinite' ? InfiniteCanvas.getMousePos(e) : CanvasUtils.getMousePos(e);
+    },
+
+    /**
+     * Map a canvas point to the coordinates of the canvas's parent element
+     * @param {Object} point - Point in canvas coordinates
+     * @param {string} [canvasKey] - Canvas of the point, the selection's by default
+     * @returns {{x: number, y: number}} Point for absolutely positioned elements
+     */
+    toLayer(point, canvasKey = this.canvasKey) {
+        const canvas = this.getCanvas(canvasKey);
+        return {
+            x: canvas.offsetLeft + point.x * (canvas.clientWidth / canvas.width),
+            y: canvas.offsetTop + point.y * (canvas.clientHeight / canvas.height)
+        };
+    },
+
+    /**
+     * Get the selected objects in scene order
+     * @returns {Object[]} Selected objects
+     */
+    getSelected() {
+        if (!this.canvasKey) return [];
+        return SceneModel.scenes[this.canvasKey].filter(object => this.selectedIds.has(object.id));
+    },
+
+    /**
+     * Whether any object is selected
+     * @returns {boolean}
+     */
+    hasSelection() {
+        return this.getSelected().length > 0;
+    },
+
+    /**
+     * Canvas bounds enclosing a set of objects
+     * @param {Object[]} objects - Scene objects
+     * @returns {Object|null} Bounds, or null if none are known
+     */
+    getBounds(objects) {
+        const bounds = objects.map(object => SceneModel.getBounds(object)).filter(Boolean);
+        if (!bounds.length) return null;
+
+        return {
+            left: Math.min(...bounds.map(box => box.left)),
+            top: Math.min(...bounds.map(box => box.top)),
+            right: Math.max(...bounds.map(box => box.right)),
+            bottom: Math.max(...bounds.map(box => box.bottom))
+        };
+    },
+
+    /**
+     * Replace the selection
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @param {string[]} ids - Object ids to select
+     */
+    select(canvasKey, ids) {
+        this.canvasKey = canvasKey;
+        this.selectedIds = new Set(ids);
+        if (this.selectedIds.size) MediaHandler.deselectAll();
+        this.update();
+    },
+
+    /**
+     * Clear the selection and remove its handles
+     */
+    clear() {
+        this.selectedIds = new Set();
+        this.update();
+    },
+
+    /**
+     * Drop objects that no longer exist after a scene change and move the handles
+     * @param {string} canvasKey - Scene that changed
+     */
+    sync(canvasKey) {
+        if (canvasKey !== this.canvasKey || !this.selectedIds.size) return;
+
+        const ids = new Set(SceneModel.scenes[canvasKey].map(object => object.id));
+        this.selectedIds = new Set([...this.selectedIds].filter(id => ids.has(id)));
+        this.update();
+    },
+
+    /**
+     * Handle a Select tool press on a canvas
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @param {PointerEvent} e - Pointer down event
+     */
+    pointerDown(canvasKey, e) {
+        const pos = this.getPos(canvasKey, e);
+        if (!pos) return;
+
+        HistoryManager.setActive(canvasKey);
+        if (canvasKey !== this.canvasKey) this.select(canvasKey, []);
+
+        const hit = SceneModel.hitTest(canvasKey, pos, this.HIT_TOLERANCE);
+
+        if (e.shiftKey) {
+            if (hit) {
+                const ids = new Set(this.selectedIds);
+                ids.has(hit.id) ? ids.delete(hit.id) : ids.add(hit.id);
+                this.select(canvasKey, [...ids]);
+            } else {
+                this.beginAction('marquee', pos, e.pointerId, { initialIds: [...this.selectedIds] });
+            }
+            return;
+        }
+
+        if (hit) {
+            if (!this.selectedIds.has(hit.id)) this.select(canvasKey, [hit.id]);
+            this.beginAction('move', pos, e.pointerId);
+            return;
+        }
+
+        // Empty space inside the selection box still drags the selection
+        const bounds = this.getBounds(this.getSelected());
+        if (bounds && pos.x >= bounds.left && pos.x <= bounds.right && pos.y >= bounds.top && pos.y <= bounds.bottom) {
+            this.beginAction('move', pos, e.pointerId);
+            return;
+        }
+
+        this.select(canvasKey, []);
+        this.beginAction('marquee', pos, e.pointerId, { initialIds: [] });
+    },
+
+    /**
+     * Start dragging a handle of the selection
+     * @param {string} type - 'scale' or 'rotate'
+     * @param {string} position - Handle position (nw, ne, sw, se, rotate)
+     * @param {PointerEvent} e - Pointer down on the handle
+     */
+    startHandleDrag(type, position, e) {
+        if (!e.isPrimary) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        const pos = this.getPos(this.canvasKey, e);
+        const bounds = this.getBounds(this.getSelected());
+        if (!pos || !bounds) return;
+
+        // Scaling keeps the opposite corner in place; rotation turns about the center
+        const anchor = {
+            x: position.includes('w') ? bounds.right : bounds.left,
+            y: position.includes('n') ? bounds.bottom : bounds.top
+        };
+        const center = { x: (bounds.left + bounds.right) / 2, y: (bounds.top + bounds.bottom) / 2 };
+        this.beginAction(type, pos, e.pointerId, { anchor, center });
+    },
+
+    /**
+     * Begin a drag and follow the pointer on the document
+     * Only the pointer that started the drag moves it, so a second finger or pen is ignored.
+     * @param {string} type - 'move', 'scale', 'rotate' or 'marquee'
+     * @param {Object} pos - Start position in canvas coordinates
+     * @param {number} pointerId - Pointer that started the drag
+     * @param {Object} [extra] - Action-specific data
+     */
+    beginAction(type, pos, pointerId, extra = {}) {
+        this.action = {
+            type,
+            start: pos,
+            last: pos,
+            before: SceneModel.scenes[this.canvasKey],
+            ...extra
+        };
+
+        this.handleMove = (e) => {
+            if (e.pointerId === pointerId) this.pointerMove(e);
+        };
+        this.handleUp = (e) => {
+            if (e.pointerId === pointerId) this.pointerUp();
+        };
+        document.addEventListener('pointermove', this.handleMove);
+        document.addEventListener('pointerup', this.handleUp);
+        document.addEventListener('pointercancel', this.handleUp);
+    },
+
+    /**
+     * Update the drag in progress
+     * @param {PointerEvent} e - Pointer move event
+     */
+    pointerMove(e) {
+        const action = this.action;
+        const pos = action && this.getPos(this.canvasKey, e);
+        if (!pos) return;
+
+        action.last = pos;
+        const { start, before } = action;
+
+        // Moves on the infinite canvas snap the selection box
+        let dx = pos.x - start.x;
+        let dy = pos.y - start.y;
+        if (action.type === 'move' && this.canvasKey === 'infinite') {
+            const bounds = this.getBounds(before.filter(object => this.selectedIds.has(object.id)));
+            if (bounds) {
+                const snap = Snapping.snapRect({
+                    left: bounds.left + dx,
+                    top: bounds.top + dy,
+                    right: bounds.right + dx,
+                    bottom: bounds.bottom + dy
+                }, { ids: this.selectedIds });
+                dx += snap.dx;
+                dy += snap.dy;
+            }
+        }
+
+        const transform = (object) => {
+            if (!this.selectedIds.has(object.id)) return object;
+
+            switch (action.type) {
+                case 'move':
+                    return SceneModel.translateObject(object, dx, dy);
+                case 'scale': {
+                    const startDistance = Math.hypot(start.x - action.anchor.x, start.y - action.anchor.y) || 1;
+                    const factor = Math.max(0.05, Math.hypot(pos.x - action.anchor.x, pos.y - action.anchor.y) / startDistance);
+                    return SceneModel.scaleObject(object, action.anchor, factor);
+                }
+                case 'rotate': {
+                    const { center } = action;
+                    let angle = Math.atan2(pos.y - center.y, pos.x - center.x) - Math.atan2(start.y - center.y, start.x - center.x);
+                    if (e.shiftKey) angle = Math.round(angle / this.ROTATE_SNAP) * this.ROTATE_SNAP;
+                    return SceneModel.rotateObject(object, center, angle);
+                }
+            }
+            return object;
+        };
+
+        if (action.type === 'marquee') {
+            this.showMarquee(start, pos);
+        } else {
+            // Show the edit live; it is committed to the history on release
+            SceneModel.setObjects(this.canvasKey, before.map(transform));
+        }
+    },
+
+    /**
+     * Finish the drag in progress
+     */
+    pointerUp() {
+        document.removeEventListener('pointermove', this.handleMove);
+        document.removeEventListener('pointerup', this.handleUp);
+        document.removeEventListener('pointercancel', this.handleUp);
+
+        const action = this.action;
+        this.action = null;
+        if (!action) return;
+        Snapping.clearIndicators();
+
+        if (action.type === 'marquee') {
+            this.hideMarquee();
+            const left = Math.min(action.start.x, action.last.x);
+            const right = Math.max(action.start.x, action.last.x);
+            const top = Math.min(action.start.y, action.last.y);
+            const bottom = Math.max(action.start.y, action.last.y);
+
+            // Objects fully inside the marquee join the selection
+            const ids = SceneModel.scenes[this.canvasKey]
+                .filter(object => object.type !== 'erase' && Layers.isEditable(this.canvasKey, object))
+                .filter(object => {
+                    const bounds = SceneModel.getBounds(object);
+                    return bounds && bounds.left >= left && bounds.right <= right && bounds.top >= top && bounds.bottom <= bottom;
+                })
+                .map(object => object.id);
+            this.select(this.canvasKey, [...new Set([...action.initialIds, ...ids])]);
+            return;
+        }
+
+        const objects = SceneModel.scenes[this.canvasKey];
+        if (objects !== action.before) {
+            const labels = { move: 'move objects', scale: 'scale objects', rotate: 'rotate objects' };
+            SceneModel.commit(this.canvasKey, objects, labels[action.type], action.before);
+        }
+    },
+
+    /**
+     * Apply style changes to the selected objects
+     * @param {Object} changes - Style properties to set (color, width, fill, opacity, dash, arrowHead)
+     * @returns {boolean} Whether a selection was restyled
+     */
+    restyle(changes) {
+        if (!this.hasSelection()) return false;
+
+        const objects = SceneModel.scenes[this.canvasKey].map(object => {
+            if (!this.selectedIds.has(object.id) || object.type === 'erase' || object.type === 'bitmap') return object;
+
+            // Text, step markers, masks and stamps are sized on their own, not by the line width
+            const style = { ...object.style, ...changes };
+            if (['text', 'step', 'stamp', ...Masks.TOOLS].includes(object.type)) style.width = object.style?.width;
+            return { ...object, style };
+        });
+        SceneModel.commit(this.canvasKey, objects, 'restyle objects');
+        return true;
+    },
+
+    /**
+     * Copy the selected objects with an offset and select the copies
+     */
+    duplicate() {
+        const selected = this.getSelected();
+        if (!selected.length) return;
+
+        const copies = selected.map(object => SceneModel.translateObject(
+            { ...object, id: SceneModel.generateId() }, this.DUPLICATE_OFFSET, this.DUPLICATE_OFFSET
+        ));
+        SceneModel.commit(this.canvasKey, [...SceneModel.scenes[this.canvasKey], ...copies], 'duplicate objects');
+        this.select(this.canvasKey, copies.map(copy => copy.id));
+    },
+
+    /**
+     * Delete the selected objects
+     */
+    deleteSelected() {
+        if (!this.hasSelection()) return;
+
+        const objects = SceneModel.scenes[this.canvasKey].filter(object => !this.selectedIds.has(object.id));
+        this.selectedIds = new Set();
+        SceneModel.commit(this.canvasKey, objects, 'delete objects');
+    },
+
+    /**
+     * Redraw the selection box, handles and action buttons
+     */
+    update() {
+        this.elements.forEach(element => element.remove());
+        this.elements = [];
+
+        const bounds = this.getBounds(this.getSelected());
+        const canvas = this.getCanvas(this.canvasKey);
+        if (!bounds || !canvas?.parentElement) return;
+
+        const topLeft = this.toLayer({ x: bounds.left, y: bounds.top });
+        const bottomRight = this.toLayer({ x: bounds.right, y: bounds.bottom });
+        const offset = MediaHandler.resizeHandleSize / 2;
+
+        const box = document.createElement('div');
+        box.className = 'object-selection-box';
+        box.style.cssText = `
+            position: absolute;
+            left: ${topLeft.x}px;
+            top: ${topLeft.y}px;
+            width: ${bottomRight.x - topLeft.x}px;
+            height: ${bottomRight.y - topLeft.y}px;
+            border: 1px dashed #007bff;
+            pointer-events: none;
+            z-index: 999;
+        `;
+        this.elements.push(box);
+
+        const corners = {
+            nw: topLeft,
+            ne: { x: bottomRight.x, y: topLeft.y },
+            sw: { x: topLeft.x, y: bottomRight.y },
+            se: bottomRight,
+            rotate: { x: (topLeft.x + bottomRight.x) / 2, y: topLeft.y - this.ROTATE_HANDLE_GAP }
+        };
+        Object.entries(corners).forEach(([position, point]) => {
+            const handle = MediaHandler.createHandle(position, 'object-resize-handle');
+            handle.style.left = (point.x - offset) + 'px';
+            handle.style.top = (point.y - offset) + 'px';
+
+            const type = position === 'rotate' ? 'rotate' : 'scale';
+            if (type === 'rotate') {
+                handle.style.cursor = 'grab';
+                handle.title = 'Rotate (Shift snaps to 15°)';
+            }
+            handle.style.touchAction = 'none'; // Touch drags turn the handle instead of scrolling
+            handle.addEventListener('pointerdown', (e) => this.startHandleDrag(type, position, e));
+            this.elements.push(handle);
+        });
+
+        // Duplicate and delete buttons above the top-right corner (and revert for a recognised shape)
+        const actions = document.createElement('div');
+        actions.className = 'object-selection-actions flex gap-1';
+        actions.style.cssText = `
+            position: absolute;
+            left: ${bottomRight.x}px;
+            top: ${topLeft.y - this.ROTATE_HANDLE_GAP}px;
+            transform: translate(-100%, -50%);
+            z-index: 1000;
+        `;
+        const buttons = [['⧉', 'Duplicate (Ctrl+D)', () => this.duplicate()], ['🗑️', 'Delete (Del)', () => this.deleteSelected()]];
+        const selected = this.getSelected();
+        if (selected.length === 1 && selected[0].rawInk) {
+            buttons.unshift(['✎', 'Revert to the original ink', () => ShapeRecognition.revert(this.canvasKey, selected[0].id)]);
+        }
+        buttons.forEach(([label, title, onClick]) => {
+            const button = document.createElement('button');
+            button.className = 'px-1.5 py-0.5 text-xs bg-white border border-gray-300 rounded shadow hover:bg-gray-100';
+            button.textContent = label;
+            button.title = title;
+            button.addEventListener('mousedown', (e) => e.stopPropagation());
+            button.addEventListener('click', onClick);
+            actions.appendChild(button);
+        });
+        this.elements.push(actions);
+
+        this.elements.forEach(element => canvas.parentElement.appendChild(element));
+    },
+
+    /**
+     * Show the marquee rectangle while dragging
+     * @param {Object} start - Drag start in canvas coordinates
+     * @param {Object} end - Current position in canvas coordinates
+     */
+    showMarquee(start, end) {
+        const canvas = this.getCanvas(this.canvasKey);
+        if (!this.marquee) {
+            this.marquee = document.createElement('div');
+            this.marquee.className = 'object-selection-marquee';
+            this.marquee.style.cssText = `
+                position: absolute;
+                border: 1px dashed #007bff;
+                background: rgba(0, 123, 255, 0.08);
+                pointer-events: none;
+                z-index: 999;
+            `;
+            canvas.parentElement.appendChild(this.marquee);
+        }
+
+        const a = this.toLayer(start);
+        const b = this.toLayer(end);
+        this.marquee.style.left = Math.min(a.x, b.x) + 'px';
+        this.marquee.style.top = Math.min(a.y, b.y) + 'px';
+        this.marquee.style.width = Math.abs(b.x - a.x) + 'px';
+        this.marquee.style.height = Math.abs(b.y - a.y) + 'px';
+    },
+
+    /**
+     * Remove the marquee rectangle
+     */
+    hideMarquee() {
+        this.marquee?.remove();
+        this.marquee = null;
+    },
+
+    /**
+     * Keyboard shortcuts for the selection: Delete, Ctrl/Cmd+D and Escape
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeydown(e) {
+        if (!this.hasSelection() || AppState.isTyping) return;
+
+        const tag = e.target?.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || e.target?.isContentEditable) return;
+
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            this.deleteSelected();
+        } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'd') {
+            e.preventDefault();
+            this.duplicate();
+        } else if (e.key === 'Escape') {
+            this.clear();
+        }
+    }
+};
+
+// =============================================================================
+// 19. INK SMOOTHING
+// =============================================================================
+
+/**
+ * @namespace InkSmoothing
+ * @description Smoothing options for freehand pencil and laser strokes
+ * - Curves: strokes are drawn as curves through their samples instead of straight
+ *   segments (stored as `smooth` on the stroke, so old strokes keep their look)
+ * - Stabiliser: the ink trails the pointer like a pen on a string, which steadies
+ *   shaky lines at the cost of some lag; 0 turns it off
+ * - Taper: pencil strokes narrow towards both ends (stored as `taper`)
+ * The options are a preference of this browser, not of the project.
+ */
+const InkSmoothing = {
+    SETTINGS_KEY: 'tutorial_maker_ink_smoothing', // localStorage key
+    MAX_STABILIZER: 10,
+
+    settings: { smooth: false, stabilizer: 0, taper: false }, // All off until the user opts in
+    lastPoint: null,        // Stabilised position of the stroke in progress
+    lastRawPoint: null,     // Pointer position the stroke is trailing
+
+    /**
+     * Load the saved options and show them in the toolbar
+     */
+    init() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.SETTINGS_KEY) || 'null');
+            if (saved && typeof saved === 'object') this.settings = { ...this.settings, ...saved };
+        } catch (error) {
+            console.warn('Ignoring invalid ink smoothing settings:', error);
+        }
+        this.updateControls();
+    },
+
+    /**
+     * Change options and remember them
+     * @param {Object} changes - Options to set (smooth, stabilizer, taper)
+     */
+    update(changes) {
+        this.settings = { ...this.settings, ...changes };
+        this.settings.stabilizer = Math.max(0, Math.min(this.MAX_STABILIZER, Number(this.settings.stabilizer) || 0));
+        localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(this.settings));
+        this.updateControls();
+    },
+
+    /**
+     * Reflect the options in the toolbar controls
+     */
+    updateControls() {
+        const smooth = document.getElementById('smoothInk');
+        const stabilizer = document.getElementById('stabilizer');
+        const taper = document.getElementById('taperInk');
+        if (smooth) smooth.checked = this.settings.smooth;
+        if (stabilizer) stabilizer.value = this.settings.stabilizer;
+        if (taper) taper.checked = this.settings.taper;
+    },
+
+    /**
+     * Whether the options apply to a tool
+     * @param {string} tool - Tool name
+     * @returns {boolean}
+     */
+    appliesTo(tool) {
+        return tool === 'pencil' || tool === 'laser';
+    },
+
+    /**
+     * Stroke properties for a new stroke of the current tool
+     * @returns {Object} `smooth` and `taper` flags to spread into the stroke
+     */
+    strokeOptions() {
+        const tool = AppState.currentTool;
+        if (!this.appliesTo(tool)) return {};
+
+        const options = {};
+        if (this.settings.smooth) options.smooth = true;
+        if (this.settings.taper && tool === 'pencil') options.taper = true;
+        return options;
+    },
+
+    /**
+     * Start stabilising a new stroke
+     * @param {Object} point - First stroke point
+     * @returns {Object} The point, unchanged
+     */
+    beginStroke(point) {
+        this.lastPoint = point;
+        this.lastRawPoint = point;
+        return point;
+    },
+
+    /**
+     * Move the stabilised position towards the pointer
+     * @param {Object} point - Pointer position (may carry pressure)
+     * @returns {Object} Point to add to the stroke
+     */
+    stabilize(point) {
+        const strength = this.settings.stabilizer;
+        if (!strength || !this.appliesTo(AppState.currentTool) || !this.lastPoint) return point;
+
+        const follow = 1 / (1 + strength);
+        const stabilized = {
+            ...point,
+            x: this.lastPoint.x + (point.x - this.lastPoint.x) * follow,
+            y: this.lastPoint.y + (point.y - this.lastPoint.y) * follow
+        };
+        this.lastPoint = stabilized;
+        this.lastRawPoint = point;
+        return stabilized;
+    },
+
+    /**
+     * Let a stabilised stroke catch up with where the pointer was lifted
+     * @param {Object[]} points - Points of the finished stroke (extended in place)
+     */
+    finishStroke(points) {
+        const last = points[points.length - 1];
+        const raw = this.lastRawPoint;
+        if (this.settings.stabilizer && raw && last && (raw.x !== last.x || raw.y !== last.y) && this.appliesTo(AppState.currentTool)) {
+            points.push(raw);
+        }
+        this.lastPoint = null;
+        this.lastRawPoint = null;
+    }
+};
+
+// =============================================================================
+// 20. SHAPE RECOGNITION
+// =============================================================================
+
+/**
+ * @namespace ShapeRecognition
+ * @description Turns rough pencil strokes into clean shapes when the mode is on
+ * A finished stroke is matched against lines, arrows, ellipses (circles when round),
+ * triangles and rectangles. A match replaces the stroke as a separate undo step, and
+ * the shape keeps the stroke as `rawInk`, so Undo, the "Keep ink" button shown after
+ * recognition, or the selection's ✎ button brings the original ink back.
+ */
+const ShapeRecognition = {
+    SETTINGS_KEY: 'tutorial_maker_shape_recognition', // localStorage key
+    MIN_SIZE: 15,           // Smaller strokes are left alone (dots, ticks)
+    SIMPLIFY_TOLERANCE: 0.08, // Corner detection tolerance, as a share of the stroke size
+    CLOSED_GAP: 0.2,        // Largest gap between the ends of a closed stroke, as a share of its length
+    ELLIPSE_FIT: 0.12,      // Largest mean radial error of an ellipse
+    LOOSE_ELLIPSE_FIT: 0.25, // Mean radial error accepted when no polygon matches
+    ROUND_RATIO: 0.85,      // Ellipses with closer radii become circles
+    AXIS_TOLERANCE: Math.PI / 18, // Rectangles this close to level become axis-aligned
+    REVERT_TIMEOUT: 4000,   // How long the "Keep ink" button stays
+
+    enabled: false,
+    revertButton: null,
+    revertTimer: null,
+
+    /**
+     * Load the saved mode and show it in the toolbar
+     */
+    init() {
+        this.enabled = localStorage.getItem(this.SETTINGS_KEY) === 'on';
+        const toggle = document.getElementById('recognizeShapes');
+        if (toggle) toggle.checked = this.enabled;
+    },
+
+    /**
+     * Turn recognition on or off and remember the choice
+     * @param {boolean} enabled - Whether strokes are recognised
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        localStorage.setItem(this.SETTINGS_KEY, this.enabled ? 'on' : 'off');
+    },
+
+    /**
+     * Replace a pencil stroke just added to a scene with the shape it resembles
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @param {Object} stroke - Stroke object already in the scene
+     * @param {number} headLength - Default arrowhead length of the canvas
+     */
+    apply(canvasKey, stroke, headLength) {
+        if (!this.enabled || stroke?.type !== 'stroke') return;
+
+        const geometry = this.recognize(stroke.points, headLength);
+        if (!geometry) return;
+
+        const shape = SceneModel.createObject(geometry.type, {
+            ...geometry,
+            style: { color: stroke.style.color, width: stroke.style.width },
+            layer: stroke.layer,
+            rawInk: stroke
+        });
+        const objects = SceneModel.scenes[canvasKey].map(object => object.id === stroke.id ? shape : object);
+        SceneModel.commit(canvasKey, objects, 'recognize shape');
+        this.showRevertButton(canvasKey, shape);
+    },
+
+    /**
+     * Put the original ink of a recognised shape back
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @param {string} id - Id of the shape
+     */
+    revert(canvasKey, id) {
+        this.hideRevertButton();
+
+        const objects = SceneModel.scenes[canvasKey];
+        const shape = objects.find(object => object.id === id);
+        if (!shape?.rawInk) return;
+
+        SceneModel.commit(canvasKey, objects.map(object => object === shape ? shape.rawInk : object), 'revert to ink');
+    },
+
+    /**
+     * Show a short-lived button next to a new shape that restores the ink
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @param {Object} shape - Recognised shape
+     */
+    showRevertButton(canvasKey, shape) {
+        this.hideRevertButton();
+
+        const canvas = ObjectSelection.getCanvas(canvasKey);
+        const bounds = SceneModel.getBounds(shape);
+        if (!canvas?.parentElement || !bounds) return;
+
+        const corner = ObjectSelection.toLayer({ x: bounds.right, y: bounds.top }, canvasKey);
+        const button = document.createElement('button');
+        button.className = 'px-2 py-0.5 text-xs bg-white border border-gray-300 rounded shadow hover:bg-gray-100';
+        button.textContent = '✎ Keep ink';
+        button.title = 'Undo the shape recognition';
+        button.style.cssText = `
+            position: absolute;
+            left: ${corner.x}px;
+            top: ${corner.y}px;
+            transform: translate(-100%, -110%);
+            z-index: 1000;
+        `;
+        button.addEventListener('pointerdown', (e) => e.stopPropagation());
+        button.addEventListener('click', () => this.revert(canvasKey, shape.id));
+
+        canvas.parentElement.appendChild(button);
+        this.revertButton = button;
+        this.revertTimer = setTimeout(() => this.hideRevertButton(), this.REVERT_TIMEOUT);
+    },
+
+    /**
+     * Remove the "Keep ink" button
+     */
+    hideRevertButton() {
+        clearTimeout(this.revertTimer);
+        this.revertButton?.remove();
+        this.revertButton = null;
+    },
+
+    /**
+     * Match stroke points against the known shapes
+     * @param {Object[]} points - Stroke points in canvas coordinates
+     * @param {number} headLength - Default arrowhead length
+     * @returns {Object|null} Shape geometry with `type`, or null if nothing matches
+     */
+    recognize(points, headLength) {
+        if (points.length < 3) return null;
+
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const bounds = { left: Math.min(...xs), top: Math.min(...ys), right: Math.max(...xs), bottom: Math.max(...ys) };
+        const size = Math.max(bounds.right - bounds.left, bounds.bottom - bounds.top);
+        if (size < this.MIN_SIZE) return null;
+
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+        }
+
+        const first = points[0];
+        const last = points[points.length - 1];
+        const tolerance = Math.max(4, size * this.SIMPLIFY_TOLERANCE);
+        const vertices = this.simplify(points, tolerance);
+
+        if (Math.hypot(last.x - first.x, last.y - first.y) > length * this.CLOSED_GAP) {
+            return this.recognizeOpen(vertices, tolerance, headLength);
+        }
+        return this.recognizeClosed(points, vertices, bounds, tolerance);
+    },
+
+    /**
+     * Match an open stroke: a line, or a line with an arrowhead drawn at its end
+     * @param {Object[]} vertices - Simplified stroke
+     * @param {number} tolerance - Simplification tolerance
+     * @param {number} headLength - Default arrowhead length
+     * @returns {Object|null} Shape geometry, or null
+     */
+    recognizeOpen(vertices, tolerance, headLength) {
+        const start = { x: vertices[0].x, y: vertices[0].y };
+        if (vertices.length === 2) {
+            const end = vertices[1];
+            return { type: 'line', points: [start, { x: end.x, y: end.y }] };
+        }
+
+        // Arrow: a long shaft, then a short head scribbled around the tip
+        const tip = vertices[1];
+        const shaft = Math.hypot(tip.x - start.x, tip.y - start.y);
+        const head = vertices.slice(2).map(vertex => Math.hypot(vertex.x - tip.x, vertex.y - tip.y));
+        if (shaft > tolerance * 3 && head.every(distance => distance < shaft * 0.4)) {
+            const size = Math.max(...head);
+            return {
+                type: 'arrow',
+                points: [start, { x: tip.x, y: tip.y }],
+                headLength: Math.max(headLength * 0.5, Math.min(headLength * 2, size))
+            };
+        }
+        return null;
+    },
+
+    /**
+     * Match a closed stroke: an ellipse or circle, a triangle or a rectangle
+     * @param {Object[]} points - Stroke points
+     * @param {Object[]} vertices - Simplified stroke
+     * @param {Object} bounds - Bounding box of the stroke
+     * @param {number} tolerance - Simplification tolerance
+     * @returns {Object|null} Shape geometry, or null
+     */
+    recognizeClosed(points, vertices, bounds, tolerance) {
+        const center = { x: (bounds.left + bounds.right) / 2, y: (bounds.top + bounds.bottom) / 2 };
+        const radiusX = (bounds.right - bounds.left) / 2;
+        const radiusY = (bounds.bottom - bounds.top) / 2;
+        const ellipseError = this.ellipseError(points, center, radiusX, radiusY);
+
+        const ellipse = () => {
+            if (Math.min(radiusX, radiusY) / Math.max(radiusX, radiusY) >= this.ROUND_RATIO) {
+                return { type: 'circle', center, radius: (radiusX + radiusY) / 2 };
+            }
+            return { type: 'ellipse', center, radiusX, radiusY };
+        };
+        if (ellipseError <= this.ELLIPSE_FIT) return ellipse();
+
+        const corners = this.findCorners(vertices, tolerance);
+        if (corners.length === 3) {
+            return { type: 'polygon', points: corners };
+        }
+        if (corners.length === 4) {
+            const angle = Math.atan2(corners[1].y - corners[0].y, corners[1].x - corners[0].x);
+            const offLevel = Math.abs(((angle % (Math.PI / 2)) + Math.PI / 2) % (Math.PI / 2));
+            if (Math.min(offLevel, Math.PI / 2 - offLevel) <= this.AXIS_TOLERANCE) {
+                const cornerXs = corners.map(corner => corner.x);
+                const cornerYs = corners.map(corner => corner.y);
+                return {
+                    type: 'rectangle',
+                    points: [
+                        { x: Math.min(...cornerXs), y: Math.min(...cornerYs) },
+                        { x: Math.max(...cornerXs), y: Math.max(...cornerYs) }
+                    ]
+                };
+            }
+            return { type: 'polygon', points: corners };
+        }
+        return ellipseError <= this.LOOSE_ELLIPSE_FIT ? ellipse() : null;
+    },
+
+    /**
+     * Mean distance of points from an axis-aligned ellipse, relative to its size
+     * @param {Object[]} points - Stroke points
+     * @param {Object} center - Ellipse center
+     * @param {number} radiusX - Horizontal radius
+     * @param {number} radiusY - Vertical radius
+     * @returns {number} 0 for a perfect fit
+     */
+    ellipseError(points, center, radiusX, radiusY) {
+        if (!radiusX || !radiusY) return Infinity;
+
+        const total = points.reduce((sum, point) => {
+            return sum + Math.abs(Math.hypot((point.x - center.x) / radiusX, (point.y - center.y) / radiusY) - 1);
+        }, 0);
+        return total / points.length;
+    },
+
+    /**
+     * Corners of a closed simplified stroke, dropping the repeated end point and
+     * vertices where the outline barely turns
+     * @param {Object[]} vertices - Simplified stroke
+     * @param {number} tolerance - Simplification tolerance
+     * @returns {Object[]} Corner points
+     */
+    findCorners(vertices, tolerance) {
+        let corners = vertices.map(vertex => ({ x: vertex.x, y: vertex.y }));
+        const first = corners[0];
+        const last = corners[corners.length - 1];
+        if (corners.length > 1 && Math.hypot(last.x - first.x, last.y - first.y) <= tolerance * 2) {
+            corners.pop();
+        }
+
+        let changed = true;
+        while (changed && corners.length > 3) {
+            changed = false;
+            for (let i = 0; i < corners.length; i++) {
+                const previous = corners[(i + corners.length - 1) % corners.length];
+                const next = corners[(i + 1) % corners.length];
+                if (SceneModel.distanceToSegment(corners[i], previous, next) <= tolerance) {
+                    corners.splice(i, 1);
+                    changed = true;
+                    break;
+                }
+            }
+        }
+        return corners;
+    },
+
+    /**
+     * Simplify a polyline (Ramer-Douglas-Peucker)
+     * @param {Object[]} points - Polyline points
+     * @param {number} tolerance - Largest distance a removed point may have from the result
+     * @returns {Object[]} Kept points, including both ends
+     */
+    simplify(points, tolerance) {
+        if (points.length <= 2) return points.slice();
+
+        const first = points[0];
+        const last = points[points.length - 1];
+        let farthest = 0;
+        let farthestIndex = 0;
+        for (let i = 1; i < points.length - 1; i++) {
+            const distance = SceneModel.distanceToSegment(points[i], first, last);
+            if (distance > farthest) {
+                farthest = distance;
+                farthestIndex = i;
+            }
+        }
+
+        if (farthest <= tolerance) return [first, last];
+        return [
+            ...this.simplify(points.slice(0, farthestIndex + 1), tolerance).slice(0, -1),
+            ...this.simplify(points.slice(farthestIndex), tolerance)
+        ];
+    }
+};
+
+// =============================================================================
+// 21. SHAPE STYLES
+// =============================================================================
+
+/**
+ * @namespace ShapeStyle
+ * @description Fill, opacity, dash and arrowhead style of new shapes
+ * The line color and width come from the main color picker and size slider; the style
+ * panel adds the rest. Changes also restyle a selection made with the Select tool.
+ * The style is a project setting (`AppState.shapeStyle`) and is saved with it.
+ */
+const ShapeStyle = {
+    DEFAULTS: { filled: false, fillColor: '#ffffff', opacity: 1, dash: 'solid', arrowHead: 'open' },
+    DASHES: ['solid', 'dashed', 'dotted'],
+    ARROW_HEADS: ['open', 'filled', 'double'],
+    FILLABLE: ['rectangle', 'roundedRectangle', 'circle', 'ellipse', 'polygon', 'callout'],
+
+    /**
+     * Fill in missing or invalid values of a saved style
+     * @param {*} style - Style read from a project
+     * @returns {Object} Valid shape style
+     */
+    normalize(style) {
+        const source = style && typeof style === 'object' ? style : {};
+        const opacity = Number(source.opacity);
+        return {
+            filled: source.filled === true,
+            fillColor: /^#[0-9a-f]{6}$/i.test(source.fillColor) ? source.fillColor : this.DEFAULTS.fillColor,
+            opacity: Number.isFinite(opacity) ? Math.max(0.1, Math.min(1, opacity)) : this.DEFAULTS.opacity,
+            dash: this.DASHES.includes(source.dash) ? source.dash : this.DEFAULTS.dash,
+            arrowHead: this.ARROW_HEADS.includes(source.arrowHead) ? source.arrowHead : this.DEFAULTS.arrowHead
+        };
+    },
+
+    /**
+     * Apply the style saved with a project
+     * @param {Object} [style] - Saved style (older projects have none)
+     */
+    restore(style) {
+        AppState.shapeStyle = this.normalize(style);
+        this.updateControls();
+    },
+
+    /**
+     * Object style for a new shape of a tool
+     * @param {string} tool - Shape tool
+     * @returns {Object} Style for SceneModel objects
+     */
+    getStyle(tool) {
+        const { filled, fillColor, opacity, dash, arrowHead } = AppState.shapeStyle;
+        const style = { color: AppState.currentColor, width: Number(AppState.brushSize), opacity, dash };
+        if (filled && this.FILLABLE.includes(tool)) style.fill = fillColor;
+        if (tool === 'arrow') style.arrowHead = arrowHead;
+        return style;
+    },
+
+    /**
+     * Change the style of new shapes
+     * @param {Object} changes - Values to set (filled, fillColor, opacity, dash, arrowHead)
+     * @param {Object} [options]
+     * @param {boolean} [options.applyToSelection=true] - Also restyle selected objects
+     *     (off while a slider is being dragged)
+     */
+    update(changes, { applyToSelection = true } = {}) {
+        AppState.shapeStyle = this.normalize({ ...AppState.shapeStyle, ...changes });
+        this.updateControls();
+        if (!applyToSelection) return;
+
+        const { filled, fillColor, opacity, dash, arrowHead } = AppState.shapeStyle;
+        const objectChanges = {};
+        if ('filled' in changes || 'fillColor' in changes) objectChanges.fill = filled ? fillColor : null;
+        if ('opacity' in changes) objectChanges.opacity = opacity;
+        if ('dash' in changes) objectChanges.dash = dash;
+        if ('arrowHead' in changes) objectChanges.arrowHead = arrowHead;
+        ObjectSelection.restyle(objectChanges);
+    },
+
+    /**
+     * Reflect the style in the panel controls
+     */
+    updateControls() {
+        const { filled, fillColor, opacity, dash, arrowHead } = AppState.shapeStyle;
+        const set = (id, property, value) => {
+            const element = document.getElementById(id);
+            if (element) element[property] = value;
+        };
+
+        set('fillEnabled', 'checked', filled);
+        set('fillColor', 'value', fillColor);
+        set('shapeOpacity', 'value', Math.round(opacity * 100));
+        set('shapeOpacityValue', 'textContent', Math.round(opacity * 100) + '%');
+        set('dashStyle', 'value', dash);
+        set('arrowHead', 'value', arrowHead);
+    },
+
+    /**
+     * Show or hide the style panel
+     */
+    togglePanel() {
+        document.getElementById('stylePanel')?.classList.toggle('hidden');
+    }
+};
+
+// =============================================================================
+// 22. OBJECT ERASER
+// =============================================================================
+
+/**
+ * @namespace ObjectEraser
+ * @description Eraser mode that deletes whole objects instead of rubbing out ink
+ * Objects touched along the eraser's path disappear as it moves; the whole gesture is
+ * one undo step. Eraser strokes and images saved by older versions are never deleted.
+ */
+const ObjectEraser = {
+    canvasKey: null,    // Canvas being erased ('video' or 'infinite')
+    before: null,       // Scene objects when the gesture started
+    lastPos: null,      // Previous eraser position, to test the path in between
+
+    /**
+     * Start an erase gesture
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @param {Object} pos - Eraser position in canvas coordinates
+     */
+    begin(canvasKey, pos) {
+        this.canvasKey = canvasKey;
+        this.before = SceneModel.scenes[canvasKey];
+        this.lastPos = pos;
+        this.eraseAt(pos);
+    },
+
+    /**
+     * Continue the gesture, deleting objects along the path since the last position
+     * @param {Object} pos - Eraser position in canvas coordinates
+     */
+    move(pos) {
+        if (!this.canvasKey) return;
+
+        // Sample the path at half the eraser size so quick moves do not skip thin lines
+        const step = Math.max(2, AppState.eraserSize / 2);
+        const distance = Math.hypot(pos.x - this.lastPos.x, pos.y - this.lastPos.y);
+        const samples = Math.max(1, Math.ceil(distance / step));
+        for (let i = 1; i <= samples; i++) {
+            this.eraseAt({
+                x: this.lastPos.x + (pos.x - this.lastPos.x) * i / samples,
+                y: this.lastPos.y + (pos.y - this.lastPos.y) * i / samples
+            });
+        }
+        this.lastPos = pos;
+    },
+
+    /**
+     * Delete the objects under one eraser position
+     * @param {Object} pos - Eraser position in canvas coordinates
+     */
+    eraseAt(pos) {
+        const objects = SceneModel.scenes[this.canvasKey];
+        const remaining = objects.filter(object => object.type === 'bitmap' ||
+            !Layers.isEditable(this.canvasKey, object) ||
+            !SceneModel.hitTestObject(object, pos, AppState.eraserSize / 2));
+        if (remaining.length !== objects.length) {
+            SceneModel.setObjects(this.canvasKey, remaining);
+        }
+    },
+
+    /**
+     * Finish the gesture and record it as one undoable change
+     */
+    end() {
+        if (!this.canvasKey) return;
+
+        const objects = SceneModel.scenes[this.canvasKey];
+        if (objects !== this.before) {
+            SceneModel.commit(this.canvasKey, objects, 'erase objects', this.before);
+        }
+        this.canvasKey = null;
+        this.before = null;
+        this.lastPos = null;
+    }
+};
+
+// =============================================================================
+// 23. TEXT BOXES
+// =============================================================================
+
+/**
+ * @namespace TextEditor
+ * @description Editable text boxes on both canvases
+ * Text is kept as scene objects, so it can be re-opened for editing: click it with the
+ * Text tool or double-click it with the Select tool. A textarea over the canvas stands in
+ * for the object while it is edited. Bold, italic, underline, alignment, line spacing,
+ * wrap width and the background box come from the text controls (`AppState.textStyle`,
+ * saved with the project); changing them also reformats the text being edited or the
+ * selected text objects.
+ */
+const TextEditor = {
+    DEFAULTS: { bold: false, italic: false, underline: false, align: 'left', lineSpacing: 1.2, wrapWidth: 0, background: false, backgroundColor: '#ffffff' },
+    ALIGNMENTS: ['left', 'center', 'right'],
+    INPUT_OFFSET: { x: 10, y: 6 }, // Textarea padding plus border, so its text lines up with the canvas
+
+    canvasKey: null,    // Canvas of the open editor
+    editingId: null,    // Text object being edited (hidden from the canvas meanwhile)
+    origin: null,       // Top-left corner of the text in object coordinates
+    format: null,       // Formatting of the text in the editor
+    scale: 1,           // Screen pixels per text pixel
+
+    /**
+     * Fill in missing or invalid values of a saved text style
+     * @param {*} style - Style read from a project
+     * @returns {Object} Valid text style
+     */
+    normalize(style) {
+        const source = style && typeof style === 'object' ? style : {};
+        const lineSpacing = Number(source.lineSpacing);
+        const wrapWidth = Number(source.wrapWidth);
+        return {
+            bold: source.bold === true,
+            italic: source.italic === true,
+            underline: source.underline === true,
+            align: this.ALIGNMENTS.includes(source.align) ? source.align : this.DEFAULTS.align,
+            lineSpacing: Number.isFinite(lineSpacing) && lineSpacing > 0 ? Math.max(0.8, Math.min(3, lineSpacing)) : this.DEFAULTS.lineSpacing,
+            wrapWidth: Number.isFinite(wrapWidth) && wrapWidth > 0 ? Math.round(wrapWidth) : 0,
+            background: source.background === true,
+            backgroundColor: /^#[0-9a-f]{6}$/i.test(source.backgroundColor) ? source.backgroundColor : this.DEFAULTS.backgroundColor
+        };
+    },
+
+    /**
+     * Apply the text style saved with a project
+     * @param {Object} [style] - Saved style (older projects have none)
+     */
+    restore(style) {
+        AppState.textStyle = this.normalize(style);
+        this.updateControls();
+    },
+
+    /**
+     * Formatting for new text, from the text controls, font and color
+     * @returns {Object} Text format
+     */
+    getDefaultFormat() {
+        const { bold, italic, underline, align, lineSpacing, wrapWidth, background, backgroundColor } = AppState.textStyle;
+        return {
+            size: Number(AppState.fontSize),
+            family: AppState.fontFamily,
+            bold, italic, underline, align, lineSpacing, wrapWidth,
+            background: background ? backgroundColor : null,
+            color: AppState.currentColor
+        };
+    },
+
+    /**
+     * Formatting of an existing text object (older objects only have a size and family)
+     * @param {Object} object - Text object
+     * @returns {Object} Text format
+     */
+    getFormat(object) {
+        return {
+            size: object.font.size,
+            family: object.font.family,
+            bold: !!object.font.bold,
+            italic: !!object.font.italic,
+            underline: !!object.font.underline,
+            align: object.align || 'left',
+            lineSpacing: object.lineSpacing || 1.2,
+            wrapWidth: object.wrapWidth || 0,
+            background: object.background || null,
+            color: object.style?.color || '#000000'
+        };
+    },
+
+    /**
+     * Build a text object and measure it
+     * @param {string} text - Text, lines separated by \n
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {Object} format - Text format
+     * @param {Object} [base] - Object being edited; its id, transform and style are kept
+     * @returns {Object} Text object
+     */
+    buildObject(text, x, y, format, base = null) {
+        const props = {
+            x, y, text,
+            font: { size: format.size, family: format.family, bold: format.bold, italic: format.italic, underline: format.underline },
+            align: format.align,
+            lineSpacing: format.lineSpacing,
+            wrapWidth: format.wrapWidth,
+            background: format.background,
+            style: { ...base?.style, color: format.color }
+        };
+        const layout = SceneModel.layoutText(props);
+        props.width = layout.width;
+        props.height = layout.height;
+        return base ? { ...base, ...props } : SceneModel.createObject('text', props);
+    },
+
+    /**
+     * Topmost text object at a canvas point
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @param {Object} pos - Point in canvas coordinates
+     * @returns {Object|null} Text object, or null if there is none
+     */
+    findText(canvasKey, pos) {
+        const objects = canvasKey === 'infinite' ? Layers.stackOrder(SceneModel.scenes.infinite) : SceneModel.scenes[canvasKey];
+        for (let i = objects.length - 1; i >= 0; i--) {
+            if (objects[i].type === 'text' && Layers.isEditable(canvasKey, objects[i]) && SceneModel.hitTestObject(objects[i], pos, ObjectSelection.HIT_TOLERANCE)) {
+                return objects[i];
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Text tool click: edit the text under the pointer, or start a new text box
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @param {Object} pos - Click position in canvas coordinates
+     */
+    open(canvasKey, pos) {
+        this.finish();
+
+        const text = this.findText(canvasKey, pos);
+        if (text) {
+            this.edit(canvasKey, text);
+            return;
+        }
+        // New text boxes on the infinite canvas snap like shapes
+        let start = pos;
+        if (canvasKey === 'infinite' && AppState.snapping.snap) {
+            start = Snapping.snapPoint(pos);
+            Snapping.clearIndicators(600);
+        }
+        this.createInput(canvasKey, { x: start.x, y: start.y }, this.getDefaultFormat(), '', null);
+    },
+
+    /**
+     * Re-open a text object for editing
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @param {Object} object - Text object
+     */
+    edit(canvasKey, object) {
+        this.finish();
+        ObjectSelection.clear();
+        this.createInput(canvasKey, { x: object.x, y: object.y }, this.getFormat(object), object.text, object);
+    },
+
+    /**
+     * Double-click with the Select tool edits the text under the pointer
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @param {MouseEvent} e - Double-click event
+     */
+    handleDoubleClick(canvasKey, e) {
+        if (AppState.currentTool !== 'select') return;
+
+        const pos = ObjectSelection.getPos(canvasKey, e);
+        const text = pos && this.findText(canvasKey, pos);
+        if (text) {
+            e.preventDefault();
+            this.edit(canvasKey, text);
+        }
+    },
+
+    /**
+     * Create the textarea standing in for the text being edited
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @param {Object} point - Top-left corner of the text in object coordinates
+     * @param {Object} format - Text format
+     * @param {string} text - Initial text
+     * @param {Object|null} object - Object being edited, or null for new text
+     */
+    createInput(canvasKey, point, format, text, object) {
+        HistoryManager.setActive(canvasKey);
+        this.canvasKey = canvasKey;
+        this.editingId = object?.id || null;
+        this.origin = point;
+        this.format = format;
+
+        // Place the textarea over the text, following the object's transform
+        const transform = object?.transform || {};
+        const canvas = ObjectSelection.getCanvas(canvasKey);
+        const canvasRect = canvas.getBoundingClientRect();
+        const canvasScale = canvasRect.width / canvas.width;
+        const anchor = SceneModel.applyTransform(transform, point);
+        this.scale = canvasScale * Math.abs(transform.scaleX ?? 1);
+
+        const textInput = document.createElement('textarea');
+        textInput.rows = 1;
+        textInput.style.position = 'fixed';
+        textInput.style.left = canvasRect.left + anchor.x * canvasScale - this.INPUT_OFFSET.x + 'px';
+        textInput.style.top = canvasRect.top + anchor.y * canvasScale - this.INPUT_OFFSET.y + 'px';
+        textInput.style.transformOrigin = `${this.INPUT_OFFSET.x}px ${this.INPUT_OFFSET.y}px`;
+        textInput.style.transform = `rotate(${transform.rotation || 0}rad)`;
+        textInput.style.border = '2px solid #3b82f6';
+        textInput.style.outline = 'none';
+        textInput.style.padding = '4px 8px';
+        textInput.style.zIndex = '9999';
+        textInput.style.boxShadow = '0 4px 6px rgba(0, 0, 0, 0.1)';
+        textInput.style.borderRadius = '4px';
+        textInput.style.minWidth = '150px';
+        textInput.style.resize = 'none';
+        textInput.style.overflow = 'hidden';
         textInput.placeholder = 'Type text...';
         textInput.autocomplete = 'off';
         textInput.spellcheck = false;
-        
-        // Position relative to the infinite canvas
-        const canvasRect = AppState.infiniteCanvas.getBoundingClientRect();
-        const screenX = canvasRect.left + x * (canvasRect.width / AppState.infiniteCanvas.width);
-        const screenY = canvasRect.top + y * (canvasRect.height / AppState.infiniteCanvas.height);
-        
-        textInput.style.left = screenX + 'px';
-        textInput.style.top = screenY + 'px';
-        
-        console.log(`Infinite canvas text input positioned at screen coordinates (${screenX}, ${screenY})`);
-        
-        // Add to document
+        textInput.value = text;
+
         document.body.appendChild(textInput);
         AppState.currentTextInput = textInput;
         AppState.isTyping = true;
-        
-        // Force focus with delay to ensure element is rendered
+        this.styleInput();
+        this.updateControls(this.getControlStyle(format));
+
+        // Hide the object while its editor is open
+        if (object) SceneModel.render(canvasKey);
+
+        // Focus once the element is rendered
         setTimeout(() => {
             textInput.focus();
             textInput.select();
-            console.log('Text input focused and selected');
         }, 10);
-        
-        // Handle text completion
-        const completeText = () => {
-            const text = textInput.value.trim();
-            console.log(`Completing infinite canvas text: "${text}"`);
-            if (text) {
-                this.drawInfiniteText(text, x, y);
+
+        textInput.addEventListener('input', () => this.fitInput());
+        textInput.addEventListener('blur', () => {
+            // Formatting controls take the focus without closing the editor
+            setTimeout(() => {
+                if (AppState.currentTextInput === textInput && !this.isFormatControl(document.activeElement)) {
+                    this.finish();
+                }
+            }, 0);
+        });
+        textInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.ctrlKey) {
+                // Ctrl+Enter completes the text
+                e.preventDefault();
+                this.finish();
+            } else if (e.key === 'Escape') {
+                this.close();
+            }
+            // Regular Enter creates new line (default textarea behavior)
+        });
+    },
+
+    /**
+     * Whether an element is one of the controls that format the text being edited
+     * @param {Element|null} element - Focused element
+     * @returns {boolean}
+     */
+    isFormatControl(element) {
+        return !!element?.closest?.('#textControls, #fontSize, #fontFamily, #colorPicker');
+    },
+
+    /**
+     * Show the editor's text in its format
+     */
+    styleInput() {
+        const textInput = AppState.currentTextInput;
+        if (!textInput || !this.format) return;
+
+        const { size, family, bold, italic, underline, align, lineSpacing, wrapWidth, background, color } = this.format;
+        textInput.style.fontSize = size * this.scale + 'px';
+        textInput.style.fontFamily = family;
+        textInput.style.fontWeight = bold ? 'bold' : 'normal';
+        textInput.style.fontStyle = italic ? 'italic' : 'normal';
+        textInput.style.textDecoration = underline ? 'underline' : 'none';
+        textInput.style.textAlign = align;
+        textInput.style.lineHeight = String(lineSpacing);
+        textInput.style.color = color;
+        textInput.style.backgroundColor = background || 'white';
+        textInput.style.whiteSpace = wrapWidth ? 'pre-wrap' : 'pre';
+        textInput.wrap = wrapWidth ? 'soft' : 'off';
+        textInput.style.width = wrapWidth ? wrapWidth * this.scale + this.INPUT_OFFSET.x * 2 + 'px' : '';
+        this.fitInput();
+    },
+
+    /**
+     * Grow the textarea to fit its text (and its width too when the text does not wrap)
+     */
+    fitInput() {
+        const textInput = AppState.currentTextInput;
+        if (!textInput) return;
+
+        textInput.style.height = 'auto';
+        textInput.style.height = textInput.scrollHeight + 4 + 'px';
+        if (!this.format?.wrapWidth) {
+            textInput.style.width = 'auto';
+            textInput.style.width = textInput.scrollWidth + 4 + 'px';
+        }
+    },
+
+    /**
+     * Put the edited text into the scene and close the editor
+     * Emptied text is deleted; unchanged text leaves no undo step
+     */
+    finish() {
+        const textInput = AppState.currentTextInput;
+        if (!textInput || !this.canvasKey) {
+            this.close();
+            return;
+        }
+
+        const text = textInput.value.trim();
+        const { canvasKey, editingId, origin, format } = this;
+        this.close();
+
+        const objects = SceneModel.scenes[canvasKey];
+        const original = editingId && objects.find(object => object.id === editingId);
+        if (original) {
+            if (!text) {
+                SceneModel.commit(canvasKey, objects.filter(object => object !== original), 'delete text');
+                return;
+            }
+            if (text === original.text && JSON.stringify(format) === JSON.stringify(this.getFormat(original))) return;
+
+            const updated = this.buildObject(text, original.x, original.y, format, original);
+            SceneModel.commit(canvasKey, objects.map(object => object === original ? updated : object), 'edit text');
+        } else if (text && !editingId) {
+            SceneModel.add(canvasKey, this.buildObject(text, origin.x, origin.y, format));
+        }
+    },
+
+    /**
+     * Close the editor without keeping its changes
+     */
+    close() {
+        const textInput = AppState.currentTextInput;
+        const { canvasKey, editingId } = this;
+
+        AppState.currentTextInput = null;
+        AppState.isTyping = false;
+        this.canvasKey = null;
+        this.editingId = null;
+        this.origin = null;
+        this.format = null;
+        textInput?.remove();
+        this.updateControls();
+
+        // Show the edited object again
+        if (editingId) SceneModel.render(canvasKey);
+    },
+
+    /**
+     * Change the text formatting
+     * Applies to the text being edited, otherwise to the selected text objects
+     * @param {Object} changes - Text style values (bold, italic, underline, align,
+     *     lineSpacing, wrapWidth, background, backgroundColor) or font `size`, `family`, `color`
+     * @param {Object} [options]
+     * @param {boolean} [options.applyToSelection=true] - Also reformat selected text
+     *     (off while a slider is being dragged)
+     */
+    update(changes, { applyToSelection = true } = {}) {
+        const styleChanges = Object.fromEntries(Object.entries(changes).filter(([key]) => key in this.DEFAULTS));
+        AppState.textStyle = this.normalize({ ...AppState.textStyle, ...styleChanges });
+
+        const formatChanges = {};
+        ['size', 'family', 'color', 'bold', 'italic', 'underline', 'align', 'lineSpacing', 'wrapWidth'].forEach(key => {
+            if (key in changes) formatChanges[key] = key in AppState.textStyle ? AppState.textStyle[key] : changes[key];
+        });
+        if ('background' in changes || 'backgroundColor' in changes) {
+            formatChanges.background = AppState.textStyle.background ? AppState.textStyle.backgroundColor : null;
+        }
+
+        if (AppState.currentTextInput && this.format) {
+            this.format = { ...this.format, ...formatChanges };
+            this.styleInput();
+            this.updateControls(this.getControlStyle(this.format));
+
+            // Once a value is picked, typing continues in the text (not while a slider moves)
+            if (applyToSelection) AppState.currentTextInput.focus();
+            return;
+        }
+
+        this.updateControls();
+        if (applyToSelection) this.formatSelection(formatChanges);
+    },
+
+    /**
+     * Turn a style switch (bold, italic, underline) on or off, from what the controls show
+     * @param {string} key - 'bold', 'italic' or 'underline'
+     */
+    toggle(key) {
+        const current = this.format ? this.format[key] : AppState.textStyle[key];
+        this.update({ [key]: !current });
+    },
+
+    /**
+     * Reformat the selected text objects
+     * @param {Object} changes - Text format values
+     */
+    formatSelection(changes) {
+        if (!Object.keys(changes).length || !ObjectSelection.hasSelection()) return;
+
+        const canvasKey = ObjectSelection.canvasKey;
+        let changed = false;
+        const objects = SceneModel.scenes[canvasKey].map(object => {
+            if (object.type !== 'text' || !ObjectSelection.selectedIds.has(object.id)) return object;
+            changed = true;
+            return this.buildObject(object.text, object.x, object.y, { ...this.getFormat(object), ...changes }, object);
+        });
+        if (changed) SceneModel.commit(canvasKey, objects, 'format text');
+    },
+
+    /**
+     * Text style shown by the controls for a text format
+     * @param {Object} format - Text format
+     * @returns {Object} Text style
+     */
+    getControlStyle(format) {
+        const { bold, italic, underline, align, lineSpacing, wrapWidth, background } = format;
+        return {
+            bold, italic, underline, align, lineSpacing, wrapWidth,
+            background: !!background,
+            backgroundColor: background || AppState.textStyle.backgroundColor
+        };
+    },
+
+    /**
+     * Reflect a text style in the text controls
+     * @param {Object} [style] - Style to show, the style for new text by default
+     */
+    updateControls(style = AppState.textStyle) {
+        const { bold, italic, underline, align, lineSpacing, wrapWidth, background, backgroundColor } = style;
+        const set = (id, property, value) => {
+            const element = document.getElementById(id);
+            if (element) element[property] = value;
+        };
+
+        [['textBold', bold], ['textItalic', italic], ['textUnderline', underline]].forEach(([id, on]) => {
+            const button = document.getElementById(id);
+            if (!button) return;
+            button.classList.toggle('bg-indigo-100', on);
+            button.classList.toggle('border-indigo-500', on);
+            button.setAttribute('aria-pressed', String(on));
+        });
+        set('textAlign', 'value', align);
+        set('lineSpacing', 'value', String(lineSpacing));
+        set('wrapWidth', 'value', wrapWidth);
+        set('textBackground', 'checked', background);
+        set('textBackgroundColor', 'value', backgroundColor);
+    }
+};
+
+// =============================================================================
+// 24. COLOR PALETTE
+// =============================================================================
+
+/**
+ * @namespace ColorPalette
+ * @description Project color swatches, recently used colors and the eyedropper
+ * Swatches are colors saved with the project (`AppState.palette.colors`), e.g. brand
+ * colors; the recent row remembers the last colors picked. The eyedropper samples the
+ * next click on the drawing canvases or on images and PDF pages placed on the infinite canvas.
+ */
+const ColorPalette = {
+    MAX_COLORS: 16,
+    MAX_RECENT: 8,
+    picking: false,         // Eyedropper is waiting for a click
+    pickHandler: null,      // Capture listener of the active eyedropper
+    keyHandler: null,       // Escape listener of the active eyedropper
+
+    /**
+     * Fill in missing or invalid values of a saved palette
+     * @param {*} palette - Palette read from a project
+     * @returns {{colors: string[], recent: string[]}} Valid palette
+     */
+    normalize(palette) {
+        const source = palette && typeof palette === 'object' ? palette : {};
+        const clean = (list, max) => [...new Set((Array.isArray(list) ? list : [])
+            .filter(color => /^#[0-9a-f]{6}$/i.test(color))
+            .map(color => color.toLowerCase()))].slice(0, max);
+        return { colors: clean(source.colors, this.MAX_COLORS), recent: clean(source.recent, this.MAX_RECENT) };
+    },
+
+    /**
+     * Apply the palette saved with a project
+     * @param {Object} [palette] - Saved palette (older projects have none)
+     */
+    restore(palette) {
+        AppState.palette = this.normalize(palette);
+        this.render();
+    },
+
+    /**
+     * Make a color the current drawing color
+     * Also recolors the text being edited or the selected objects, and adds it to the recent colors
+     * @param {string} color - Hex color
+     */
+    setColor(color) {
+        AppState.currentColor = color;
+        const colorPicker = document.getElementById('colorPicker');
+        if (colorPicker) colorPicker.value = color;
+        DrawingUtils.updateStyles();
+
+        if (AppState.currentTextInput) {
+            TextEditor.update({ color });
+        } else {
+            ObjectSelection.restyle({ color });
+        }
+        this.addRecent(color);
+    },
+
+    /**
+     * Put a color at the front of the recent colors
+     * @param {string} color - Hex color
+     */
+    addRecent(color) {
+        const recent = [color.toLowerCase(), ...AppState.palette.recent.filter(other => other !== color.toLowerCase())];
+        AppState.palette = { ...AppState.palette, recent: recent.slice(0, this.MAX_RECENT) };
+        this.render();
+    },
+
+    /**
+     * Save a color to the project palette
+     * @param {string} [color] - Hex color, the current color by default
+     */
+    addSwatch(color = AppState.currentColor) {
+        const value = color.toLowerCase();
+        if (AppState.palette.colors.includes(value)) return;
+        if (AppState.palette.colors.length >= this.MAX_COLORS) {
+            UI.showNotification(`The palette holds up to ${this.MAX_COLORS} colors`);
+            return;
+        }
+        AppState.palette = { ...AppState.palette, colors: [...AppState.palette.colors, value] };
+        this.render();
+        setTimeout(() => StorageManager.saveData(), 100);
+    },
+
+    /**
+     * Remove a color from the project palette
+     * @param {string} color - Hex color
+     */
+    removeSwatch(color) {
+        AppState.palette = { ...AppState.palette, colors: AppState.palette.colors.filter(other => other !== color) };
+        this.render();
+        setTimeout(() => StorageManager.saveData(), 100);
+    },
+
+    /**
+     * Create a swatch button
+     * @param {string} color - Hex color
+     * @param {string} size - Tailwind size classes
+     * @param {string} title - Tooltip
+     * @returns {HTMLButtonElement}
+     */
+    createSwatch(color, size, title) {
+        const swatch = document.createElement('button');
+        swatch.className = `${size} flex-shrink-0 rounded-full border border-gray-300 cursor-pointer hover:scale-110 transition-transform`;
+        swatch.style.backgroundColor = color;
+        swatch.title = title;
+        swatch.addEventListener('mousedown', (e) => e.preventDefault()); // Keep the focus in text being edited
+        swatch.addEventListener('click', () => this.setColor(color));
+        return swatch;
+    },
+
+    /**
+     * Rebuild the swatch and recent color rows
+     */
+    render() {
+        const swatches = document.getElementById('paletteSwatches');
+        if (swatches) {
+            swatches.replaceChildren(...AppState.palette.colors.map(color => {
+                const swatch = this.createSwatch(color, 'w-5 h-5', `${color} (right-click to remove)`);
+                swatch.addEventListener('contextmenu', (e) => {
+                    e.preventDefault();
+                    this.removeSwatch(color);
+                });
+                return swatch;
+            }));
+        }
+
+        const recent = document.getElementById('recentColors');
+        if (recent) {
+            recent.replaceChildren(...AppState.palette.recent.map(color => this.createSwatch(color, 'w-4 h-4', `Recent: ${color}`)));
+        }
+    },
+
+    /**
+     * Start or cancel the eyedropper
+     */
+    togglePicking() {
+        if (this.picking) {
+            this.stopPicking();
+            return;
+        }
+
+        this.picking = true;
+        document.body.style.cursor = 'crosshair';
+        document.getElementById('eyedropper')?.classList.add('bg-indigo-100', 'border-indigo-500');
+
+        // Capture the click before the canvases and media handlers see it
+        this.pickHandler = (e) => this.handlePick(e);
+        this.keyHandler = (e) => {
+            if (e.key === 'Escape') this.stopPicking();
+        };
+        document.addEventListener('pointerdown', this.pickHandler, true);
+        document.addEventListener('keydown', this.keyHandler);
+    },
+
+    /**
+     * Leave eyedropper mode
+     */
+    stopPicking() {
+        this.picking = false;
+        document.body.style.cursor = '';
+        document.getElementById('eyedropper')?.classList.remove('bg-indigo-100', 'border-indigo-500');
+        document.removeEventListener('pointerdown', this.pickHandler, true);
+        document.removeEventListener('keydown', this.keyHandler);
+        this.pickHandler = null;
+        this.keyHandler = null;
+    },
+
+    /**
+     * Eyedropper click: take the color under the pointer
+     * Clicks outside the canvases and media (e.g. on the toolbar) cancel the eyedropper
+     * @param {PointerEvent} e - Pointer down event
+     */
+    handlePick(e) {
+        if (e.target.closest?.('#eyedropper')) return; // The button toggles it off itself
+
+        const color = this.sampleAt(e.clientX, e.clientY);
+        if (color === undefined) {
+            this.stopPicking();
+            return;
+        }
+
+        e.preventDefault();
+        e.stopPropagation();
+        this.stopPicking();
+        if (color) {
+            this.setColor(color);
+        } else {
+            UI.showNotification('No color to pick there');
+        }
+    },
+
+    /**
+     * Color of the topmost painted canvas or image pixel at a screen point
+     * @param {number} clientX - Screen x
+     * @param {number} clientY - Screen y
+     * @returns {string|null|undefined} Hex color; null if the point is over a canvas or image
+     *     without a readable color; undefined if it is over neither
+     */
+    sampleAt(clientX, clientY) {
+        // Layer canvases, and media outside the Select tool, let the pointer through, so the
+        // notes canvas is read from its own stack rather than hit-tested
+        const container = AppState.infiniteCanvas?.parentElement;
+        const sources = container?.contains(document.elementFromPoint(clientX, clientY))
+            ? this.getInfiniteSources()
+            : document.elementsFromPoint(clientX, clientY)
+                .filter(element => element instanceof HTMLCanvasElement || element instanceof HTMLImageElement);
+        if (!sources.length) return undefined;
+
+        for (const element of sources) {
+            const pixel = this.readPixel(element, clientX, clientY);
+            if (pixel && pixel[3] > 0) return this.toHex(pixel);
+
+            // Unpainted parts of the notes canvas show its white page
+            if (pixel && element === AppState.infiniteCanvas) return '#ffffff';
+        }
+        return null;
+    },
+
+    /**
+     * Canvases and media of the notes canvas, topmost first: redaction boxes, then each
+     * visible layer's highlights and ink above its media, then the page
+     * @returns {Array<HTMLCanvasElement|HTMLImageElement>}
+     */
+    getInfiniteSources() {
+        const sources = [Layers.redactionCanvas];
+        [...AppState.layers].reverse().filter(layer => layer.visible).forEach(layer => {
+            sources.push(Layers.highlightCanvases.get(layer.id), Layers.canvases.get(layer.id));
+            MediaHandler.getAllMedia()
+                .filter(mediaObj => mediaObj.canvas === 'infinite' && mediaObj.element && Layers.getLayerId(mediaObj) === layer.id)
+                .reverse()
+                .forEach(mediaObj => sources.push(mediaObj.element));
+        });
+        sources.push(AppState.infiniteCanvas);
+        return sources.filter(element => element instanceof HTMLCanvasElement || element instanceof HTMLImageElement);
+    },
+
+    /**
+     * Read one pixel of a canvas or image under a screen point
+     * @param {HTMLCanvasElement|HTMLImageElement} element - Canvas or image
+     * @param {number} clientX - Screen x
+     * @param {number} clientY - Screen y
+     * @returns {Uint8ClampedArray|null} RGBA, or null if it cannot be read
+     */
+    readPixel(element, clientX, clientY) {
+        const rect = element.getBoundingClientRect();
+        const width = element instanceof HTMLImageElement ? element.naturalWidth : element.width;
+        const height = element instanceof HTMLImageElement ? element.naturalHeight : element.height;
+        if (!rect.width || !rect.height || !width || !height) return null;
+
+        const x = Math.floor((clientX - rect.left) * width / rect.width);
+        const y = Math.floor((clientY - rect.top) * height / rect.height);
+        if (x < 0 || y < 0 || x >= width || y >= height) return null;
+
+        try {
+            if (element instanceof HTMLCanvasElement) {
+                return element.getContext('2d')?.getImageData(x, y, 1, 1).data || null;
+            }
+            const sample = document.createElement('canvas');
+            sample.width = 1;
+            sample.height = 1;
+            const ctx = sample.getContext('2d');
+            ctx.drawImage(element, x, y, 1, 1, 0, 0, 1, 1);
+            return ctx.getImageData(0, 0, 1, 1).data;
+        } catch (error) {
+            // Cross-origin images cannot be read
+            console.warn('Eyedropper could not read pixel:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Format an RGBA pixel as a hex color
+     * @param {Uint8ClampedArray} pixel - RGBA values
+     * @returns {string} Hex color
+     */
+    toHex(pixel) {
+        return '#' + [pixel[0], pixel[1], pixel[2]].map(value => value.toString(16).padStart(2, '0')).join('');
+    }
+};
+
+// =============================================================================
+// 25. LAYERS
+// =============================================================================
+
+/**
+ * @namespace Layers
+ * @description Named layers of the infinite canvas
+ * Each layer has its own canvas stacked above the page (which only shows the page
+ * separators), and the images and PDF pages on a layer sit just below its ink, so media
+ * and ink can be interleaved in any order. A second canvas per layer, above its ink, holds
+ * its highlights and is multiplied onto everything below. Scene objects and media record their layer id
+ * (`layer`); anything without a known layer belongs to the bottom one. Hidden and locked
+ * layers cannot be drawn on, selected or erased. `AppState.infiniteCtx` is the context
+ * of the active layer, so new ink goes there. Redaction boxes are drawn on one more canvas
+ * above every layer, at full opacity whatever their layer's opacity or visibility, so
+ * nothing on the page can show through them. Layers are saved with the project.
+ */
+const Layers = {
+    MAX_LAYERS: 12,
+    Z_BASE: 10,             // z-index of the bottom layer's media; each layer takes three (media, ink, highlights)
+    canvases: new Map(),    // Layer id -> canvas element
+    highlightCanvases: new Map(), // Layer id -> canvas for the layer's highlights
+    redactionCanvas: null,  // Canvas above all layers for redaction boxes
+
+    /**
+     * Create the default layer and wire up the layers panel
+     */
+    init() {
+        this.restore();
+
+        document.getElementById('addLayer')?.addEventListener('click', () => this.add());
+        document.getElementById('moveToLayer')?.addEventListener('click', () => this.moveSelectionHere());
+    },
+
+    /**
+     * Create a layer
+     * @param {string} name - Layer name
+     * @returns {Object} Layer ({id, name, visible, locked, opacity})
+     */
+    createLayer(name) {
+        return {
+            id: `layer_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+            name,
+            visible: true,
+            locked: false,
+            opacity: 1
+        };
+    },
+
+    /**
+     * Fill in missing or invalid values of saved layers
+     * @param {*} saved - `{layers, activeLayerId}` read from a project
+     * @returns {{layers: Object[], activeLayerId: string}} Valid layers, bottom first
+     */
+    normalize(saved) {
+        const source = saved && typeof saved === 'object' ? saved : {};
+        const layers = (Array.isArray(source.layers) ? source.layers : [])
+            .filter(layer => layer && typeof layer.id === 'string')
+            .slice(0, this.MAX_LAYERS)
+            .map(layer => {
+                const opacity = Number(layer.opacity);
+                return {
+                    id: layer.id,
+                    name: typeof layer.name === 'string' && layer.name.trim() ? layer.name : 'Layer',
+                    visible: layer.visible !== false,
+                    locked: layer.locked === true,
+                    opacity: Number.isFinite(opacity) ? Math.max(0.1, Math.min(1, opacity)) : 1
+                };
+            });
+        if (!layers.length) layers.push(this.createLayer('Layer 1'));
+
+        const activeLayerId = layers.some(layer => layer.id === source.activeLayerId)
+            ? source.activeLayerId
+            : layers[layers.length - 1].id;
+        return { layers, activeLayerId };
+    },
+
+    /**
+     * Apply the layers saved with a project
+     * @param {Object} [saved] - Saved layers (older projects have none)
+     */
+    restore(saved) {
+        const { layers, activeLayerId } = this.normalize(saved);
+        AppState.layers = layers;
+        AppState.activeLayerId = activeLayerId;
+        this.sync();
+    },
+
+    /**
+     * Layers as saved with the project
+     * @returns {{layers: Object[], activeLayerId: string}}
+     */
+    serialize() {
+        return { layers: AppState.layers, activeLayerId: AppState.activeLayerId };
+    },
+
+    /**
+     * Get a layer by id
+     * @param {string} id - Layer id
+     * @returns {Object|null}
+     */
+    getLayer(id) {
+        return AppState.layers.find(layer => layer.id === id) || null;
+    },
+
+    /**
+     * Get the layer new ink and media go to
+     * @returns {Object}
+     */
+    getActive() {
+        return this.getLayer(AppState.activeLayerId) || AppState.layers[0];
+    },
+
+    /**
+     * Layer an object or media item is drawn on
+     * @param {Object} item - Scene object or media object
+     * @returns {string} Layer id (the bottom layer for unknown ids)
+     */
+    getLayerId(item) {
+        return this.getLayer(item.layer) ? item.layer : AppState.layers[0]?.id;
+    },
+
+    /**
+     * Objects in the order they appear on screen: by layer, then paint order within a layer
+     * @param {Object[]} objects - Objects of the infinite scene
+     * @returns {Object[]} Reordered copy
+     */
+    stackOrder(objects) {
+        const indexes = new Map(AppState.layers.map((layer, index) => [layer.id, index]));
+        return [...objects].sort((a, b) => indexes.get(this.getLayerId(a)) - indexes.get(this.getLayerId(b)));
+    },
+
+    /**
+     * Whether an object can be selected or erased
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @param {Object} object - Scene object
+     * @returns {boolean} False for objects on hidden or locked layers
+     */
+    isEditable(canvasKey, object) {
+        if (canvasKey !== 'infinite') return true;
+        const layer = this.getLayer(this.getLayerId(object));
+        return !!layer && layer.visible && !layer.locked;
+    },
+
+    /**
+     * Whether the active layer can be drawn on; tells the user why not
+     * @returns {boolean}
+     */
+    canDraw() {
+        const layer = this.getActive();
+        if (layer.visible && !layer.locked) return true;
+
+        UI.showNotification(`Layer "${layer.name}" is ${layer.locked ? 'locked' : 'hidden'}`);
+        return false;
+    },
+
+    /**
+     * Create, stack and size one canvas per layer, place the media, and re-render
+     */
+    sync() {
+        const page = AppState.infiniteCanvas;
+        if (!page) return;
+
+        const createCanvas = () => {
+            const canvas = document.createElement('canvas');
+            canvas.className = 'layer-canvas absolute top-0 left-0';
+            canvas.style.margin = '10px'; // Same offset as the page canvas
+            canvas.style.pointerEvents = 'none';
+            page.parentElement.appendChild(canvas);
+            return canvas;
+        };
+
+        // Drop canvases of deleted layers
+        [this.canvases, this.highlightCanvases].forEach(canvases => canvases.forEach((canvas, id) => {
+            if (!this.getLayer(id)) {
+                canvas.remove();
+                canvases.delete(id);
+            }
+        }));
+
+        AppState.layers.forEach((layer, index) => {
+            if (!this.canvases.has(layer.id)) {
+                this.canvases.set(layer.id, createCanvas());
+                const highlights = createCanvas();
+                highlights.style.mixBlendMode = 'multiply';
+                this.highlightCanvases.set(layer.id, highlights);
+            }
+            [this.canvases.get(layer.id), this.highlightCanvases.get(layer.id)].forEach((canvas, offset) => {
+                canvas.style.zIndex = String(this.Z_BASE + index * 3 + 1 + offset);
+                canvas.style.display = layer.visible ? '' : 'none';
+                canvas.style.opacity = String(layer.opacity);
+            });
+        });
+
+        if (!this.redactionCanvas) this.redactionCanvas = createCanvas();
+        this.redactionCanvas.style.zIndex = String(this.Z_BASE + AppState.layers.length * 3);
+        this.resize();
+
+        this.placeAllMedia();
+
+        // New ink is drawn live on the active layer
+        AppState.infiniteCtx = this.canvases.get(this.getActive().id).getContext('2d', { willReadFrequently: true });
+        InfiniteCanvas.updateStyles();
+        SceneModel.render('infinite');
+        this.renderPanel();
+    },
+
+    /**
+     * Match the layer canvases to the size of the page canvas
+     */
+    resize() {
+        const page = AppState.infiniteCanvas;
+        if (!page) return;
+
+        [...this.canvases.values(), ...this.highlightCanvases.values(), this.redactionCanvas].filter(Boolean).forEach(canvas => {
+            if (canvas.width !== page.width) canvas.width = page.width;
+            if (canvas.height !== page.height) canvas.height = page.height;
+        });
+    },
+
+    /**
+     * Restack all media, e.g. after the tool changed
+     */
+    placeAllMedia() {
+        MediaHandler.getAllMedia().forEach(mediaObj => this.placeMedia(mediaObj));
+    },
+
+    /**
+     * Stack a media element with its layer and apply the layer's visibility, lock and opacity
+     * @param {Object} mediaObj - Media object
+     */
+    placeMedia(mediaObj) {
+        if (mediaObj.canvas !== 'infinite' || !mediaObj.element || !AppState.layers.length) return;
+
+        const index = AppState.layers.findIndex(layer => layer.id === this.getLayerId(mediaObj));
+        const layer = AppState.layers[index];
+        [mediaObj.element, mediaObj.label].filter(Boolean).forEach(element => {
+            element.style.zIndex = String(this.Z_BASE + index * 3);
+            element.style.display = layer.visible ? '' : 'none';
+            element.style.opacity = String(layer.opacity);
+        });
+
+        // Media only takes clicks for the Select tool; otherwise ink goes over it onto the canvas
+        const interactive = AppState.currentTool === 'select' && !layer.locked;
+        mediaObj.element.style.pointerEvents = interactive ? 'auto' : 'none';
+        if (layer.locked && MediaHandler.selectedMedia === mediaObj) MediaHandler.deselectAll();
+    },
+
+    /**
+     * Draw the infinite scene: page separators on the page, each layer's objects on its canvas
+     * @param {Object[]} objects - Objects of the infinite scene in paint order
+     */
+    render(objects) {
+        const page = AppState.infiniteCanvas;
+        const pageCtx = AppState.infinitePageCtx;
+        if (!page || !pageCtx) return;
+
+        pageCtx.clearRect(0, 0, page.width, page.height);
+        Snapping.drawGrid(pageCtx);
+        InfiniteCanvas.drawPageSeparators();
+
+        const byLayer = new Map();
+        const redactions = [];
+        objects.forEach(object => {
+            if (object.type === 'redact') {
+                redactions.push(object);
+                return;
+            }
+            const id = this.getLayerId(object);
+            if (!byLayer.has(id)) byLayer.set(id, []);
+            byLayer.get(id).push(object);
+        });
+
+        this.canvases.forEach((canvas, id) => {
+            const { ink, highlights } = SceneModel.splitHighlights(byLayer.get(id) || []);
+            const highlightCanvas = this.highlightCanvases.get(id);
+            SceneModel.clearCanvas(canvas);
+            SceneModel.clearCanvas(highlightCanvas);
+            SceneModel.drawObjects(canvas.getContext('2d', { willReadFrequently: true }), ink);
+            SceneModel.drawObjects(highlightCanvas.getContext('2d'), highlights);
+        });
+
+        if (this.redactionCanvas) {
+            SceneModel.clearCanvas(this.redactionCanvas);
+            SceneModel.drawObjects(this.redactionCanvas.getContext('2d'), this.stackOrder(redactions));
+        }
+    },
+
+    /**
+     * Flatten the page, media and visible layers into one canvas (for saving as an image)
+     * @returns {HTMLCanvasElement}
+     */
+    composite() {
+        const page = AppState.infiniteCanvas;
+        const output = document.createElement('canvas');
+        output.width = page.width;
+        output.height = page.height;
+        const ctx = output.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, output.width, output.height);
+        ctx.drawImage(page, 0, 0);
+
+        AppState.layers.forEach(layer => {
+            if (!layer.visible) return;
+            ctx.globalAlpha = layer.opacity;
+            MediaHandler.getAllMedia()
+                .filter(mediaObj => mediaObj.canvas === 'infinite' && mediaObj.element && this.getLayerId(mediaObj) === layer.id)
+                .forEach(mediaObj => ctx.drawImage(mediaObj.element, mediaObj.x - page.offsetLeft, mediaObj.y - page.offsetTop, mediaObj.width, mediaObj.height));
+            ctx.drawImage(this.canvases.get(layer.id), 0, 0);
+            ctx.globalCompositeOperation = 'multiply';
+            ctx.drawImage(this.highlightCanvases.get(layer.id), 0, 0);
+            ctx.globalCompositeOperation = 'source-over';
+        });
+
+        ctx.globalAlpha = 1;
+        if (this.redactionCanvas) ctx.drawImage(this.redactionCanvas, 0, 0);
+        return output;
+    },
+
+    /**
+     * Add a layer above the active one and make it active
+     */
+    add() {
+        if (AppState.layers.length >= this.MAX_LAYERS) {
+            UI.showNotification(`Up to ${this.MAX_LAYERS} layers`);
+            return;
+        }
+
+        const layer = this.createLayer(`Layer ${AppState.layers.length + 1}`);
+        const index = AppState.layers.indexOf(this.getActive()) + 1;
+        AppState.layers = [...AppState.layers.slice(0, index), layer, ...AppState.layers.slice(index)];
+        AppState.activeLayerId = layer.id;
+        this.sync();
+        this.save();
+    },
+
+    /**
+     * Delete a layer with its ink and media
+     * The layer list, its objects and its media are restored together on undo.
+     * @param {string} id - Layer id
+     */
+    remove(id) {
+        const layer = this.getLayer(id);
+        if (!layer || AppState.layers.length === 1) return;
+
+        const objects = SceneModel.scenes.infinite;
+        const media = MediaHandler.getAllMedia().filter(mediaObj => mediaObj.canvas === 'infinite' && this.getLayerId(mediaObj) === id);
+        const kept = StepMarkers.renumber('infinite', objects.filter(object => this.getLayerId(object) !== id));
+        if ((kept.length !== objects.length || media.length) &&
+            !confirm(`Delete layer "${layer.name}" with everything on it?`)) {
+            return;
+        }
+
+        const before = { layers: AppState.layers, activeLayerId: AppState.activeLayerId };
+        const remaining = AppState.layers.filter(other => other.id !== id);
+        const after = {
+            layers: remaining,
+            activeLayerId: AppState.activeLayerId === id ? remaining[remaining.length - 1].id : AppState.activeLayerId
+        };
+        const apply = (state, sceneObjects) => {
+            AppState.layers = state.layers;
+            AppState.activeLayerId = state.activeLayerId;
+            ObjectSelection.clear();
+            this.sync();
+            SceneModel.setObjects('infinite', sceneObjects);
+        };
+
+        media.forEach(mediaObj => MediaHandler.removeMedia(mediaObj.id));
+        apply(after, kept);
+        HistoryManager.push('infinite', {
+            label: 'delete layer',
+            size: (objects.length + kept.length) * HistoryManager.REFERENCE_SIZE,
+            undo: () => {
+                apply(before, objects);
+                media.forEach(mediaObj => MediaHandler.reattach(mediaObj));
+            },
+            redo: () => {
+                media.forEach(mediaObj => MediaHandler.removeMedia(mediaObj.id));
+                apply(after, kept);
+            }
+        });
+        this.save();
+    },
+
+    /**
+     * Change properties of a layer
+     * @param {string} id - Layer id
+     * @param {Object} changes - Values to set (name, visible, locked, opacity)
+     */
+    update(id, changes) {
+        AppState.layers = AppState.layers.map(layer => layer.id === id ? { ...layer, ...changes } : layer);
+        if ('locked' in changes || 'visible' in changes) ObjectSelection.clear();
+        this.sync();
+        this.save();
+    },
+
+    /**
+     * Move a layer up or down the stack
+     * @param {string} id - Layer id
+     * @param {number} direction - 1 to raise, -1 to lower
+     */
+    move(id, direction) {
+        const layers = [...AppState.layers];
+        const index = layers.findIndex(layer => layer.id === id);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= layers.length) return;
+
+        // Objects without a layer id stay on the bottom layer; pin them to theirs first
+        const bottomId = layers[0].id;
+        const objects = SceneModel.scenes.infinite;
+        if ((index === 0 || target === 0) && objects.some(object => !this.getLayer(object.layer))) {
+            SceneModel.setObjects('infinite', objects.map(object => this.getLayer(object.layer) ? object : { ...object, layer: bottomId }));
+        }
+        MediaHandler.getAllMedia().forEach(mediaObj => {
+            if (mediaObj.canvas === 'infinite' && !this.getLayer(mediaObj.layer)) mediaObj.layer = bottomId;
+        });
+
+        [layers[index], layers[target]] = [layers[target], layers[index]];
+        AppState.layers = layers;
+        this.sync();
+        this.save();
+    },
+
+    /**
+     * Make a layer the one new ink and media go to
+     * @param {string} id - Layer id
+     */
+    setActive(id) {
+        if (!this.getLayer(id) || id === AppState.activeLayerId) return;
+        AppState.activeLayerId = id;
+        this.sync();
+    },
+
+    /**
+     * Move the selected objects or the selected image/PDF page to the active layer
+     */
+    moveSelectionHere() {
+        const id = AppState.activeLayerId;
+        let moved = false;
+
+        if (ObjectSelection.canvasKey === 'infinite' && ObjectSelection.hasSelection()) {
+            const objects = SceneModel.scenes.infinite.map(object =>
+                ObjectSelection.selectedIds.has(object.id) ? { ...object, layer: id } : object);
+            SceneModel.commit('infinite', objects, 'move to layer');
+            moved = true;
+        }
+
+        const mediaObj = MediaHandler.selectedMedia;
+        if (mediaObj?.canvas === 'infinite') {
+            mediaObj.layer = id;
+            this.placeMedia(mediaObj);
+            SceneModel.refreshMedia();
+            moved = true;
+        }
+
+        if (moved) {
+            this.save();
+        } else {
+            UI.showNotification('Select drawn objects or an image first');
+        }
+    },
+
+    /**
+     * Save the project soon after a layer change
+     */
+    save() {
+        setTimeout(() => StorageManager.saveData(), 100);
+    },
+
+    /**
+     * Show or hide the layers panel
+     */
+    togglePanel() {
+        document.getElementById('layersPanel')?.classList.toggle('hidden');
+    },
+
+    /**
+     * Rebuild the list of layers in the panel, top layer first
+     */
+    renderPanel() {
+        const list = document.getElementById('layersList');
+        if (!list) return;
+
+        const button = (text, title, onClick, disabled = false) => {
+            const element = document.createElement('button');
+            element.className = 'w-6 h-6 flex-shrink-0 rounded text-xs hover:bg-gray-200 disabled:opacity-30';
+            element.textContent = text;
+            element.title = title;
+            element.disabled = disabled;
+            element.addEventListener('click', (e) => {
+                e.stopPropagation();
+                onClick();
+            });
+            return element;
+        };
+
+        const rows = [...AppState.layers].reverse().map(layer => {
+            const index = AppState.layers.indexOf(layer);
+            const row = document.createElement('div');
+            row.className = `flex items-center gap-1 p-1 rounded cursor-pointer border ${layer.id === AppState.activeLayerId ? 'bg-indigo-50 border-indigo-300' : 'border-transparent hover:bg-gray-50'}`;
+            row.addEventListener('click', () => this.setActive(layer.id));
+
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.value = layer.name;
+            name.className = 'flex-1 min-w-0 px-1 text-xs bg-transparent border border-transparent rounded focus:border-gray-300';
+            name.addEventListener('change', () => this.update(layer.id, { name: name.value.trim() || layer.name }));
+
+            const opacity = document.createElement('input');
+            opacity.type = 'range';
+            opacity.min = '10';
+            opacity.max = '100';
+            opacity.value = String(Math.round(layer.opacity * 100));
+            opacity.className = 'w-14 h-2 cursor-pointer';
+            opacity.title = `Opacity ${Math.round(layer.opacity * 100)}%`;
+            opacity.addEventListener('click', (e) => e.stopPropagation());
+            opacity.addEventListener('change', () => this.update(layer.id, { opacity: Number(opacity.value) / 100 }));
+
+            row.append(
+                button(layer.visible ? '👁️' : '🚫', layer.visible ? 'Hide layer' : 'Show layer', () => this.update(layer.id, { visible: !layer.visible })),
+                button(layer.locked ? '🔒' : '🔓', layer.locked ? 'Unlock layer' : 'Lock layer', () => this.update(layer.id, { locked: !layer.locked })),
+                name,
+                opacity,
+                button('▲', 'Move up', () => this.move(layer.id, 1), index === AppState.layers.length - 1),
+                button('▼', 'Move down', () => this.move(layer.id, -1), index === 0),
+                button('✕', 'Delete layer', () => this.remove(layer.id), AppState.layers.length === 1)
+            );
+            return row;
+        });
+        list.replaceChildren(...rows);
+    }
+};
+
+// =============================================================================
+// 26. GRID AND SNAPPING
+// =============================================================================
+
+/**
+ * @namespace Snapping
+ * @description Grid, ruler guides and snapping on the infinite canvas
+ * The grid is drawn on the page below the layers. Guides are lines at a fixed x or y that
+ * can be dragged with the Select tool (drag one off the page or double-click it to remove
+ * it). While snapping is on, shape endpoints, new text boxes, moved objects and dragged or
+ * resized images snap to the grid, guides, page edges and the edges and centres of other
+ * objects, and the lines they snapped to are shown. All positions are in canvas pixels.
+ * The settings and guides (`AppState.snapping`) are saved with the project.
+ */
+const Snapping = {
+    DEFAULTS: { grid: false, spacing: 20, snap: true, guides: [] },
+    MIN_SPACING: 5,
+    MAX_SPACING: 200,
+    THRESHOLD: 8,           // Snap distance in canvas pixels
+    TOOLS: ['line', 'arrow', 'rectangle', 'roundedRectangle', 'circle', 'ellipse', 'polygon', 'callout', 'step', 'spotlight', 'obscure', 'redact', 'magnifier', 'stamp'],
+    indicatorCanvas: null,  // Overlay showing what a drag snapped to
+    indicatorTimer: null,
+    guideElements: [],
+
+    /**
+     * Wire up the grid panel
+     */
+    init() {
+        this.restore();
+
+        document.getElementById('gridToggle')?.addEventListener('click', () => {
+            document.getElementById('gridPanel')?.classList.toggle('hidden');
+        });
+        document.getElementById('showGrid')?.addEventListener('change', (e) => this.update({ grid: e.target.checked }));
+        document.getElementById('gridSpacing')?.addEventListener('change', (e) => this.update({ spacing: Number(e.target.value) }));
+        document.getElementById('snapEnabled')?.addEventListener('change', (e) => this.update({ snap: e.target.checked }));
+        document.getElementById('addHorizontalGuide')?.addEventListener('click', () => this.addGuide('y'));
+        document.getElementById('addVerticalGuide')?.addEventListener('click', () => this.addGuide('x'));
+        document.getElementById('clearGuides')?.addEventListener('click', () => this.update({ guides: [] }));
+    },
+
+    /**
+     * Fill in missing or invalid values of saved settings
+     * @param {*} settings - Settings read from a project
+     * @returns {Object} Valid snapping settings
+     */
+    normalize(settings) {
+        const source = settings && typeof settings === 'object' ? settings : {};
+        const spacing = Math.round(Number(source.spacing));
+        return {
+            grid: source.grid === true,
+            spacing: Number.isFinite(spacing) ? Math.max(this.MIN_SPACING, Math.min(this.MAX_SPACING, spacing)) : this.DEFAULTS.spacing,
+            snap: source.snap !== false,
+            guides: (Array.isArray(source.guides) ? source.guides : [])
+                .filter(guide => guide && (guide.axis === 'x' || guide.axis === 'y') && Number.isFinite(guide.position))
+                .map(guide => ({ axis: guide.axis, position: guide.position }))
+        };
+    },
+
+    /**
+     * Apply the settings saved with a project
+     * @param {Object} [settings] - Saved settings (older projects have none)
+     */
+    restore(settings) {
+        AppState.snapping = this.normalize(settings);
+        this.updateControls();
+        this.renderGuides();
+        SceneModel.render('infinite');
+    },
+
+    /**
+     * Change the grid, snapping or guides
+     * @param {Object} changes - Values to set (grid, spacing, snap, guides)
+     */
+    update(changes) {
+        const gridChanged = 'grid' in changes || 'spacing' in changes;
+        AppState.snapping = this.normalize({ ...AppState.snapping, ...changes });
+        this.updateControls();
+        this.renderGuides();
+        if (gridChanged) SceneModel.render('infinite');
+        setTimeout(() => StorageManager.saveData(), 100);
+    },
+
+    /**
+     * Show the current settings in the grid panel
+     */
+    updateControls() {
+        const { grid, spacing, snap } = AppState.snapping;
+        const showGrid = document.getElementById('showGrid');
+        const gridSpacing = document.getElementById('gridSpacing');
+        const snapEnabled = document.getElementById('snapEnabled');
+        if (showGrid) showGrid.checked = grid;
+        if (gridSpacing) gridSpacing.value = spacing;
+        if (snapEnabled) snapEnabled.checked = snap;
+    },
+
+    /**
+     * Whether a drawing tool snaps its endpoints
+     * @param {string} tool - Drawing tool
+     * @returns {boolean}
+     */
+    appliesTo(tool) {
+        return AppState.snapping.snap && this.TOOLS.includes(tool);
+    },
+
+    /**
+     * Draw the grid onto the infinite canvas page
+     * @param {CanvasRenderingContext2D} ctx - Page context
+     */
+    drawGrid(ctx) {
+        const { grid, spacing } = AppState.snapping;
+        if (!grid) return;
+
+        const { width, height } = ctx.canvas;
+        ctx.save();
+        ctx.strokeStyle = '#e5e7eb';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let x = spacing; x < width; x += spacing) {
+            ctx.moveTo(x + 0.5, 0);
+            ctx.lineTo(x + 0.5, height);
+        }
+        for (let y = spacing; y < height; y += spacing) {
+            ctx.moveTo(0, y + 0.5);
+            ctx.lineTo(width, y + 0.5);
+        }
+        ctx.stroke();
+        ctx.restore();
+    },
+
+    /**
+     * Canvas bounds of a media item (media is positioned in container pixels)
+     * @param {Object} mediaObj - Media object
+     * @returns {{left: number, top: number, right: number, bottom: number}}
+     */
+    getMediaBounds(mediaObj) {
+        const page = AppState.infiniteCanvas;
+        const left = mediaObj.x - page.offsetLeft;
+        const top = mediaObj.y - page.offsetTop;
+        return { left, top, right: left + mediaObj.width, bottom: top + mediaObj.height };
+    },
+
+    /**
+     * Lines that can be snapped to, except the grid
+     * @param {Object} [exclude] - What is being moved
+     * @param {Set<string>} [exclude.ids] - Ids of scene objects
+     * @param {Object} [exclude.media] - Media object
+     * @returns {{x: number[], y: number[]}} Vertical (x) and horizontal (y) lines
+     */
+    collectTargets({ ids = new Set(), media = null } = {}) {
+        const page = AppState.infiniteCanvas;
+        const targets = { x: [], y: [] };
+
+        AppState.snapping.guides.forEach(guide => targets[guide.axis].push(guide.position));
+
+        // Page edges
+        const dimensions = InfiniteCanvas.calculateA4Dimensions();
+        for (let x = 0; x <= page.width; x += dimensions.width) targets.x.push(x);
+        for (let y = 0; y <= page.height; y += dimensions.height) targets.y.push(y);
+
+        // Edges and centres of other objects and media on visible layers
+        const addBounds = (bounds) => {
+            targets.x.push(bounds.left, (bounds.left + bounds.right) / 2, bounds.right);
+            targets.y.push(bounds.top, (bounds.top + bounds.bottom) / 2, bounds.bottom);
+        };
+        const isVisible = (item) => Layers.getLayer(Layers.getLayerId(item))?.visible;
+        SceneModel.scenes.infinite
+            .filter(object => object.type !== 'erase' && !ids.has(object.id) && isVisible(object))
+            .forEach(object => {
+                const bounds = SceneModel.getBounds(object);
+                if (bounds) addBounds(bounds);
+            });
+        MediaHandler.getAllMedia()
+            .filter(mediaObj => mediaObj.canvas === 'infinite' && mediaObj !== media && isVisible(mediaObj))
+            .forEach(mediaObj => addBounds(this.getMediaBounds(mediaObj)));
+
+        return targets;
+    },
+
+    /**
+     * Closest snap along one axis
+     * @param {number[]} probes - Positions of the moving item (e.g. its left, centre and right)
+     * @param {number[]} targets - Lines to snap to
+     * @returns {{offset: number, line: number}|null} Shift to apply and the line snapped to
+     */
+    snapAxis(probes, targets) {
+        const { grid, spacing } = AppState.snapping;
+        let best = null;
+        probes.forEach(probe => {
+            const candidates = grid ? [...targets, Math.round(probe / spacing) * spacing] : targets;
+            candidates.forEach(line => {
+                const offset = line - probe;
+                if (Math.abs(offset) <= this.THRESHOLD && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+                    best = { offset, line };
+                }
+            });
+        });
+        return best;
+    },
+
+    /**
+     * Snap a moving box and show what it snapped to
+     * @param {{left: number, top: number, right: number, bottom: number}} bounds - Box at the pointer
+     * @param {Object} [exclude] - What is being moved (see collectTargets)
+     * @returns {{dx: number, dy: number, snappedX: boolean, snappedY: boolean}} Shift to apply
+     */
+    snapRect(bounds, exclude) {
+        if (!AppState.snapping.snap || !AppState.infiniteCanvas) return { dx: 0, dy: 0, snappedX: false, snappedY: false };
+
+        const targets = this.collectTargets(exclude);
+        const x = this.snapAxis([bounds.left, (bounds.left + bounds.right) / 2, bounds.right], targets.x);
+        const y = this.snapAxis([bounds.top, (bounds.top + bounds.bottom) / 2, bounds.bottom], targets.y);
+        this.showIndicators(x?.line, y?.line);
+        return { dx: x ? x.offset : 0, dy: y ? y.offset : 0, snappedX: !!x, snappedY: !!y };
+    },
+
+    /**
+     * Snap a point and show what it snapped to
+     * @param {Object} point - Point in canvas coordinates
+     * @param {Object} [exclude] - What is being moved (see collectTargets)
+     * @returns {Object} Snapped point
+     */
+    snapPoint(point, exclude) {
+        const { dx, dy } = this.snapRect({ left: point.x, top: point.y, right: point.x, bottom: point.y }, exclude);
+        return { x: point.x + dx, y: point.y + dy };
+    },
+
+    /**
+     * Draw the snap lines over the infinite canvas
+     * @param {number} [x] - Vertical line snapped to
+     * @param {number} [y] - Horizontal line snapped to
+     */
+    showIndicators(x, y) {
+        const page = AppState.infiniteCanvas;
+        if (!this.indicatorCanvas) {
+            this.indicatorCanvas = document.createElement('canvas');
+            this.indicatorCanvas.className = 'absolute top-0 left-0';
+            this.indicatorCanvas.style.margin = '10px'; // Same offset as the page canvas
+            this.indicatorCanvas.style.pointerEvents = 'none';
+            this.indicatorCanvas.style.zIndex = '950';
+            page.parentElement.appendChild(this.indicatorCanvas);
+        }
+
+        const canvas = this.indicatorCanvas;
+        if (canvas.width !== page.width) canvas.width = page.width;
+        if (canvas.height !== page.height) canvas.height = page.height;
+
+        clearTimeout(this.indicatorTimer);
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.strokeStyle = '#ec4899';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        if (x !== undefined) {
+            ctx.moveTo(x + 0.5, 0);
+            ctx.lineTo(x + 0.5, canvas.height);
+        }
+        if (y !== undefined) {
+            ctx.moveTo(0, y + 0.5);
+            ctx.lineTo(canvas.width, y + 0.5);
+        }
+        ctx.stroke();
+    },
+
+    /**
+     * Remove the snap lines
+     * @param {number} [delay=0] - Milliseconds to keep them visible
+     */
+    clearIndicators(delay = 0) {
+        clearTimeout(this.indicatorTimer);
+        this.indicatorTimer = setTimeout(() => {
+            const canvas = this.indicatorCanvas;
+            canvas?.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+        }, delay);
+    },
+
+    /**
+     * Add a guide in the middle of the visible part of the canvas
+     * @param {string} axis - 'x' for a vertical guide, 'y' for a horizontal one
+     */
+    addGuide(axis) {
+        const container = document.getElementById('infiniteCanvasContainer');
+        const page = AppState.infiniteCanvas;
+        if (!container || !page) return;
+
+        const position = axis === 'x'
+            ? container.scrollLeft + container.clientWidth / 2 - page.offsetLeft
+            : container.scrollTop + container.clientHeight / 2 - page.offsetTop;
+        this.update({ guides: [...AppState.snapping.guides, { axis, position: Math.round(position) }] });
+    },
+
+    /**
+     * Recreate the guide lines over the infinite canvas
+     */
+    renderGuides() {
+        const page = AppState.infiniteCanvas;
+        this.guideElements.forEach(element => element.remove());
+        this.guideElements = [];
+        if (!page) return;
+
+        const draggable = AppState.currentTool === 'select';
+        AppState.snapping.guides.forEach((guide, index) => {
+            const vertical = guide.axis === 'x';
+            const element = document.createElement('div');
+            element.className = 'snap-guide';
+            element.title = 'Drag to move, drag off the page or double-click to remove';
+            element.style.cssText = `
+                position: absolute;
+                left: ${page.offsetLeft + (vertical ? guide.position - 3 : 0)}px;
+                top: ${page.offsetTop + (vertical ? 0 : guide.position - 3)}px;
+                width: ${vertical ? 7 : page.width}px;
+                height: ${vertical ? page.height : 7}px;
+                background: linear-gradient(${vertical ? 'to right' : 'to bottom'}, transparent 3px, #06b6d4 3px, #06b6d4 4px, transparent 4px);
+                cursor: ${vertical ? 'col-resize' : 'row-resize'};
+                pointer-events: ${draggable ? 'auto' : 'none'};
+                touch-action: none;
+                z-index: 900;
+            `;
+            element.addEventListener('pointerdown', (e) => this.dragGuide(e, index));
+            element.addEventListener('dblclick', () => {
+                this.update({ guides: AppState.snapping.guides.filter((_, i) => i !== index) });
+            });
+            page.parentElement.appendChild(element);
+            this.guideElements.push(element);
+        });
+    },
+
+    /**
+     * Drag a guide with mouse, touch or pen; dropping it off the page removes it
+     * @param {PointerEvent} e - Pointer down on the guide
+     * @param {number} index - Index of the guide
+     */
+    dragGuide(e, index) {
+        if (!e.isPrimary) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        const guide = AppState.snapping.guides[index];
+        const element = this.guideElements[index];
+        const page = AppState.infiniteCanvas;
+        const vertical = guide.axis === 'x';
+        let position = guide.position;
+
+        const pointerId = e.pointerId;
+        element.setPointerCapture?.(pointerId);
+
+        const move = (event) => {
+            if (event.pointerId !== pointerId) return;
+            const pos = InfiniteCanvas.getMousePos(event);
+            if (!pos) return;
+            position = Math.round(vertical ? pos.x : pos.y);
+            if (vertical) {
+                element.style.left = `${page.offsetLeft + position - 3}px`;
+            } else {
+                element.style.top = `${page.offsetTop + position - 3}px`;
+            }
+        };
+        const end = (event) => {
+            if (event.pointerId !== pointerId) return;
+            element.removeEventListener('pointermove', move);
+            element.removeEventListener('pointerup', end);
+            element.removeEventListener('pointercancel', end);
+
+            // A cancelled drag (e.g. the browser took over the touch) leaves the guide where it was
+            if (event.type === 'pointercancel') {
+                this.renderGuides();
+                return;
+            }
+
+            const size = vertical ? page.width : page.height;
+            const guides = AppState.snapping.guides.map((other, i) => i === index ? { ...other, position } : other);
+            this.update({ guides: position < 0 || position > size ? guides.filter((_, i) => i !== index) : guides });
+        };
+        element.addEventListener('pointermove', move);
+        element.addEventListener('pointerup', end);
+        element.addEventListener('pointercancel', end);
+    }
+};
+
+// =============================================================================
+// 27. STEP MARKERS
+// =============================================================================
+
+/**
+ * @namespace StepMarkers
+ * @description Numbered badges marking the order of steps (1, 2, 3…)
+ * Markers are `step` scene objects. Their numbers are not typed in: whenever a scene is
+ * committed the markers of each group are renumbered in paint order, starting at the start
+ * number of the group's first marker, so deleting one closes the gap. The video drawing is
+ * one group (each timestamped drawing is saved with its own numbers); on the infinite canvas
+ * every A4 page is a group. The style of new markers (`AppState.stepStyle`) is saved with
+ * the project.
+ */
+const StepMarkers = {
+    DEFAULTS: { shape: 'circle', size: 28, filled: true, start: 1 },
+    SHAPES: ['circle', 'square'],
+    MIN_SIZE: 16,
+    MAX_SIZE: 80,
+
+    /**
+     * Fill in missing or invalid values of a saved style
+     * @param {*} style - Style read from a project
+     * @returns {Object} Valid step marker style
+     */
+    normalize(style) {
+        const source = style && typeof style === 'object' ? style : {};
+        const size = Math.round(Number(source.size));
+        const start = Math.round(Number(source.start));
+        return {
+            shape: this.SHAPES.includes(source.shape) ? source.shape : this.DEFAULTS.shape,
+            size: Number.isFinite(size) ? Math.max(this.MIN_SIZE, Math.min(this.MAX_SIZE, size)) : this.DEFAULTS.size,
+            filled: source.filled !== false,
+            start: Number.isFinite(start) ? Math.max(0, start) : this.DEFAULTS.start
+        };
+    },
+
+    /**
+     * Apply the style saved with a project
+     * @param {Object} [style] - Saved style (older projects have none)
+     */
+    restore(style) {
+        AppState.stepStyle = this.normalize(style);
+        this.updateControls();
+    },
+
+    /**
+     * Change the style of new markers
+     * @param {Object} changes - Values to set (shape, size, filled, start)
+     */
+    update(changes) {
+        AppState.stepStyle = this.normalize({ ...AppState.stepStyle, ...changes });
+        this.updateControls();
+        setTimeout(() => StorageManager.saveData(), 100);
+    },
+
+    /**
+     * Show the current style in the step marker controls
+     */
+    updateControls() {
+        const { shape, size, filled, start } = AppState.stepStyle;
+        const controls = { stepShape: shape, stepSize: size, stepStart: start };
+        Object.entries(controls).forEach(([id, value]) => {
+            const control = document.getElementById(id);
+            if (control) control.value = value;
+        });
+        const stepFilled = document.getElementById('stepFilled');
+        if (stepFilled) stepFilled.checked = filled;
+    },
+
+    /**
+     * Place a new marker; it gets the next number of its group
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @param {Object} pos - Centre in canvas coordinates
+     */
+    place(canvasKey, pos) {
+        const { shape, size, filled, start } = AppState.stepStyle;
+        HistoryManager.setActive(canvasKey);
+        SceneModel.add(canvasKey, SceneModel.createObject('step', {
+            x: pos.x,
+            y: pos.y,
+            size,
+            shape,
+            filled,
+            start,
+            number: start,
+            style: { color: AppState.currentColor }
+        }));
+    },
+
+    /**
+     * Group a marker is numbered in
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @param {Object} object - Step marker
+     * @returns {string} Group key
+     */
+    getGroup(canvasKey, object) {
+        if (canvasKey !== 'infinite') return canvasKey;
+
+        const center = SceneModel.applyTransform(object.transform || {}, { x: object.x, y: object.y });
+        const dimensions = InfiniteCanvas.calculateA4Dimensions();
+        return `${Math.floor(center.x / dimensions.width)}:${Math.floor(center.y / dimensions.height)}`;
+    },
+
+    /**
+     * Number the markers of a scene in paint order, per group
+     * @param {string} canvasKey - 'video' or 'infinite'
+     * @param {Object[]} objects - Objects of the scene
+     * @returns {Object[]} The same list, or a copy with renumbered markers
+     */
+    renumber(canvasKey, objects) {
+        const counters = new Map(); // Group -> next number
+        let changed = false;
+        const numbered = objects.map(object => {
+            if (object.type !== 'step') return object;
+
+            const group = this.getGroup(canvasKey, object);
+            const number = counters.has(group) ? counters.get(group) : (object.start ?? this.DEFAULTS.start);
+            counters.set(group, number + 1);
+            if (object.number === number) return object;
+
+            changed = true;
+            return { ...object, number };
+        });
+        return changed ? numbered : objects;
+    },
+
+    /**
+     * Draw a marker (called by SceneModel.drawObject inside the object's transform)
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object} object - Step marker
+     */
+    draw(ctx, object) {
+        const color = object.style?.color || '#000000';
+        const radius = object.size / 2;
+
+        ctx.setLineDash([]);
+        ctx.lineWidth = Math.max(2, object.size / 12);
+        if (object.shape === 'square') {
+            SceneModel.traceRoundedRect(ctx, { x: object.x - radius, y: object.y - radius }, { x: object.x + radius, y: object.y + radius }, object.size / 5);
+        } else {
+            ctx.beginPath();
+            ctx.arc(object.x, object.y, radius, 0, Math.PI * 2);
+        }
+        ctx.fillStyle = object.filled ? color : '#ffffff';
+        ctx.fill();
+        ctx.strokeStyle = color;
+        ctx.stroke();
+
+        const label = String(object.number);
+        ctx.fillStyle = object.filled ? this.getTextColor(color) : color;
+        ctx.font = `bold ${Math.round(object.size * (label.length > 2 ? 0.42 : 0.55))}px Arial, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(label, object.x, object.y + object.size * 0.03);
+    },
+
+    /**
+     * Readable number color on a filled badge
+     * @param {string} color - Badge color (#rrggbb)
+     * @returns {string} Black or white
+     */
+    getTextColor(color) {
+        const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color);
+        if (!match) return '#ffffff';
+        const [r, g, b] = match.slice(1).map(hex => parseInt(hex, 16));
+        return (r * 299 + g * 587 + b * 114) / 1000 > 160 ? '#000000' : '#ffffff';
+    }
+};
+
+// =============================================================================
+// 28. SPOTLIGHT, BLUR AND REDACTION
+// =============================================================================
+
+/**
+ * @namespace Masks
+ * @description Annotations that hide or dim parts of the picture
+ * All three are boxes dragged out like rectangles and stay editable with the Select tool:
+ * - `spotlight` darkens everything outside a rectangle or ellipse
+ * - `obscure` pixelates or blurs the images and PDF pages under it (infinite canvas only;
+ *   the video itself cannot be read). It is redrawn whenever media changes.
+ * - `redact` is an opaque box in the current color; on the infinite canvas it is drawn
+ *   above every layer (see Layers)
+ * They are drawn on the canvases like any other object, so exports include them. The
+ * settings of new masks (`AppState.maskStyle`) are saved with the project.
+ */
+const Masks = {
+    TOOLS: ['spotlight', 'obscure', 'redact'],
+    DEFAULTS: { spotlightShape: 'rectangle', dim: 0.6, obscure: 'pixelate', strength: 12 },
+    SPOTLIGHT_SHAPES: ['rectangle', 'ellipse'],
+    OBSCURE_MODES: ['pixelate', 'blur'],
+    SPOTLIGHT_EXTENT: 100000, // Half size of the darkened area around a spotlight
+
+    /**
+     * Fill in missing or invalid values of saved settings
+     * @param {*} style - Settings read from a project
+     * @returns {Object} Valid mask settings
+     */
+    normalize(style) {
+        const source = style && typeof style === 'object' ? style : {};
+        const dim = Number(source.dim);
+        const strength = Math.round(Number(source.strength));
+        return {
+            spotlightShape: this.SPOTLIGHT_SHAPES.includes(source.spotlightShape) ? source.spotlightShape : this.DEFAULTS.spotlightShape,
+            dim: Number.isFinite(dim) ? Math.max(0.1, Math.min(0.95, dim)) : this.DEFAULTS.dim,
+            obscure: this.OBSCURE_MODES.includes(source.obscure) ? source.obscure : this.DEFAULTS.obscure,
+            strength: Number.isFinite(strength) ? Math.max(2, Math.min(40, strength)) : this.DEFAULTS.strength
+        };
+    },
+
+    /**
+     * Apply the settings saved with a project
+     * @param {Object} [style] - Saved settings (older projects have none)
+     */
+    restore(style) {
+        AppState.maskStyle = this.normalize(style);
+        this.updateControls();
+    },
+
+    /**
+     * Change the settings of new masks
+     * @param {Object} changes - Values to set (spotlightShape, dim, obscure, strength)
+     */
+    update(changes) {
+        AppState.maskStyle = this.normalize({ ...AppState.maskStyle, ...changes });
+        this.updateControls();
+        setTimeout(() => StorageManager.saveData(), 100);
+    },
+
+    /**
+     * Show the current settings in the mask controls
+     */
+    updateControls() {
+        const { spotlightShape, dim, obscure, strength } = AppState.maskStyle;
+        const controls = { spotlightShape, spotlightDim: Math.round(dim * 100), obscureMode: obscure, obscureStrength: strength };
+        Object.entries(controls).forEach(([id, value]) => {
+            const control = document.getElementById(id);
+            if (control) control.value = value;
+        });
+    },
+
+    /**
+     * Create the object for a box dragged out with a mask tool
+     * @param {string} tool - 'spotlight', 'obscure' or 'redact'
+     * @param {Object[]} corners - Two opposite corners
+     * @returns {Object} Scene object
+     */
+    createObject(tool, corners) {
+        const { spotlightShape, dim, obscure, strength } = AppState.maskStyle;
+        switch (tool) {
+            case 'spotlight':
+                return SceneModel.createObject('spotlight', { points: corners, shape: spotlightShape, dim, style: {} });
+            case 'obscure':
+                // The layer is known from the start so the preview hides the right media
+                return SceneModel.createObject('obscure', { points: corners, mode: obscure, strength, layer: AppState.activeLayerId, style: {} });
+            default:
+                return SceneModel.createObject('redact', { points: corners, style: { color: AppState.currentColor } });
+        }
+    },
+
+    /**
+     * Draw a mask (called by SceneModel.drawObject inside the object's transform)
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object} object - Spotlight, obscure or redact object
+     */
+    draw(ctx, object) {
+        const [start, end] = object.points;
+        const left = Math.min(start.x, end.x);
+        const top = Math.min(start.y, end.y);
+        const width = Math.abs(end.x - start.x);
+        const height = Math.abs(end.y - start.y);
+        ctx.setLineDash([]);
+
+        switch (object.type) {
+            case 'spotlight': {
+                // Even-odd fill leaves the spotlight itself uncovered
+                const extent = this.SPOTLIGHT_EXTENT;
+                ctx.fillStyle = `rgba(0, 0, 0, ${object.dim})`;
+                ctx.beginPath();
+                ctx.rect(-extent, -extent, extent * 2, extent * 2);
+                if (object.shape === 'ellipse') {
+                    ctx.ellipse(left + width / 2, top + height / 2, width / 2, height / 2, 0, 0, Math.PI * 2);
+                } else {
+                    ctx.rect(left, top, width, height);
+                }
+                ctx.fill('evenodd');
+                break;
+            }
+            case 'redact':
+                ctx.globalAlpha = 1;
+                ctx.fillRect(left, top, width, height);
+                break;
+            case 'obscure':
+                this.drawObscured(ctx, object, { left, top, width, height });
+                break;
+        }
+    },
+
+    /**
+     * Draw a pixelated or blurred copy of the media under an obscure box
+     * @param {CanvasRenderingContext2D} ctx - Target context, in the object's coordinates
+     * @param {Object} object - Obscure object
+     * @param {Object} box - left, top, width and height of the box
+     */
+    drawObscured(ctx, object, { left, top, width, height }) {
+        const media = this.getMediaBelow(object);
+        if (!media.length || width < 1 || height < 1) {
+            // Nothing to hide: show where the box is
+            ctx.globalAlpha = 0.5;
+            ctx.strokeStyle = '#9ca3af';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.strokeRect(left, top, width, height);
+            return;
+        }
+
+        // Copy the media into the box's own coordinates, with a margin so blur has no hard edge
+        const pad = object.mode === 'blur' ? object.strength * 2 : 0;
+        const source = document.createElement('canvas');
+        source.width = Math.ceil(width + pad * 2);
+        source.height = Math.ceil(height + pad * 2);
+        const sourceCtx = source.getContext('2d');
+        const transform = object.transform || {};
+        sourceCtx.translate(pad - left, pad - top);
+        sourceCtx.scale(1 / (transform.scaleX ?? 1), 1 / (transform.scaleY ?? 1));
+        sourceCtx.rotate(-(transform.rotation || 0));
+        sourceCtx.translate(-(transform.x || 0), -(transform.y || 0));
+        media.forEach(mediaObj => {
+            const bounds = Snapping.getMediaBounds(mediaObj);
+            sourceCtx.drawImage(mediaObj.element, bounds.left, bounds.top, mediaObj.width, mediaObj.height);
+        });
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(left, top, width, height);
+        ctx.clip();
+        if (object.mode === 'blur') {
+            const blurred = document.createElement('canvas');
+            blurred.width = source.width;
+            blurred.height = source.height;
+            const blurredCtx = blurred.getContext('2d');
+            blurredCtx.filter = `blur(${object.strength / 2}px)`;
+            blurredCtx.drawImage(source, 0, 0);
+            ctx.drawImage(blurred, left - pad, top - pad);
+        } else {
+            const cells = document.createElement('canvas');
+            cells.width = Math.max(1, Math.ceil(width / object.strength));
+            cells.height = Math.max(1, Math.ceil(height / object.strength));
+            cells.getContext('2d').drawImage(source, 0, 0, width, height, 0, 0, cells.width, cells.height);
+            ctx.imageSmoothingEnabled = false;
+            ctx.drawImage(cells, left, top, cells.width * object.strength, cells.height * object.strength);
+        }
+        ctx.restore();
+    },
+
+    /**
+     * Loaded images and PDF pages an obscure box hides: those on its layer or below
+     * @param {Object} object - Obscure object
+     * @returns {Object[]} Media objects
+     */
+    getMediaBelow(object) {
+        if (!AppState.infiniteCanvas) return [];
+
+        const layerIndex = (item) => AppState.layers.findIndex(layer => layer.id === Layers.getLayerId(item));
+        const maxIndex = layerIndex(object);
+        return MediaHandler.getAllMedia().filter(mediaObj =>
+            mediaObj.canvas === 'infinite' && mediaObj.element &&
+            mediaObj.element.complete !== false &&
+            layerIndex(mediaObj) <= maxIndex &&
+            Layers.getLayer(Layers.getLayerId(mediaObj))?.visible);
+    }
+};
+
+// =============================================================================
+// 29. MAGNIFIER
+// =============================================================================
+
+/**
+ * @namespace Magnifier
+ * @description Lens showing an enlarged copy of a region of the infinite canvas
+ * The tool drags out the source region; the lens is placed beside it, enlarged by the
+ * chosen zoom, and joined to it by a leader line. A `magnifier` object keeps its source
+ * region in canvas coordinates (`source`) and its lens box in its own coordinates
+ * (`points`), so moving or scaling it with the Select tool only moves the lens. The lens
+ * is drawn from the current ink and media whenever the infinite canvas renders, so it
+ * follows changes in the source region. The settings of new lenses
+ * (`AppState.magnifierStyle`) are saved with the project.
+ */
+const Magnifier = {
+    DEFAULTS: { shape: 'circle', zoom: 2 },
+    SHAPES: ['circle', 'rectangle'],
+    ZOOMS: [1.5, 2, 3, 4],
+    GAP: 40,            // Distance between the source region and the lens
+
+    /**
+     * Fill in missing or invalid values of saved settings
+     * @param {*} style - Settings read from a project
+     * @returns {Object} Valid magnifier settings
+     */
+    normalize(style) {
+        const source = style && typeof style === 'object' ? style : {};
+        const zoom = Number(source.zoom);
+        return {
+            shape: this.SHAPES.includes(source.shape) ? source.shape : this.DEFAULTS.shape,
+            zoom: this.ZOOMS.includes(zoom) ? zoom : this.DEFAULTS.zoom
+        };
+    },
+
+    /**
+     * Apply the settings saved with a project
+     * @param {Object} [style] - Saved settings (older projects have none)
+     */
+    restore(style) {
+        AppState.magnifierStyle = this.normalize(style);
+        this.updateControls();
+    },
+
+    /**
+     * Change the settings of new lenses
+     * @param {Object} changes - Values to set (shape, zoom)
+     */
+    update(changes) {
+        AppState.magnifierStyle = this.normalize({ ...AppState.magnifierStyle, ...changes });
+        this.updateControls();
+        setTimeout(() => StorageManager.saveData(), 100);
+    },
+
+    /**
+     * Show the current settings in the magnifier controls
+     */
+    updateControls() {
+        const shape = document.getElementById('magnifierShape');
+        const zoom = document.getElementById('magnifierZoom');
+        if (shape) shape.value = AppState.magnifierStyle.shape;
+        if (zoom) zoom.value = String(AppState.magnifierStyle.zoom);
+    },
+
+    /**
+     * Create a lens for a source region, beside it on the right (or left if there is no room)
+     * @param {Object} box - Source region (left, top, right, bottom)
+     * @returns {Object} Magnifier object
+     */
+    createObject(box) {
+        const { shape, zoom } = AppState.magnifierStyle;
+        const width = (box.right - box.left) * zoom;
+        const height = (box.bottom - box.top) * zoom;
+        const canvasWidth = AppState.infiniteCanvas?.width || Infinity;
+
+        let left = box.right + this.GAP;
+        if (left + width > canvasWidth && box.left - this.GAP - width >= 0) left = box.left - this.GAP - width;
+        const top = Math.max(0, (box.top + box.bottom) / 2 - height / 2);
+
+        return SceneModel.createObject('magnifier', {
+            source: [{ x: box.left, y: box.top }, { x: box.right, y: box.bottom }],
+            points: [{ x: left, y: top }, { x: left + width, y: top + height }],
+            shape,
+            style: { color: AppState.currentColor, width: 3 }
+        });
+    },
+
+    /**
+     * Box of two corners
+     * @param {Object[]} points - Two opposite corners
+     * @returns {{left: number, top: number, right: number, bottom: number}}
+     */
+    getBox([start, end]) {
+        return {
+            left: Math.min(start.x, end.x),
+            top: Math.min(start.y, end.y),
+            right: Math.max(start.x, end.x),
+            bottom: Math.max(start.y, end.y)
+        };
+    },
+
+    /**
+     * Add the path of a lens or source outline
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {string} shape - 'circle' (an ellipse filling the box) or 'rectangle'
+     * @param {Object} box - Box with left, top, right and bottom
+     */
+    traceShape(ctx, shape, box) {
+        ctx.beginPath();
+        if (shape === 'circle') {
+            ctx.ellipse((box.left + box.right) / 2, (box.top + box.bottom) / 2, (box.right - box.left) / 2, (box.bottom - box.top) / 2, 0, 0, Math.PI * 2);
+        } else {
+            ctx.rect(box.left, box.top, box.right - box.left, box.bottom - box.top);
+        }
+    },
+
+    /**
+     * Point where a line from the centre of a box towards another point leaves its shape
+     * @param {string} shape - 'circle' or 'rectangle'
+     * @param {Object} box - Box with left, top, right and bottom
+     * @param {Object} toward - Point the line heads to
+     * @returns {Object} Point on the outline
+     */
+    getEdgePoint(shape, box, toward) {
+        const center = { x: (box.left + box.right) / 2, y: (box.top + box.bottom) / 2 };
+        const halfWidth = (box.right - box.left) / 2;
+        const halfHeight = (box.bottom - box.top) / 2;
+        const dx = toward.x - center.x;
+        const dy = toward.y - center.y;
+        if (!dx && !dy) return center;
+
+        const t = shape === 'circle'
+            ? 1 / Math.hypot(dx / (halfWidth || 1), dy / (halfHeight || 1))
+            : Math.min(dx ? halfWidth / Math.abs(dx) : Infinity, dy ? halfHeight / Math.abs(dy) : Infinity);
+        return { x: center.x + dx * t, y: center.y + dy * t };
+    },
+
+    /**
+     * Draw the source outline, the leader line and the lens
+     * (called by SceneModel.drawObject inside the object's transform)
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object} object - Magnifier object
+     */
+    draw(ctx, object) {
+        const transform = object.transform || {};
+        const source = this.getBox(object.source);
+        const lens = this.getBox(object.points);
+        const lensBounds = SceneModel.getBounds(object);
+        ctx.setLineDash([]);
+
+        // The source region and leader line are in canvas coordinates: undo the object's transform
+        ctx.save();
+        ctx.scale(1 / (transform.scaleX ?? 1), 1 / (transform.scaleY ?? 1));
+        ctx.rotate(-(transform.rotation || 0));
+        ctx.translate(-(transform.x || 0), -(transform.y || 0));
+        const lensCenter = SceneModel.applyTransform(transform, { x: (lens.left + lens.right) / 2, y: (lens.top + lens.bottom) / 2 });
+        const from = this.getEdgePoint(object.shape, source, lensCenter);
+        const to = this.getEdgePoint('rectangle', lensBounds, { x: (source.left + source.right) / 2, y: (source.top + source.bottom) / 2 });
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+        ctx.setLineDash([6, 4]);
+        this.traceShape(ctx, object.shape, source);
+        ctx.stroke();
+        ctx.restore();
+
+        // The lens
+        const width = lens.right - lens.left;
+        const height = lens.bottom - lens.top;
+        if (width >= 1 && height >= 1) {
+            ctx.save();
+            this.traceShape(ctx, object.shape, lens);
+            ctx.clip();
+            ctx.drawImage(this.renderSource(source, width, height), lens.left, lens.top, width, height);
+            ctx.restore();
+        }
+        this.traceShape(ctx, object.shape, lens);
+        ctx.stroke();
+    },
+
+    /**
+     * Draw what the infinite canvas shows in a region, enlarged
+     * Visible layers are drawn bottom up, each with its media below its ink, and redaction
+     * boxes over all of them; lenses are left out so they never show each other
+     * @param {Object} source - Region in canvas coordinates
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @returns {HTMLCanvasElement}
+     */
+    renderSource(source, width, height) {
+        const createCanvas = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil(width);
+            canvas.height = Math.ceil(height);
+            return canvas;
+        };
+        const output = createCanvas();
+        const outputCtx = output.getContext('2d');
+        outputCtx.fillStyle = '#ffffff';
+        outputCtx.fillRect(0, 0, output.width, output.height);
+
+        const objects = SceneModel.scenes.infinite.filter(object => object.type !== 'magnifier' && object.id !== TextEditor.editingId);
+        const createContext = () => {
+            const canvas = createCanvas();
+            const ctx = canvas.getContext('2d');
+            ctx.scale(width / ((source.right - source.left) || 1), height / ((source.bottom - source.top) || 1));
+            ctx.translate(-source.left, -source.top);
+            return ctx;
+        };
+        AppState.layers.filter(layer => layer.visible).forEach(layer => {
+            // Each layer is drawn on its own so its opacity applies to it as a whole
+            const { ink, highlights } = SceneModel.splitHighlights(objects.filter(object => object.type !== 'redact' && Layers.getLayerId(object) === layer.id));
+            const ctx = createContext();
+            const layerCanvas = ctx.canvas;
+            MediaHandler.getAllMedia()
+                .filter(mediaObj => mediaObj.canvas === 'infinite' && mediaObj.element && mediaObj.element.complete !== false &&
+                    Layers.getLayerId(mediaObj) === layer.id)
+                .forEach(mediaObj => {
+                    const bounds = Snapping.getMediaBounds(mediaObj);
+                    ctx.drawImage(mediaObj.element, bounds.left, bounds.top, mediaObj.width, mediaObj.height);
+                });
+            SceneModel.drawObjects(ctx, ink);
+            const highlightCtx = createContext();
+            SceneModel.drawObjects(highlightCtx, highlights);
+
+            outputCtx.globalAlpha = layer.opacity;
+            outputCtx.drawImage(layerCanvas, 0, 0);
+            outputCtx.globalCompositeOperation = 'multiply';
+            outputCtx.drawImage(highlightCtx.canvas, 0, 0);
+            outputCtx.globalCompositeOperation = 'source-over';
+        });
+
+        const redactionCtx = createContext();
+        SceneModel.drawObjects(redactionCtx, Layers.stackOrder(objects.filter(object => object.type === 'redact')));
+        outputCtx.globalAlpha = 1;
+        outputCtx.drawImage(redactionCtx.canvas, 0, 0);
+        return output;
+    }
+};
+
+// =============================================================================
+// 30. STAMPS
+// =============================================================================
+
+/**
+ * @namespace Stamps
+ * @description Stamp tool with built-in vector stamps and the project's own images
+ * A click places the chosen stamp at the default size; dragging from its centre sets the
+ * size. A `stamp` object is centred on (x, y) and `size` is its longest side. Built-in
+ * stamps are drawn from paths in the current color, so they stay sharp at any scale.
+ * Images registered as stamps (`AppState.stamps`) are stored as project blobs named
+ * `stamp/<id>`; objects made from them keep the blob name in `image`. A stamp image no
+ * longer used is deleted from storage on save but kept in `pending`, so a stamp brought
+ * back by undo is stored again. The library, the chosen stamp and the default size are
+ * saved with the project.
+ */
+const Stamps = {
+    DEFAULTS: { stamp: 'check', size: 48 },
+    MIN_SIZE: 12,           // Smaller drags count as a click
+    pending: new Map(),     // Blob name -> image file not in storage (new, or removed unused)
+
+    // Paths on a 24×24 grid; 'current' is the stamp's color
+    LIBRARY: [
+        { id: 'check', name: 'Check mark', paths: [{ d: 'M4 12.5l5 5L20 6.5', stroke: 'current', width: 3 }] },
+        { id: 'cross', name: 'Cross', paths: [{ d: 'M5.5 5.5l13 13M18.5 5.5l-13 13', stroke: 'current', width: 3 }] },
+        {
+            id: 'question',
+            name: 'Question',
+            paths: [
+                { d: 'M12 2.5a9.5 9.5 0 1 1 0 19a9.5 9.5 0 1 1 0-19Z', stroke: 'current', width: 2 },
+                { d: 'M9.2 9.5a2.8 2.8 0 1 1 4 2.5c-.8.4-1.2 1-1.2 1.8v.6', stroke: 'current', width: 2 },
+                { d: 'M12 16.4a1.2 1.2 0 1 1 0 2.4a1.2 1.2 0 1 1 0-2.4Z', fill: 'current' }
+            ]
+        },
+        {
+            id: 'important',
+            name: 'Important',
+            paths: [
+                { d: 'M12 2a10 10 0 1 1 0 20a10 10 0 1 1 0-20Z', fill: 'current' },
+                { d: 'M12 6.5v7', stroke: '#ffffff', width: 2.4 },
+                { d: 'M12 16a1.4 1.4 0 1 1 0 2.8a1.4 1.4 0 1 1 0-2.8Z', fill: '#ffffff' }
+            ]
+        },
+        {
+            id: 'warning',
+            name: 'Warning',
+            paths: [
+                { d: 'M12 3L22 20.5H2Z', fill: 'current', stroke: 'current', width: 2 },
+                { d: 'M12 9v5.5', stroke: '#ffffff', width: 2.2 },
+                { d: 'M12 16.4a1.2 1.2 0 1 1 0 2.4a1.2 1.2 0 1 1 0-2.4Z', fill: '#ffffff' }
+            ]
+        },
+        {
+            id: 'click',
+            name: 'Click here',
+            paths: [
+                { d: 'M9 7l11 9-5 .6 3 5.8-2.4 1.2-3-5.9L9 21.2Z', fill: 'current', stroke: '#ffffff', width: 1 },
+                { d: 'M9 4V1.5M5.5 5.5 3.7 3.7M5.5 9.5H3', stroke: 'current', width: 1.6 }
+            ]
+        },
+        { id: 'star', name: 'Star', paths: [{ d: 'M12 2l3.1 6.3 6.9 1-5 4.9 1.2 6.8L12 17.8 5.8 21l1.2-6.8-5-4.9 6.9-1Z', fill: 'current' }] },
+        { id: 'heart', name: 'Heart', paths: [{ d: 'M12 21s-8.5-5.3-8.5-11.2A4.6 4.6 0 0 1 12 7.2a4.6 4.6 0 0 1 8.5 2.6C20.5 15.7 12 21 12 21Z', fill: 'current' }] }
+    ],
+
+    /**
+     * Keep the well-formed entries of a saved stamp library
+     * @param {*} stamps - Library read from a project
+     * @returns {Object[]} Registered images ({ id, name, blob, width, height })
+     */
+    normalizeLibrary(stamps) {
+        if (!Array.isArray(stamps)) return [];
+        return stamps
+            .filter(stamp => stamp && typeof stamp.id === 'string' && /^[\w-]+$/.test(stamp.id) &&
+                stamp.blob === `stamp/${stamp.id}` && stamp.width > 0 && stamp.height > 0)
+            .map(({ id, name, blob, width, height }) => ({ id, name: typeof name === 'string' ? name : 'Image', blob, width, height }));
+    },
+
+    /**
+     * Fill in missing or invalid values of saved settings
+     * @param {*} style - Settings read from a project
+     * @returns {Object} Valid stamp settings
+     */
+    normalize(style) {
+        const source = style && typeof style === 'object' ? style : {};
+        const size = Math.round(Number(source.size));
+        return {
+            stamp: this.getStamp(source.stamp) ? source.stamp : this.DEFAULTS.stamp,
+            size: size >= this.MIN_SIZE && size <= 400 ? size : this.DEFAULTS.size
+        };
+    },
+
+    /**
+     * Apply the stamp library and settings saved with a project
+     * @param {Object} [style] - Saved settings (older projects have none)
+     * @param {Object[]} [stamps] - Saved library of registered images
+     */
+    restore(style, stamps) {
+        this.pending.clear();
+        AppState.stamps = this.normalizeLibrary(stamps);
+        AppState.stampStyle = this.normalize(style);
+        this.updateControls();
+    },
+
+    /**
+     * Change the settings of new stamps
+     * @param {Object} changes - Values to set (stamp, size)
+     */
+    update(changes) {
+        AppState.stampStyle = this.normalize({ ...AppState.stampStyle, ...changes });
+        this.updateControls();
+        setTimeout(() => StorageManager.saveData(), 100);
+    },
+
+    /**
+     * Find a built-in stamp or a registered image
+     * @param {string} id - Stamp id
+     * @returns {Object|undefined}
+     */
+    getStamp(id) {
+        return this.LIBRARY.find(stamp => stamp.id === id) || AppState.stamps.find(stamp => stamp.id === id);
+    },
+
+    /**
+     * Register an image file as a stamp of the open project and select it
+     * @param {File} file - Image chosen by the user
+     * @returns {Promise<void>}
+     */
+    async register(file) {
+        if (!file) return;
+        if (!file.type.startsWith('image/')) {
+            UI.showNotification('Please select an image file');
+            return;
+        }
+
+        const url = URL.createObjectURL(file);
+        const image = await StorageManager.loadImage(url);
+        URL.revokeObjectURL(url);
+        if (!image || !image.width || !image.height) {
+            UI.showNotification('The image could not be read');
+            return;
+        }
+
+        const id = 'stamp_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        const blob = `stamp/${id}`;
+        const name = file.name.replace(/\.[^.]+$/, '') || 'Image';
+
+        // The image is drawn from memory until the next save stores it
+        this.pending.set(blob, file);
+        SceneModel.images.set(StorageManager.blobKey(blob), image);
+        AppState.stamps = [...AppState.stamps, { id, name, blob, width: image.width, height: image.height }];
+        this.update({ stamp: id });
+        UI.showNotification(`Added "${name}" to the stamps`);
+    },
+
+    /**
+     * Remove a registered image from the library
+     * Stamps already placed keep their image
+     * @param {string} id - Stamp id
+     */
+    remove(id) {
+        AppState.stamps = AppState.stamps.filter(stamp => stamp.id !== id);
+        this.update({});
+    },
+
+    /**
+     * Create a stamp centred on the start of a drag
+     * @param {Object} center - Start point
+     * @param {Object} end - Pointer position; its distance from the centre is half the size
+     * @returns {Object} Stamp object
+     */
+    createObject(center, end) {
+        const stamp = this.getStamp(AppState.stampStyle.stamp);
+        const dragged = Math.hypot(end.x - center.x, end.y - center.y) * 2;
+        return SceneModel.createObject('stamp', {
+            x: center.x,
+            y: center.y,
+            size: dragged >= this.MIN_SIZE ? dragged : AppState.stampStyle.size,
+            stamp: stamp.id,
+            ...(stamp.blob ? { image: stamp.blob, aspect: stamp.width / stamp.height } : {}),
+            style: { color: AppState.currentColor }
+        });
+    },
+
+    /**
+     * Width and height of a stamp, whose longest side is its size
+     * @param {Object} object - Stamp object
+     * @returns {{width: number, height: number}}
+     */
+    getSize(object) {
+        const aspect = object.aspect > 0 ? object.aspect : 1;
+        return aspect >= 1
+            ? { width: object.size, height: object.size / aspect }
+            : { width: object.size * aspect, height: object.size };
+    },
+
+    /**
+     * Draw a stamp (called by SceneModel.drawObject inside the object's transform)
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {Object} object - Stamp object
+     */
+    draw(ctx, object) {
+        const { width, height } = this.getSize(object);
+        const left = object.x - width / 2;
+        const top = object.y - height / 2;
+
+        if (object.image) {
+            const image = SceneModel.getImage(object.image);
+            if (image) ctx.drawImage(image, left, top, width, height);
+            return;
+        }
+
+        const stamp = this.LIBRARY.find(item => item.id === object.stamp) || this.LIBRARY[0];
+        const color = object.style?.color || '#000000';
+        ctx.translate(left, top);
+        ctx.scale(width / 24, height / 24);
+        ctx.setLineDash([]);
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        stamp.paths.forEach(path => {
+            const shape = new Path2D(path.d);
+            if (path.fill) {
+                ctx.fillStyle = path.fill === 'current' ? color : path.fill;
+                ctx.fill(shape);
+            }
+            if (path.stroke) {
+                ctx.strokeStyle = path.stroke === 'current' ? color : path.stroke;
+                ctx.lineWidth = path.width;
+                ctx.stroke(shape);
+            }
+        });
+    },
+
+    /**
+     * Create a picker button showing a stamp
+     * @param {Object} stamp - Built-in stamp or registered image
+     * @param {string} title - Tooltip
+     * @returns {HTMLButtonElement}
+     */
+    createButton(stamp, title) {
+        const button = document.createElement('button');
+        const selected = AppState.stampStyle.stamp === stamp.id;
+        button.className = `w-7 h-7 flex-shrink-0 flex items-center justify-center border-2 rounded bg-white cursor-pointer ${selected ? 'border-indigo-500' : 'border-gray-200 hover:border-indigo-500'}`;
+        button.title = title;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = 20;
+        canvas.height = 20;
+        button.appendChild(canvas);
+        const preview = { x: 10, y: 10, size: 20, stamp: stamp.id, style: { color: '#374151' } };
+        if (stamp.blob) {
+            SceneModel.loadImage(stamp.blob).then(() => {
+                this.draw(canvas.getContext('2d'), { ...preview, image: stamp.blob, aspect: stamp.width / stamp.height });
+            });
+        } else {
+            this.draw(canvas.getContext('2d'), preview);
+        }
+
+        button.addEventListener('click', () => this.update({ stamp: stamp.id }));
+        return button;
+    },
+
+    /**
+     * Show the library and settings in the stamp controls
+     */
+    updateControls() {
+        const list = document.getElementById('stampList');
+        if (list) {
+            list.replaceChildren(
+                ...this.LIBRARY.map(stamp => this.createButton(stamp, stamp.name)),
+                ...AppState.stamps.map(stamp => {
+                    const button = this.createButton(stamp, `${stamp.name} (right-click to remove)`);
+                    button.addEventListener('contextmenu', (e) => {
+                        e.preventDefault();
+                        this.remove(stamp.id);
+                    });
+                    return button;
+                })
+            );
+        }
+
+        const size = document.getElementById('stampSize');
+        if (size) size.value = AppState.stampStyle.size;
+    }
+};
+
+// =============================================================================
+// 31. MATH RENDERER
+// =============================================================================
+
+/**
+ * @namespace MathRenderer
+ * @description Offline renderer for the LaTeX of equations
+ * Covers the math mode tutorials need: superscripts and subscripts, fractions, roots,
+ * \left…\right delimiters, accents, big operators with limits, function names, text,
+ * Greek letters, common symbols and `\\` line breaks. The source is parsed into a tree
+ * of nodes, laid out as boxes (a width, and an ascent and descent around the baseline)
+ * and drawn onto a canvas. Input it cannot render throws an Error with a message for
+ * the user.
+ */
+const MathRenderer = {
+    FONT: '"Cambria Math", "STIX Two Math", "Times New Roman", serif',
+    ASCENT: 0.72,           // Height of text above the baseline, in em
+    DESCENT: 0.22,          // Depth of text below the baseline, in em
+    AXIS: 0.25,             // Height of fraction bars and the centre of operators, in em
+    measureCtx: null,       // Context used to measure text
+
+    SYMBOLS: {
+        alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+        theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+        varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ',
+        varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+        Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+        Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+        infty: '∞', partial: '∂', nabla: '∇', hbar: 'ℏ', ell: 'ℓ', emptyset: '∅', varnothing: '∅',
+        forall: '∀', exists: '∃', neg: '¬', angle: '∠', triangle: '△', degree: '°', prime: '′',
+        ldots: '…', dots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱',
+        langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉', vert: '|', Vert: '‖'
+    },
+    BINARY: {
+        pm: '±', mp: '∓', times: '×', div: '÷', cdot: '·', ast: '∗', circ: '∘', bullet: '•',
+        cup: '∪', cap: '∩', setminus: '∖', wedge: '∧', vee: '∨', oplus: '⊕', otimes: '⊗'
+    },
+    RELATIONS: {
+        leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', equiv: '≡', sim: '∼',
+        simeq: '≃', cong: '≅', propto: '∝', ll: '≪', gg: '≫', in: '∈', notin: '∉', ni: '∋',
+        subset: '⊂', supset: '⊃', subseteq: '⊆', supseteq: '⊇', perp: '⊥', parallel: '∥', mid: '∣',
+        to: '→', rightarrow: '→', leftarrow: '←', gets: '←', leftrightarrow: '↔', Rightarrow: '⇒',
+        Leftarrow: '⇐', Leftrightarrow: '⇔', implies: '⟹', iff: '⟺', mapsto: '↦', uparrow: '↑', downarrow: '↓'
+    },
+    BIG_OPERATORS: { sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', iiint: '∭', oint: '∮', bigcup: '⋃', bigcap: '⋂' },
+    FUNCTIONS: ['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+        'log', 'ln', 'lg', 'exp', 'det', 'gcd', 'deg', 'dim', 'ker', 'arg', 'Pr'],
+    LIMIT_FUNCTIONS: { lim: 'lim', max: 'max', min: 'min', sup: 'sup', inf: 'inf', limsup: 'lim sup', liminf: 'lim inf' },
+    DELIMITERS: {
+        '(': '(', ')': ')', '[': '[', ']': ']', '|': '|', '.': '', '\\{': '{', '\\}': '}', '\\|': '‖',
+        '\\langle': '⟨', '\\rangle': '⟩', '\\lvert': '|', '\\rvert': '|', '\\vert': '|', '\\Vert': '‖',
+        '\\lfloor': '⌊', '\\rfloor': '⌋', '\\lceil': '⌈', '\\rceil': '⌉'
+    },
+    ACCENTS: { bar: 'bar', overline: 'bar', hat: 'hat', widehat: 'hat', vec: 'vec', dot: 'dot', ddot: 'ddot', tilde: 'tilde', widetilde: 'tilde' },
+    SPACES: { ',': 0.17, ':': 0.22, ';': 0.28, '!': -0.17, ' ': 0.25, quad: 1, qquad: 2 },
+    DOUBLE_STRUCK: { C: 'ℂ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' },
+    TEXT_COMMANDS: {
+        text: {}, textrm: {}, mathrm: {}, textit: { italic: true }, mathit: { italic: true },
+        textbf: { bold: true }, mathbf: { bold: true }, operatorname: { kind: 'op' }
+    },
+
+    /**
+     * Render LaTeX onto a canvas
+     * @param {string} latex - Math mode source
+     * @param {Object} [options]
+     * @param {number} [options.size=32] - Font size in pixels
+     * @param {string} [options.color='#000000'] - Ink color
+     * @param {number} [options.scale=1] - Pixels per unit, for sharp enlargements
+     * @returns {{canvas: HTMLCanvasElement, width: number, height: number}} Canvas and its unscaled size
+     * @throws {Error} If the source cannot be rendered
+     */
+    render(latex, { size = 32, color = '#000000', scale = 1 } = {}) {
+        const box = this.layoutRows(this.parse(latex), { size, base: size, level: 0 });
+        const padding = Math.round(size * 0.15);
+        const width = Math.ceil(box.width + padding * 2);
+        const height = Math.ceil(box.ascent + box.descent + padding * 2);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        ctx.fillStyle = color;
+        ctx.strokeStyle = color;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.textBaseline = 'alphabetic';
+        box.draw(ctx, padding, padding + box.ascent);
+        return { canvas, width, height };
+    },
+
+    // -------------------------------------------------------------------------
+    // Parsing
+    // -------------------------------------------------------------------------
+
+    /**
+     * Parse LaTeX into a list of nodes
+     * @param {string} latex - Math mode source
+     * @returns {Object[]} Nodes
+     * @throws {Error} On unknown commands or unbalanced braces
+     */
+    parse(latex) {
+        const state = { src: latex, pos: 0 };
+        const items = this.parseList(state, ['}']);
+        if (state.pos < latex.length) throw new Error('Unexpected "}"');
+        return items;
+    },
+
+    /**
+     * Parse nodes up to the end of the source or one of the stop strings
+     * @param {Object} state - Source and position
+     * @param {string[]} stops - Strings that end the list (left unread)
+     * @returns {Object[]} Nodes
+     */
+    parseList(state, stops) {
+        const items = [];
+        while (true) {
+            this.skipSpace(state);
+            if (state.pos >= state.src.length || stops.some(stop => state.src.startsWith(stop, state.pos))) break;
+
+            const char = state.src[state.pos];
+            if (char === '^' || char === '_') {
+                state.pos++;
+                const slot = char === '^' ? 'sup' : 'sub';
+                let node = items[items.length - 1];
+                if (node?.type === 'scripts' && node[slot]) {
+                    throw new Error(`Double ${slot === 'sup' ? 'superscript' : 'subscript'}: use braces, e.g. {x^2}^3`);
+                }
+                if (node?.type !== 'scripts') {
+                    node = { type: 'scripts', base: items.pop() || { type: 'group', items: [] } };
+                    items.push(node);
+                }
+                node[slot] = this.parseArgument(state);
+            } else {
+                items.push(this.parseAtom(state));
+            }
+        }
+        return items;
+    },
+
+    /**
+     * Parse the argument of a command or script: a {group} or a single atom
+     * @param {Object} state - Source and position
+     * @returns {Object} Node
+     */
+    parseArgument(state) {
+        this.skipSpace(state);
+        const char = state.src[state.pos];
+        if (char === undefined || char === '}' || char === '^' || char === '_') throw new Error('Missing argument');
+        return this.parseAtom(state);
+    },
+
+    /**
+     * Parse a {group}, a command or a single character
+     * @param {Object} state - Source and position
+     * @returns {Object} Node
+     */
+    parseAtom(state) {
+        const char = state.src[state.pos];
+        if (char === '{') {
+            state.pos++;
+            const items = this.parseList(state, ['}']);
+            if (state.src[state.pos] !== '}') throw new Error('Missing "}"');
+            state.pos++;
+            return { type: 'group', items };
+        }
+        if (char === '\\') return this.parseCommand(state);
+
+        state.pos++;
+        return this.createSymbol(char);
+    },
+
+    /**
+     * Node of a typed character
+     * @param {string} char - Character
+     * @returns {Object} Symbol node
+     */
+    createSymbol(char) {
+        if (/[a-zA-Z]/.test(char)) return { type: 'symbol', text: char, italic: true };
+        if ('+-*'.includes(char)) return { type: 'symbol', text: { '-': '−', '*': '∗' }[char] || char, kind: 'bin' };
+        if ('=<>'.includes(char)) return { type: 'symbol', text: char, kind: 'rel' };
+        if (',;'.includes(char)) return { type: 'symbol', text: char, kind: 'punct' };
+        if ('(['.includes(char)) return { type: 'symbol', text: char, kind: 'open' };
+        if (')]'.includes(char)) return { type: 'symbol', text: char, kind: 'close' };
+        return { type: 'symbol', text: char === "'" ? '′' : char };
+    },
+
+    /**
+     * Parse a backslash command and its arguments
+     * @param {Object} state - Source and position
+     * @returns {Object} Node
+     */
+    parseCommand(state) {
+        state.pos++;
+        const rest = state.src.slice(state.pos);
+        const name = (/^[a-zA-Z]+/.exec(rest) || [rest[0]])[0];
+        if (!name) throw new Error('Lone "\\" at the end');
+        state.pos += name.length;
+
+        if (name === '\\') return { type: 'newline' };
+        if (name in this.SPACES) return { type: 'space', width: this.SPACES[name] };
+        if ('{}%$&#_|'.includes(name)) {
+            const kind = { '{': 'open', '}': 'close' }[name];
+            return { type: 'symbol', text: name === '|' ? '‖' : name, kind };
+        }
+        if (this.SYMBOLS[name]) return { type: 'symbol', text: this.SYMBOLS[name], italic: /[α-ω]/.test(this.SYMBOLS[name]) };
+        if (this.BINARY[name]) return { type: 'symbol', text: this.BINARY[name], kind: 'bin' };
+        if (this.RELATIONS[name]) return { type: 'symbol', text: this.RELATIONS[name], kind: 'rel' };
+        if (this.BIG_OPERATORS[name]) return { type: 'bigop', text: this.BIG_OPERATORS[name], limits: !name.endsWith('int') };
+        if (this.LIMIT_FUNCTIONS[name]) return { type: 'bigop', text: this.LIMIT_FUNCTIONS[name], limits: true, word: true };
+        if (this.FUNCTIONS.includes(name)) return { type: 'text', text: name, kind: 'op' };
+        if (this.TEXT_COMMANDS[name]) return { type: 'text', text: this.readRawGroup(state), ...this.TEXT_COMMANDS[name] };
+        if (this.ACCENTS[name]) return { type: 'accent', accent: this.ACCENTS[name], body: this.parseArgument(state) };
+
+        switch (name) {
+            case 'frac':
+            case 'dfrac':
+            case 'tfrac':
+                return { type: 'frac', num: this.parseArgument(state), den: this.parseArgument(state) };
+            case 'sqrt': {
+                let index = null;
+                this.skipSpace(state);
+                if (state.src[state.pos] === '[') {
+                    state.pos++;
+                    index = { type: 'group', items: this.parseList(state, [']', '}']) };
+                    if (state.src[state.pos] !== ']') throw new Error('Missing "]" after the root index');
+                    state.pos++;
+                }
+                return { type: 'sqrt', index, body: this.parseArgument(state) };
+            }
+            case 'mathbb':
+                return { type: 'text', text: [...this.readRawGroup(state)].map(char => this.DOUBLE_STRUCK[char] || char).join('') };
+            case 'left': {
+                const left = this.readDelimiter(state);
+                const items = this.parseList(state, ['}', '\\right']);
+                if (!state.src.startsWith('\\right', state.pos)) throw new Error('\\left without a matching \\right');
+                state.pos += '\\right'.length;
+                return { type: 'delim', left, right: this.readDelimiter(state), body: { type: 'group', items } };
+            }
+            case 'right':
+                throw new Error('\\right without a matching \\left');
+        }
+        throw new Error(`Unknown command \\${name}`);
+    },
+
+    /**
+     * Read the contents of a {group} as plain text (for \text and friends)
+     * @param {Object} state - Source and position
+     * @returns {string} Text between the braces
+     */
+    readRawGroup(state) {
+        this.skipSpace(state);
+        if (state.src[state.pos] !== '{') {
+            if (state.pos >= state.src.length) throw new Error('Missing argument');
+            return state.src[state.pos++];
+        }
+
+        let depth = 0;
+        for (let i = state.pos; i < state.src.length; i++) {
+            if (state.src[i] === '\\') {
+                i++;
+            } else if (state.src[i] === '{') {
+                depth++;
+            } else if (state.src[i] === '}' && --depth === 0) {
+                const text = state.src.slice(state.pos + 1, i).replace(/\\([{}%$&#_ ])/g, '$1');
+                state.pos = i + 1;
+                return text;
+            }
+        }
+        throw new Error('Missing "}"');
+    },
+
+    /**
+     * Read the delimiter after \left or \right
+     * @param {Object} state - Source and position
+     * @returns {string} Delimiter character ('' for the invisible ".")
+     */
+    readDelimiter(state) {
+        this.skipSpace(state);
+        const key = Object.keys(this.DELIMITERS)
+            .filter(candidate => state.src.startsWith(candidate, state.pos))
+            .sort((a, b) => b.length - a.length)[0];
+        if (key === undefined) throw new Error('\\left and \\right need a delimiter such as ( [ | or .');
+        state.pos += key.length;
+        return this.DELIMITERS[key];
+    },
+
+    /**
+     * Move past whitespace
+     * @param {Object} state - Source and position
+     */
+    skipSpace(state) {
+        while (state.pos < state.src.length && /\s/.test(state.src[state.pos])) state.pos++;
+    },
+
+    // -------------------------------------------------------------------------
+    // Layout
+    // A box has a width, an ascent and descent around its baseline, and
+    // draw(ctx, x, y) with (x, y) its left end on the baseline.
+    // -------------------------------------------------------------------------
+
+    /**
+     * Lay out top-level nodes, stacking the lines separated by \\ centred
+     * @param {Object[]} nodes - Parsed nodes
+     * @param {Object} style - size (px), base (top-level size) and level (fraction depth)
+     * @returns {Object} Box
+     */
+    layoutRows(nodes, style) {
+        const rows = [[]];
+        nodes.forEach(node => {
+            if (node.type === 'newline') {
+                rows.push([]);
+            } else {
+                rows[rows.length - 1].push(node);
             }
-            DrawingEvents.removeTextInput();
+        });
+        const boxes = rows.map(row => this.layoutList(row, style));
+        if (boxes.length === 1) return boxes[0];
+
+        const gap = style.size * 0.35;
+        const width = Math.max(...boxes.map(box => box.width));
+        const baselines = [];
+        let baseline = 0;
+        boxes.forEach((box, index) => {
+            if (index > 0) baseline += boxes[index - 1].descent + gap + box.ascent;
+            baselines.push(baseline);
+        });
+        return {
+            width,
+            ascent: boxes[0].ascent,
+            descent: baseline + boxes[boxes.length - 1].descent,
+            draw: (ctx, x, y) => boxes.forEach((box, index) => box.draw(ctx, x + (width - box.width) / 2, y + baselines[index]))
         };
-        
-        // Event listeners
-        textInput.addEventListener('blur', completeText);
-        textInput.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' && e.ctrlKey) {
-                // Ctrl+Enter completes the text
-                e.preventDefault();
-                completeText();
-            } else if (e.key === 'Escape') {
-                DrawingEvents.removeTextInput();
+    },
+
+    /**
+     * Lay out nodes side by side, with TeX-like space around operators and relations
+     * @param {Object[]} nodes - Nodes
+     * @param {Object} style - Layout style
+     * @returns {Object} Box
+     */
+    layoutList(nodes, style) {
+        const spacing = { bin: 0.22, rel: 0.28, op: 0.17 };
+        const parts = [];
+        let previous = null;
+        let x = 0;
+
+        nodes.forEach(node => {
+            if (node.type === 'newline') throw new Error('Line breaks (\\\\) only work outside braces');
+
+            // A binary operator after nothing, an operator or an opening bracket is a sign
+            let kind = this.getKind(node);
+            if (kind === 'bin' && (!previous || ['bin', 'rel', 'open', 'punct', 'op'].includes(previous))) kind = 'ord';
+
+            if (previous) {
+                let gap = 0;
+                if (kind === 'bin' || previous === 'bin') gap = spacing.bin;
+                else if (kind === 'rel' || previous === 'rel') gap = spacing.rel;
+                else if (previous === 'punct') gap = spacing.op;
+                else if (previous === 'op' && kind !== 'open' && kind !== 'punct') gap = spacing.op;
+                else if (kind === 'op' && previous !== 'open') gap = spacing.op;
+                x += gap * style.size;
             }
-            // Regular Enter creates new line (default textarea behavior)
+
+            const box = this.layoutNode(node, style);
+            parts.push({ box, x });
+            x += box.width;
+            previous = kind;
+        });
+
+        return {
+            width: x,
+            ascent: Math.max(0, ...parts.map(part => part.box.ascent)),
+            descent: Math.max(0, ...parts.map(part => part.box.descent)),
+            draw: (ctx, left, y) => parts.forEach(part => part.box.draw(ctx, left + part.x, y))
+        };
+    },
+
+    /**
+     * Spacing class of a node
+     * @param {Object} node - Node
+     * @returns {string} 'bin', 'rel', 'op', 'punct', 'open', 'close' or 'ord'
+     */
+    getKind(node) {
+        if (node.type === 'scripts') return node.base.type === 'group' ? 'ord' : this.getKind(node.base);
+        if (node.type === 'bigop') return 'op';
+        return node.kind || 'ord';
+    },
+
+    /**
+     * Lay out one node
+     * @param {Object} node - Node
+     * @param {Object} style - Layout style
+     * @returns {Object} Box
+     */
+    layoutNode(node, style) {
+        switch (node.type) {
+            case 'symbol':
+            case 'text':
+                return this.layoutText(node.text, style.size, node);
+            case 'space':
+                return { width: node.width * style.size, ascent: 0, descent: 0, draw() {} };
+            case 'group':
+                return this.layoutList(node.items, style);
+            case 'frac':
+                return this.layoutFraction(node, style);
+            case 'sqrt':
+                return this.layoutRoot(node, style);
+            case 'scripts':
+                return this.layoutScripts(node, style);
+            case 'delim':
+                return this.layoutDelimited(node, style);
+            case 'accent':
+                return this.layoutAccent(node, style);
+            case 'bigop':
+                return this.layoutBigOperator(node, style);
+        }
+        throw new Error(`Cannot lay out ${node.type}`);
+    },
+
+    /**
+     * Style of smaller content (scripts, nested fractions), never below 45% of the base size
+     * @param {Object} style - Layout style
+     * @param {number} factor - Scale factor
+     * @returns {Object} Layout style
+     */
+    smaller(style, factor) {
+        return { ...style, size: Math.max(style.size * factor, style.base * 0.45) };
+    },
+
+    /**
+     * Box of a run of text
+     * @param {string} text - Text
+     * @param {number} size - Font size
+     * @param {Object} [font] - italic and bold flags
+     * @returns {Object} Box
+     */
+    layoutText(text, size, { italic = false, bold = false } = {}) {
+        if (!this.measureCtx) this.measureCtx = document.createElement('canvas').getContext('2d');
+        const font = `${italic ? 'italic ' : ''}${bold ? 'bold ' : ''}${size}px ${this.FONT}`;
+        this.measureCtx.font = font;
+        return {
+            width: this.measureCtx.measureText(text).width + (italic ? size * 0.04 : 0),
+            ascent: size * this.ASCENT,
+            descent: size * this.DESCENT,
+            draw: (ctx, x, y) => {
+                ctx.font = font;
+                ctx.fillText(text, x, y);
+            }
+        };
+    },
+
+    /**
+     * Box of a fraction, centred on the math axis
+     * @param {Object} node - frac node
+     * @param {Object} style - Layout style
+     * @returns {Object} Box
+     */
+    layoutFraction(node, style) {
+        const partStyle = { ...(style.level ? this.smaller(style, 0.8) : style), level: style.level + 1 };
+        const num = this.layoutNode(node.num, partStyle);
+        const den = this.layoutNode(node.den, partStyle);
+        const size = style.size;
+        const rule = Math.max(1, size * 0.05);
+        const gap = size * 0.12;
+        const axis = size * this.AXIS;
+        const width = Math.max(num.width, den.width) + size * 0.24;
+
+        return {
+            width,
+            ascent: axis + rule / 2 + gap + num.descent + num.ascent,
+            descent: Math.max(0, den.ascent + den.descent + gap + rule / 2 - axis),
+            draw: (ctx, x, y) => {
+                num.draw(ctx, x + (width - num.width) / 2, y - axis - rule / 2 - gap - num.descent);
+                den.draw(ctx, x + (width - den.width) / 2, y - axis + rule / 2 + gap + den.ascent);
+                ctx.fillRect(x + size * 0.06, y - axis - rule / 2, width - size * 0.12, rule);
+            }
+        };
+    },
+
+    /**
+     * Box of a square or nth root
+     * @param {Object} node - sqrt node
+     * @param {Object} style - Layout style
+     * @returns {Object} Box
+     */
+    layoutRoot(node, style) {
+        const body = this.layoutNode(node.body, style);
+        const index = node.index ? this.layoutNode(node.index, this.smaller(style, 0.55)) : null;
+        const size = style.size;
+        const rule = Math.max(1, size * 0.05);
+        const surd = size * 0.6;
+        const top = body.ascent + size * 0.12 + rule;   // Height of the bar over the body
+        const descent = body.descent + size * 0.05;
+        const height = top + descent;
+        const indexRaise = height * 0.55 + size * 0.05 - descent;
+        const offset = index ? Math.max(0, index.width - surd * 0.45) : 0;
+
+        return {
+            width: offset + surd + body.width + size * 0.1,
+            ascent: Math.max(top, index ? indexRaise + index.ascent : 0),
+            descent,
+            draw: (ctx, x, y) => {
+                const left = x + offset;
+                const bottom = y + descent;
+                ctx.lineWidth = rule;
+                ctx.beginPath();
+                ctx.moveTo(left, bottom - height * 0.4);
+                ctx.lineTo(left + surd * 0.25, bottom - height * 0.48);
+                ctx.lineTo(left + surd * 0.5, bottom);
+                ctx.lineTo(left + surd, y - top + rule / 2);
+                ctx.lineTo(left + surd + body.width + size * 0.1, y - top + rule / 2);
+                ctx.stroke();
+                body.draw(ctx, left + surd + size * 0.05, y);
+                if (index) index.draw(ctx, left + surd * 0.45 - index.width, y - indexRaise);
+            }
+        };
+    },
+
+    /**
+     * Box of a node with a superscript and/or subscript
+     * Big operators at full size take them as limits above and below
+     * @param {Object} node - scripts node
+     * @param {Object} style - Layout style
+     * @returns {Object} Box
+     */
+    layoutScripts(node, style) {
+        const base = this.layoutNode(node.base, style);
+        const scriptStyle = this.smaller(style, 0.7);
+        const sup = node.sup ? this.layoutNode(node.sup, scriptStyle) : null;
+        const sub = node.sub ? this.layoutNode(node.sub, scriptStyle) : null;
+        const size = style.size;
+
+        if (node.base.type === 'bigop' && node.base.limits && style.size >= style.base) {
+            const gap = size * 0.1;
+            const width = Math.max(base.width, sup?.width || 0, sub?.width || 0);
+            return {
+                width,
+                ascent: base.ascent + (sup ? gap + sup.descent + sup.ascent : 0),
+                descent: base.descent + (sub ? gap + sub.ascent + sub.descent : 0),
+                draw: (ctx, x, y) => {
+                    base.draw(ctx, x + (width - base.width) / 2, y);
+                    if (sup) sup.draw(ctx, x + (width - sup.width) / 2, y - base.ascent - gap - sup.descent);
+                    if (sub) sub.draw(ctx, x + (width - sub.width) / 2, y + base.descent + gap + sub.ascent);
+                }
+            };
+        }
+
+        const supShift = sup ? Math.max(size * 0.38, base.ascent - size * 0.3) : 0;
+        let subShift = sub ? Math.max(size * 0.18, base.descent - size * 0.05) : 0;
+        if (sup && sub) {
+            // Keep a gap between the two scripts
+            const clash = size * 0.1 - ((supShift - sup.descent) - (sub.ascent - subShift));
+            if (clash > 0) subShift += clash;
+        }
+        const gap = size * 0.03;
+
+        return {
+            width: base.width + gap + Math.max(sup?.width || 0, sub?.width || 0) + size * 0.04,
+            ascent: Math.max(base.ascent, sup ? supShift + sup.ascent : 0),
+            descent: Math.max(base.descent, sub ? subShift + sub.descent : 0),
+            draw: (ctx, x, y) => {
+                base.draw(ctx, x, y);
+                if (sup) sup.draw(ctx, x + base.width + gap, y - supShift);
+                if (sub) sub.draw(ctx, x + base.width + gap, y + subShift);
+            }
+        };
+    },
+
+    /**
+     * Box of a big operator (∑, ∫…) centred on the math axis, or of lim/max/min
+     * @param {Object} node - bigop node
+     * @param {Object} style - Layout style
+     * @returns {Object} Box
+     */
+    layoutBigOperator(node, style) {
+        if (node.word) return this.layoutText(node.text, style.size);
+
+        const size = style.size;
+        const glyph = this.layoutText(node.text, size * (size >= style.base ? 1.5 : 1.15));
+        const glyphSize = glyph.ascent / this.ASCENT;
+        const shift = glyphSize * (this.ASCENT - this.DESCENT) / 2 - size * this.AXIS;
+        return {
+            width: glyph.width + size * 0.1,
+            ascent: glyph.ascent - shift,
+            descent: glyph.descent + shift,
+            draw: (ctx, x, y) => glyph.draw(ctx, x + size * 0.05, y + shift)
+        };
+    },
+
+    /**
+     * Box of \left…\right, with delimiters stretched around the body
+     * @param {Object} node - delim node
+     * @param {Object} style - Layout style
+     * @returns {Object} Box
+     */
+    layoutDelimited(node, style) {
+        const body = this.layoutNode(node.body, style);
+        const size = style.size;
+        const axis = size * this.AXIS;
+        const half = Math.max(body.ascent - axis, body.descent + axis, size * 0.5) + size * 0.08;
+        const widthOf = delimiter => !delimiter ? size * 0.05 : '|‖'.includes(delimiter) ? size * 0.3 : size * 0.4;
+        const leftWidth = widthOf(node.left);
+        const rightWidth = widthOf(node.right);
+
+        return {
+            width: leftWidth + body.width + rightWidth,
+            ascent: axis + half,
+            descent: half - axis,
+            draw: (ctx, x, y) => {
+                ctx.lineWidth = Math.max(1, size * 0.06);
+                this.drawDelimiter(ctx, node.left, x, y - axis - half, leftWidth, half * 2);
+                body.draw(ctx, x + leftWidth, y);
+                this.drawDelimiter(ctx, node.right, x + leftWidth + body.width, y - axis - half, rightWidth, half * 2);
+            }
+        };
+    },
+
+    /**
+     * Stroke a delimiter of any height
+     * @param {CanvasRenderingContext2D} ctx - Target context
+     * @param {string} delimiter - Delimiter character ('' draws nothing)
+     * @param {number} x - Left edge
+     * @param {number} top - Top edge
+     * @param {number} width - Width
+     * @param {number} height - Height
+     */
+    drawDelimiter(ctx, delimiter, x, top, width, height) {
+        if (!delimiter) return;
+
+        // Closing delimiters are drawn as mirrored opening ones
+        const mirrors = { ')': '(', ']': '[', '}': '{', '⟩': '⟨', '⌋': '⌊', '⌉': '⌈' };
+        if (mirrors[delimiter]) {
+            ctx.save();
+            ctx.translate(x * 2 + width, 0);
+            ctx.scale(-1, 1);
+            this.drawDelimiter(ctx, mirrors[delimiter], x, top, width, height);
+            ctx.restore();
+            return;
+        }
+
+        const bottom = top + height;
+        const middle = top + height / 2;
+        const at = fraction => x + width * fraction;
+        ctx.beginPath();
+        switch (delimiter) {
+            case '(':
+                ctx.moveTo(at(0.75), top);
+                ctx.quadraticCurveTo(at(0.05), middle, at(0.75), bottom);
+                break;
+            case '[':
+                ctx.moveTo(at(0.7), top);
+                ctx.lineTo(at(0.3), top);
+                ctx.lineTo(at(0.3), bottom);
+                ctx.lineTo(at(0.7), bottom);
+                break;
+            case '{':
+                ctx.moveTo(at(0.8), top);
+                ctx.quadraticCurveTo(at(0.4), top, at(0.4), top + height * 0.12);
+                ctx.lineTo(at(0.4), middle - height * 0.1);
+                ctx.quadraticCurveTo(at(0.4), middle, at(0.1), middle);
+                ctx.quadraticCurveTo(at(0.4), middle, at(0.4), middle + height * 0.1);
+                ctx.lineTo(at(0.4), bottom - height * 0.12);
+                ctx.quadraticCurveTo(at(0.4), bottom, at(0.8), bottom);
+                break;
+            case '⟨':
+                ctx.moveTo(at(0.75), top);
+                ctx.lineTo(at(0.25), middle);
+                ctx.lineTo(at(0.75), bottom);
+                break;
+            case '⌊':
+                ctx.moveTo(at(0.3), top);
+                ctx.lineTo(at(0.3), bottom);
+                ctx.lineTo(at(0.75), bottom);
+                break;
+            case '⌈':
+                ctx.moveTo(at(0.75), top);
+                ctx.lineTo(at(0.3), top);
+                ctx.lineTo(at(0.3), bottom);
+                break;
+            case '‖':
+                ctx.moveTo(at(0.35), top);
+                ctx.lineTo(at(0.35), bottom);
+                ctx.moveTo(at(0.65), top);
+                ctx.lineTo(at(0.65), bottom);
+                break;
+            default:
+                ctx.moveTo(at(0.5), top);
+                ctx.lineTo(at(0.5), bottom);
+        }
+        ctx.stroke();
+    },
+
+    /**
+     * Box of a node with an accent above it
+     * @param {Object} node - accent node
+     * @param {Object} style - Layout style
+     * @returns {Object} Box
+     */
+    layoutAccent(node, style) {
+        const body = this.layoutNode(node.body, style);
+        const size = style.size;
+        const gap = size * 0.06;
+        const mark = size * 0.16;
+        const width = Math.max(body.width, size * 0.4);
+
+        return {
+            width,
+            ascent: body.ascent + gap + mark,
+            descent: body.descent,
+            draw: (ctx, x, y) => {
+                body.draw(ctx, x + (width - body.width) / 2, y);
+                const top = y - body.ascent - gap - mark;
+                const middle = top + mark / 2;
+                const left = x + width * 0.12;
+                const right = x + width * 0.88;
+                ctx.lineWidth = Math.max(1, size * 0.05);
+                ctx.beginPath();
+                switch (node.accent) {
+                    case 'hat':
+                        ctx.moveTo(left, top + mark);
+                        ctx.lineTo(x + width / 2, top);
+                        ctx.lineTo(right, top + mark);
+                        break;
+                    case 'vec':
+                        ctx.moveTo(left, middle);
+                        ctx.lineTo(right, middle);
+                        ctx.moveTo(right - mark * 0.6, top);
+                        ctx.lineTo(right, middle);
+                        ctx.lineTo(right - mark * 0.6, top + mark);
+                        break;
+                    case 'tilde':
+                        ctx.moveTo(left, top + mark * 0.7);
+                        ctx.bezierCurveTo(x + width * 0.35, top - mark * 0.2, x + width * 0.65, top + mark * 1.2, right, top + mark * 0.3);
+                        break;
+                    case 'dot':
+                    case 'ddot': {
+                        const centers = node.accent === 'dot' ? [0.5] : [0.35, 0.65];
+                        centers.forEach(center => {
+                            ctx.moveTo(x + width * center + size * 0.05, middle);
+                            ctx.arc(x + width * center, middle, size * 0.05, 0, Math.PI * 2);
+                        });
+                        ctx.fill();
+                        return;
+                    }
+                    default:
+                        ctx.moveTo(left, middle);
+                        ctx.lineTo(right, middle);
+                }
+                ctx.stroke();
+            }
+        };
+    }
+};
+
+// =============================================================================
+// 32. EQUATIONS
+// =============================================================================
+
+/**
+ * @namespace Equations
+ * @description LaTeX equations on the infinite canvas
+ * An equation is a media item (`type: 'equation'`) that keeps its LaTeX source and
+ * color, so the Select tool moves, resizes and snaps it like an image and it is saved
+ * with the other media. MathRenderer draws its picture, again at the displayed size
+ * after each resize so it stays sharp. The ∑ tool opens the editor with a live preview;
+ * double-clicking an equation with the Select tool edits or deletes it. Adding, editing
+ * and deleting equations can be undone.
+ */
+const Equations = {
+    FONT_SIZE: 32,          // Size the source is laid out at; the media size scales the picture
+    editing: null,          // Equation being edited, or the position of a new one
+    previewTimer: null,     // Pending preview update while typing
+
+    /**
+     * Add an equation element to the infinite canvas
+     * @param {Object} options - Source and placement
+     * @param {string} options.latex - LaTeX source
+     * @param {string} options.color - Ink color
+     * @param {number} options.x - Left position in canvas pixels
+     * @param {number} options.y - Top position in canvas pixels
+     * @param {number} [options.width] - Displayed width (defaults to the text size)
+     * @param {number} [options.height] - Displayed height
+     * @param {string} [options.id] - Media id when restoring
+     * @param {string} [options.layer] - Layer id (defaults to the active layer)
+     * @returns {Object} The registered media object
+     * @throws {Error} If the source cannot be rendered
+     */
+    add({ latex, color, x, y, width, height, id, layer }) {
+        const picture = MathRenderer.render(latex, { size: this.FONT_SIZE, color });
+        if (!width || !height) {
+            const scale = AppState.fontSize / this.FONT_SIZE;
+            width = picture.width * scale;
+            height = picture.height * scale;
+        }
+
+        const element = document.createElement('canvas');
+        element.style.cssText = `
+            position: absolute;
+            left: ${x}px;
+            top: ${y}px;
+            width: ${width}px;
+            height: ${height}px;
+            z-index: 50;
+            user-select: none;
+            pointer-events: auto;
+        `;
+        document.getElementById('infiniteCanvasContainer').appendChild(element);
+
+        const mediaObj = MediaHandler.addMediaObject({
+            id,
+            type: 'equation',
+            x,
+            y,
+            width,
+            height,
+            originalWidth: picture.width,
+            originalHeight: picture.height,
+            element,
+            canvas: 'infinite',
+            latex,
+            color,
+            layer
+        });
+        element.addEventListener('dblclick', () => {
+            if (AppState.currentTool === 'select') this.openEditor(mediaObj);
+        });
+        this.paint(mediaObj);
+        return mediaObj;
+    },
+
+    /**
+     * Render an equation's picture at its displayed size
+     * @param {Object} mediaObj - Equation media object
+     */
+    paint(mediaObj) {
+        const scale = (mediaObj.width / mediaObj.originalWidth) * (window.devicePixelRatio || 1);
+        const { canvas } = MathRenderer.render(mediaObj.latex, { size: this.FONT_SIZE, color: mediaObj.color, scale });
+        mediaObj.element.width = canvas.width;
+        mediaObj.element.height = canvas.height;
+        mediaObj.element.getContext('2d').drawImage(canvas, 0, 0);
+    },
+
+    /**
+     * Change the source of an equation, keeping its text size
+     * @param {Object} mediaObj - Equation media object
+     * @param {string} latex - New LaTeX source
+     */
+    setSource(mediaObj, latex) {
+        const zoom = mediaObj.width / mediaObj.originalWidth;
+        const picture = MathRenderer.render(latex, { size: this.FONT_SIZE, color: mediaObj.color });
+        mediaObj.latex = latex;
+        mediaObj.originalWidth = picture.width;
+        mediaObj.originalHeight = picture.height;
+        mediaObj.aspectRatio = picture.width / picture.height;
+        MediaHandler.updateMediaSize(mediaObj, picture.width * zoom, picture.height * zoom);
+    },
+
+    /**
+     * Open the editor for a new equation or an existing one
+     * @param {Object} target - Equation media object, or the canvas position of a new equation
+     */
+    openEditor(target) {
+        const existing = target.type === 'equation';
+        this.editing = target;
+        MediaHandler.deselectAll();
+
+        const source = document.getElementById('equationSource');
+        if (source) source.value = existing ? target.latex : '';
+        document.getElementById('equationDelete')?.classList.toggle('hidden', !existing);
+        const apply = document.getElementById('equationApply');
+        if (apply) apply.textContent = existing ? 'Update' : 'Insert';
+        document.getElementById('equationEditor')?.classList.remove('hidden');
+
+        this.updatePreview();
+        source?.focus();
+    },
+
+    /**
+     * Close the editor without changes
+     */
+    closeEditor() {
+        clearTimeout(this.previewTimer);
+        this.editing = null;
+        document.getElementById('equationEditor')?.classList.add('hidden');
+    },
+
+    /**
+     * Update the preview shortly after the last keystroke
+     */
+    schedulePreview() {
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => this.updatePreview(), 150);
+    },
+
+    /**
+     * Render the typed source into the preview, or show why it cannot be rendered
+     * @returns {boolean} Whether the source renders
+     */
+    updatePreview() {
+        const latex = document.getElementById('equationSource')?.value.trim() || '';
+        const preview = document.getElementById('equationPreview');
+        const message = document.getElementById('equationError');
+        if (message) message.textContent = '';
+        if (!latex) {
+            preview?.replaceChildren();
+            return false;
+        }
+
+        try {
+            const { canvas, width, height } = MathRenderer.render(latex, { size: this.FONT_SIZE, color: '#1f2937', scale: window.devicePixelRatio || 1 });
+            canvas.style.width = width + 'px';
+            canvas.style.height = height + 'px';
+            preview?.replaceChildren(canvas);
+            return true;
+        } catch (error) {
+            if (message) message.textContent = error.message;
+            return false;
+        }
+    },
+
+    /**
+     * Insert the new equation or update the edited one
+     */
+    apply() {
+        const latex = document.getElementById('equationSource')?.value.trim() || '';
+        if (!latex) {
+            UI.showNotification('Type an equation first');
+            return;
+        }
+        if (!this.updatePreview()) return;
+
+        const target = this.editing;
+        this.closeEditor();
+        if (!target) return;
+
+        HistoryManager.setActive('infinite');
+        if (target.type === 'equation') {
+            const before = target.latex;
+            if (before === latex) return;
+            this.setSource(target, latex);
+            HistoryManager.push('infinite', {
+                label: 'edit equation',
+                undo: () => this.setSource(target, before),
+                redo: () => this.setSource(target, latex)
+            });
+        } else {
+            const mediaObj = this.add({ latex, color: AppState.currentColor, x: target.x, y: target.y });
+            InfiniteCanvas.expandCanvasIfNeeded(target.x + mediaObj.width + 20, target.y + mediaObj.height + 20);
+            HistoryManager.push('infinite', {
+                label: 'add equation',
+                undo: () => MediaHandler.removeMedia(mediaObj.id),
+                redo: () => MediaHandler.reattach(mediaObj)
+            });
+        }
+        setTimeout(() => StorageManager.saveData(), 100);
+    },
+
+    /**
+     * Delete the equation being edited
+     */
+    deleteEditing() {
+        const mediaObj = this.editing;
+        this.closeEditor();
+        if (!mediaObj || mediaObj.type !== 'equation') return;
+
+        MediaHandler.removeMedia(mediaObj.id);
+        HistoryManager.setActive('infinite');
+        HistoryManager.push('infinite', {
+            label: 'delete equation',
+            undo: () => MediaHandler.reattach(mediaObj),
+            redo: () => MediaHandler.removeMedia(mediaObj.id)
+        });
+        setTimeout(() => StorageManager.saveData(), 100);
+    },
+
+    /**
+     * Keyboard shortcuts of the editor: Ctrl+Enter applies, Escape cancels
+     * @param {KeyboardEvent} e - Key event from the source field
+     */
+    handleKeydown(e) {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            this.apply();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closeEditor();
+        }
+    }
+};
+
+// =============================================================================
+// 33. SYNTAX HIGHLIGHTER
+// =============================================================================
+
+/**
+ * @namespace SyntaxHighlighter
+ * @description Offline tokenizer for the languages of code blocks
+ * Each language is an ordered list of rule names from RULES plus its word lists. At every
+ * position the first rule that matches wins; identifiers are then classed as keywords,
+ * literals, types or function calls. Text no rule matches is plain. The tokens are split
+ * into lines so comments and strings spanning several lines keep their color.
+ */
+const SyntaxHighlighter = {
+    // Sticky patterns shared by the languages
+    RULES: {
+        lineComment: { type: 'comment', pattern: /\/\/[^\n]*/y },
+        blockComment: { type: 'comment', pattern: /\/\*[\s\S]*?(?:\*\/|$)/y },
+        hashComment: { type: 'comment', pattern: /#[^\n]*/y },
+        dashComment: { type: 'comment', pattern: /--[^\n]*/y },
+        markupComment: { type: 'comment', pattern: /<!--[\s\S]*?(?:-->|$)/y },
+        tripleString: { type: 'string', pattern: /[rbuf]*("""|''')[\s\S]*?(?:\1|$)/iy },
+        templateString: { type: 'string', pattern: /`(?:\\[\s\S]|[^`\\])*`?/y },
+        doubleString: { type: 'string', pattern: /"(?:\\.|[^"\\\n])*"?/y },
+        singleString: { type: 'string', pattern: /'(?:\\.|[^'\\\n])*'?/y },
+        charLiteral: { type: 'string', pattern: /'(?:\\.|[^'\\\n])'/y },
+        jsonKey: { type: 'property', pattern: /"(?:\\.|[^"\\\n])*"(?=\s*:)/y },
+        number: { type: 'number', pattern: /(?:0[xob][\da-f_]+|\d[\d_]*(?:\.\d+)?(?:e[+-]?\d+)?)[a-z]*/iy },
+        cssNumber: { type: 'number', pattern: /#[\da-f]{3,8}\b|\d*\.?\d+(?:px|r?em|%|v[wh]|s|ms|deg|fr)?/iy },
+        decorator: { type: 'function', pattern: /@[\w.]+/y },
+        atRule: { type: 'keyword', pattern: /@[\w-]+/y },
+        preprocessor: { type: 'keyword', pattern: /#\s*[a-z]+/y },
+        variable: { type: 'property', pattern: /\$(?:\{[^}\n]*\}|\w+|[@#?$!*-])/y },
+        tag: { type: 'tag', pattern: /<\/?[\w:-]+|\/?>/y },
+        attribute: { type: 'attribute', pattern: /[\w:-]+(?==)/y },
+        cssProperty: { type: 'property', pattern: /-?[\w-]+(?=\s*:(?!:)[^{;]*[;}])/y },
+        word: { type: 'word', pattern: /[A-Za-z_$][\w$]*/y },
+        cssWord: { type: 'word', pattern: /-?[A-Za-z_][\w-]*/y },
+        operator: { type: 'operator', pattern: /[+\-*/%=<>!&|^~?:]+/y },
+        punctuation: { type: 'punctuation', pattern: /[{}()[\].,;]/y }
+    },
+
+    LANGUAGES: {
+        plain: { name: 'Plain text', rules: [] },
+        javascript: {
+            name: 'JavaScript',
+            rules: ['lineComment', 'blockComment', 'templateString', 'doubleString', 'singleString', 'number', 'decorator', 'word', 'operator', 'punctuation'],
+            keywords: 'async await break case catch class const continue debugger default delete do else export extends finally for from function get if import in instanceof let new of return set static super switch this throw try typeof var void while with yield',
+            literals: 'true false null undefined NaN Infinity',
+            capitalTypes: true
+        },
+        typescript: {
+            name: 'TypeScript',
+            rules: ['lineComment', 'blockComment', 'templateString', 'doubleString', 'singleString', 'number', 'decorator', 'word', 'operator', 'punctuation'],
+            keywords: 'abstract as async await break case catch class const continue declare default delete do else enum export extends finally for from function get if implements import in instanceof interface keyof let namespace new of private protected public readonly return satisfies set static super switch this throw try type typeof var void while yield',
+            literals: 'true false null undefined NaN Infinity',
+            types: 'any boolean never number object string symbol unknown void bigint',
+            capitalTypes: true
+        },
+        python: {
+            name: 'Python',
+            rules: ['hashComment', 'tripleString', 'doubleString', 'singleString', 'number', 'decorator', 'word', 'operator', 'punctuation'],
+            keywords: 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda match case nonlocal not or pass raise return try while with yield',
+            literals: 'True False None self',
+            types: 'int float str bool list dict set tuple bytes object type',
+            capitalTypes: true
+        },
+        java: {
+            name: 'Java',
+            rules: ['lineComment', 'blockComment', 'doubleString', 'charLiteral', 'number', 'decorator', 'word', 'operator', 'punctuation'],
+            keywords: 'abstract assert break case catch class continue default do else enum extends final finally for if implements import instanceof interface native new package private protected public record return static super switch synchronized this throw throws transient try var void volatile while',
+            literals: 'true false null',
+            types: 'boolean byte char double float int long short',
+            capitalTypes: true
+        },
+        cpp: {
+            name: 'C / C++',
+            rules: ['lineComment', 'blockComment', 'preprocessor', 'doubleString', 'charLiteral', 'number', 'word', 'operator', 'punctuation'],
+            keywords: 'auto break case catch class const constexpr continue default delete do else enum explicit extern for friend goto if inline namespace new noexcept operator private protected public return sizeof static struct switch template this throw try typedef typename union using virtual volatile while',
+            literals: 'true false nullptr NULL',
+            types: 'bool char double float int long short signed unsigned void size_t std string vector',
+            capitalTypes: true
+        },
+        html: {
+            name: 'HTML',
+            rules: ['markupComment', 'tag', 'attribute', 'doubleString', 'singleString']
+        },
+        css: {
+            name: 'CSS',
+            rules: ['blockComment', 'atRule', 'doubleString', 'singleString', 'cssProperty', 'cssNumber', 'cssWord', 'punctuation'],
+            keywords: 'important inherit initial unset none auto',
+            literals: ''
+        },
+        json: {
+            name: 'JSON',
+            rules: ['jsonKey', 'doubleString', 'number', 'word', 'punctuation', 'operator'],
+            literals: 'true false null'
+        },
+        bash: {
+            name: 'Shell',
+            rules: ['hashComment', 'doubleString', 'singleString', 'variable', 'number', 'word', 'operator', 'punctuation'],
+            keywords: 'if then else elif fi for while until do done case esac in function return local export readonly shift exit source',
+            literals: 'true false',
+            builtins: 'echo cd ls cat grep sed awk find mkdir rm cp mv chmod sudo git npm node python curl tar'
+        },
+        sql: {
+            name: 'SQL',
+            rules: ['dashComment', 'blockComment', 'singleString', 'doubleString', 'number', 'word', 'operator', 'punctuation'],
+            keywords: 'select from where and or not insert into values update set delete create table alter drop index view join inner left right outer full on as group by order having limit offset distinct union all case when then else end is in like between exists primary key foreign references default',
+            literals: 'null true false',
+            types: 'int integer bigint smallint decimal numeric float real varchar char text date time timestamp boolean serial',
+            ignoreCase: true
+        }
+    },
+
+    compiled: new Map(),    // Language id -> rules and word sets
+
+    /**
+     * Rules and word sets of a language
+     * @param {string} id - Language id (unknown ids are plain text)
+     * @returns {Object} Compiled language
+     */
+    getLanguage(id) {
+        const key = this.LANGUAGES[id] ? id : 'plain';
+        if (!this.compiled.has(key)) {
+            const language = this.LANGUAGES[key];
+            const words = list => new Set((list || '').split(/\s+/).filter(Boolean));
+            this.compiled.set(key, {
+                rules: language.rules.map(name => this.RULES[name]),
+                keywords: words(language.keywords),
+                literals: words(language.literals),
+                types: words(language.types),
+                builtins: words(language.builtins),
+                capitalTypes: !!language.capitalTypes,
+                ignoreCase: !!language.ignoreCase
+            });
+        }
+        return this.compiled.get(key);
+    },
+
+    /**
+     * Split source text into colored tokens, line by line
+     * @param {string} text - Source text
+     * @param {string} languageId - Language id
+     * @returns {Array<Array<{text: string, type: string}>>} Tokens of each line
+     */
+    tokenize(text, languageId) {
+        const language = this.getLanguage(languageId);
+        const tokens = [];
+        const push = (value, type) => {
+            const last = tokens[tokens.length - 1];
+            if (last && last.type === type) {
+                last.text += value;
+            } else {
+                tokens.push({ text: value, type });
+            }
+        };
+
+        let pos = 0;
+        while (pos < text.length) {
+            let match = null;
+            let rule = null;
+            for (const candidate of language.rules) {
+                candidate.pattern.lastIndex = pos;
+                match = candidate.pattern.exec(text);
+                if (match && match[0]) {
+                    rule = candidate;
+                    break;
+                }
+            }
+
+            if (rule) {
+                const end = pos + match[0].length;
+                push(match[0], rule.type === 'word' ? this.classifyWord(match[0], language, text, end) : rule.type);
+                pos = end;
+            } else {
+                push(text[pos], 'plain');
+                pos++;
+            }
+        }
+
+        const lines = [[]];
+        tokens.forEach(token => {
+            token.text.split('\n').forEach((part, index) => {
+                if (index > 0) lines.push([]);
+                if (part) lines[lines.length - 1].push({ text: part, type: token.type });
+            });
         });
+        return lines;
     },
 
     /**
-     * Draw text on infinite canvas
+     * Token type of an identifier
+     * @param {string} word - Identifier
+     * @param {Object} language - Compiled language
+     * @param {string} text - Whole source
+     * @param {number} end - Position after the identifier
+     * @returns {string} Token type
      */
-    drawInfiniteText(text, x, y) {
-        if (!AppState.infiniteCtx) {
-            console.error('Infinite canvas context not available');
-            return;
-        }
-        
-        // Set text styles
-        AppState.infiniteCtx.font = `${AppState.fontSize}px ${AppState.fontFamily}`;
-        AppState.infiniteCtx.fillStyle = AppState.currentColor;
-        AppState.infiniteCtx.textBaseline = 'top';
-        
-        // Split text into lines and draw each line
-        const lines = text.split('\n');
-        const lineHeight = AppState.fontSize * 1.2; // 1.2 line spacing
-        
-        lines.forEach((line, index) => {
-            AppState.infiniteCtx.fillText(line, x, y + (index * lineHeight));
-        });
-        
-        console.log(`Drew text "${text}" on infinite canvas at (${x}, ${y}) with font ${AppState.fontSize}px ${AppState.fontFamily}`);
+    classifyWord(word, language, text, end) {
+        const key = language.ignoreCase ? word.toLowerCase() : word;
+        if (language.keywords.has(key)) return 'keyword';
+        if (language.literals.has(key)) return 'literal';
+        if (language.types.has(key) || (language.capitalTypes && /^[A-Z][a-z]/.test(word))) return 'type';
+        if (language.builtins.has(key) || /^\s*\(/.test(text.slice(end, end + 20))) return 'function';
+        return 'plain';
     }
 };
 
 // =============================================================================
-// 11. LOCAL STORAGE MANAGER
+// 34. CODE BLOCKS
 // =============================================================================
 
 /**
- * @namespace StorageManager
- * @description Handles all data persistence functionality
- * Manages saving and loading application state to/from localStorage
+ * @namespace CodeBlocks
+ * @description Syntax-highlighted code blocks on the infinite canvas
+ * A code block is a media item (`type: 'code'`) whose `code` holds the source text, the
+ * language, the theme, whether line numbers show and the highlighted lines. Like an
+ * equation it is moved, resized and snapped with the Select tool, repainted sharp after
+ * each resize, and saved as text with the other media. The </> tool opens the editor;
+ * double-clicking a block with the Select tool edits or deletes it. Clicking a line in
+ * the preview highlights it. The language, theme and line numbers of the last block are
+ * used for the next one (`AppState.codeStyle`, saved with the project).
  */
-const StorageManager = {
-    STORAGE_KEY: 'tutorial_maker_data',
+const CodeBlocks = {
+    DEFAULTS: { language: 'javascript', theme: 'light', lineNumbers: true },
+    FONT: 'Consolas, "Cascadia Mono", Menlo, "Liberation Mono", monospace',
+    FONT_SIZE: 16,
+    LINE_HEIGHT: 24,
+    PADDING: 12,
+    MAX_LINES: 500,         // Keeps the picture within canvas size limits
+    THEMES: {
+        light: {
+            name: 'Light',
+            background: '#f6f8fa', border: '#d0d7de', text: '#24292f', gutter: '#8c959f',
+            highlight: 'rgba(255, 213, 79, 0.35)', marker: '#d4a72c',
+            colors: {
+                comment: '#6e7781', string: '#0a3069', number: '#0550ae', keyword: '#cf222e', literal: '#0550ae',
+                function: '#8250df', type: '#953800', tag: '#116329', attribute: '#0550ae', property: '#0550ae'
+            }
+        },
+        dark: {
+            name: 'Dark',
+            background: '#282c34', border: '#3e4451', text: '#abb2bf', gutter: '#5c6370',
+            highlight: 'rgba(229, 192, 123, 0.18)', marker: '#e5c07b',
+            colors: {
+                comment: '#7f848e', string: '#98c379', number: '#d19a66', keyword: '#c678dd', literal: '#d19a66',
+                function: '#61afef', type: '#e5c07b', operator: '#56b6c2', tag: '#e06c75', attribute: '#d19a66', property: '#e06c75'
+            }
+        }
+    },
+    editing: null,          // Code block being edited, or the position of a new one
+    previewTimer: null,     // Pending preview update while typing
+    measureCtx: null,       // Context used to measure text
 
     /**
-     * Saves the current application state to localStorage
-     * Includes drawings, settings, and video state
-     * @returns {void}
+     * Fill in missing or invalid values of saved settings
+     * @param {*} style - Settings read from a project
+     * @returns {Object} Valid code block settings
      */
-    saveData() {
-        const data = {
-            // Video information
-            videoUrl: document.getElementById('youtubeUrl')?.value || '',
-            
-            // Timestamped drawings
-            timestampedDrawings: AppState.timestampedDrawings,
-            
-            // Main canvas drawing (if any)
-            mainCanvasData: AppState.canvas ? AppState.canvas.toDataURL() : null,
-            
-            // Infinite canvas drawing (if any)
-            infiniteCanvasData: AppState.infiniteCanvas ? AppState.infiniteCanvas.toDataURL() : null,
-            
-            // Current settings
-            currentColor: AppState.currentColor,
-            brushSize: AppState.brushSize,
-            fontSize: AppState.fontSize,
-            fontFamily: AppState.fontFamily,
-            
-            // Canvas dimensions for infinite canvas
-            infiniteCanvasWidth: AppState.infiniteCanvas?.width || 0,
-            infiniteCanvasHeight: AppState.infiniteCanvas?.height || 0,
-            
-            // Infinite canvas settings
-            infiniteHorizontal: AppState.infiniteHorizontal,
-            a4WidthPercent: AppState.a4WidthPercent,
-            a4HeightPercent: AppState.a4HeightPercent,
-            
-            // Save timestamp
-            lastSaved: new Date().toISOString()
+    normalize(style) {
+        const source = style && typeof style === 'object' ? style : {};
+        return {
+            language: SyntaxHighlighter.LANGUAGES[source.language] ? source.language : this.DEFAULTS.language,
+            theme: this.THEMES[source.theme] ? source.theme : this.DEFAULTS.theme,
+            lineNumbers: typeof source.lineNumbers === 'boolean' ? source.lineNumbers : this.DEFAULTS.lineNumbers
         };
-
-        try {
-            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(data));
-            console.log('Data saved to localStorage');
-            return true;
-        } catch (error) {
-            console.error('Failed to save data to localStorage:', error);
-            UI.showNotification('Failed to save data - storage may be full');
-            return false;
-        }
     },
 
     /**
-     * Loads saved application data from localStorage
-     * @returns {Object|null} The parsed data or null if none exists
+     * Apply the settings saved with a project
+     * @param {Object} [style] - Saved settings (older projects have none)
      */
-    loadData() {
-        try {
-            const dataStr = localStorage.getItem(this.STORAGE_KEY);
-            if (!dataStr) {
-                console.log('No saved data found');
-                return null;
-            }
+    restore(style) {
+        AppState.codeStyle = this.normalize(style);
+    },
 
-            const data = JSON.parse(dataStr);
-            console.log('Loaded data from localStorage:', data);
-            return data;
-        } catch (error) {
-            console.error('Failed to load data from localStorage:', error);
-            return null;
-        }
+    /**
+     * Fill in missing or invalid values of a block's code
+     * @param {*} code - Code read from a media record
+     * @returns {Object} Text, language, theme, lineNumbers and highlights
+     */
+    normalizeCode(code) {
+        const source = code && typeof code === 'object' ? code : {};
+        return {
+            text: typeof source.text === 'string' ? source.text : '',
+            ...this.normalize(source),
+            highlights: Array.isArray(source.highlights)
+                ? [...new Set(source.highlights.filter(line => Number.isInteger(line) && line > 0))].sort((a, b) => a - b)
+                : []
+        };
     },
 
     /**
-     * Restores the application state from saved data
-     * @param {Object} data - The data object containing saved state
-     * @returns {void}
+     * Read a list of lines such as "2, 5-7"
+     * @param {string} value - Comma-separated line numbers and ranges
+     * @returns {number[]} Sorted line numbers
      */
-    restoreData(data) {
-        if (!data) return;
+    parseLines(value) {
+        const lines = new Set();
+        value.split(',').forEach(part => {
+            const match = /^\s*(\d+)\s*(?:-\s*(\d+))?\s*$/.exec(part);
+            if (!match) return;
+            const first = Number(match[1]);
+            const last = Math.min(Number(match[2] || match[1]), first + this.MAX_LINES);
+            for (let line = first; line <= last; line++) {
+                if (line > 0) lines.add(line);
+            }
+        });
+        return [...lines].sort((a, b) => a - b);
+    },
 
-        // Restore video URL
-        if (data.videoUrl) {
-            const urlInput = document.getElementById('youtubeUrl');
-            if (urlInput) {
-                urlInput.value = data.videoUrl;
-                // Auto-load the video
-                setTimeout(() => YouTubeManager.loadVideo(), 1000);
+    /**
+     * Write line numbers compactly, e.g. [2, 5, 6, 7] as "2, 5-7"
+     * @param {number[]} lines - Sorted line numbers
+     * @returns {string}
+     */
+    formatLines(lines) {
+        const ranges = [];
+        lines.forEach(line => {
+            const last = ranges[ranges.length - 1];
+            if (last && line === last[1] + 1) {
+                last[1] = line;
+            } else {
+                ranges.push([line, line]);
             }
-        }
+        });
+        return ranges.map(([first, last]) => first === last ? String(first) : `${first}-${last}`).join(', ');
+    },
 
-        // Restore timestamped drawings
-        if (data.timestampedDrawings && Array.isArray(data.timestampedDrawings)) {
-            AppState.timestampedDrawings = data.timestampedDrawings;
-            TimestampManager.updateUI();
-        }
+    /**
+     * Draw a code block
+     * @param {Object} code - Normalized code
+     * @param {number} [scale=1] - Pixels per unit, for sharp enlargements
+     * @returns {{canvas: HTMLCanvasElement, width: number, height: number}} Canvas and its unscaled size
+     */
+    render(code, scale = 1) {
+        const theme = this.THEMES[code.theme];
+        const lines = SyntaxHighlighter.tokenize(code.text.replace(/\t/g, '    '), code.language);
+        const font = `${this.FONT_SIZE}px ${this.FONT}`;
+        if (!this.measureCtx) this.measureCtx = document.createElement('canvas').getContext('2d');
+        this.measureCtx.font = font;
+        const measure = text => this.measureCtx.measureText(text).width;
+
+        const gutter = code.lineNumbers ? measure(String(lines.length)) + this.FONT_SIZE : 0;
+        const textWidth = Math.max(this.FONT_SIZE * 10, ...lines.map(tokens => tokens.reduce((sum, token) => sum + measure(token.text), 0)));
+        const width = Math.ceil(this.PADDING * 2 + gutter + textWidth);
+        const height = Math.ceil(this.PADDING * 2 + lines.length * this.LINE_HEIGHT);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+
+        ctx.fillStyle = theme.background;
+        ctx.fillRect(0, 0, width, height);
+        ctx.strokeStyle = theme.border;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(0.5, 0.5, width - 1, height - 1);
+
+        // Highlighted lines span the whole block, with a marker on the left edge
+        code.highlights.filter(line => line <= lines.length).forEach(line => {
+            const top = this.PADDING + (line - 1) * this.LINE_HEIGHT;
+            ctx.fillStyle = theme.highlight;
+            ctx.fillRect(1, top, width - 2, this.LINE_HEIGHT);
+            ctx.fillStyle = theme.marker;
+            ctx.fillRect(1, top, 3, this.LINE_HEIGHT);
+        });
 
-        // Restore settings
-        if (data.currentColor) {
-            AppState.currentColor = data.currentColor;
-            const colorPicker = document.getElementById('colorPicker');
-            if (colorPicker) colorPicker.value = data.currentColor;
+        ctx.font = font;
+        ctx.textBaseline = 'middle';
+        if (code.lineNumbers) {
+            ctx.fillStyle = theme.border;
+            ctx.fillRect(this.PADDING + gutter - this.FONT_SIZE / 2, this.PADDING, 1, lines.length * this.LINE_HEIGHT);
         }
+        lines.forEach((tokens, index) => {
+            const y = this.PADDING + index * this.LINE_HEIGHT + this.LINE_HEIGHT / 2;
+            if (code.lineNumbers) {
+                const number = String(index + 1);
+                ctx.fillStyle = theme.gutter;
+                ctx.fillText(number, this.PADDING + gutter - this.FONT_SIZE - measure(number), y);
+            }
+            let x = this.PADDING + gutter;
+            tokens.forEach(token => {
+                ctx.fillStyle = theme.colors[token.type] || theme.text;
+                ctx.fillText(token.text, x, y);
+                x += measure(token.text);
+            });
+        });
 
-        if (data.brushSize) {
-            AppState.brushSize = data.brushSize;
-            const brushSizeInput = document.getElementById('brushSize');
-            const sizeValue = document.getElementById('sizeValue');
-            if (brushSizeInput) brushSizeInput.value = data.brushSize;
-            if (sizeValue) sizeValue.textContent = data.brushSize + 'px';
-        }
+        return { canvas, width, height };
+    },
 
-        if (data.fontSize) {
-            AppState.fontSize = data.fontSize;
-            const fontSizeInput = document.getElementById('fontSize');
-            if (fontSizeInput) fontSizeInput.value = data.fontSize;
+    /**
+     * Add a code block element to the infinite canvas
+     * @param {Object} options - Code and placement
+     * @param {Object} options.code - Text and settings (normalized here)
+     * @param {number} options.x - Left position in canvas pixels
+     * @param {number} options.y - Top position in canvas pixels
+     * @param {number} [options.width] - Displayed width (defaults to the natural size)
+     * @param {number} [options.height] - Displayed height
+     * @param {string} [options.id] - Media id when restoring
+     * @param {string} [options.layer] - Layer id (defaults to the active layer)
+     * @returns {Object} The registered media object
+     */
+    add({ code, x, y, width, height, id, layer }) {
+        code = this.normalizeCode(code);
+        const picture = this.render(code);
+        if (!width || !height) {
+            width = picture.width;
+            height = picture.height;
         }
 
-        if (data.fontFamily) {
-            AppState.fontFamily = data.fontFamily;
-            const fontFamilySelect = document.getElementById('fontFamily');
-            if (fontFamilySelect) fontFamilySelect.value = data.fontFamily;
-        }
+        const element = document.createElement('canvas');
+        element.style.cssText = `
+            position: absolute;
+            left: ${x}px;
+            top: ${y}px;
+            width: ${width}px;
+            height: ${height}px;
+            z-index: 50;
+            user-select: none;
+            pointer-events: auto;
+            border-radius: 6px;
+        `;
+        document.getElementById('infiniteCanvasContainer').appendChild(element);
+
+        const mediaObj = MediaHandler.addMediaObject({
+            id,
+            type: 'code',
+            x,
+            y,
+            width,
+            height,
+            originalWidth: picture.width,
+            originalHeight: picture.height,
+            element,
+            canvas: 'infinite',
+            code,
+            layer
+        });
+        element.addEventListener('dblclick', () => {
+            if (AppState.currentTool === 'select') this.openEditor(mediaObj);
+        });
+        this.paint(mediaObj);
+        return mediaObj;
+    },
 
-        // Restore infinite canvas settings
-        if (typeof data.infiniteHorizontal === 'boolean') {
-            AppState.infiniteHorizontal = data.infiniteHorizontal;
-            const button = document.getElementById('toggleHorizontal');
-            if (button) {
-                if (data.infiniteHorizontal) {
-                    button.textContent = '↔️ Horizontal On';
-                    button.classList.remove('bg-gray-500', 'hover:bg-gray-600');
-                    button.classList.add('bg-green-500', 'hover:bg-green-600');
-                } else {
-                    button.textContent = '↔️ Horizontal Off';
-                    button.classList.remove('bg-green-500', 'hover:bg-green-600');
-                    button.classList.add('bg-gray-500', 'hover:bg-gray-600');
-                }
-            }
-        }
+    /**
+     * Render a block's picture at its displayed size
+     * @param {Object} mediaObj - Code block media object
+     */
+    paint(mediaObj) {
+        const scale = (mediaObj.width / mediaObj.originalWidth) * (window.devicePixelRatio || 1);
+        const { canvas } = this.render(mediaObj.code, scale);
+        mediaObj.element.width = canvas.width;
+        mediaObj.element.height = canvas.height;
+        mediaObj.element.getContext('2d').drawImage(canvas, 0, 0);
+    },
 
-        if (data.a4WidthPercent) AppState.a4WidthPercent = data.a4WidthPercent;
-        if (data.a4HeightPercent) AppState.a4HeightPercent = data.a4HeightPercent;
+    /**
+     * Change the code of a block, keeping its zoom
+     * @param {Object} mediaObj - Code block media object
+     * @param {Object} code - New normalized code
+     */
+    setCode(mediaObj, code) {
+        const zoom = mediaObj.width / mediaObj.originalWidth;
+        const picture = this.render(code);
+        mediaObj.code = code;
+        mediaObj.originalWidth = picture.width;
+        mediaObj.originalHeight = picture.height;
+        mediaObj.aspectRatio = picture.width / picture.height;
+        MediaHandler.updateMediaSize(mediaObj, picture.width * zoom, picture.height * zoom);
+    },
 
-        // Restore canvas drawings
-        setTimeout(() => {
-            this.restoreCanvasDrawings(data);
-        }, 500);
+    /**
+     * Open the editor for a new block or an existing one
+     * @param {Object} target - Code block media object, or the canvas position of a new block
+     */
+    openEditor(target) {
+        const existing = target.type === 'code';
+        const code = existing ? target.code : { text: '', ...AppState.codeStyle, highlights: [] };
+        this.editing = target;
+        MediaHandler.deselectAll();
+
+        const fields = this.getFields();
+        if (fields.source) fields.source.value = code.text;
+        if (fields.language) fields.language.value = code.language;
+        if (fields.theme) fields.theme.value = code.theme;
+        if (fields.lineNumbers) fields.lineNumbers.checked = code.lineNumbers;
+        if (fields.highlights) fields.highlights.value = this.formatLines(code.highlights);
+        document.getElementById('codeDelete')?.classList.toggle('hidden', !existing);
+        const apply = document.getElementById('codeApply');
+        if (apply) apply.textContent = existing ? 'Update' : 'Insert';
+        document.getElementById('codeEditor')?.classList.remove('hidden');
+
+        this.updatePreview();
+        fields.source?.focus();
+    },
 
-        UI.showNotification(`Data restored from ${new Date(data.lastSaved).toLocaleString()}`);
+    /**
+     * Close the editor without changes
+     */
+    closeEditor() {
+        clearTimeout(this.previewTimer);
+        this.editing = null;
+        document.getElementById('codeEditor')?.classList.add('hidden');
     },
 
     /**
-     * Restore canvas drawings from saved data
+     * Form fields of the editor
+     * @returns {Object} source, language, theme, lineNumbers and highlights elements
      */
-    restoreCanvasDrawings(data) {
-        // Restore main canvas
-        if (data.mainCanvasData && AppState.canvas && AppState.ctx) {
-            const img = new Image();
-            img.onload = () => {
-                AppState.ctx.clearRect(0, 0, AppState.canvas.width, AppState.canvas.height);
-                AppState.ctx.drawImage(img, 0, 0);
-                console.log('Main canvas restored');
-            };
-            img.src = data.mainCanvasData;
-        }
+    getFields() {
+        return {
+            source: document.getElementById('codeSource'),
+            language: document.getElementById('codeLanguage'),
+            theme: document.getElementById('codeTheme'),
+            lineNumbers: document.getElementById('codeLineNumbers'),
+            highlights: document.getElementById('codeHighlights')
+        };
+    },
 
-        // Restore infinite canvas
-        if (data.infiniteCanvasData && AppState.infiniteCanvas && AppState.infiniteCtx) {
-            // Restore canvas dimensions first
-            if (data.infiniteCanvasWidth && data.infiniteCanvasHeight) {
-                AppState.infiniteCanvas.width = data.infiniteCanvasWidth;
-                AppState.infiniteCanvas.height = data.infiniteCanvasHeight;
-            }
+    /**
+     * Code described by the editor fields
+     * @returns {Object} Normalized code
+     */
+    readEditor() {
+        const fields = this.getFields();
+        return this.normalizeCode({
+            text: (fields.source?.value || '').replace(/\r\n?/g, '\n').replace(/\s+$/, ''),
+            language: fields.language?.value,
+            theme: fields.theme?.value,
+            lineNumbers: !!fields.lineNumbers?.checked,
+            highlights: this.parseLines(fields.highlights?.value || '')
+        });
+    },
 
-            const img = new Image();
-            img.onload = () => {
-                AppState.infiniteCtx.clearRect(0, 0, AppState.infiniteCanvas.width, AppState.infiniteCanvas.height);
-                AppState.infiniteCtx.drawImage(img, 0, 0);
-                // Redraw page separators on top
-                InfiniteCanvas.drawPageSeparators();
-                console.log('Infinite canvas restored');
-            };
-            img.src = data.infiniteCanvasData;
-        }
+    /**
+     * Update the preview shortly after the last change
+     */
+    schedulePreview() {
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => this.updatePreview(), 150);
     },
 
     /**
-     * Clear all saved data
+     * Render the editor's code into the preview
+     * Clicking a line of the preview highlights it, or removes its highlight
      */
-    clearData() {
-        try {
-            localStorage.removeItem(this.STORAGE_KEY);
-            console.log('Saved data cleared');
-            UI.showNotification('All saved data cleared');
-            return true;
-        } catch (error) {
-            console.error('Failed to clear saved data:', error);
-            return false;
+    updatePreview() {
+        const preview = document.getElementById('codePreview');
+        if (!preview) return;
+        const code = this.readEditor();
+        if (!code.text) {
+            preview.replaceChildren();
+            return;
         }
+
+        const { canvas, width, height } = this.render(code, window.devicePixelRatio || 1);
+        canvas.style.width = width + 'px';
+        canvas.style.height = height + 'px';
+        canvas.style.maxWidth = 'none';
+        canvas.style.cursor = 'pointer';
+        canvas.title = 'Click a line to highlight it';
+        canvas.addEventListener('click', (e) => {
+            const rect = canvas.getBoundingClientRect();
+            const line = Math.floor(((e.clientY - rect.top) * (height / rect.height) - this.PADDING) / this.LINE_HEIGHT) + 1;
+            if (line < 1 || line > code.text.split('\n').length) return;
+
+            const highlights = code.highlights.includes(line)
+                ? code.highlights.filter(other => other !== line)
+                : [...code.highlights, line].sort((a, b) => a - b);
+            const field = document.getElementById('codeHighlights');
+            if (field) field.value = this.formatLines(highlights);
+            this.updatePreview();
+        });
+        preview.replaceChildren(canvas);
     },
 
     /**
-     * Auto-save data periodically
+     * Insert the new block or update the edited one
      */
-    startAutoSave() {
-        // Save every 30 seconds
-        setInterval(() => {
-            this.saveData();
-        }, 30000);
+    apply() {
+        const code = this.readEditor();
+        if (!code.text) {
+            UI.showNotification('Paste or type some code first');
+            return;
+        }
+        if (code.text.split('\n').length > this.MAX_LINES) {
+            UI.showNotification(`Code blocks can hold up to ${this.MAX_LINES} lines`);
+            return;
+        }
 
-        // Save on page unload
-        window.addEventListener('beforeunload', () => {
-            this.saveData();
-        });
+        const target = this.editing;
+        this.closeEditor();
+        if (!target) return;
+
+        AppState.codeStyle = this.normalize(code);
+        if (target.type === 'code') {
+            const before = target.code;
+            this.setCode(target, code);
+            HistoryManager.push('infinite', {
+                label: 'edit code block',
+                undo: () => this.setCode(target, before),
+                redo: () => this.setCode(target, code)
+            });
+        } else {
+            const mediaObj = this.add({ code, x: target.x, y: target.y });
+            InfiniteCanvas.expandCanvasIfNeeded(target.x + mediaObj.width + 20, target.y + mediaObj.height + 20);
+            HistoryManager.push('infinite', {
+                label: 'add code block',
+                undo: () => MediaHandler.removeMedia(mediaObj.id),
+                redo: () => MediaHandler.reattach(mediaObj)
+            });
+        }
+        setTimeout(() => StorageManager.saveData(), 100);
+    },
 
-        // Save on visibility change (when tab becomes hidden)
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden) {
-                this.saveData();
-            }
+    /**
+     * Delete the block being edited
+     */
+    deleteEditing() {
+        const mediaObj = this.editing;
+        this.closeEditor();
+        if (!mediaObj || mediaObj.type !== 'code') return;
+
+        MediaHandler.removeMedia(mediaObj.id);
+        HistoryManager.push('infinite', {
+            label: 'delete code block',
+            undo: () => MediaHandler.reattach(mediaObj),
+            redo: () => MediaHandler.removeMedia(mediaObj.id)
         });
+        setTimeout(() => StorageManager.saveData(), 100);
+    },
+
+    /**
+     * Keyboard shortcuts of the source field: Tab indents, Ctrl+Enter applies, Escape cancels
+     * @param {KeyboardEvent} e - Key event from the source field
+     */
+    handleKeydown(e) {
+        if (e.key === 'Tab' && !e.shiftKey && !e.ctrlKey && !e.metaKey) {
+            e.preventDefault();
+            e.target.setRangeText('    ', e.target.selectionStart, e.target.selectionEnd, 'end');
+            this.schedulePreview();
+        } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            this.apply();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closeEditor();
+        }
     }
 };
 
 // =============================================================================
-// 12. INITIALIZATION
+// 35. INITIALIZATION
 // =============================================================================
 
 /**
@@ -3010,6 +11872,7 @@ function init() {
     
     // Setup canvas elements
     AppState.canvas = document.getElementById('drawingCanvas');
+    AppState.highlightCanvas = document.getElementById('highlightCanvas');
     if (AppState.canvas) {
         AppState.ctx = AppState.canvas.getContext('2d', { willReadFrequently: true });
     }
@@ -3028,6 +11891,15 @@ function init() {
     // Initialize media handler
     MediaHandler.init();
     
+    // Initialize undo/redo history
+    HistoryManager.init();
+    InkSmoothing.init();
+    ShapeRecognition.init();
+    ShapeStyle.updateControls();
+    TextEditor.updateControls();
+    ColorPalette.render();
+    Stamps.updateControls();
+    
     // Initialize drawing styles and set default tool
     const pencilBtn = document.getElementById('pencil');
     if (pencilBtn) {
@@ -3035,14 +11907,13 @@ function init() {
     }
     DrawingUtils.updateStyles();
     
-    // Initialize storage and load saved data
-    const savedData = StorageManager.loadData();
-    if (savedData) {
-        StorageManager.restoreData(savedData);
-    }
-    
-    // Start auto-save
-    StorageManager.startAutoSave();
+    // Initialize storage and load saved data, then start auto-save
+    StorageManager.loadData().then(savedData => {
+        if (savedData) {
+            StorageManager.restoreData(savedData);
+        }
+        StorageManager.startAutoSave();
+    });
     
     console.log('Tutorial Maker initialized successfully');
     console.log('Canvas:', AppState.canvas);
@@ -3057,30 +11928,16 @@ function init() {
  */
 function setupEventListeners() {
     // Tool buttons
-    const toolButtons = ['pencil', 'line', 'rectangle', 'circle', 'arrow', 'eraser', 'text', 'select', 'laser'];
+    const toolButtons = ['pencil', 'highlighter', 'line', 'rectangle', 'roundedRectangle', 'circle', 'ellipse', 'polygon', 'arrow', 'curve', 'callout', 'eraser', 'text', 'step', 'spotlight', 'obscure', 'redact', 'magnifier', 'stamp', 'equation', 'code', 'select', 'laser'];
     toolButtons.forEach(tool => {
-        document.getElementById(tool).addEventListener('click', () => {
-            AppState.currentTool = tool;
-            
-            // Update active tool UI
-            document.querySelectorAll('.tool-btn').forEach(btn => {
-                btn.classList.remove('bg-indigo-500', 'border-indigo-600', 'text-white');
-                btn.classList.add('bg-white', 'border-gray-200');
-            });
-            
-            const selectedBtn = document.getElementById(tool);
-            selectedBtn.classList.remove('bg-white', 'border-gray-200');
-            selectedBtn.classList.add('bg-indigo-500', 'border-indigo-600', 'text-white');
-            
-            DrawingUtils.updateStyles();
-            DrawingUtils.toggleTextControls();
-        });
+        document.getElementById(tool).addEventListener('click', () => DrawingUtils.selectTool(tool));
     });
     
     // Drawing controls
     document.getElementById('colorPicker').addEventListener('input', (e) => {
         AppState.currentColor = e.target.value;
         DrawingUtils.updateStyles();
+        TextEditor.update({ color: e.target.value }, { applyToSelection: false });
     });
     
     document.getElementById('brushSize').addEventListener('input', (e) => {
@@ -3089,18 +11946,130 @@ function setupEventListeners() {
         DrawingUtils.updateStyles();
     });
     
+    // Restyle selected objects once a color or size is picked
+    document.getElementById('colorPicker').addEventListener('change', (e) => ColorPalette.setColor(e.target.value));
+    
+    document.getElementById('brushSize').addEventListener('change', (e) => {
+        ObjectSelection.restyle({ width: Number(e.target.value) });
+    });
+    
+    // Color palette
+    document.getElementById('addSwatch')?.addEventListener('click', () => ColorPalette.addSwatch());
+    document.getElementById('eyedropper')?.addEventListener('click', () => ColorPalette.togglePicking());
+    
+    // Ink smoothing
+    document.getElementById('smoothInk')?.addEventListener('change', (e) => InkSmoothing.update({ smooth: e.target.checked }));
+    document.getElementById('stabilizer')?.addEventListener('input', (e) => InkSmoothing.update({ stabilizer: e.target.value }));
+    document.getElementById('taperInk')?.addEventListener('change', (e) => InkSmoothing.update({ taper: e.target.checked }));
+    document.getElementById('recognizeShapes')?.addEventListener('change', (e) => ShapeRecognition.setEnabled(e.target.checked));
+    
+    // Eraser options
+    document.getElementById('eraserSize')?.addEventListener('input', (e) => {
+        AppState.eraserSize = Number(e.target.value);
+        document.getElementById('eraserSizeValue').textContent = AppState.eraserSize + 'px';
+        DrawingUtils.updateStyles();
+    });
+    
+    document.getElementById('eraserMode')?.addEventListener('change', (e) => {
+        AppState.eraserMode = e.target.value;
+    });
+    
+    // Highlighter options
+    document.getElementById('highlighterSnap')?.addEventListener('change', (e) => {
+        AppState.highlighterSnap = e.target.checked;
+    });
+    
+    // Polygon options
+    document.getElementById('polygonSides')?.addEventListener('change', (e) => {
+        AppState.polygonSides = Math.max(3, Math.min(12, Math.round(Number(e.target.value)) || 3));
+        e.target.value = AppState.polygonSides;
+    });
+    
+    // Step markers
+    document.getElementById('stepShape')?.addEventListener('change', (e) => StepMarkers.update({ shape: e.target.value }));
+    document.getElementById('stepSize')?.addEventListener('change', (e) => StepMarkers.update({ size: Number(e.target.value) }));
+    document.getElementById('stepFilled')?.addEventListener('change', (e) => StepMarkers.update({ filled: e.target.checked }));
+    document.getElementById('stepStart')?.addEventListener('change', (e) => StepMarkers.update({ start: Number(e.target.value) }));
+    
+    // Spotlight and blur
+    document.getElementById('spotlightShape')?.addEventListener('change', (e) => Masks.update({ spotlightShape: e.target.value }));
+    document.getElementById('spotlightDim')?.addEventListener('change', (e) => Masks.update({ dim: Number(e.target.value) / 100 }));
+    document.getElementById('obscureMode')?.addEventListener('change', (e) => Masks.update({ obscure: e.target.value }));
+    document.getElementById('obscureStrength')?.addEventListener('change', (e) => Masks.update({ strength: Number(e.target.value) }));
+    
+    // Magnifier
+    document.getElementById('magnifierShape')?.addEventListener('change', (e) => Magnifier.update({ shape: e.target.value }));
+    document.getElementById('magnifierZoom')?.addEventListener('change', (e) => Magnifier.update({ zoom: Number(e.target.value) }));
+    document.getElementById('stampSize')?.addEventListener('change', (e) => Stamps.update({ size: Number(e.target.value) }));
+    document.getElementById('addStamp')?.addEventListener('click', () => document.getElementById('stampFileInput')?.click());
+    document.getElementById('stampFileInput')?.addEventListener('change', (e) => {
+        Stamps.register(e.target.files[0]);
+        e.target.value = '';
+    });
+    document.getElementById('equationSource')?.addEventListener('input', () => Equations.schedulePreview());
+    document.getElementById('equationSource')?.addEventListener('keydown', (e) => Equations.handleKeydown(e));
+    document.getElementById('equationApply')?.addEventListener('click', () => Equations.apply());
+    document.getElementById('equationDelete')?.addEventListener('click', () => Equations.deleteEditing());
+    document.getElementById('equationCancel')?.addEventListener('click', () => Equations.closeEditor());
+    document.getElementById('codeSource')?.addEventListener('input', () => CodeBlocks.schedulePreview());
+    document.getElementById('codeSource')?.addEventListener('keydown', (e) => CodeBlocks.handleKeydown(e));
+    ['codeLanguage', 'codeTheme', 'codeLineNumbers'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', () => CodeBlocks.updatePreview());
+    });
+    document.getElementById('codeHighlights')?.addEventListener('input', () => CodeBlocks.schedulePreview());
+    document.getElementById('codeApply')?.addEventListener('click', () => CodeBlocks.apply());
+    document.getElementById('codeDelete')?.addEventListener('click', () => CodeBlocks.deleteEditing());
+    document.getElementById('codeCancel')?.addEventListener('click', () => CodeBlocks.closeEditor());
+    
+    // Shape style panel
+    document.getElementById('stylePanelBtn')?.addEventListener('click', () => ShapeStyle.togglePanel());
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest?.('#stylePanel, #stylePanelBtn')) {
+            document.getElementById('stylePanel')?.classList.add('hidden');
+        }
+    });
+    document.getElementById('fillEnabled')?.addEventListener('change', (e) => ShapeStyle.update({ filled: e.target.checked }));
+    document.getElementById('fillColor')?.addEventListener('change', (e) => ShapeStyle.update({ fillColor: e.target.value, filled: true }));
+    document.getElementById('shapeOpacity')?.addEventListener('input', (e) => {
+        ShapeStyle.update({ opacity: e.target.value / 100 }, { applyToSelection: false });
+    });
+    document.getElementById('shapeOpacity')?.addEventListener('change', (e) => ShapeStyle.update({ opacity: e.target.value / 100 }));
+    document.getElementById('dashStyle')?.addEventListener('change', (e) => ShapeStyle.update({ dash: e.target.value }));
+    document.getElementById('arrowHead')?.addEventListener('change', (e) => ShapeStyle.update({ arrowHead: e.target.value }));
+    
     // Text controls
     document.getElementById('fontSize').addEventListener('input', (e) => {
         AppState.fontSize = e.target.value;
         document.getElementById('fontSizeValue').textContent = AppState.fontSize + 'px';
+        TextEditor.update({ size: Number(e.target.value) }, { applyToSelection: false });
+    });
+    
+    document.getElementById('fontSize').addEventListener('change', (e) => {
+        TextEditor.update({ size: Number(e.target.value) });
     });
     
     document.getElementById('fontFamily').addEventListener('change', (e) => {
         AppState.fontFamily = e.target.value;
+        TextEditor.update({ family: e.target.value });
+    });
+    
+    // Text formatting; the buttons keep the focus in the text being edited
+    ['bold', 'italic', 'underline'].forEach(key => {
+        const button = document.getElementById('text' + key[0].toUpperCase() + key.slice(1));
+        button?.addEventListener('mousedown', (e) => e.preventDefault());
+        button?.addEventListener('click', () => TextEditor.toggle(key));
     });
+    document.getElementById('textAlign')?.addEventListener('change', (e) => TextEditor.update({ align: e.target.value }));
+    document.getElementById('lineSpacing')?.addEventListener('change', (e) => TextEditor.update({ lineSpacing: Number(e.target.value) }));
+    document.getElementById('wrapWidth')?.addEventListener('change', (e) => TextEditor.update({ wrapWidth: Number(e.target.value) }));
+    document.getElementById('textBackground')?.addEventListener('change', (e) => TextEditor.update({ background: e.target.checked }));
+    document.getElementById('textBackgroundColor')?.addEventListener('change', (e) => TextEditor.update({ backgroundColor: e.target.value, background: true }));
     
     // Action buttons
-    document.getElementById('clearCanvas').addEventListener('click', () => CanvasUtils.clear());
+    document.getElementById('clearCanvas').addEventListener('click', () => {
+        CanvasUtils.clear({ recordHistory: true });
+        HistoryManager.setActive('video');
+    });
     
     // Save drawing button (commented out in HTML)
     const saveDrawingBtn = document.getElementById('saveDrawing');
@@ -3115,6 +12084,13 @@ function setupEventListeners() {
         });
     }
     document.getElementById('saveWithTimestamp').addEventListener('click', () => TimestampManager.save());
+    
+    // Undo/redo
+    document.getElementById('undoBtn')?.addEventListener('click', () => HistoryManager.undo());
+    document.getElementById('redoBtn')?.addEventListener('click', () => HistoryManager.redo());
+    document.getElementById('historyLimit')?.addEventListener('change', (e) => HistoryManager.setMemoryLimit(e.target.value));
+    document.addEventListener('keydown', (e) => HistoryManager.handleKeydown(e));
+    document.addEventListener('keydown', (e) => ObjectSelection.handleKeydown(e));
     document.getElementById('drawModeBtn').addEventListener('click', () => DrawingMode.toggle());
     document.getElementById('closeDrawingBtn').addEventListener('click', () => DrawingMode.close());
     
@@ -3131,38 +12107,14 @@ function setupEventListeners() {
     });
     
     // Canvas events - setup immediately since init() runs after DOM is loaded
+    // Pointer Events cover mouse, touch and pen input
     if (AppState.overlayCanvas) {
-        AppState.overlayCanvas.addEventListener('mousedown', DrawingEvents.start);
-        AppState.overlayCanvas.addEventListener('mousemove', DrawingEvents.draw);
-        AppState.overlayCanvas.addEventListener('mouseup', DrawingEvents.stop);
-        AppState.overlayCanvas.addEventListener('mouseout', DrawingEvents.stop);
-        
-        // Touch events
-        AppState.overlayCanvas.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            const touch = e.touches[0];
-            const mouseEvent = new MouseEvent('mousedown', {
-                clientX: touch.clientX,
-                clientY: touch.clientY
-            });
-            DrawingEvents.start(mouseEvent);
-        });
-        
-        AppState.overlayCanvas.addEventListener('touchmove', (e) => {
-            e.preventDefault();
-            const touch = e.touches[0];
-            const mouseEvent = new MouseEvent('mousemove', {
-                clientX: touch.clientX,
-                clientY: touch.clientY
-            });
-            DrawingEvents.draw(mouseEvent);
-        });
-        
-        AppState.overlayCanvas.addEventListener('touchend', (e) => {
-            e.preventDefault();
-            const mouseEvent = new MouseEvent('mouseup', {});
-            DrawingEvents.stop(mouseEvent);
+        CanvasUtils.bindPointerInput(AppState.overlayCanvas, {
+            start: (e) => DrawingEvents.start(e),
+            move: (e) => DrawingEvents.draw(e),
+            stop: (e) => DrawingEvents.stop(e)
         });
+        AppState.overlayCanvas.addEventListener('dblclick', (e) => TextEditor.handleDoubleClick('video', e));
     }
     
     // Video input
@@ -3176,54 +12128,15 @@ function setupEventListeners() {
     
     // Storage action buttons
     document.getElementById('manualSave')?.addEventListener('click', () => {
-        if (StorageManager.saveData()) {
-            UI.showNotification('All data saved successfully!');
-        }
+        StorageManager.saveData().then(saved => {
+            if (saved) UI.showNotification('All data saved successfully!');
+        });
     });
     
     document.getElementById('clearStorage')?.addEventListener('click', () => {
-        if (confirm('Are you sure you want to clear all data? This will clear:\n• All saved drawings timeline\n• Video canvas drawings\n• Infinite canvas drawings\n• All stored data\n\nThis cannot be undone.')) {
-            // Clear all canvases
-            if (AppState.ctx && AppState.canvas) {
-                AppState.ctx.clearRect(0, 0, AppState.canvas.width, AppState.canvas.height);
-            }
-            if (AppState.overlayCtx && AppState.overlayCanvas) {
-                AppState.overlayCtx.clearRect(0, 0, AppState.overlayCanvas.width, AppState.overlayCanvas.height);
-            }
-            if (AppState.infiniteCtx && AppState.infiniteCanvas) {
-                AppState.infiniteCtx.clearRect(0, 0, AppState.infiniteCanvas.width, AppState.infiniteCanvas.height);
-                // Redraw page separators for infinite canvas
-                InfiniteCanvas.drawPageSeparators();
-            }
-            
-            // Reset all drawing state
-            AppState.isDrawing = false;
-            AppState.drawingMode = false;
-            AppState.infiniteDrawing = false;
-            AppState.startX = 0;
-            AppState.startY = 0;
-            
-            // Reset text state
-            AppState.isTyping = false;
-            AppState.currentTextInput = null;
-            
-            // Clear timestamped drawings and reset timestamp state
-            AppState.timestampedDrawings = [];
-            AppState.currentTimestamp = null;
-            AppState.currentDrawingState = null;
-            TimestampManager.updateUI();
-            
-            // Reset PDF state
-            AppState.currentPDF = null;
-            AppState.currentPage = 1;
-            AppState.totalPages = 1;
-            AppState.lastUploadPosition = { x: 0, y: 0 };
-            InfiniteCanvas.hidePageControls();
-            
-            // Close drawing mode if active
-            if (AppState.drawingMode) {
-                DrawingMode.close();
-            }
+        if (confirm(`Are you sure you want to clear all data in "${AppState.projectName}"? This will clear:\n• All saved drawings timeline\n• Video canvas drawings\n• Infinite canvas drawings\n• All stored data\n\nThis cannot be undone.`)) {
+            // Reset canvases, drawings, media and video
+            ProjectManager.resetWorkspace();
             
             // Clear all stored data
             StorageManager.clearData();
@@ -3232,6 +12145,13 @@ function setupEventListeners() {
         }
     });
     
+    // Project library
+    document.getElementById('openProjectLibrary')?.addEventListener('click', () => ProjectManager.showLibrary());
+    document.getElementById('closeProjectLibrary')?.addEventListener('click', () => ProjectManager.hideLibrary());
+    document.getElementById('newProject')?.addEventListener('click', () => ProjectManager.promptCreate());
+    document.getElementById('exportProject')?.addEventListener('click', () => ProjectBundle.exportProject());
+    document.getElementById('importProject')?.addEventListener('click', () => ProjectBundle.triggerImport());
+    
     // Window events
     window.addEventListener('resize', CanvasUtils.resize);
 }